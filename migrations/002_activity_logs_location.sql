@@ -0,0 +1,14 @@
+-- backend/migrations/002_activity_logs_location.sql
+-- Прив'язка записів журналу активності до закладу для фільтрації аудиту
+
+BEGIN;
+
+ALTER TABLE activity_logs
+  ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_activity_logs_location ON activity_logs(location_id);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_entity ON activity_logs(entity_type, entity_id);
+
+COMMENT ON COLUMN activity_logs.location_id IS 'Заклад, до якого відноситься дія';
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- backend/migrations/003_user_location_roles.sql
+-- Ролі користувачів у межах закладу (власник, менеджер, переглядач)
+
+BEGIN;
+
+ALTER TABLE user_locations
+  ADD COLUMN IF NOT EXISTS role VARCHAR(50) NOT NULL DEFAULT 'viewer';
+
+ALTER TABLE user_locations
+  ADD CONSTRAINT user_locations_role_check CHECK (role IN ('owner', 'manager', 'viewer'));
+
+CREATE INDEX IF NOT EXISTS idx_user_locations_role ON user_locations(location_id, role);
+
+COMMENT ON COLUMN user_locations.role IS 'Роль у закладі: owner, manager, viewer';
+
+COMMIT;
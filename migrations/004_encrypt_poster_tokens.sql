@@ -0,0 +1,16 @@
+-- backend/migrations/004_encrypt_poster_tokens.sql
+-- Шифрування токенів Poster: версія ключа, яким зашифровано токен.
+-- NULL означає, що токен ще зберігається у відкритому вигляді
+-- (потрібно виконати npm run reencrypt-tokens)
+
+BEGIN;
+
+ALTER TABLE locations
+  ADD COLUMN IF NOT EXISTS poster_token_key_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_locations_token_key_version ON locations(poster_token_key_version);
+
+COMMENT ON COLUMN locations.poster_access_token IS 'Токен Poster, зашифрований AES-256-GCM';
+COMMENT ON COLUMN locations.poster_token_key_version IS 'Версія ключа шифрування токена';
+
+COMMIT;
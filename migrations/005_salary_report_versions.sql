@@ -0,0 +1,25 @@
+-- backend/migrations/005_salary_report_versions.sql
+-- Версіонування розрахунків: повторний розрахунок за той самий період
+-- створює нову версію, одна з версій позначається як фінальна
+
+BEGIN;
+
+ALTER TABLE salary_reports
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS is_final BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Один рядок на співробітника в межах версії
+ALTER TABLE salary_reports DROP CONSTRAINT IF EXISTS unique_report_period;
+ALTER TABLE salary_reports
+  ADD CONSTRAINT unique_report_period_version UNIQUE(employee_id, period_month, period_year, version);
+
+CREATE INDEX IF NOT EXISTS idx_salary_reports_location_period_version
+  ON salary_reports(location_id, period_year, period_month, version);
+
+-- Існуючі розрахунки вважаємо фінальними
+UPDATE salary_reports SET is_final = TRUE;
+
+COMMENT ON COLUMN salary_reports.version IS 'Версія розрахунку за період (1, 2, ...)';
+COMMENT ON COLUMN salary_reports.is_final IS 'Фінальна (затверджена) версія розрахунку';
+
+COMMIT;
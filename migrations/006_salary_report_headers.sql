@@ -0,0 +1,166 @@
+-- backend/migrations/006_salary_report_headers.sql
+-- Звіт як окрема сутність: заголовок розрахунку (salary_reports)
+-- та рядки по співробітниках (salary_report_lines)
+
+BEGIN;
+
+-- Views залежать від старої структури - перестворюємо нижче
+DROP VIEW IF EXISTS latest_salary_reports;
+DROP VIEW IF EXISTS location_statistics;
+
+-- 1. Стара таблиця стає таблицею рядків
+ALTER TABLE salary_reports RENAME TO salary_report_lines;
+ALTER SEQUENCE salary_reports_id_seq RENAME TO salary_report_lines_id_seq;
+ALTER INDEX salary_reports_pkey RENAME TO salary_report_lines_pkey;
+ALTER INDEX idx_salary_reports_employee RENAME TO idx_salary_report_lines_employee;
+ALTER INDEX idx_salary_reports_location RENAME TO idx_salary_report_lines_location;
+ALTER INDEX idx_salary_reports_period RENAME TO idx_salary_report_lines_period;
+ALTER INDEX idx_salary_reports_created_at RENAME TO idx_salary_report_lines_created_at;
+
+-- 2. Заголовок розрахунку
+CREATE TABLE IF NOT EXISTS salary_reports (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+
+  -- Період розрахунку
+  period_month INTEGER NOT NULL CHECK (period_month >= 1 AND period_month <= 12),
+  period_year INTEGER NOT NULL CHECK (period_year >= 2000),
+  version INTEGER NOT NULL DEFAULT 1,
+
+  -- Параметри розрахунку
+  shift_rate DECIMAL(10, 2) NOT NULL,
+  revenue_percent DECIMAL(5, 2) NOT NULL,
+  parameters JSONB,
+
+  -- Інвентаризація, що використана в розрахунку
+  inventory_month INTEGER CHECK (inventory_month >= 1 AND inventory_month <= 12),
+  inventory_year INTEGER CHECK (inventory_year >= 2000),
+  inventory_loss DECIMAL(10, 2) DEFAULT 0,
+  inventory_revisions_count INTEGER DEFAULT 0,
+
+  -- Статус: draft - чернетка, final - фінальна версія за період
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'final')),
+
+  -- Метадані
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_report_location_period_version UNIQUE(location_id, period_month, period_year, version)
+);
+
+CREATE INDEX idx_salary_reports_location ON salary_reports(location_id);
+CREATE INDEX idx_salary_reports_period ON salary_reports(period_year, period_month);
+CREATE INDEX idx_salary_reports_status ON salary_reports(status);
+CREATE INDEX idx_salary_reports_created_at ON salary_reports(created_at DESC);
+
+-- Лише одна фінальна версія за період
+CREATE UNIQUE INDEX unique_final_report_period
+  ON salary_reports(location_id, period_month, period_year)
+  WHERE status = 'final';
+
+CREATE TRIGGER update_salary_reports_updated_at BEFORE UPDATE ON salary_reports
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. Перенесення існуючих даних: один заголовок на заклад+період+версію
+INSERT INTO salary_reports (
+  location_id, period_month, period_year, version,
+  shift_rate, revenue_percent,
+  inventory_month, inventory_year, inventory_loss, inventory_revisions_count,
+  status, created_by, created_at
+)
+SELECT
+  l.location_id,
+  l.period_month,
+  l.period_year,
+  l.version,
+  MIN(l.shift_rate),
+  MIN(l.revenue_percent),
+  l.period_month,
+  l.period_year,
+  COALESCE(MIN(ir.loss_amount), 0),
+  COALESCE(MIN(ir.revisions_count), 0),
+  CASE WHEN BOOL_OR(l.is_final) THEN 'final' ELSE 'draft' END,
+  (SELECT u.id FROM users u WHERE u.id = MIN(l.created_by)),
+  MIN(l.created_at)
+FROM salary_report_lines l
+LEFT JOIN inventory_results ir
+  ON ir.location_id = l.location_id AND ir.month = l.period_month AND ir.year = l.period_year
+GROUP BY l.location_id, l.period_month, l.period_year, l.version;
+
+-- 4. Прив'язка рядків до заголовків
+ALTER TABLE salary_report_lines
+  ADD COLUMN report_id INTEGER REFERENCES salary_reports(id) ON DELETE CASCADE;
+
+UPDATE salary_report_lines l
+SET report_id = sr.id
+FROM salary_reports sr
+WHERE sr.location_id = l.location_id
+  AND sr.period_month = l.period_month
+  AND sr.period_year = l.period_year
+  AND sr.version = l.version;
+
+ALTER TABLE salary_report_lines ALTER COLUMN report_id SET NOT NULL;
+
+-- 5. Поля, що тепер належать заголовку
+ALTER TABLE salary_report_lines DROP CONSTRAINT IF EXISTS unique_report_period_version;
+DROP INDEX IF EXISTS idx_salary_reports_location_period_version;
+DROP INDEX IF EXISTS idx_salary_report_lines_location;
+DROP INDEX IF EXISTS idx_salary_report_lines_period;
+
+ALTER TABLE salary_report_lines
+  DROP COLUMN location_id,
+  DROP COLUMN period_month,
+  DROP COLUMN period_year,
+  DROP COLUMN version,
+  DROP COLUMN is_final,
+  DROP COLUMN created_by;
+
+ALTER TABLE salary_report_lines
+  ADD CONSTRAINT unique_report_line_employee UNIQUE(report_id, employee_id);
+
+CREATE INDEX idx_salary_report_lines_report ON salary_report_lines(report_id);
+
+-- 6. Views на новій структурі
+CREATE OR REPLACE VIEW latest_salary_reports AS
+SELECT 
+  srl.*,
+  sr.location_id,
+  sr.period_month,
+  sr.period_year,
+  sr.version,
+  sr.status,
+  e.name as employee_name,
+  e.position,
+  l.name as location_name,
+  l.poster_account
+FROM salary_report_lines srl
+JOIN salary_reports sr ON srl.report_id = sr.id
+JOIN employees e ON srl.employee_id = e.id
+JOIN locations l ON sr.location_id = l.id
+ORDER BY sr.created_at DESC;
+
+CREATE OR REPLACE VIEW location_statistics AS
+SELECT 
+  l.id as location_id,
+  l.name as location_name,
+  (SELECT COUNT(*) FROM employees e WHERE e.location_id = l.id AND e.is_active = true) as total_employees,
+  (SELECT COUNT(*) FROM salary_reports sr WHERE sr.location_id = l.id AND sr.status = 'final') as total_reports,
+  COALESCE((
+    SELECT SUM(srl.total_salary)
+    FROM salary_report_lines srl
+    JOIN salary_reports sr ON srl.report_id = sr.id
+    WHERE sr.location_id = l.id AND sr.status = 'final'
+  ), 0) as total_salary_paid,
+  COALESCE((
+    SELECT AVG(srl.total_salary)
+    FROM salary_report_lines srl
+    JOIN salary_reports sr ON srl.report_id = sr.id
+    WHERE sr.location_id = l.id AND sr.status = 'final'
+  ), 0) as avg_salary
+FROM locations l;
+
+COMMENT ON TABLE salary_reports IS 'Розрахунки заробітної плати (заголовок звіту)';
+COMMENT ON TABLE salary_report_lines IS 'Рядки розрахунку по співробітниках';
+
+COMMIT;
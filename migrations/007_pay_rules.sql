@@ -0,0 +1,54 @@
+-- backend/migrations/007_pay_rules.sql
+-- Правила оплати: профіль закладу з перевизначеннями для посад та співробітників
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pay_rules (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+
+  -- Рівень правила: location - за замовчуванням, position - посада, employee - співробітник
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('location', 'position', 'employee')),
+  position VARCHAR(100),
+  poster_employee_id INTEGER,
+
+  -- NULL означає "успадкувати з менш специфічного рівня"
+  shift_rate DECIMAL(10, 2) CHECK (shift_rate >= 0),
+  revenue_percent DECIMAL(5, 2) CHECK (revenue_percent >= 0 AND revenue_percent <= 100),
+  fixed_salary DECIMAL(10, 2) CHECK (fixed_salary >= 0),
+  inventory_liability BOOLEAN,
+
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT pay_rules_scope_target CHECK (
+    (scope = 'location' AND position IS NULL AND poster_employee_id IS NULL) OR
+    (scope = 'position' AND position IS NOT NULL AND poster_employee_id IS NULL) OR
+    (scope = 'employee' AND poster_employee_id IS NOT NULL AND position IS NULL)
+  )
+);
+
+-- Одне правило на ціль у межах закладу
+CREATE UNIQUE INDEX unique_pay_rule_target ON pay_rules(
+  location_id, scope, (COALESCE(position, '')), (COALESCE(poster_employee_id, 0))
+);
+
+CREATE INDEX idx_pay_rules_location ON pay_rules(location_id);
+
+CREATE TRIGGER update_pay_rules_updated_at BEFORE UPDATE ON pay_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Базова ЗП та бонус більше не обчислюються з ставки:
+-- співробітник може мати фіксований оклад
+ALTER TABLE salary_report_lines ALTER COLUMN base_salary DROP EXPRESSION;
+ALTER TABLE salary_report_lines ALTER COLUMN revenue_bonus DROP EXPRESSION;
+
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS fixed_salary DECIMAL(10, 2),
+  ADD COLUMN IF NOT EXISTS pay_rule JSONB;
+
+COMMENT ON TABLE pay_rules IS 'Правила оплати (заклад, посада, співробітник)';
+COMMENT ON COLUMN salary_report_lines.pay_rule IS 'Застосоване правило оплати та джерело кожного параметра';
+
+COMMIT;
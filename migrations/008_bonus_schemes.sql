@@ -0,0 +1,35 @@
+-- backend/migrations/008_bonus_schemes.sql
+-- Схеми бонусів від виручки: прогресивна шкала, поріг за зміну, премія за план
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS bonus_schemes (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL UNIQUE REFERENCES locations(id) ON DELETE CASCADE,
+
+  -- Прогресивна шкала: [{ "upTo": 50000, "percent": 3 }, { "upTo": null, "percent": 5 }]
+  tiers JSONB NOT NULL DEFAULT '[]',
+
+  -- Мінімальна середня виручка за зміну, з якої нараховується бонус
+  min_revenue_per_shift DECIMAL(10, 2) CHECK (min_revenue_per_shift >= 0),
+
+  -- Премія за виконання місячного плану виручки
+  monthly_target DECIMAL(12, 2) CHECK (monthly_target >= 0),
+  target_bonus DECIMAL(10, 2) CHECK (target_bonus >= 0),
+
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_bonus_schemes_updated_at BEFORE UPDATE ON bonus_schemes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS target_bonus DECIMAL(10, 2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS bonus_details JSONB;
+
+COMMENT ON TABLE bonus_schemes IS 'Схеми бонусів від виручки закладу';
+COMMENT ON COLUMN salary_report_lines.bonus_details IS 'Розрахунок бонусу по рівнях шкали';
+
+COMMIT;
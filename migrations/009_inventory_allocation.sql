@@ -0,0 +1,34 @@
+-- backend/migrations/009_inventory_allocation.sql
+-- Стратегії розподілу нестачі інвентаризації та перенесення залишку
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inventory_allocation_settings (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL UNIQUE REFERENCES locations(id) ON DELETE CASCADE,
+  strategy VARCHAR(30) NOT NULL DEFAULT 'revenue'
+    CHECK (strategy IN ('revenue', 'shifts', 'hours', 'equal', 'revision_period')),
+  -- Максимальне вирахування у відсотках від нарахованої ЗП (NULL - без обмеження)
+  cap_percent DECIMAL(5, 2) CHECK (cap_percent >= 0 AND cap_percent <= 100),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_inventory_allocation_settings_updated_at BEFORE UPDATE ON inventory_allocation_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE salary_reports
+  ADD COLUMN IF NOT EXISTS inventory_strategy VARCHAR(30) NOT NULL DEFAULT 'revenue',
+  ADD COLUMN IF NOT EXISTS inventory_cap_percent DECIMAL(5, 2),
+  ADD COLUMN IF NOT EXISTS inventory_carryover_in DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS inventory_carryover_out DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS inventory_share DECIMAL(7, 4) NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE inventory_allocation_settings IS 'Налаштування розподілу нестачі по закладах';
+COMMENT ON COLUMN salary_reports.inventory_carryover_out IS 'Нерозподілена нестача, що переноситься на наступний період';
+COMMENT ON COLUMN salary_report_lines.inventory_share IS 'Частка співробітника в нестачі (0-1)';
+
+COMMIT;
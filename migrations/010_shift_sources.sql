@@ -0,0 +1,29 @@
+-- backend/migrations/010_shift_sources.sql
+-- Зміни з табеля та касових змін Poster, години роботи, погодинна ставка
+
+BEGIN;
+
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS hours_worked DECIMAL(8, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS shift_source VARCHAR(20);
+
+-- Зміни, враховані в розрахунку
+CREATE TABLE IF NOT EXISTS salary_report_shifts (
+  id SERIAL PRIMARY KEY,
+  line_id INTEGER NOT NULL REFERENCES salary_report_lines(id) ON DELETE CASCADE,
+  started_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  hours DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  -- timesheet - табель, cash_shift - касова зміна, transactions - оцінка за чеками
+  source VARCHAR(20) NOT NULL CHECK (source IN ('timesheet', 'cash_shift', 'transactions'))
+);
+
+CREATE INDEX idx_salary_report_shifts_line ON salary_report_shifts(line_id);
+
+ALTER TABLE pay_rules
+  ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10, 2) CHECK (hourly_rate >= 0);
+
+COMMENT ON TABLE salary_report_shifts IS 'Зміни співробітників, враховані в розрахунку';
+COMMENT ON COLUMN salary_report_lines.shift_source IS 'Джерело змін: timesheet, cash_shift, transactions';
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- backend/migrations/011_poster_api_cache.sql
+-- Кеш відповідей Poster API за минулі (незмінні) періоди
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS poster_api_cache (
+  id SERIAL PRIMARY KEY,
+  poster_account VARCHAR(100) NOT NULL,
+  endpoint VARCHAR(100) NOT NULL,
+  -- sha256 від відсортованих параметрів запиту
+  params_hash CHAR(64) NOT NULL,
+  params JSONB NOT NULL,
+  response JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_poster_api_cache UNIQUE(poster_account, endpoint, params_hash)
+);
+
+CREATE INDEX idx_poster_api_cache_account ON poster_api_cache(poster_account);
+
+COMMENT ON TABLE poster_api_cache IS 'Кеш відповідей Poster API за завершені періоди';
+
+COMMIT;
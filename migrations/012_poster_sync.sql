@@ -0,0 +1,81 @@
+-- backend/migrations/012_poster_sync.sql
+-- Локальна копія даних Poster: чеки, зміни, інвентаризації та стан синхронізації
+
+BEGIN;
+
+ALTER TABLE employees
+  ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP;
+
+-- Чеки (продажі)
+CREATE TABLE IF NOT EXISTS poster_transactions (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  transaction_id BIGINT NOT NULL,
+  -- user_id співробітника в Poster (employees.poster_id)
+  employee_poster_id INTEGER,
+  closed_at TIMESTAMP NOT NULL,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  spot_id INTEGER,
+  raw JSONB,
+  synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_poster_transaction UNIQUE(location_id, transaction_id)
+);
+
+CREATE INDEX idx_poster_transactions_period ON poster_transactions(location_id, closed_at);
+CREATE INDEX idx_poster_transactions_employee ON poster_transactions(location_id, employee_poster_id);
+
+-- Табель та касові зміни
+CREATE TABLE IF NOT EXISTS poster_work_shifts (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('timesheet', 'cash_shift')),
+  poster_shift_id BIGINT NOT NULL,
+  employee_poster_ids INTEGER[] NOT NULL DEFAULT '{}',
+  started_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  spot_id INTEGER,
+  synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_poster_work_shift UNIQUE(location_id, source, poster_shift_id)
+);
+
+CREATE INDEX idx_poster_work_shifts_period ON poster_work_shifts(location_id, started_at);
+
+-- Інвентаризації
+CREATE TABLE IF NOT EXISTS poster_inventory_revisions (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  revision_id BIGINT NOT NULL,
+  revision_date TIMESTAMP NOT NULL,
+  -- Від'ємне значення = нестача
+  difference DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  raw JSONB,
+  synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_poster_revision UNIQUE(location_id, revision_id)
+);
+
+CREATE INDEX idx_poster_revisions_period ON poster_inventory_revisions(location_id, revision_date);
+
+-- Курсор синхронізації закладу
+CREATE TABLE IF NOT EXISTS poster_sync_state (
+  location_id INTEGER PRIMARY KEY REFERENCES locations(id) ON DELETE CASCADE,
+  -- Дані до цієї дати (включно) синхронізовані
+  synced_until DATE,
+  -- Найраніша синхронізована дата
+  synced_from DATE,
+  last_started_at TIMESTAMP,
+  last_finished_at TIMESTAMP,
+  last_status VARCHAR(20) CHECK (last_status IN ('running', 'success', 'error')),
+  last_error TEXT,
+  last_stats JSONB,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE poster_transactions IS 'Локальна копія чеків Poster';
+COMMENT ON TABLE poster_work_shifts IS 'Локальна копія табеля та касових змін Poster';
+COMMENT ON TABLE poster_inventory_revisions IS 'Локальна копія інвентаризацій Poster';
+COMMENT ON TABLE poster_sync_state IS 'Стан інкрементальної синхронізації даних Poster';
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- backend/migrations/013_location_spots.sql
+-- Кілька закладів в одному акаунті Poster: прив'язка закладу до spot_id
+
+BEGIN;
+
+ALTER TABLE locations
+  ADD COLUMN IF NOT EXISTS poster_spot_id INTEGER;
+
+-- Один акаунт може мати кілька закладів - по одному на spot
+-- (NULL - усі spot акаунта разом)
+ALTER TABLE locations DROP CONSTRAINT IF EXISTS locations_poster_account_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS unique_location_poster_spot
+  ON locations(poster_account, COALESCE(poster_spot_id, 0));
+
+COMMENT ON COLUMN locations.poster_spot_id IS 'spot_id закладу в Poster; NULL - усі spot акаунта';
+
+COMMIT;
@@ -0,0 +1,69 @@
+-- backend/migrations/014_pay_periods.sql
+-- Довільні періоди розрахунку, шаблони періодів закладу та утримання авансів
+
+BEGIN;
+
+-- 1. Налаштування періодів закладу
+CREATE TABLE IF NOT EXISTS pay_period_settings (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL UNIQUE REFERENCES locations(id) ON DELETE CASCADE,
+  template VARCHAR(20) NOT NULL DEFAULT 'monthly'
+    CHECK (template IN ('monthly', 'semi_monthly', 'weekly')),
+  -- Останній день авансового періоду (напівмісячний шаблон)
+  advance_day INTEGER NOT NULL DEFAULT 15 CHECK (advance_day >= 1 AND advance_day <= 27),
+  -- Перший день тижня: 1 - понеділок ... 7 - неділя (тижневий шаблон)
+  week_start INTEGER NOT NULL DEFAULT 1 CHECK (week_start >= 1 AND week_start <= 7),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_pay_period_settings_updated_at BEFORE UPDATE ON pay_period_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 2. Період звіту як діапазон дат
+ALTER TABLE salary_reports
+  ADD COLUMN IF NOT EXISTS period_start DATE,
+  ADD COLUMN IF NOT EXISTS period_end DATE,
+  ADD COLUMN IF NOT EXISTS period_type VARCHAR(20) NOT NULL DEFAULT 'monthly'
+    CHECK (period_type IN ('monthly', 'semi_monthly', 'weekly', 'custom')),
+  ADD COLUMN IF NOT EXISTS period_kind VARCHAR(20) NOT NULL DEFAULT 'regular'
+    CHECK (period_kind IN ('regular', 'advance', 'settlement')),
+  ADD COLUMN IF NOT EXISTS advance_deduction DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+UPDATE salary_reports
+SET
+  period_start = make_date(period_year, period_month, 1),
+  period_end = (make_date(period_year, period_month, 1) + INTERVAL '1 month' - INTERVAL '1 day')::date
+WHERE period_start IS NULL;
+
+ALTER TABLE salary_reports
+  ALTER COLUMN period_start SET NOT NULL,
+  ALTER COLUMN period_end SET NOT NULL,
+  ADD CONSTRAINT check_report_period_range CHECK (period_start <= period_end);
+
+-- 3. Версії та фінальний звіт - в межах діапазону дат, а не місяця
+ALTER TABLE salary_reports DROP CONSTRAINT IF EXISTS unique_report_location_period_version;
+DROP INDEX IF EXISTS unique_final_report_period;
+
+ALTER TABLE salary_reports
+  ADD CONSTRAINT unique_report_location_range_version
+  UNIQUE(location_id, period_start, period_end, version);
+
+CREATE UNIQUE INDEX unique_final_report_range
+  ON salary_reports(location_id, period_start, period_end)
+  WHERE status = 'final';
+
+CREATE INDEX idx_salary_reports_range ON salary_reports(location_id, period_end DESC);
+CREATE INDEX idx_salary_reports_inventory ON salary_reports(location_id, inventory_year, inventory_month);
+
+-- 4. Утриманий аванс по співробітнику
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS advance_deduction DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE pay_period_settings IS 'Шаблон періодів виплат закладу';
+COMMENT ON COLUMN salary_reports.inventory_month IS 'Місяць інвентаризації; NULL - період не закриває місяць (аванс, тиждень)';
+COMMENT ON COLUMN salary_reports.period_kind IS 'regular - звичайний, advance - аванс, settlement - розрахунок з утриманням авансів';
+COMMENT ON COLUMN salary_report_lines.advance_deduction IS 'Виплачений аванс, утриманий в остаточному розрахунку';
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- backend/migrations/015_salary_adjustments.sql
+-- Ручні коригування зарплати: премії, штрафи, видані аванси, виправлення
+
+BEGIN;
+
+-- 1. Коригування по співробітниках
+CREATE TABLE IF NOT EXISTS salary_adjustments (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  poster_employee_id INTEGER NOT NULL,
+
+  -- Дата коригування: потрапляє в кожен розрахунок, період якого її містить
+  adjustment_date DATE NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('bonus', 'fine', 'advance', 'correction')),
+  -- bonus/fine/advance - додатна сума, correction - зі знаком
+  amount DECIMAL(10, 2) NOT NULL,
+  reason TEXT NOT NULL,
+
+  -- Фінальний звіт, яким коригування заблоковане від змін
+  report_id INTEGER REFERENCES salary_reports(id) ON DELETE SET NULL,
+  locked_at TIMESTAMP,
+
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT check_adjustment_amount CHECK (
+    (type = 'correction' AND amount <> 0) OR
+    (type <> 'correction' AND amount > 0)
+  )
+);
+
+CREATE INDEX idx_salary_adjustments_period ON salary_adjustments(location_id, adjustment_date);
+CREATE INDEX idx_salary_adjustments_employee ON salary_adjustments(location_id, poster_employee_id);
+
+CREATE TRIGGER update_salary_adjustments_updated_at BEFORE UPDATE ON salary_adjustments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 2. Застосовані коригування в рядках звіту
+ALTER TABLE salary_report_lines
+  ADD COLUMN IF NOT EXISTS adjustment_bonus DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS adjustment_fine DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS adjustment_advance DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS adjustment_correction DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS adjustments JSONB;
+
+COMMENT ON TABLE salary_adjustments IS 'Ручні коригування зарплати співробітників';
+COMMENT ON COLUMN salary_adjustments.type IS 'bonus - премія, fine - штраф, advance - виданий аванс, correction - виправлення (зі знаком)';
+COMMENT ON COLUMN salary_adjustments.locked_at IS 'Час фіналізації звіту, що включив коригування; після цього зміни заборонені';
+COMMENT ON COLUMN salary_report_lines.adjustments IS 'Коригування, застосовані в рядку: [{ id, type, amount, date, reason }]';
+
+COMMIT;
@@ -0,0 +1,61 @@
+-- backend/migrations/016_payslip_notifications.sql
+-- Прив'язка співробітників до Telegram (коди запрошення) та доставка розрахункових листів
+
+BEGIN;
+
+-- 1. Telegram співробітника
+ALTER TABLE employees
+  ADD COLUMN IF NOT EXISTS telegram_id BIGINT,
+  ADD COLUMN IF NOT EXISTS telegram_linked_at TIMESTAMP;
+
+-- Один Telegram акаунт - один співробітник у межах закладу
+CREATE UNIQUE INDEX unique_employee_telegram ON employees(location_id, telegram_id)
+  WHERE telegram_id IS NOT NULL;
+
+-- 2. Коди запрошення
+CREATE TABLE IF NOT EXISTS employee_invites (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_by_telegram_id BIGINT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_employee_invites_employee ON employee_invites(employee_id);
+
+-- 3. Доставка розрахункових листів
+CREATE TABLE IF NOT EXISTS payslip_deliveries (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES salary_reports(id) ON DELETE CASCADE,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  telegram_id BIGINT NOT NULL,
+
+  -- pending - в черзі, sending - надсилається, sent - доставлено, failed - помилка
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  -- Час наступної спроби; NULL для failed - спроби вичерпано або помилка постійна
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_payslip_delivery UNIQUE(report_id, employee_id)
+);
+
+CREATE INDEX idx_payslip_deliveries_due ON payslip_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'failed', 'sending');
+
+CREATE TRIGGER update_payslip_deliveries_updated_at BEFORE UPDATE ON payslip_deliveries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN employees.telegram_id IS 'Telegram користувача для особистих розрахункових листів';
+COMMENT ON TABLE employee_invites IS 'Одноразові коди прив''язки співробітника до Telegram';
+COMMENT ON TABLE payslip_deliveries IS 'Надсилання розрахункових листів співробітникам після фіналізації звіту';
+
+COMMIT;
@@ -0,0 +1,80 @@
+-- backend/migrations/017_payroll_schedules.sql
+-- Планові розрахунки зарплати: налаштування закладу та журнал запусків
+
+BEGIN;
+
+-- 1. Розклад автоматичного розрахунку
+CREATE TABLE IF NOT EXISTS payroll_schedules (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL UNIQUE REFERENCES locations(id) ON DELETE CASCADE,
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- День та година (час сервера) після закінчення місяця, коли створюється чернетка
+  run_day INTEGER NOT NULL DEFAULT 3 CHECK (run_day BETWEEN 1 AND 28),
+  run_hour INTEGER NOT NULL DEFAULT 9 CHECK (run_hour BETWEEN 0 AND 23),
+
+  -- Параметри розрахунку (NULL - профіль оплати закладу)
+  source VARCHAR(20) NOT NULL DEFAULT 'poster' CHECK (source IN ('poster', 'local')),
+  shift_rate NUMERIC(10, 2),
+  revenue_percent NUMERIC(5, 2),
+
+  -- Чекати на інвентаризацію за місяць; після inventory_wait_days розрахунок іде без неї
+  wait_for_inventory BOOLEAN NOT NULL DEFAULT TRUE,
+  inventory_wait_days INTEGER NOT NULL DEFAULT 7 CHECK (inventory_wait_days BETWEEN 0 AND 28),
+
+  notify_managers BOOLEAN NOT NULL DEFAULT TRUE,
+
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_payroll_schedules_updated_at BEFORE UPDATE ON payroll_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 2. Запуски: один на заклад і місяць, тож перезапуск сервера не дублює розрахунок
+CREATE TABLE IF NOT EXISTS payroll_runs (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  period_month INTEGER NOT NULL CHECK (period_month BETWEEN 1 AND 12),
+  period_year INTEGER NOT NULL,
+
+  -- pending - в черзі, running - виконується, waiting_inventory - немає інвентаризації,
+  -- completed - чернетку створено, skipped - період уже фіналізовано, failed - помилка
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'waiting_inventory', 'completed', 'skipped', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  report_id INTEGER REFERENCES salary_reports(id) ON DELETE SET NULL,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  notified_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_payroll_run UNIQUE(location_id, period_year, period_month)
+);
+
+CREATE INDEX idx_payroll_runs_due ON payroll_runs(next_attempt_at)
+  WHERE status IN ('pending', 'running', 'waiting_inventory');
+
+CREATE TRIGGER update_payroll_runs_updated_at BEFORE UPDATE ON payroll_runs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. Звіт, створений запуском: після збою між збереженням звіту та оновленням запуску
+-- повторна спроба знаходить уже створений звіт замість нової версії
+ALTER TABLE salary_reports
+  ADD COLUMN IF NOT EXISTS payroll_run_id INTEGER REFERENCES payroll_runs(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX unique_salary_report_payroll_run ON salary_reports(payroll_run_id)
+  WHERE payroll_run_id IS NOT NULL;
+
+COMMENT ON TABLE payroll_schedules IS 'Розклад автоматичного розрахунку зарплати закладу';
+COMMENT ON TABLE payroll_runs IS 'Планові запуски розрахунку зарплати (один на заклад і місяць)';
+COMMENT ON COLUMN salary_reports.payroll_run_id IS 'Плановий запуск, яким створено звіт';
+
+COMMIT;
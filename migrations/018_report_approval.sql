@@ -0,0 +1,93 @@
+-- backend/migrations/018_report_approval.sql
+-- Затвердження розрахунків: draft -> submitted -> approved -> paid,
+-- незмінність затверджених звітів та журнал змін статусу
+
+BEGIN;
+
+-- 1. Статуси звіту (фінальні версії стають затвердженими)
+ALTER TABLE salary_reports DROP CONSTRAINT IF EXISTS salary_reports_status_check;
+DROP INDEX IF EXISTS unique_final_report_range;
+
+UPDATE salary_reports SET status = 'approved' WHERE status = 'final';
+
+ALTER TABLE salary_reports
+  ADD CONSTRAINT salary_reports_status_check
+  CHECK (status IN ('draft', 'submitted', 'approved', 'paid'));
+
+-- Лише одна версія за період може бути подана, затверджена або виплачена
+CREATE UNIQUE INDEX unique_active_report_range
+  ON salary_reports(location_id, period_start, period_end)
+  WHERE status IN ('submitted', 'approved', 'paid');
+
+-- 2. Хто і коли змінював статус, дані виплати
+ALTER TABLE salary_reports
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS paid_date DATE,
+  ADD COLUMN IF NOT EXISTS payment_method VARCHAR(30)
+    CHECK (payment_method IN ('cash', 'card', 'bank_transfer', 'other')),
+  ADD COLUMN IF NOT EXISTS payment_note TEXT,
+  ADD COLUMN IF NOT EXISTS paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT check_report_paid CHECK (status <> 'paid' OR (paid_date IS NOT NULL AND payment_method IS NOT NULL));
+
+UPDATE salary_reports SET approved_at = updated_at WHERE status = 'approved';
+
+-- 3. Журнал змін статусу
+CREATE TABLE IF NOT EXISTS salary_report_status_history (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES salary_reports(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  -- Причина (обов'язкова для повернення в чернетку)
+  reason TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_report_status_history_report ON salary_report_status_history(report_id, created_at);
+
+-- 4. Рядки затвердженого звіту незмінні (навіть поза API)
+CREATE OR REPLACE FUNCTION prevent_approved_report_line_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM salary_reports
+    WHERE id = NEW.report_id AND status IN ('approved', 'paid')
+  ) THEN
+    RAISE EXCEPTION 'Salary report % is approved and cannot be changed', NEW.report_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_approved_report_lines_change BEFORE INSERT OR UPDATE ON salary_report_lines
+  FOR EACH ROW EXECUTE FUNCTION prevent_approved_report_line_changes();
+
+-- 5. Статистика - за затвердженими та виплаченими звітами
+CREATE OR REPLACE VIEW location_statistics AS
+SELECT
+  l.id as location_id,
+  l.name as location_name,
+  (SELECT COUNT(*) FROM employees e WHERE e.location_id = l.id AND e.is_active = true) as total_employees,
+  (SELECT COUNT(*) FROM salary_reports sr WHERE sr.location_id = l.id AND sr.status IN ('approved', 'paid')) as total_reports,
+  COALESCE((
+    SELECT SUM(srl.total_salary)
+    FROM salary_report_lines srl
+    JOIN salary_reports sr ON srl.report_id = sr.id
+    WHERE sr.location_id = l.id AND sr.status IN ('approved', 'paid')
+  ), 0) as total_salary_paid,
+  COALESCE((
+    SELECT AVG(srl.total_salary)
+    FROM salary_report_lines srl
+    JOIN salary_reports sr ON srl.report_id = sr.id
+    WHERE sr.location_id = l.id AND sr.status IN ('approved', 'paid')
+  ), 0) as avg_salary
+FROM locations l;
+
+COMMENT ON COLUMN salary_reports.status IS 'draft - чернетка, submitted - на затвердженні, approved - затверджено, paid - виплачено';
+COMMENT ON TABLE salary_report_status_history IS 'Журнал змін статусу розрахунків';
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- backend/migrations/019_employee_management.sql
+-- Керування співробітниками: виключення з розрахунку та посада, вказана вручну
+
+BEGIN;
+
+ALTER TABLE employees
+  -- Не потрапляє в розрахунок зарплати (напр. власник, що працює на касі)
+  ADD COLUMN IF NOT EXISTS exclude_from_payroll BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS exclusion_reason TEXT,
+  -- Посада змінена менеджером і не перезаписується з Poster
+  ADD COLUMN IF NOT EXISTS position_manual BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_employees_excluded ON employees(location_id) WHERE exclude_from_payroll = true;
+
+COMMENT ON COLUMN employees.exclude_from_payroll IS 'Співробітник не включається в розрахунок зарплати закладу';
+COMMENT ON COLUMN employees.position_manual IS 'Посаду вказано вручну: звірка з Poster її не змінює';
+
+COMMIT;
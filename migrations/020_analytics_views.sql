@@ -0,0 +1,54 @@
+-- backend/migrations/020_analytics_views.sql
+-- Рядки звітів для аналітики: період, вид розрахунку та інвентаризація звіту
+-- (фільтр за датами та помісячна динаміка)
+
+BEGIN;
+
+-- Склад колонок змінюється, тому view створюється заново
+DROP VIEW IF EXISTS latest_salary_reports;
+
+CREATE VIEW latest_salary_reports AS
+SELECT
+  srl.id,
+  srl.report_id,
+  srl.employee_id,
+  srl.shifts_count,
+  srl.hours_worked,
+  srl.revenue,
+  srl.base_salary,
+  srl.revenue_bonus,
+  srl.target_bonus,
+  srl.inventory_loss,
+  srl.advance_deduction,
+  srl.adjustment_bonus,
+  srl.adjustment_fine,
+  srl.adjustment_advance,
+  srl.adjustment_correction,
+  srl.total_salary,
+  sr.location_id,
+  sr.period_month,
+  sr.period_year,
+  sr.period_start,
+  sr.period_end,
+  sr.period_type,
+  sr.period_kind,
+  sr.version,
+  sr.status,
+  sr.inventory_month,
+  sr.inventory_year,
+  sr.inventory_loss as report_inventory_loss,
+  sr.paid_date,
+  e.poster_id,
+  e.name as employee_name,
+  e.position,
+  l.name as location_name,
+  l.poster_account
+FROM salary_report_lines srl
+JOIN salary_reports sr ON srl.report_id = sr.id
+JOIN employees e ON srl.employee_id = e.id
+JOIN locations l ON sr.location_id = l.id
+ORDER BY sr.created_at DESC;
+
+COMMENT ON VIEW latest_salary_reports IS 'Рядки звітів з періодом, статусом та співробітником (аналітика)';
+
+COMMIT;
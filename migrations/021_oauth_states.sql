@@ -0,0 +1,18 @@
+-- backend/migrations/021_oauth_states.sql
+-- Одноразові state для OAuth Poster: nonce зберігається при видачі
+-- та видаляється в callback, тож повторне використання state не спрацює
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+  nonce VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires ON oauth_states(expires_at);
+
+COMMENT ON TABLE oauth_states IS 'Невикористані state OAuth Poster (nonce видаляється в callback)';
+
+COMMIT;
@@ -0,0 +1,99 @@
+-- backend/migrations/022_report_immutability.sql
+-- Затверджений/виплачений звіт незмінний повністю: рядки (включно з видаленням),
+-- зміни рядків та заголовок. У заголовку змінюються лише статус і дані виплати
+
+BEGIN;
+
+-- 1. Рядки: також DELETE (каскадне видалення разом зі звітом проходить -
+-- заголовок на той момент уже не видно)
+CREATE OR REPLACE FUNCTION prevent_approved_report_line_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_report_id INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    target_report_id := NEW.report_id;
+  ELSE
+    target_report_id := OLD.report_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM salary_reports
+    WHERE (id = target_report_id OR (TG_OP = 'UPDATE' AND id = NEW.report_id))
+      AND status IN ('approved', 'paid')
+  ) THEN
+    RAISE EXCEPTION 'Salary report % is approved and cannot be changed', target_report_id;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_approved_report_lines_change ON salary_report_lines;
+CREATE TRIGGER prevent_approved_report_lines_change BEFORE INSERT OR UPDATE OR DELETE ON salary_report_lines
+  FOR EACH ROW EXECUTE FUNCTION prevent_approved_report_line_changes();
+
+-- 2. Зміни рядка (звіт - через salary_report_lines)
+CREATE OR REPLACE FUNCTION prevent_approved_report_shift_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_line_id INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    target_line_id := NEW.line_id;
+  ELSE
+    target_line_id := OLD.line_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM salary_report_lines srl
+    JOIN salary_reports sr ON sr.id = srl.report_id
+    WHERE (srl.id = target_line_id OR (TG_OP = 'UPDATE' AND srl.id = NEW.line_id))
+      AND sr.status IN ('approved', 'paid')
+  ) THEN
+    RAISE EXCEPTION 'Salary report line % belongs to an approved report and cannot be changed', target_line_id;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_approved_report_shifts_change ON salary_report_shifts;
+CREATE TRIGGER prevent_approved_report_shifts_change BEFORE INSERT OR UPDATE OR DELETE ON salary_report_shifts
+  FOR EACH ROW EXECUTE FUNCTION prevent_approved_report_shift_changes();
+
+-- 3. Заголовок: поки звіт затверджений/виплачений, змінюються лише статус,
+-- дані погодження та виплати (created_by, payroll_run_id - через ON DELETE SET NULL)
+CREATE OR REPLACE FUNCTION prevent_approved_report_header_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  mutable_columns TEXT[] := ARRAY[
+    'status', 'submitted_at', 'submitted_by', 'approved_at', 'approved_by',
+    'paid_date', 'payment_method', 'payment_note', 'paid_by',
+    'created_by', 'payroll_run_id', 'updated_at'
+  ];
+BEGIN
+  IF OLD.status IN ('approved', 'paid')
+    AND (to_jsonb(NEW) - mutable_columns) IS DISTINCT FROM (to_jsonb(OLD) - mutable_columns)
+  THEN
+    RAISE EXCEPTION 'Salary report % is approved and cannot be changed', OLD.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_approved_report_change ON salary_reports;
+CREATE TRIGGER prevent_approved_report_change BEFORE UPDATE ON salary_reports
+  FOR EACH ROW EXECUTE FUNCTION prevent_approved_report_header_changes();
+
+COMMIT;
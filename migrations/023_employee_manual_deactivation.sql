@@ -0,0 +1,11 @@
+-- backend/migrations/023_employee_manual_deactivation.sql
+-- Співробітник, деактивований менеджером, не активується знову синхронізацією з Poster
+
+BEGIN;
+
+ALTER TABLE employees
+  ADD COLUMN IF NOT EXISTS deactivated_manually BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN employees.deactivated_manually IS 'Деактивовано вручну: синхронізація та звірка з Poster не активують знову';
+
+COMMIT;
@@ -0,0 +1,138 @@
+// backend/scripts/migrate.js
+// Застосування міграцій з migrations/ по порядку номерів.
+// Кожна міграція виконується в окремій транзакції разом із записом у schema_migrations,
+// тож невдала міграція не залишає схему напівзміненою і не позначається виконаною.
+// npm run migrate                      - застосувати нові міграції
+// npm run migrate -- --status          - показати виконані та нові
+// npm run migrate -- --baseline 020    - позначити 001..020 виконаними без запуску
+//                                        (БД, куди міграції вже застосовано вручну)
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../src/config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{3})_[\w-]+\.sql$/;
+
+// Довільний ключ advisory lock: два одночасні запуски не застосують міграцію двічі
+const LOCK_KEY = 73190421;
+
+/**
+ * Файли міграцій, відсортовані за номером
+ * @returns {Object[]} [{ version, name, file }]
+ */
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(name => MIGRATION_FILE.test(name))
+  .sort()
+  .map(name => ({
+    version: name.match(MIGRATION_FILE)[1],
+    name,
+    file: path.join(MIGRATIONS_DIR, name)
+  }));
+
+/**
+ * Власні BEGIN; / COMMIT; файлу прибираються - транзакцію відкриває раннер.
+ * BEGIN у тілі plpgsql-функцій (без крапки з комою) не зачіпається
+ */
+const prepareSql = sql => sql.replace(/^\s*(BEGIN|COMMIT);\s*$/gim, '');
+
+const ensureTable = async client => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(10) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getApplied = async client => {
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return new Set(result.rows.map(row => row.version));
+};
+
+const applyMigration = async (client, migration) => {
+  const sql = prepareSql(fs.readFileSync(migration.file, 'utf8'));
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const baselineIndex = args.indexOf('--baseline');
+  const baseline = baselineIndex >= 0 ? args[baselineIndex + 1] : null;
+
+  if (baselineIndex >= 0 && !/^\d{3}$/.test(baseline || '')) {
+    console.error('❌ --baseline expects a migration number, e.g. --baseline 020');
+    process.exitCode = 1;
+    await db.pool.end();
+    return;
+  }
+
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureTable(client);
+
+    const applied = await getApplied(client);
+    const pending = listMigrations().filter(migration => !applied.has(migration.version));
+
+    if (args.includes('--status')) {
+      listMigrations().forEach(migration => {
+        console.log(`${applied.has(migration.version) ? '✅' : '⏳'} ${migration.name}`);
+      });
+      process.exitCode = 0;
+      return;
+    }
+
+    if (baseline) {
+      const marked = pending.filter(migration => migration.version <= baseline);
+      for (const migration of marked) {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        console.log(`☑️  ${migration.name} marked as applied`);
+      }
+      process.exitCode = 0;
+      return;
+    }
+
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+      process.exitCode = 0;
+      return;
+    }
+
+    for (const migration of pending) {
+      console.log(`⏳ Applying ${migration.name}...`);
+      await applyMigration(client, migration);
+      console.log(`✅ ${migration.name}`);
+    }
+
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+    await db.pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,149 @@
+// backend/scripts/mock-poster-server.js
+// Локальний мок Poster API для розробки та перевірки клієнта.
+// npm run mock-poster
+// Далі в .env:
+//   POSTER_BASE_URL=http://localhost:4010
+//   POSTER_API_URL=http://localhost:4010/{account}/api
+// Параметри мока:
+//   MOCK_POSTER_PORT - порт (4010)
+//   MOCK_POSTER_TRANSACTIONS - кількість згенерованих чеків (1200)
+//   MOCK_POSTER_FAIL_EVERY - кожен N-й запит отримує 429 (0 - вимкнено)
+// У тестах: createMockPosterServer(options) без запуску на порту (див. нижче)
+
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_POSTER_PORT || '4010');
+const TRANSACTIONS_COUNT = parseInt(process.env.MOCK_POSTER_TRANSACTIONS || '1200');
+const FAIL_EVERY = parseInt(process.env.MOCK_POSTER_FAIL_EVERY || '0');
+
+const employees = [
+  { user_id: 1, name: 'Олена Коваль', role_name: 'Бариста' },
+  { user_id: 2, name: 'Андрій Мельник', role_name: 'Бариста' },
+  { user_id: 3, name: 'Ірина Шевченко', role_name: 'Адміністратор' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+  `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+const parseDateParam = (value) =>
+  new Date(`${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T00:00:00`);
+
+/**
+ * Детерміновані чеки за період: рівномірно по днях, 10:00-20:00
+ */
+const generateTransactions = (dateFrom, dateTo, count = TRANSACTIONS_COUNT) => {
+  const from = parseDateParam(dateFrom);
+  const to = parseDateParam(dateTo);
+  const days = Math.max(1, Math.round((to - from) / 86400000) + 1);
+  const perDay = Math.ceil(count / days);
+
+  return Array.from({ length: count }, (_, i) => {
+    const day = Math.floor(i / perDay);
+    const date = new Date(from.getTime() + day * 86400000);
+    date.setHours(10, 0, 0, 0);
+    date.setMinutes((i % perDay) * Math.floor(600 / perDay));
+
+    const employee = employees[day % 2];
+
+    return {
+      transaction_id: i + 1,
+      user_id: employee.user_id,
+      date_close: formatDate(date),
+      total: String(100 + (i % 7) * 25)
+    };
+  });
+};
+
+const paginate = (items, query) => {
+  const page = parseInt(query.page || '1');
+  const perPage = parseInt(query.per_page || items.length || '1');
+  return items.slice((page - 1) * perPage, page * perPage);
+};
+
+/**
+ * Express-застосунок мока
+ * @param {Object} [options]
+ * @param {number} [options.transactionsCount] - Кількість чеків за період
+ * @param {number} [options.failEvery] - Кожен N-й запит отримує 429
+ * @param {boolean} [options.ignorePagination] - Завжди віддавати першу сторінку (як старі методи Poster)
+ * @returns {Object} app; app.locals.requests - лічильник запитів,
+ *   app.locals.failures - черга відповідей-помилок [{ status, retryAfter? }] для наступних запитів
+ */
+const createMockPosterServer = ({
+  transactionsCount = TRANSACTIONS_COUNT,
+  failEvery = FAIL_EVERY,
+  ignorePagination = false,
+  log = false
+} = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  app.locals.requests = 0;
+  app.locals.failures = [];
+
+  app.use((req, res, next) => {
+    app.locals.requests++;
+    if (log) {
+      console.log(`${req.method} ${req.path} ${JSON.stringify(req.query)}`);
+    }
+
+    const failure = app.locals.failures.shift();
+    if (failure) {
+      if (failure.retryAfter !== undefined) {
+        res.set('Retry-After', String(failure.retryAfter));
+      }
+      return res.status(failure.status).json({ error: `Mock failure ${failure.status}` });
+    }
+
+    if (failEvery > 0 && app.locals.requests % failEvery === 0) {
+      return res.status(429).set('Retry-After', '1').json({ error: 'Too many requests' });
+    }
+
+    next();
+  });
+
+  app.post('/api/auth', (req, res) => {
+    res.json({ access_token: `mock-token-${Date.now()}`, account_number: '1' });
+  });
+
+  app.get('/:account/api/:method', (req, res) => {
+    if (!req.headers.authorization) {
+      return res.json({ error: { code: 10, message: 'Access token is required' } });
+    }
+
+    const { dateFrom = '20240101', dateTo = dateFrom } = req.query;
+    const pageQuery = ignorePagination ? { per_page: req.query.per_page } : req.query;
+
+    switch (req.params.method) {
+      case 'settings.getAllSettings':
+        return res.json({ response: { company_name: `Mock ${req.params.account}` } });
+
+      case 'access.getEmployees':
+        return res.json({ response: employees });
+
+      case 'dash.getTransactions':
+        return res.json({ response: paginate(generateTransactions(dateFrom, dateTo, transactionsCount), pageQuery) });
+
+      case 'finance.getCashShifts':
+      case 'access.getTimeSheets':
+      case 'storage.getInventoryRevisions':
+        return res.json({ response: [] });
+
+      default:
+        return res.json({ error: { code: 30, message: `Unknown method ${req.params.method}` } });
+    }
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  createMockPosterServer({ log: true }).listen(PORT, () => {
+    console.log(`🧪 Mock Poster API on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockPosterServer, generateTransactions };
@@ -0,0 +1,118 @@
+// backend/scripts/mock-telegram-server.js
+// Локальний мок Telegram Bot API для розробки та перевірки бота і розсилки листів.
+// npm run mock-telegram
+// Далі в .env:
+//   TELEGRAM_API_URL=http://localhost:4020
+// Надіслані повідомлення: GET http://localhost:4020/messages (DELETE - очистити)
+// Параметри мока:
+//   MOCK_TELEGRAM_PORT - порт (4020)
+//   MOCK_TELEGRAM_FAIL_EVERY - кожен N-й запит отримує 429 (0 - вимкнено)
+//   MOCK_TELEGRAM_BLOCKED_CHATS - chat_id через кому, які "заблокували" бота (403)
+// У тестах: createMockTelegramServer(options) без запуску на порту (див. нижче)
+
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_TELEGRAM_PORT || '4020');
+const FAIL_EVERY = parseInt(process.env.MOCK_TELEGRAM_FAIL_EVERY || '0');
+const BLOCKED_CHATS = (process.env.MOCK_TELEGRAM_BLOCKED_CHATS || '')
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean);
+
+/**
+ * Express-застосунок мока
+ * @param {Object} [options] - { failEvery, blockedChats, log }
+ * @returns {Object} app; app.locals.messages - надіслані повідомлення,
+ *   app.locals.failures - черга відповідей-помилок [{ status, retryAfter? }] для наступних викликів
+ */
+const createMockTelegramServer = ({ failEvery = FAIL_EVERY, blockedChats = BLOCKED_CHATS, log = false } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  let requestsCount = 0;
+  app.locals.messages = [];
+  app.locals.failures = [];
+
+  app.get('/messages', (req, res) => {
+    res.json(app.locals.messages);
+  });
+
+  app.delete('/messages', (req, res) => {
+    app.locals.messages = [];
+    res.json({ ok: true });
+  });
+
+  app.post('/bot:token/:method', (req, res) => {
+    requestsCount++;
+    const { method } = req.params;
+    // sendDocument приходить як multipart - тіло не розбирається
+    const body = req.is('application/json') ? req.body : {};
+    const chatId = body.chat_id !== undefined ? String(body.chat_id) : null;
+
+    if (log) {
+      console.log(`${method} ${chatId || ''}`);
+    }
+
+    const failure = app.locals.failures.shift();
+    if (failure) {
+      return res.status(failure.status).json({
+        ok: false,
+        error_code: failure.status,
+        description: `Mock failure ${failure.status}`,
+        ...(failure.retryAfter !== undefined ? { parameters: { retry_after: failure.retryAfter } } : {})
+      });
+    }
+
+    if (failEvery > 0 && requestsCount % failEvery === 0) {
+      return res.status(429).json({
+        ok: false,
+        error_code: 429,
+        description: 'Too Many Requests: retry after 1',
+        parameters: { retry_after: 1 }
+      });
+    }
+
+    if (chatId && blockedChats.includes(chatId)) {
+      return res.status(403).json({
+        ok: false,
+        error_code: 403,
+        description: 'Forbidden: bot was blocked by the user'
+      });
+    }
+
+    switch (method) {
+      case 'sendMessage':
+      case 'sendDocument': {
+        const message = {
+          message_id: app.locals.messages.length + 1,
+          method,
+          chat: { id: chatId },
+          text: body.text || null,
+          date: Math.floor(Date.now() / 1000)
+        };
+
+        app.locals.messages.push(message);
+        return res.json({ ok: true, result: message });
+      }
+
+      case 'answerCallbackQuery':
+      case 'editMessageReplyMarkup':
+      case 'setWebhook':
+      case 'setMyCommands':
+        return res.json({ ok: true, result: true });
+
+      default:
+        return res.status(404).json({ ok: false, error_code: 404, description: 'Not Found: method not found' });
+    }
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  createMockTelegramServer({ log: true }).listen(PORT, () => {
+    console.log(`🧪 Mock Telegram Bot API on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockTelegramServer };
@@ -0,0 +1,26 @@
+// backend/scripts/reencrypt-tokens.js
+// Перешифрування токенів Poster новим ключем.
+// 1. Додайте новий ключ у TOKEN_ENCRYPTION_KEYS (напр. "1:...,2:...")
+// 2. Встановіть TOKEN_ENCRYPTION_KEY_VERSION=2
+// 3. npm run reencrypt-tokens
+// 4. Після успішного виконання старий ключ можна прибрати
+
+require('dotenv').config();
+
+const db = require('../src/config/database');
+const locationRepository = require('../src/repositories/locationRepository');
+
+const run = async () => {
+  try {
+    const { total, reencrypted } = await locationRepository.reencryptAllTokens();
+    console.log(`✅ Re-encrypted ${reencrypted} of ${total} Poster tokens`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Failed to re-encrypt tokens:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,36 @@
+// backend/scripts/set-telegram-webhook.js
+// Реєстрація webhook та меню команд Telegram бота.
+// npm run telegram-webhook                                  - адреса з TELEGRAM_WEBHOOK_URL
+// npm run telegram-webhook -- https://api.example.com/telegram/webhook
+
+require('dotenv').config();
+
+const telegramService = require('../src/services/telegramService');
+const telegramBotService = require('../src/services/telegramBotService');
+const db = require('../src/config/database');
+
+const run = async () => {
+  const url = process.argv[2] || process.env.TELEGRAM_WEBHOOK_URL;
+
+  try {
+    if (!url) {
+      throw new Error('Webhook URL is required (argument or TELEGRAM_WEBHOOK_URL)');
+    }
+    if (!telegramService.webhookSecret) {
+      throw new Error('TELEGRAM_WEBHOOK_SECRET is not configured');
+    }
+
+    await telegramService.setWebhook(url);
+    await telegramService.setCommands(telegramBotService.commands);
+
+    console.log(`✅ Telegram webhook set to ${url}`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Failed to set Telegram webhook:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,35 @@
+// backend/scripts/sync-poster.js
+// Синхронізація даних Poster у локальні таблиці (напр. з cron).
+// npm run sync-poster            - усі підключені заклади
+// npm run sync-poster -- 5       - лише заклад 5
+// npm run sync-poster -- 5 2024-01-01 - заклад 5, повторно з 1 січня
+
+require('dotenv').config();
+
+const db = require('../src/config/database');
+const posterSyncService = require('../src/services/posterSyncService');
+
+const run = async () => {
+  const [locationId, from] = process.argv.slice(2);
+
+  try {
+    if (locationId) {
+      const result = await posterSyncService.syncLocation(parseInt(locationId), { from: from || null });
+      console.log(`✅ Location ${locationId}:`, JSON.stringify(result));
+      process.exitCode = 0;
+    } else {
+      const results = await posterSyncService.syncAll();
+      results.forEach(({ locationId: id, success, result, error }) => {
+        console.log(success ? `✅ Location ${id}: ${JSON.stringify(result)}` : `❌ Location ${id}: ${error}`);
+      });
+      process.exitCode = results.every(r => r.success) ? 0 : 1;
+    }
+  } catch (error) {
+    console.error('❌ Poster sync failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+};
+
+run();
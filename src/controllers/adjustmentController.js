@@ -0,0 +1,236 @@
+// backend/src/controllers/adjustmentController.js
+
+const adjustmentRepository = require('../repositories/adjustmentRepository');
+const salaryService = require('../services/salaryService');
+const payPeriodService = require('../services/payPeriodService');
+const auditService = require('../services/auditService');
+
+class AdjustmentController {
+  /**
+   * GET /api/locations/:locationId/adjustments?dateFrom=&dateTo=&posterEmployeeId=
+   * Ручні коригування закладу (дати YYYY-MM-DD, включно)
+   */
+  async getAdjustments(req, res) {
+    try {
+      const { locationId } = req.params;
+      const { dateFrom, dateTo, posterEmployeeId } = req.query;
+
+      if ((dateFrom && !payPeriodService.parseDate(dateFrom)) || (dateTo && !payPeriodService.parseDate(dateTo))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid dateFrom/dateTo (expected YYYY-MM-DD)'
+        });
+      }
+
+      const adjustments = await adjustmentRepository.findByLocation(locationId, {
+        dateFrom,
+        dateTo,
+        posterEmployeeId: posterEmployeeId ? parseInt(posterEmployeeId) : null
+      });
+
+      res.json({
+        success: true,
+        adjustments,
+        types: salaryService.adjustmentTypes
+      });
+
+    } catch (error) {
+      console.error('Error fetching adjustments:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch adjustments'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/adjustments
+   * Створення коригування
+   * Body: { posterEmployeeId, date, type, amount, reason }
+   */
+  async createAdjustment(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const adjustment = this.normalizeAdjustment(req.body);
+
+      const errors = salaryService.validateAdjustment(adjustment);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      if (await adjustmentRepository.findApprovedReportForDate(locationId, adjustment.date)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Period containing this date is already approved'
+        });
+      }
+
+      const saved = await adjustmentRepository.create(locationId, adjustment, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.ADJUSTMENT_CREATE, {
+        entityType: 'salary_adjustment',
+        entityId: saved.id,
+        locationId: parseInt(locationId),
+        details: adjustment
+      });
+
+      res.status(201).json({
+        success: true,
+        adjustment: saved
+      });
+
+    } catch (error) {
+      console.error('Error creating adjustment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create adjustment'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/adjustments/:adjustmentId
+   * Зміна коригування (лише до затвердження звіту)
+   * Body: { posterEmployeeId, date, type, amount, reason }
+   */
+  async updateAdjustment(req, res) {
+    try {
+      const { locationId, adjustmentId } = req.params;
+
+      const existing = await adjustmentRepository.findById(locationId, adjustmentId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Adjustment not found'
+        });
+      }
+
+      const adjustment = this.normalizeAdjustment({
+        posterEmployeeId: existing.posterEmployeeId,
+        date: existing.date,
+        type: existing.type,
+        amount: existing.amount,
+        reason: existing.reason,
+        ...req.body
+      });
+
+      const errors = salaryService.validateAdjustment(adjustment);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      // Ні старий, ні новий період не мають бути затверджені
+      const isApproved = existing.isLocked ||
+        await adjustmentRepository.findApprovedReportForDate(locationId, existing.date) ||
+        await adjustmentRepository.findApprovedReportForDate(locationId, adjustment.date);
+
+      if (isApproved) {
+        return res.status(409).json({
+          success: false,
+          error: 'Adjustment is locked by an approved report'
+        });
+      }
+
+      const saved = await adjustmentRepository.update(locationId, adjustmentId, adjustment, req.user.id);
+
+      if (!saved) {
+        // Звіт затверджено між перевіркою та оновленням
+        return res.status(409).json({
+          success: false,
+          error: 'Adjustment is locked by an approved report'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.ADJUSTMENT_UPDATE, {
+        entityType: 'salary_adjustment',
+        entityId: saved.id,
+        locationId: parseInt(locationId),
+        details: { before: existing, after: adjustment }
+      });
+
+      res.json({
+        success: true,
+        adjustment: saved
+      });
+
+    } catch (error) {
+      console.error('Error updating adjustment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update adjustment'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/adjustments/:adjustmentId
+   * Видалення коригування (лише до затвердження звіту)
+   */
+  async deleteAdjustment(req, res) {
+    try {
+      const { locationId, adjustmentId } = req.params;
+
+      const existing = await adjustmentRepository.findById(locationId, adjustmentId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Adjustment not found'
+        });
+      }
+
+      const isApproved = existing.isLocked ||
+        await adjustmentRepository.findApprovedReportForDate(locationId, existing.date);
+
+      if (isApproved || !await adjustmentRepository.delete(locationId, adjustmentId)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Adjustment is locked by an approved report'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.ADJUSTMENT_DELETE, {
+        entityType: 'salary_adjustment',
+        entityId: existing.id,
+        locationId: parseInt(locationId),
+        details: existing
+      });
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      console.error('Error deleting adjustment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete adjustment'
+      });
+    }
+  }
+
+  /**
+   * Приведення коригування із запиту до потрібних типів
+   */
+  normalizeAdjustment(input) {
+    return {
+      posterEmployeeId: input.posterEmployeeId ? parseInt(input.posterEmployeeId) : null,
+      date: input.date ? String(input.date) : null,
+      type: input.type,
+      amount: input.amount === null || input.amount === undefined || input.amount === ''
+        ? null
+        : Number(input.amount),
+      reason: input.reason ? String(input.reason).trim() : null
+    };
+  }
+}
+
+module.exports = new AdjustmentController();
@@ -0,0 +1,160 @@
+// backend/src/controllers/adminController.js
+
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const db = require('../config/database');
+
+class AdminController {
+  /**
+   * GET /api/admin/locations/:locationId/users
+   * Список користувачів з доступом до закладу
+   */
+  async getLocationUsers(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const users = await permissionService.getLocationUsers(locationId);
+
+      res.json({
+        success: true,
+        users
+      });
+
+    } catch (error) {
+      console.error('Error fetching location users:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch location users'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/locations/:locationId/users
+   * Надання доступу до закладу (за userId або telegramId)
+   */
+  async grantLocationAccess(req, res) {
+    try {
+      const { locationId } = req.params;
+      const { userId, telegramId, role, canView, canCalculate, canExport } = req.body;
+
+      if (!userId && !telegramId) {
+        return res.status(400).json({
+          success: false,
+          error: 'userId or telegramId is required'
+        });
+      }
+
+      if (role !== undefined && !permissionService.roles.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid role (must be one of: ${permissionService.roles.join(', ')})`
+        });
+      }
+
+      const location = await db.query(
+        'SELECT id FROM locations WHERE id = $1',
+        [locationId]
+      );
+
+      if (location.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      let targetUserId = userId;
+
+      if (!targetUserId) {
+        // Користувач ще міг не заходити у WebApp — створюємо запис заздалегідь
+        const user = await db.query(`
+          INSERT INTO users (telegram_id)
+          VALUES ($1)
+          ON CONFLICT (telegram_id) DO UPDATE SET telegram_id = EXCLUDED.telegram_id
+          RETURNING id
+        `, [telegramId]);
+
+        targetUserId = user.rows[0].id;
+      } else {
+        const user = await db.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+
+        if (user.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found'
+          });
+        }
+      }
+
+      const access = await permissionService.grantAccess(targetUserId, locationId, {
+        role,
+        canView,
+        canCalculate,
+        canExport
+      });
+
+      await auditService.logRequest(req, auditService.actions.PERMISSION_GRANT, {
+        entityType: 'user',
+        entityId: access.user_id,
+        locationId: access.location_id,
+        details: {
+          role: access.role,
+          canView: access.can_view,
+          canCalculate: access.can_calculate,
+          canExport: access.can_export
+        }
+      });
+
+      res.json({
+        success: true,
+        access
+      });
+
+    } catch (error) {
+      console.error('Error granting location access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to grant location access'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/admin/locations/:locationId/users/:userId
+   * Відкликання доступу до закладу
+   */
+  async revokeLocationAccess(req, res) {
+    try {
+      const { locationId, userId } = req.params;
+
+      const revoked = await permissionService.revokeAccess(userId, locationId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Access entry not found'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.PERMISSION_REVOKE, {
+        entityType: 'user',
+        entityId: parseInt(userId),
+        locationId: parseInt(locationId)
+      });
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      console.error('Error revoking location access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke location access'
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,105 @@
+// backend/src/controllers/analyticsController.js
+
+const analyticsService = require('../services/analyticsService');
+const permissionService = require('../services/permissionService');
+const locationRepository = require('../repositories/locationRepository');
+
+class AnalyticsController {
+  /**
+   * GET /api/locations/:locationId/analytics?dateFrom=&dateTo=&performers=
+   * Аналітика закладу за затвердженими звітами (дати YYYY-MM-DD, включно;
+   * за замовчуванням - останні 12 місяців)
+   */
+  async getLocationAnalytics(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const { range, errors } = analyticsService.normalizeRange(req.query);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const location = await locationRepository.findById(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      const analytics = await analyticsService.getLocationAnalytics(location, range, {
+        performersLimit: analyticsService.normalizePerformersLimit(req.query.performers)
+      });
+
+      res.json({
+        success: true,
+        range,
+        ...analytics
+      });
+
+    } catch (error) {
+      console.error('Error fetching location analytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch analytics'
+      });
+    }
+  }
+
+  /**
+   * GET /api/analytics/locations?dateFrom=&dateTo=&locationIds=1,2&performers=
+   * Аналітика всіх доступних закладів (або вибраних з них) та їх порівняння
+   */
+  async getLocationsAnalytics(req, res) {
+    try {
+      const { range, errors } = analyticsService.normalizeRange(req.query);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      let locations = await permissionService.getUserLocations(req.user);
+
+      if (req.query.locationIds) {
+        const requested = String(req.query.locationIds).split(',').map(id => parseInt(id));
+        const forbidden = requested.filter(id => !locations.some(location => location.id === id));
+
+        if (forbidden.length > 0) {
+          return res.status(403).json({
+            success: false,
+            error: 'Forbidden: You do not have access to this location'
+          });
+        }
+
+        locations = locations.filter(location => requested.includes(location.id));
+      }
+
+      const analytics = await analyticsService.getLocationsAnalytics(
+        locations.map(location => ({ id: location.id, name: location.name })),
+        range,
+        { performersLimit: analyticsService.normalizePerformersLimit(req.query.performers) }
+      );
+
+      res.json({
+        success: true,
+        range,
+        ...analytics
+      });
+
+    } catch (error) {
+      console.error('Error fetching analytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch analytics'
+      });
+    }
+  }
+}
+
+module.exports = new AnalyticsController();
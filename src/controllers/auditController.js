@@ -0,0 +1,54 @@
+// backend/src/controllers/auditController.js
+
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+
+class AuditController {
+  /**
+   * GET /api/audit
+   * Журнал активності з фільтрами: userId, action, locationId, dateFrom, dateTo, limit, offset.
+   * Журнал закладу бачать лише його власники (та адміністратори)
+   */
+  async getAuditLog(req, res) {
+    try {
+      const { filters, errors } = auditService.normalizeFilters(req.query);
+      if (!filters) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      if (!permissionService.isAdmin(req.user)) {
+        if (filters.locationId) {
+          const allowed = await permissionService.isOwner(req.user, filters.locationId);
+          if (!allowed) {
+            return res.status(403).json({
+              success: false,
+              error: 'Forbidden: Owner access required'
+            });
+          }
+        } else {
+          const locations = await permissionService.getUserLocations(req.user);
+          filters.locationId = locations.filter(l => l.role === 'owner').map(l => l.id);
+        }
+      }
+
+      const logs = await auditService.getLogs(filters);
+
+      res.json({
+        success: true,
+        logs
+      });
+
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit log'
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
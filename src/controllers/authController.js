@@ -0,0 +1,47 @@
+// backend/src/controllers/authController.js
+
+const authService = require('../services/authService');
+
+class AuthController {
+  /**
+   * POST /api/auth/telegram
+   * Обмін initData Telegram WebApp на JWT сесії
+   */
+  async loginWithTelegram(req, res) {
+    try {
+      const user = await authService.upsertUser(req.telegram.user);
+
+      if (!user.is_active) {
+        return res.status(403).json({
+          success: false,
+          error: 'User is deactivated'
+        });
+      }
+
+      const token = authService.issueToken(user);
+
+      res.json({
+        success: true,
+        token,
+        expiresIn: authService.jwtExpiresIn,
+        user: {
+          id: user.id,
+          telegramId: user.telegram_id,
+          username: user.username,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          role: user.role
+        }
+      });
+
+    } catch (error) {
+      console.error('Telegram login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to authenticate user'
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,389 @@
+// backend/src/controllers/employeeController.js
+
+const employeeRepository = require('../repositories/employeeRepository');
+const payslipService = require('../services/payslipService');
+const employeeSalaryService = require('../services/employeeSalaryService');
+const employeeRosterService = require('../services/employeeRosterService');
+const auditService = require('../services/auditService');
+
+class EmployeeController {
+  /**
+   * GET /api/locations/:locationId/employees?includeInactive=true
+   * Співробітники закладу
+   */
+  async getEmployees(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const employees = await employeeRepository.findByLocation(locationId, {
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        employees
+      });
+
+    } catch (error) {
+      console.error('Error fetching employees:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch employees'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/employees
+   * Додавання співробітника вручну
+   * Body: { posterId, name, position?, isActive?, excludeFromPayroll?, exclusionReason? }
+   */
+  async createEmployee(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const employee = employeeRosterService.normalizeEmployee(req.body);
+
+      const errors = employeeRosterService.validateEmployee(employee);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await employeeRepository.create(locationId, employee);
+
+      if (!saved) {
+        return res.status(409).json({
+          success: false,
+          error: 'Employee with this posterId already exists'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.EMPLOYEE_CREATE, {
+        entityType: 'employee',
+        entityId: saved.id,
+        locationId: parseInt(locationId),
+        details: employee
+      });
+
+      res.status(201).json({
+        success: true,
+        employee: saved
+      });
+
+    } catch (error) {
+      console.error('Error creating employee:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create employee'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/employees/:posterEmployeeId
+   * Зміна співробітника: ім'я, посада, активність, виключення з розрахунку.
+   * Посада, змінена тут, більше не оновлюється з Poster (position: null повертає посаду з Poster);
+   * співробітник, деактивований тут, не активується синхронізацією (лише знову через isActive: true)
+   * Body: { name?, position?, isActive?, excludeFromPayroll?, exclusionReason? }
+   */
+  async updateEmployee(req, res) {
+    try {
+      const { locationId, posterEmployeeId } = req.params;
+
+      const existing = await employeeRepository.findByPosterId(locationId, posterEmployeeId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+
+      // ID Poster не змінюється
+      const employee = employeeRosterService.normalizeEmployee(
+        { ...req.body, posterId: existing.posterId },
+        existing
+      );
+
+      const errors = employeeRosterService.validateEmployee(employee);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await employeeRepository.update(locationId, existing.posterId, employee);
+
+      await auditService.logRequest(req, auditService.actions.EMPLOYEE_UPDATE, {
+        entityType: 'employee',
+        entityId: existing.id,
+        locationId: parseInt(locationId),
+        details: {
+          before: {
+            name: existing.name,
+            position: existing.position,
+            isActive: existing.isActive,
+            excludeFromPayroll: existing.excludeFromPayroll
+          },
+          after: employee
+        }
+      });
+
+      res.json({
+        success: true,
+        employee: saved
+      });
+
+    } catch (error) {
+      console.error('Error updating employee:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update employee'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/employees/:posterEmployeeId
+   * Видалення співробітника без історії розрахунків
+   * (інакше - деактивація через PUT з isActive: false)
+   */
+  async deleteEmployee(req, res) {
+    try {
+      const { locationId, posterEmployeeId } = req.params;
+
+      const existing = await employeeRepository.findByPosterId(locationId, posterEmployeeId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+
+      const deleted = !await employeeRepository.hasSalaryHistory(existing.id) &&
+        await employeeRepository.delete(locationId, existing.posterId);
+
+      if (!deleted) {
+        return res.status(409).json({
+          success: false,
+          error: 'Employee has salary reports. Deactivate instead of deleting.'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.EMPLOYEE_DELETE, {
+        entityType: 'employee',
+        entityId: existing.id,
+        locationId: parseInt(locationId),
+        details: { posterEmployeeId: existing.posterId, name: existing.name }
+      });
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('Error deleting employee:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete employee'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/employees/reconcile
+   * Звірка співробітників з Poster: нові, змінені імена та посади, звільнені,
+   * а також дублікати ID та ймовірно об'єднані записи
+   * Body: { dryRun? } - лише показати зміни
+   */
+  async reconcileEmployees(req, res) {
+    try {
+      const { locationId } = req.params;
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+      const result = await employeeRosterService.reconcile(locationId, { dryRun });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found or not connected to Poster'
+        });
+      }
+
+      if (!dryRun) {
+        await auditService.logRequest(req, auditService.actions.EMPLOYEE_RECONCILE, {
+          entityType: 'location',
+          entityId: parseInt(locationId),
+          locationId: parseInt(locationId),
+          details: {
+            created: result.created.map(employee => employee.posterId),
+            updated: result.updated.map(({ employee, changes }) => ({ posterId: employee.posterId, changes })),
+            deactivated: result.deactivated.map(employee => employee.posterId),
+            flags: result.flags.map(flag => ({ type: flag.type, posterIds: flag.posterIds }))
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        dryRun,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Error reconciling employees:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reconcile employees'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/employees/:posterEmployeeId/invite
+   * Код запрошення для отримання розрахункових листів у Telegram.
+   * Попередній невикористаний код співробітника анулюється
+   */
+  async createInvite(req, res) {
+    try {
+      const { locationId, posterEmployeeId } = req.params;
+
+      const invite = await payslipService.createInvite(locationId, posterEmployeeId, req.user.id);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.EMPLOYEE_INVITE, {
+        entityType: 'employee',
+        entityId: invite.employee.id,
+        locationId: parseInt(locationId),
+        details: { posterEmployeeId: invite.employee.posterId, expiresAt: invite.expiresAt }
+      });
+
+      res.status(201).json({
+        success: true,
+        invite: {
+          code: invite.code,
+          expiresAt: invite.expiresAt,
+          link: invite.link
+        }
+      });
+
+    } catch (error) {
+      console.error('Error creating employee invite:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create invite'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/employees/:posterEmployeeId/telegram
+   * Відв'язка Telegram співробітника
+   */
+  async unlinkTelegram(req, res) {
+    try {
+      const { locationId, posterEmployeeId } = req.params;
+
+      const employee = await employeeRepository.findByPosterId(locationId, posterEmployeeId);
+      const unlinked = employee
+        ? await employeeRepository.unlinkTelegram(locationId, posterEmployeeId)
+        : false;
+
+      if (!unlinked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found or not linked to Telegram'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.EMPLOYEE_TELEGRAM_UNLINK, {
+        entityType: 'employee',
+        entityId: employee.id,
+        locationId: parseInt(locationId),
+        details: { posterEmployeeId: employee.posterId, telegramId: employee.telegramId }
+      });
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('Error unlinking employee Telegram:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlink Telegram'
+      });
+    }
+  }
+
+  /**
+   * GET /api/employees/:employeeId/salary
+   * Попередня оцінка зарплати за поточний період та динаміка останніх місяців.
+   * Query: source (poster | local)
+   */
+  async getSalaryEstimate(req, res) {
+    try {
+      const { estimate, trends } = await employeeSalaryService.getEstimate(req.employee, {
+        source: req.query.source
+      });
+
+      res.json({
+        success: true,
+        employee: req.employee,
+        estimate,
+        trends
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          ...(error.errors ? { errors: error.errors } : { error: error.message })
+        });
+      }
+
+      console.error('Error estimating employee salary:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to estimate salary'
+      });
+    }
+  }
+
+  /**
+   * GET /api/employees/:employeeId/history
+   * Рядки співробітника в затверджених звітах та помісячна динаміка.
+   * Query: limit - кількість періодів (24, максимум 100)
+   */
+  async getSalaryHistory(req, res) {
+    try {
+      const { periods, trends, summary } = await employeeSalaryService.getHistory(req.employee, {
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        employee: req.employee,
+        periods,
+        trends,
+        summary
+      });
+
+    } catch (error) {
+      console.error('Error fetching employee salary history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch employee salary history'
+      });
+    }
+  }
+}
+
+module.exports = new EmployeeController();
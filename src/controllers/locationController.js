@@ -0,0 +1,189 @@
+// backend/src/controllers/locationController.js
+
+const posterService = require('../services/posterService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const locationRepository = require('../repositories/locationRepository');
+const posterDataRepository = require('../repositories/posterDataRepository');
+
+class LocationController {
+  /**
+   * GET /api/locations/:locationId/spots
+   * Spot акаунта Poster та заклади, прив'язані до них
+   */
+  async getSpots(req, res) {
+    try {
+      const location = await locationRepository.getPosterCredentials(req.params.locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      const [spots, linkedLocations] = await Promise.all([
+        posterService.getSpots(location.account, location.accessToken),
+        locationRepository.findByAccount(location.account)
+      ]);
+
+      res.json({
+        success: true,
+        spots: spots.map(spot => {
+          const linked = linkedLocations.find(item => item.poster_spot_id === spot.spotId);
+          return {
+            ...spot,
+            locationId: linked ? linked.id : null,
+            locationName: linked ? linked.name : null
+          };
+        }),
+        locations: linkedLocations
+      });
+
+    } catch (error) {
+      console.error('Error fetching Poster spots:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch Poster spots'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/spot
+   * Прив'язка закладу до spot Poster (лише власник)
+   * Body: { spotId } - null, щоб рахувати всі spot акаунта разом
+   */
+  async setSpot(req, res) {
+    try {
+      const { locationId } = req.params;
+      const spotId = req.body.spotId === null || req.body.spotId === undefined
+        ? null
+        : parseInt(req.body.spotId);
+
+      if (Number.isNaN(spotId) || spotId <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid spotId'
+        });
+      }
+
+      const current = await locationRepository.findById(locationId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      const location = await locationRepository.setSpot(locationId, spotId);
+
+      // Локальна копія містила дані іншого spot
+      if (current.poster_spot_id !== spotId) {
+        await posterDataRepository.clearLocation(locationId);
+      }
+
+      await auditService.logRequest(req, auditService.actions.LOCATION_SPOT_LINK, {
+        entityType: 'location',
+        entityId: location.id,
+        locationId: location.id,
+        details: { spotId, previousSpotId: current.poster_spot_id }
+      });
+
+      res.json({
+        success: true,
+        location
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'This spot is already linked to another location'
+        });
+      }
+
+      console.error('Error linking spot:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to link spot'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/spots
+   * Новий заклад для іншого spot того самого акаунта (без повторного OAuth, лише власник)
+   * Body: { spotId, name? }
+   */
+  async createSpotLocation(req, res) {
+    try {
+      const { locationId } = req.params;
+      const spotId = parseInt(req.body.spotId);
+
+      if (!spotId || spotId <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid spotId'
+        });
+      }
+
+      const source = await locationRepository.getPosterCredentials(locationId);
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      const spots = await posterService.getSpots(source.account, source.accessToken);
+      const spot = spots.find(item => item.spotId === spotId);
+
+      if (!spot) {
+        return res.status(400).json({
+          success: false,
+          error: 'Spot not found in Poster account'
+        });
+      }
+
+      const name = req.body.name ? String(req.body.name).trim() : spot.name;
+      const location = await locationRepository.createForSpot(locationId, { spotId, name });
+
+      // Власником нового закладу стає лише власник вихідного (адміністратор має доступ і так)
+      const sourcePermissions = await permissionService.getPermissions(req.user.id, locationId);
+      if (sourcePermissions && sourcePermissions.role === 'owner') {
+        await permissionService.grantOwnerAccess(req.user.id, location.id);
+      }
+
+      await auditService.logRequest(req, auditService.actions.LOCATION_SPOT_LINK, {
+        entityType: 'location',
+        entityId: location.id,
+        locationId: location.id,
+        details: { spotId, sourceLocationId: parseInt(locationId), account: source.account }
+      });
+
+      res.status(201).json({
+        success: true,
+        location
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'This spot is already linked to another location'
+        });
+      }
+
+      console.error('Error creating spot location:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create location for spot'
+      });
+    }
+  }
+}
+
+module.exports = new LocationController();
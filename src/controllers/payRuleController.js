@@ -0,0 +1,407 @@
+// backend/src/controllers/payRuleController.js
+
+const payRuleRepository = require('../repositories/payRuleRepository');
+const bonusSchemeRepository = require('../repositories/bonusSchemeRepository');
+const inventorySettingsRepository = require('../repositories/inventorySettingsRepository');
+const payPeriodSettingsRepository = require('../repositories/payPeriodSettingsRepository');
+const salaryService = require('../services/salaryService');
+const payPeriodService = require('../services/payPeriodService');
+const auditService = require('../services/auditService');
+
+class PayRuleController {
+  /**
+   * GET /api/locations/:locationId/pay-rules
+   * Правила оплати закладу
+   */
+  async getPayRules(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const rules = await payRuleRepository.findByLocation(locationId);
+
+      res.json({
+        success: true,
+        rules
+      });
+
+    } catch (error) {
+      console.error('Error fetching pay rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch pay rules'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/pay-rules
+   * Створення або оновлення правила оплати
+   * Body: { scope, position?, posterEmployeeId?, shiftRate?, revenuePercent?, hourlyRate?, fixedSalary?, inventoryLiability? }
+   */
+  async savePayRule(req, res) {
+    try {
+      const { locationId } = req.params;
+      const {
+        scope,
+        position,
+        posterEmployeeId,
+        shiftRate,
+        revenuePercent,
+        hourlyRate,
+        fixedSalary,
+        inventoryLiability
+      } = req.body;
+
+      const toNumber = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+      const rule = {
+        scope,
+        position: position ? String(position).trim() : null,
+        posterEmployeeId: posterEmployeeId ? parseInt(posterEmployeeId) : null,
+        shiftRate: toNumber(shiftRate),
+        revenuePercent: toNumber(revenuePercent),
+        hourlyRate: toNumber(hourlyRate),
+        fixedSalary: toNumber(fixedSalary),
+        inventoryLiability: inventoryLiability === undefined || inventoryLiability === null
+          ? null
+          : Boolean(inventoryLiability)
+      };
+
+      const errors = salaryService.validatePayRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await payRuleRepository.upsert(locationId, rule, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.PAY_RULE_SAVE, {
+        entityType: 'pay_rule',
+        entityId: saved.id,
+        locationId: parseInt(locationId),
+        details: rule
+      });
+
+      res.json({
+        success: true,
+        rule: saved
+      });
+
+    } catch (error) {
+      console.error('Error saving pay rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save pay rule'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/pay-rules/:ruleId
+   * Видалення правила оплати
+   */
+  async deletePayRule(req, res) {
+    try {
+      const { locationId, ruleId } = req.params;
+
+      const deleted = await payRuleRepository.delete(locationId, ruleId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pay rule not found'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.PAY_RULE_DELETE, {
+        entityType: 'pay_rule',
+        entityId: deleted.id,
+        locationId: parseInt(locationId),
+        details: deleted
+      });
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      console.error('Error deleting pay rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete pay rule'
+      });
+    }
+  }
+
+  /**
+   * GET /api/locations/:locationId/bonus-scheme
+   * Схема бонусів від виручки
+   */
+  async getBonusScheme(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const scheme = await bonusSchemeRepository.findByLocation(locationId);
+
+      res.json({
+        success: true,
+        scheme
+      });
+
+    } catch (error) {
+      console.error('Error fetching bonus scheme:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch bonus scheme'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/bonus-scheme
+   * Збереження схеми бонусів
+   * Body: { tiers: [{ upTo, percent }], minRevenuePerShift?, monthlyTarget?, targetBonus? }
+   */
+  async saveBonusScheme(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const scheme = salaryService.normalizeBonusScheme(req.body);
+
+      const errors = salaryService.validateBonusScheme(scheme);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await bonusSchemeRepository.upsert(locationId, scheme, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.BONUS_SCHEME_SAVE, {
+        entityType: 'bonus_scheme',
+        entityId: saved.id,
+        locationId: parseInt(locationId),
+        details: scheme
+      });
+
+      res.json({
+        success: true,
+        scheme: saved
+      });
+
+    } catch (error) {
+      console.error('Error saving bonus scheme:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save bonus scheme'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/bonus-scheme
+   * Видалення схеми бонусів (фіксований відсоток від виручки)
+   */
+  async deleteBonusScheme(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const deleted = await bonusSchemeRepository.delete(locationId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bonus scheme not found'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.BONUS_SCHEME_DELETE, {
+        entityType: 'bonus_scheme',
+        locationId: parseInt(locationId)
+      });
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      console.error('Error deleting bonus scheme:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete bonus scheme'
+      });
+    }
+  }
+
+  /**
+   * GET /api/locations/:locationId/inventory-allocation
+   * Налаштування розподілу нестачі
+   */
+  async getInventoryAllocation(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const settings = await inventorySettingsRepository.findByLocation(locationId);
+
+      res.json({
+        success: true,
+        settings: settings || salaryService.normalizeInventoryAllocation(),
+        strategies: salaryService.inventoryStrategies
+      });
+
+    } catch (error) {
+      console.error('Error fetching inventory allocation settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch inventory allocation settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/inventory-allocation
+   * Збереження налаштувань розподілу нестачі
+   * Body: { strategy, capPercent? }
+   */
+  async saveInventoryAllocation(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const settings = salaryService.normalizeInventoryAllocation(req.body);
+
+      const errors = salaryService.validateInventoryAllocation(settings);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await inventorySettingsRepository.upsert(locationId, settings, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.INVENTORY_SETTINGS_SAVE, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId),
+        details: settings
+      });
+
+      res.json({
+        success: true,
+        settings: saved
+      });
+
+    } catch (error) {
+      console.error('Error saving inventory allocation settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save inventory allocation settings'
+      });
+    }
+  }
+
+  /**
+   * GET /api/locations/:locationId/pay-period
+   * Шаблон періодів виплат закладу
+   */
+  async getPayPeriodSettings(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const settings = await payPeriodSettingsRepository.findByLocation(locationId);
+
+      res.json({
+        success: true,
+        settings: settings || payPeriodService.normalizeSettings({}),
+        templates: payPeriodService.templates
+      });
+
+    } catch (error) {
+      console.error('Error fetching pay period settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch pay period settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/pay-period
+   * Збереження шаблону періодів виплат
+   * Body: { template, advanceDay?, weekStart? }
+   */
+  async savePayPeriodSettings(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const settings = payPeriodService.normalizeSettings(req.body);
+
+      const errors = payPeriodService.validateSettings(settings);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await payPeriodSettingsRepository.upsert(locationId, settings, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.PAY_PERIOD_SETTINGS_SAVE, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId),
+        details: settings
+      });
+
+      res.json({
+        success: true,
+        settings: saved
+      });
+
+    } catch (error) {
+      console.error('Error saving pay period settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save pay period settings'
+      });
+    }
+  }
+
+  /**
+   * GET /api/locations/:locationId/pay-periods?month=&year=
+   * Періоди за шаблоном закладу, що закінчуються у вказаному місяці
+   */
+  async getPayPeriods(req, res) {
+    try {
+      const { locationId } = req.params;
+      const month = parseInt(req.query.month);
+      const year = parseInt(req.query.year);
+
+      if (!month || month < 1 || month > 12 || !year || year < 2000) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month/year'
+        });
+      }
+
+      const settings = await payPeriodSettingsRepository.findByLocation(locationId);
+
+      res.json({
+        success: true,
+        periods: payPeriodService.listPeriods(settings, month, year)
+      });
+
+    } catch (error) {
+      console.error('Error fetching pay periods:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch pay periods'
+      });
+    }
+  }
+}
+
+module.exports = new PayRuleController();
@@ -0,0 +1,115 @@
+// backend/src/controllers/payrollScheduleController.js
+
+const payrollScheduleRepository = require('../repositories/payrollScheduleRepository');
+const payrollScheduleService = require('../services/payrollScheduleService');
+const auditService = require('../services/auditService');
+
+class PayrollScheduleController {
+  /**
+   * GET /api/locations/:locationId/payroll-schedule
+   * Розклад автоматичного розрахунку закладу та останні запуски
+   */
+  async getSchedule(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const [schedule, runs] = await Promise.all([
+        payrollScheduleRepository.findByLocation(locationId),
+        payrollScheduleRepository.findRuns(locationId)
+      ]);
+
+      res.json({
+        success: true,
+        schedule,
+        defaults: payrollScheduleService.defaults,
+        runs
+      });
+
+    } catch (error) {
+      console.error('Error fetching payroll schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch payroll schedule'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/locations/:locationId/payroll-schedule
+   * Збереження розкладу
+   * Body: { isEnabled?, runDay?, runHour?, source?, shiftRate?, revenuePercent?,
+   *         waitForInventory?, inventoryWaitDays?, notifyManagers? }
+   */
+  async saveSchedule(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const schedule = payrollScheduleService.normalizeSchedule(req.body);
+
+      const errors = payrollScheduleService.validateSchedule(schedule);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      const saved = await payrollScheduleRepository.upsert(locationId, schedule, req.user.id);
+
+      await auditService.logRequest(req, auditService.actions.PAYROLL_SCHEDULE_SAVE, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId),
+        details: schedule
+      });
+
+      res.json({
+        success: true,
+        schedule: saved
+      });
+
+    } catch (error) {
+      console.error('Error saving payroll schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save payroll schedule'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/locations/:locationId/payroll-schedule
+   * Вимкнення автоматичного розрахунку (журнал запусків зберігається)
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const deleted = await payrollScheduleRepository.delete(locationId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payroll schedule not found'
+        });
+      }
+
+      await auditService.logRequest(req, auditService.actions.PAYROLL_SCHEDULE_DELETE, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId)
+      });
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('Error deleting payroll schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete payroll schedule'
+      });
+    }
+  }
+}
+
+module.exports = new PayrollScheduleController();
@@ -1,88 +1,62 @@
 // backend/src/controllers/salaryController.js
 
 const salaryService = require('../services/salaryService');
+const exportService = require('../services/exportService');
+const salaryRunService = require('../services/salaryRunService');
+const payslipService = require('../services/payslipService');
+const reportWorkflowService = require('../services/reportWorkflowService');
 const posterService = require('../services/posterService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const locationRepository = require('../repositories/locationRepository');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+const payslipDeliveryRepository = require('../repositories/payslipDeliveryRepository');
 const db = require('../config/database'); // PostgreSQL connection
 
+// Номер версії та ліміт у query string - цілі додатні числа
+const isPositiveInteger = value => /^\d+$/.test(String(value)) && parseInt(value) > 0;
+
 class SalaryController {
   /**
    * POST /api/salary/calculate
-   * Розрахунок зарплати
+   * Розрахунок зарплати (див. salaryRunService.calculate)
+   * Період: { month, year } за шаблоном закладу (+ part: advance | settlement, week: YYYY-MM-DD)
+   * або довільний { dateFrom, dateTo, periodKind? }
    */
   async calculateSalary(req, res) {
     try {
-      const {
-        locationId,
-        month,
-        year,
-        inventoryMonth,
-        inventoryYear,
-        shiftRate,
-        revenuePercent
-      } = req.body;
-
-      // Валідація вхідних даних
-      if (!locationId || !month || !year || shiftRate === undefined || revenuePercent === undefined) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing required parameters'
-        });
-      }
+      const { locationId, dryRun = false } = req.body;
 
-      // Отримуємо дані закладу з БД
-      const location = await db.query(
-        'SELECT * FROM locations WHERE id = $1',
-        [locationId]
-      );
+      // Режим попереднього перегляду: розрахунок без збереження
+      const isDryRun = dryRun === true || dryRun === 'true';
 
-      if (location.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Location not found'
-        });
-      }
+      const run = await salaryRunService.calculate(req.body, {
+        userId: req.user.id,
+        dryRun: isDryRun
+      });
 
-      const { poster_account, poster_access_token } = location.rows[0];
+      await auditService.logRequest(req, auditService.actions.SALARY_CALCULATE, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId),
+        details: salaryRunService.getAuditDetails(run, isDryRun)
+      });
 
-      // Перевірка валідності токена
-      const isTokenValid = await posterService.validateToken(poster_account, poster_access_token);
-      if (!isTokenValid) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid or expired Poster access token. Please re-authenticate.'
-        });
-      }
+      res.json({
+        ...run.result,
+        dryRun: isDryRun,
+        report: run.report
+      });
 
-      // Параметри для розрахунку
-      const calculationParams = {
-        account: poster_account,
-        accessToken: poster_access_token,
-        month: parseInt(month),
-        year: parseInt(year),
-        inventoryMonth: parseInt(inventoryMonth || month),
-        inventoryYear: parseInt(inventoryYear || year),
-        shiftRate: parseFloat(shiftRate),
-        revenuePercent: parseFloat(revenuePercent)
-      };
-
-      // Валідація параметрів
-      const validation = salaryService.validateCalculationParams(calculationParams);
-      if (!validation.isValid) {
-        return res.status(400).json({
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
           success: false,
-          errors: validation.errors
+          ...(error.errors ? { errors: error.errors } : { error: error.message })
         });
       }
 
-      // Розрахунок зарплати
-      const result = await salaryService.calculateSalaries(calculationParams);
-
-      // Зберігаємо результат в БД
-      await this.saveSalaryReport(locationId, result);
-
-      res.json(result);
-
-    } catch (error) {
       console.error('Salary calculation error:', error);
       res.status(500).json({
         success: false,
@@ -93,17 +67,15 @@ class SalaryController {
 
   /**
    * GET /api/locations
-   * Отримання списку закладів
+   * Отримання списку закладів, доступних користувачу
    */
   async getLocations(req, res) {
     try {
-      const result = await db.query(
-        'SELECT id, name FROM locations ORDER BY name'
-      );
+      const locations = await permissionService.getUserLocations(req.user);
 
       res.json({
         success: true,
-        locations: result.rows
+        locations
       });
 
     } catch (error) {
@@ -117,33 +89,37 @@ class SalaryController {
 
   /**
    * GET /api/salary/history/:locationId
-   * Отримання історії розрахунків для закладу
+   * Отримання історії розрахунків для закладу.
+   * ?final=true - лише затверджені та виплачені версії, ?version=N - конкретна версія
    */
   async getSalaryHistory(req, res) {
     try {
       const { locationId } = req.params;
-      const { limit = 10 } = req.query;
-
-      const result = await db.query(`
-        SELECT 
-          sr.id,
-          sr.period_month,
-          sr.period_year,
-          sr.shift_rate,
-          sr.revenue_percent,
-          COUNT(DISTINCT sr.employee_id) as employees_count,
-          SUM(sr.total_salary) as total_salary,
-          sr.created_at
-        FROM salary_reports sr
-        WHERE sr.location_id = $1
-        GROUP BY sr.id, sr.period_month, sr.period_year, sr.shift_rate, sr.revenue_percent, sr.created_at
-        ORDER BY sr.created_at DESC
-        LIMIT $2
-      `, [locationId, limit]);
+      const { limit = 10, final, version } = req.query;
+
+      if (version !== undefined && !isPositiveInteger(version)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version (expected a positive integer)'
+        });
+      }
+
+      if (!isPositiveInteger(limit)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid limit (expected a positive integer)'
+        });
+      }
+
+      const history = await salaryReportRepository.getHistory(locationId, {
+        limit: parseInt(limit),
+        final: final === 'true',
+        version: version !== undefined ? parseInt(version) : undefined
+      });
 
       res.json({
         success: true,
-        history: result.rows
+        history
       });
 
     } catch (error) {
@@ -155,52 +131,145 @@ class SalaryController {
     }
   }
 
+  /**
+   * GET /api/salary/reports/:reportId
+   * Отримання звіту з рядками по співробітниках
+   */
+  async getReport(req, res) {
+    try {
+      const { reportId } = req.params;
+
+      const report = await salaryReportRepository.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Report not found'
+        });
+      }
+
+      const [lines, shifts] = await Promise.all([
+        salaryReportRepository.getLines(reportId),
+        salaryReportRepository.getShifts(reportId)
+      ]);
+
+      res.json({
+        success: true,
+        report,
+        employees: lines.map(line => ({
+          ...line,
+          shifts: shifts.filter(shift => shift.line_id === line.id)
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error fetching report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch report'
+      });
+    }
+  }
+
   /**
    * GET /api/salary/export/:reportId
-   * Експорт звіту в CSV
+   * Експорт звіту: ?format=csv (за замовчуванням) | xlsx | pdf | zip
+   *  - pdf - розрахунковий лист співробітника (?employeeId= - ID співробітника в Poster);
+   *  - zip - архів розрахункових листів усіх співробітників;
+   *  - csv: ?separator=,|; &decimalSeparator=.|, &columns=a,b &bom=true &totals=false &locale=uk|en
+   *    (див. salaryService.normalizeCSVOptions).
+   * ?version=final - затверджена версія за той самий період, ?version=N - конкретна
    */
   async exportReport(req, res) {
     try {
       const { reportId } = req.params;
+      const { version, format = 'csv', employeeId } = req.query;
+
+      if (version !== undefined && version !== 'final' && !isPositiveInteger(version)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version (expected "final" or a positive integer)'
+        });
+      }
+
+      if (!exportService.formats.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format. Allowed: ${exportService.formats.join(', ')}`
+        });
+      }
+
+      const csvOptions = salaryService.normalizeCSVOptions(req.query);
+
+      if (format === 'csv') {
+        const errors = salaryService.validateCSVOptions(csvOptions);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            errors
+          });
+        }
+      }
+
+      if (format === 'pdf' && !employeeId) {
+        return res.status(400).json({
+          success: false,
+          error: 'employeeId is required for pdf format (use format=zip for all payslips)'
+        });
+      }
 
-      // Отримуємо дані звіту з БД
-      const result = await db.query(`
-        SELECT 
-          sr.*,
-          e.name as employee_name,
-          l.name as location_name
-        FROM salary_reports sr
-        JOIN employees e ON sr.employee_id = e.id
-        JOIN locations l ON sr.location_id = l.id
-        WHERE sr.id = $1
-        ORDER BY sr.total_salary DESC
-      `, [reportId]);
-
-      if (result.rows.length === 0) {
+      let report = await salaryReportRepository.findById(reportId);
+
+      if (report && version !== undefined) {
+        report = await salaryReportRepository.findByPeriod(
+          report.location_id,
+          report.period_start,
+          report.period_end,
+          version
+        );
+      }
+
+      if (!report) {
         return res.status(404).json({
           success: false,
           error: 'Report not found'
         });
       }
 
-      // Формуємо дані для експорту
-      const salaryData = {
-        employees: result.rows.map(row => ({
-          employeeName: row.employee_name,
-          shiftsCount: row.shifts_count,
-          revenue: parseFloat(row.revenue),
-          baseSalary: parseFloat(row.shifts_count * row.shift_rate),
-          revenueBonus: parseFloat(row.revenue * row.revenue_percent / 100),
-          inventoryDeduction: parseFloat(row.inventory_loss || 0),
-          totalSalary: parseFloat(row.total_salary)
-        }))
-      };
+      // Отримуємо рядки та зміни звіту з БД
+      const [lines, shifts] = await Promise.all([
+        salaryReportRepository.getLines(report.id),
+        format === 'pdf' || format === 'zip' ? salaryReportRepository.getShifts(report.id) : []
+      ]);
+
+      const exportData = exportService.toExportData(report, lines, shifts);
+
+      const file = await exportService.renderReport(exportData, format, { employeeId, csvOptions });
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found in report'
+        });
+      }
 
-      const csv = salaryService.generateCSV(salaryData);
+      await auditService.logRequest(req, auditService.actions.REPORT_EXPORT, {
+        entityType: 'salary_report',
+        entityId: report.id,
+        locationId: report.location_id,
+        details: {
+          format,
+          month: report.period_month,
+          year: report.period_year,
+          version: report.version,
+          employeeId: format === 'pdf' ? parseInt(employeeId) : undefined,
+          csvOptions: format === 'csv' ? csvOptions : undefined
+        }
+      });
 
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename=salary_report_${reportId}.csv`);
-      res.send(csv);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename=${file.fileName}`);
+      res.send(file.content);
 
     } catch (error) {
       console.error('Error exporting report:', error);
@@ -211,6 +280,153 @@ class SalaryController {
     }
   }
 
+  /**
+   * POST /api/salary/reports/:reportId/:transition
+   * Зміна статусу звіту: submit | approve | pay | reopen (див. reportWorkflowService)
+   * Body: pay - { paymentMethod, paidDate?, note? }; reopen - { reason }
+   */
+  async changeReportStatus(req, res, transition) {
+    try {
+      const { reportId } = req.params;
+
+      const report = await reportWorkflowService.transition(reportId, transition, req.user, req.body || {}, {
+        ipAddress: req.ip || null
+      });
+
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          ...(error.errors ? { errors: error.errors } : { error: error.message })
+        });
+      }
+
+      console.error(`Error changing report status (${transition}):`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change report status'
+      });
+    }
+  }
+
+  /**
+   * GET /api/salary/reports/:reportId/status-history
+   * Журнал змін статусу та доступні користувачу переходи
+   */
+  async getReportStatusHistory(req, res) {
+    try {
+      const { reportId } = req.params;
+
+      const report = await salaryReportRepository.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Report not found'
+        });
+      }
+
+      const [history, transitions] = await Promise.all([
+        salaryReportRepository.getStatusHistory(reportId),
+        reportWorkflowService.getAvailableTransitions(req.user, report.location_id, report.status)
+      ]);
+
+      res.json({
+        success: true,
+        status: report.status,
+        transitions,
+        history
+      });
+
+    } catch (error) {
+      console.error('Error fetching report status history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch report status history'
+      });
+    }
+  }
+
+  /**
+   * GET /api/salary/reports/:reportId/payslips
+   * Статуси надсилання розрахункових листів у Telegram
+   */
+  async getPayslipDeliveries(req, res) {
+    try {
+      const { reportId } = req.params;
+
+      const deliveries = await payslipDeliveryRepository.findByReport(reportId);
+
+      res.json({
+        success: true,
+        deliveries
+      });
+
+    } catch (error) {
+      console.error('Error fetching payslip deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch payslip deliveries'
+      });
+    }
+  }
+
+  /**
+   * POST /api/salary/reports/:reportId/payslips/retry
+   * Повторне надсилання невдалих листів та постановка в чергу
+   * співробітників, прив'язаних після затвердження
+   */
+  async retryPayslips(req, res) {
+    try {
+      const { reportId } = req.params;
+
+      const report = await salaryReportRepository.findById(reportId);
+
+      if (!report || !reportWorkflowService.lockedStatuses.includes(report.status)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Payslips are sent only for approved reports'
+        });
+      }
+
+      const requeued = await payslipService.retryReport(report.id);
+      const queued = await payslipService.queueReport(report.id);
+
+      await auditService.logRequest(req, auditService.actions.PAYSLIP_RETRY, {
+        entityType: 'salary_report',
+        entityId: report.id,
+        locationId: report.location_id,
+        details: { requeued, queued }
+      });
+
+      res.json({
+        success: true,
+        requeued,
+        queued
+      });
+
+    } catch (error) {
+      console.error('Error retrying payslips:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry payslips'
+      });
+    }
+  }
+
+  /**
+   * Визначення закладу, до якого належить звіт (для перевірки прав)
+   * @returns {number|null} ID закладу або null, якщо звіт не знайдено
+   */
+  async getReportLocationId(reportId) {
+    return salaryReportRepository.getLocationId(reportId);
+  }
+
   /**
    * POST /api/locations/connect
    * Підключення нового закладу через OAuth
@@ -226,23 +442,11 @@ class SalaryController {
         });
       }
 
-      // Отримуємо access token
-      const authData = await posterService.getAccessToken(account, code);
-
-      // Зберігаємо в БД
-      const result = await db.query(`
-        INSERT INTO locations (name, poster_account, poster_access_token)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (poster_account) 
-        DO UPDATE SET 
-          poster_access_token = $3,
-          name = $1
-        RETURNING id, name
-      `, [name || account, account, authData.access_token]);
+      const location = await this.connectPosterAccount(req, req.user.id, { code, account, name });
 
       res.json({
         success: true,
-        location: result.rows[0]
+        location
       });
 
     } catch (error) {
@@ -255,99 +459,144 @@ class SalaryController {
   }
 
   /**
-   * Збереження результатів розрахунку в БД
+   * GET /api/auth/poster/callback
+   * Callback OAuth Poster: перевірка state, обмін коду на токен,
+   * створення закладу та редірект назад у Telegram WebApp
    */
-  async saveSalaryReport(locationId, salaryData) {
-    const client = await db.pool.connect();
-    
+  async posterCallback(req, res) {
+    const { code, account, state, error: oauthError } = req.query;
+
     try {
-      await client.query('BEGIN');
-
-      // Зберігаємо інформацію про інвентаризацію
-      await client.query(`
-        INSERT INTO inventory_results (location_id, month, year, loss_amount)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT DO NOTHING
-      `, [
-        locationId,
-        salaryData.inventory.month,
-        salaryData.inventory.year,
-        salaryData.inventory.totalLoss
-      ]);
+      if (oauthError) {
+        return this.redirectToWebApp(req, res, { poster_auth: 'error', reason: 'access_denied' });
+      }
 
-      // Зберігаємо дані по кожному співробітнику
-      for (const emp of salaryData.employees) {
-        // Перевіряємо чи є співробітник в БД
-        let employeeResult = await client.query(
-          'SELECT id FROM employees WHERE poster_id = $1 AND location_id = $2',
-          [emp.employeeId, locationId]
-        );
+      let statePayload;
+      try {
+        statePayload = await authService.consumeOAuthState(state);
+      } catch (error) {
+        console.error('Invalid Poster OAuth state:', error.message);
+        return this.redirectToWebApp(req, res, { poster_auth: 'error', reason: 'invalid_state' });
+      }
 
-        let dbEmployeeId;
-        
-        if (employeeResult.rows.length === 0) {
-          // Створюємо нового співробітника
-          const newEmp = await client.query(`
-            INSERT INTO employees (poster_id, location_id, name)
-            VALUES ($1, $2, $3)
-            RETURNING id
-          `, [emp.employeeId, locationId, emp.employeeName]);
-          
-          dbEmployeeId = newEmp.rows[0].id;
-        } else {
-          dbEmployeeId = employeeResult.rows[0].id;
-        }
+      if (!code || !account) {
+        return this.redirectToWebApp(req, res, { poster_auth: 'error', reason: 'missing_code' });
+      }
+
+      // Користувач, що почав авторизацію, має бути активним
+      const user = await db.query(
+        'SELECT id, role FROM users WHERE id = $1 AND is_active = TRUE',
+        [statePayload.sub]
+      );
 
-        // Зберігаємо звіт по зарплаті
-        await client.query(`
-          INSERT INTO salary_reports (
-            location_id, 
-            employee_id, 
-            period_month, 
-            period_year,
-            shifts_count,
-            shift_rate,
-            revenue,
-            revenue_percent,
-            inventory_loss,
-            total_salary
-          )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        `, [
-          locationId,
-          dbEmployeeId,
-          salaryData.period.month,
-          salaryData.period.year,
-          emp.shiftsCount,
-          salaryData.parameters.shiftRate,
-          emp.revenue,
-          salaryData.parameters.revenuePercent,
-          emp.inventoryDeduction,
-          emp.totalSalary
-        ]);
+      if (user.rows.length === 0) {
+        return this.redirectToWebApp(req, res, { poster_auth: 'error', reason: 'invalid_user' });
       }
 
-      await client.query('COMMIT');
+      req.user = { id: user.rows[0].id, role: user.rows[0].role };
+
+      const location = await this.connectPosterAccount(req, req.user.id, {
+        code,
+        account,
+        name: statePayload.name
+      });
+
+      this.redirectToWebApp(req, res, { poster_auth: 'success', location_id: location.id });
+
     } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+      console.error('Poster OAuth callback error:', error);
+      this.redirectToWebApp(req, res, { poster_auth: 'error', reason: 'connect_failed' });
+    }
+  }
+
+  /**
+   * Обмін коду на токен Poster, збереження закладу та надання
+   * користувачу прав власника
+   * @returns {Object} { id, name }
+   */
+  async connectPosterAccount(req, userId, { code, account, name }) {
+    // Отримуємо access token
+    const authData = await posterService.getAccessToken(account, code, this.getPosterRedirectUri(req));
+
+    // Зберігаємо в БД (токен шифрується в репозиторії)
+    const location = await locationRepository.upsertConnected({
+      name,
+      account,
+      accessToken: authData.access_token
+    });
+
+    // Користувач, що підключив заклад, стає його власником
+    await permissionService.grantOwnerAccess(userId, location.id);
+
+    await auditService.logRequest(req, auditService.actions.LOCATION_CONNECT, {
+      entityType: 'location',
+      entityId: location.id,
+      locationId: location.id,
+      details: { account, name: location.name }
+    });
+
+    return location;
+  }
+
+  /**
+   * Редірект назад у Telegram WebApp зі статусом підключення
+   */
+  redirectToWebApp(req, res, params) {
+    const webAppUrl = process.env.TELEGRAM_WEBAPP_URL;
+
+    if (!webAppUrl) {
+      const isSuccess = params.poster_auth === 'success';
+      return res.status(isSuccess ? 200 : 400).json({
+        success: isSuccess,
+        ...params
+      });
     }
+
+    const url = new URL(webAppUrl);
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+
+    res.redirect(url.toString());
+  }
+
+  /**
+   * Адреса callback для OAuth Poster
+   */
+  getPosterRedirectUri(req) {
+    return process.env.POSTER_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/poster/callback`;
+  }
+
+  /**
+   * Збереження результатів розрахунку в БД як нового звіту (версії) за період
+   * @returns {Object} { id, version, status }
+   */
+  async saveSalaryReport(locationId, salaryData, userId = null) {
+    return salaryReportRepository.create(locationId, salaryData, userId);
   }
 
   /**
    * GET /api/auth/poster
    * Отримання URL для авторизації в Poster
    */
-  getAuthUrl(req, res) {
-    const redirectUri = process.env.POSTER_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/poster/callback`;
-    const authUrl = posterService.getAuthUrl(redirectUri);
-    
-    res.json({
-      success: true,
-      authUrl
-    });
+  async getAuthUrl(req, res) {
+    try {
+      const redirectUri = this.getPosterRedirectUri(req);
+      const state = await authService.issueOAuthState(req.user, { name: req.query.name });
+      const authUrl = posterService.getAuthUrl(redirectUri, state);
+
+      res.json({
+        success: true,
+        authUrl
+      });
+
+    } catch (error) {
+      console.error('Error issuing Poster auth URL:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create Poster auth URL'
+      });
+    }
   }
 }
 
@@ -0,0 +1,94 @@
+// backend/src/controllers/syncController.js
+
+const posterSyncService = require('../services/posterSyncService');
+const locationRepository = require('../repositories/locationRepository');
+const auditService = require('../services/auditService');
+
+class SyncController {
+  /**
+   * GET /api/locations/:locationId/sync
+   * Стан синхронізації даних Poster
+   */
+  async getSyncStatus(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const status = await posterSyncService.getStatus(locationId);
+
+      res.json({
+        success: true,
+        status
+      });
+
+    } catch (error) {
+      console.error('Error fetching sync status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sync status'
+      });
+    }
+  }
+
+  /**
+   * POST /api/locations/:locationId/sync
+   * Запуск синхронізації. Виконується у фоні - результат див. GET .../sync
+   * Body: { from? } - YYYY-MM-DD, повторна синхронізація з цієї дати
+   * (не пізніше курсора: дані синхронізуються без пропусків)
+   */
+  async startSync(req, res) {
+    try {
+      const { locationId } = req.params;
+      const { from } = req.body;
+
+      if (from !== undefined && from !== null &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(from) || isNaN(new Date(from).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid from date (expected YYYY-MM-DD)'
+        });
+      }
+
+      const location = await locationRepository.findById(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+
+      const status = await posterSyncService.getStatus(locationId);
+      if (status && status.lastStatus === 'running') {
+        return res.status(409).json({
+          success: false,
+          error: 'Sync is already running',
+          status
+        });
+      }
+
+      posterSyncService.syncLocation(parseInt(locationId), { from: from || null })
+        .catch(error => console.error(`Poster sync failed for location ${locationId}:`, error.message));
+
+      await auditService.logRequest(req, auditService.actions.POSTER_SYNC, {
+        entityType: 'location',
+        entityId: parseInt(locationId),
+        locationId: parseInt(locationId),
+        details: { from: from || null }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Sync started'
+      });
+
+    } catch (error) {
+      console.error('Error starting sync:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start sync'
+      });
+    }
+  }
+}
+
+module.exports = new SyncController();
@@ -0,0 +1,35 @@
+// backend/src/controllers/telegramController.js
+
+const telegramService = require('../services/telegramService');
+const telegramBotService = require('../services/telegramBotService');
+
+class TelegramController {
+  /**
+   * POST /telegram/webhook
+   * Оновлення від Telegram. Відповідь повертається одразу, команда обробляється
+   * у фоні (розрахунок може тривати довше за таймаут webhook)
+   */
+  async handleWebhook(req, res) {
+    if (!telegramService.webhookSecret) {
+      return res.status(503).json({
+        success: false,
+        error: 'Telegram webhook is not configured'
+      });
+    }
+
+    if (!telegramService.isValidWebhookSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid webhook secret'
+      });
+    }
+
+    res.json({ success: true });
+
+    telegramBotService.handleUpdate(req.body).catch(error => {
+      console.error('Telegram update handling error:', error);
+    });
+  }
+}
+
+module.exports = new TelegramController();
@@ -0,0 +1,79 @@
+// backend/src/middleware/auth.js
+
+const authService = require('../services/authService');
+
+/**
+ * Перевірка даних Telegram WebApp із заголовка x-telegram-init-data
+ * (або поля initData в тілі запиту). Результат кладеться в req.telegram
+ */
+const validateTelegramWebApp = (req, res, next) => {
+  const initData = req.headers['x-telegram-init-data'] || req.body?.initData;
+
+  try {
+    req.telegram = authService.validateInitData(initData);
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: `Unauthorized: ${error.message}`
+    });
+  }
+};
+
+/**
+ * Перевірка JWT із заголовка Authorization: Bearer <token>.
+ * Роль та активність беруться з БД, а не з токена: зміна ролі чи деактивація
+ * діють одразу, без очікування закінчення строку токена.
+ * Дані користувача кладуться в req.user
+ */
+const requireAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: Missing access token'
+    });
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: Invalid or expired access token'
+    });
+  }
+
+  try {
+    const user = await authService.findById(payload.sub);
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: User is inactive or does not exist'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      telegramId: String(user.telegram_id),
+      role: user.role
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error loading session user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify session'
+    });
+  }
+};
+
+module.exports = {
+  validateTelegramWebApp,
+  requireAuth
+};
@@ -0,0 +1,129 @@
+// backend/src/middleware/permissions.js
+
+const permissionService = require('../services/permissionService');
+const employeeRepository = require('../repositories/employeeRepository');
+
+/**
+ * Перевірка прав доступу до закладу.
+ * @param {string} flag - can_view | can_calculate | can_export
+ * @param {Function} resolveLocationId - (req) => locationId (може повертати Promise)
+ */
+const requireLocationPermission = (flag, resolveLocationId) => async (req, res, next) => {
+  try {
+    const locationId = await resolveLocationId(req);
+
+    if (locationId === undefined || locationId === null) {
+      // Нехай контролер сам поверне 400/404
+      return next();
+    }
+
+    const allowed = await permissionService.hasPermission(req.user, locationId, flag);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: You do not have access to this location'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+/**
+ * Доступ лише для власника закладу (або адміністратора)
+ * @param {Function} resolveLocationId - (req) => locationId (може повертати Promise)
+ */
+const requireLocationOwner = resolveLocationId => async (req, res, next) => {
+  try {
+    const locationId = await resolveLocationId(req);
+
+    if (locationId === undefined || locationId === null) {
+      // Нехай контролер сам поверне 400/404
+      return next();
+    }
+
+    const allowed = await permissionService.isOwner(req.user, locationId);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: Owner access required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+/**
+ * Доступ до даних співробітника: сам співробітник (прив'язаний Telegram)
+ * або користувач з правом на його заклад.
+ * Знайдений співробітник кладеться в req.employee
+ * @param {string} flag - can_view | can_calculate | can_export
+ */
+const requireEmployeeAccess = flag => async (req, res, next) => {
+  try {
+    const employeeId = parseInt(req.params.employeeId);
+    const employee = employeeId ? await employeeRepository.findById(employeeId) : null;
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const isSelf = Boolean(employee.telegramId) && employee.telegramId === String(req.user.telegramId);
+    const allowed = isSelf || await permissionService.hasPermission(req.user, employee.locationId, flag);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: You do not have access to this employee'
+      });
+    }
+
+    req.employee = employee;
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+/**
+ * Доступ лише для адміністраторів
+ */
+const requireAdmin = (req, res, next) => {
+  if (!permissionService.isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: Admin access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireLocationPermission,
+  requireLocationOwner,
+  requireEmployeeAccess,
+  requireAdmin
+};
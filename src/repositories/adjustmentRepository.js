@@ -0,0 +1,200 @@
+// backend/src/repositories/adjustmentRepository.js
+// Ручні коригування зарплати (премії, штрафи, видані аванси, виправлення)
+
+const db = require('../config/database');
+
+class AdjustmentRepository {
+  /**
+   * Коригування закладу
+   * @param {Object} [filters] - { dateFrom, dateTo (YYYY-MM-DD, включно), posterEmployeeId }
+   */
+  async findByLocation(locationId, filters = {}) {
+    const values = [locationId];
+    const conditions = ['sa.location_id = $1'];
+
+    if (filters.dateFrom) {
+      values.push(filters.dateFrom);
+      conditions.push(`sa.adjustment_date >= $${values.length}`);
+    }
+    if (filters.dateTo) {
+      values.push(filters.dateTo);
+      conditions.push(`sa.adjustment_date <= $${values.length}`);
+    }
+    if (filters.posterEmployeeId) {
+      values.push(filters.posterEmployeeId);
+      conditions.push(`sa.poster_employee_id = $${values.length}`);
+    }
+
+    const result = await db.query(`
+      ${this.selectSql()}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY sa.adjustment_date, sa.id
+    `, values);
+
+    return result.rows.map(row => this.toAdjustment(row));
+  }
+
+  /**
+   * Коригування закладу за ID
+   * @returns {Object|null}
+   */
+  async findById(locationId, adjustmentId) {
+    const result = await db.query(`
+      ${this.selectSql()}
+      WHERE sa.id = $1 AND sa.location_id = $2
+    `, [adjustmentId, locationId]);
+
+    return result.rows.length > 0 ? this.toAdjustment(result.rows[0]) : null;
+  }
+
+  async create(locationId, adjustment, userId = null) {
+    const result = await db.query(`
+      INSERT INTO salary_adjustments (
+        location_id, poster_employee_id, adjustment_date, type, amount, reason, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+      RETURNING id
+    `, [
+      locationId,
+      adjustment.posterEmployeeId,
+      adjustment.date,
+      adjustment.type,
+      adjustment.amount,
+      adjustment.reason,
+      userId
+    ]);
+
+    return this.findById(locationId, result.rows[0].id);
+  }
+
+  /**
+   * Оновлення незаблокованого коригування
+   * @returns {Object|null} null - не знайдено або вже заблоковане
+   */
+  async update(locationId, adjustmentId, adjustment, userId = null) {
+    const result = await db.query(`
+      UPDATE salary_adjustments
+      SET
+        poster_employee_id = $3,
+        adjustment_date = $4,
+        type = $5,
+        amount = $6,
+        reason = $7,
+        updated_by = $8
+      WHERE id = $1 AND location_id = $2 AND locked_at IS NULL
+      RETURNING id
+    `, [
+      adjustmentId,
+      locationId,
+      adjustment.posterEmployeeId,
+      adjustment.date,
+      adjustment.type,
+      adjustment.amount,
+      adjustment.reason,
+      userId
+    ]);
+
+    return result.rows.length > 0 ? this.findById(locationId, adjustmentId) : null;
+  }
+
+  /**
+   * Видалення незаблокованого коригування
+   * @returns {boolean}
+   */
+  async delete(locationId, adjustmentId) {
+    const result = await db.query(
+      'DELETE FROM salary_adjustments WHERE id = $1 AND location_id = $2 AND locked_at IS NULL RETURNING id',
+      [adjustmentId, locationId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Затверджений звіт закладу, період якого містить дату
+   * @param {string} date - YYYY-MM-DD
+   * @returns {number|null} ID звіту
+   */
+  async findApprovedReportForDate(locationId, date) {
+    const result = await db.query(`
+      SELECT id FROM salary_reports
+      WHERE location_id = $1 AND status IN ('approved', 'paid') AND period_start <= $2 AND period_end >= $2
+      ORDER BY period_end DESC
+      LIMIT 1
+    `, [locationId, date]);
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  /**
+   * Блокування коригувань, застосованих у звіті (в межах транзакції затвердження)
+   * @returns {number} Кількість заблокованих коригувань
+   */
+  async lockForReport(client, reportId) {
+    const result = await client.query(`
+      UPDATE salary_adjustments
+      SET report_id = $1, locked_at = COALESCE(locked_at, CURRENT_TIMESTAMP)
+      WHERE id IN (
+        SELECT (item->>'id')::int
+        FROM salary_report_lines srl, jsonb_array_elements(srl.adjustments) item
+        WHERE srl.report_id = $1 AND srl.adjustments IS NOT NULL
+      )
+    `, [reportId]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Зняття блокування при поверненні звіту в чернетку (в межах транзакції)
+   * @returns {number} Кількість розблокованих коригувань
+   */
+  async unlockForReport(client, reportId) {
+    const result = await client.query(
+      'UPDATE salary_adjustments SET report_id = NULL, locked_at = NULL WHERE report_id = $1',
+      [reportId]
+    );
+
+    return result.rowCount;
+  }
+
+  selectSql() {
+    return `
+      SELECT
+        sa.*,
+        to_char(sa.adjustment_date, 'YYYY-MM-DD') as adjustment_date,
+        e.name as employee_name,
+        u.username as author_username,
+        u.first_name as author_first_name,
+        u.last_name as author_last_name
+      FROM salary_adjustments sa
+      LEFT JOIN employees e ON e.location_id = sa.location_id AND e.poster_id = sa.poster_employee_id
+      LEFT JOIN users u ON u.id = sa.created_by
+    `;
+  }
+
+  toAdjustment(row) {
+    const authorName = [row.author_first_name, row.author_last_name].filter(Boolean).join(' ');
+
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      posterEmployeeId: row.poster_employee_id,
+      employeeName: row.employee_name || null,
+      date: row.adjustment_date,
+      type: row.type,
+      amount: parseFloat(row.amount),
+      reason: row.reason,
+      author: row.created_by
+        ? { id: row.created_by, name: authorName || row.author_username || null }
+        : null,
+      updatedBy: row.updated_by,
+      reportId: row.report_id,
+      lockedAt: row.locked_at,
+      isLocked: Boolean(row.locked_at),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new AdjustmentRepository();
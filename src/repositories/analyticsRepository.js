@@ -0,0 +1,67 @@
+// backend/src/repositories/analyticsRepository.js
+// Дані для аналітики закладів (views location_statistics та latest_salary_reports)
+
+const db = require('../config/database');
+
+class AnalyticsRepository {
+  /**
+   * Загальна статистика закладів за весь час
+   * @param {number[]} locationIds
+   */
+  async getLocationStatistics(locationIds) {
+    const result = await db.query(`
+      SELECT location_id, location_name, total_employees, total_reports, total_salary_paid, avg_salary
+      FROM location_statistics
+      WHERE location_id = ANY($1::int[])
+      ORDER BY location_name
+    `, [locationIds]);
+
+    return result.rows.map(row => ({
+      locationId: row.location_id,
+      locationName: row.location_name,
+      totalEmployees: parseInt(row.total_employees),
+      totalReports: parseInt(row.total_reports),
+      totalSalaryPaid: Math.round(parseFloat(row.total_salary_paid) * 100) / 100,
+      avgSalary: Math.round(parseFloat(row.avg_salary) * 100) / 100
+    }));
+  }
+
+  /**
+   * Рядки затверджених та виплачених звітів, період яких лежить у межах дат
+   * @param {number[]} locationIds
+   * @param {string} dateFrom - YYYY-MM-DD
+   * @param {string} dateTo - YYYY-MM-DD
+   */
+  async getReportLines(locationIds, dateFrom, dateTo) {
+    const result = await db.query(`
+      SELECT
+        report_id,
+        location_id,
+        location_name,
+        employee_id,
+        poster_id,
+        employee_name,
+        position,
+        period_month,
+        period_year,
+        period_kind,
+        shifts_count,
+        hours_worked,
+        revenue,
+        inventory_loss,
+        total_salary,
+        inventory_month,
+        inventory_year,
+        report_inventory_loss
+      FROM latest_salary_reports
+      WHERE location_id = ANY($1::int[])
+        AND status IN ('approved', 'paid')
+        AND period_start >= $2 AND period_end <= $3
+      ORDER BY period_year, period_month, period_start
+    `, [locationIds, dateFrom, dateTo]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new AnalyticsRepository();
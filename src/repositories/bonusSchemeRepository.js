@@ -0,0 +1,84 @@
+// backend/src/repositories/bonusSchemeRepository.js
+// Схеми бонусів від виручки по закладах
+
+const db = require('../config/database');
+
+class BonusSchemeRepository {
+  /**
+   * Схема бонусів закладу
+   * @returns {Object|null}
+   */
+  async findByLocation(locationId) {
+    const result = await db.query(
+      'SELECT * FROM bonus_schemes WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toScheme(result.rows[0]) : null;
+  }
+
+  /**
+   * Створення або оновлення схеми бонусів закладу
+   */
+  async upsert(locationId, scheme, userId = null) {
+    const result = await db.query(`
+      INSERT INTO bonus_schemes (
+        location_id,
+        tiers,
+        min_revenue_per_shift,
+        monthly_target,
+        target_bonus,
+        created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        tiers = EXCLUDED.tiers,
+        min_revenue_per_shift = EXCLUDED.min_revenue_per_shift,
+        monthly_target = EXCLUDED.monthly_target,
+        target_bonus = EXCLUDED.target_bonus
+      RETURNING *
+    `, [
+      locationId,
+      JSON.stringify(scheme.tiers || []),
+      scheme.minRevenuePerShift ?? null,
+      scheme.monthlyTarget ?? null,
+      scheme.targetBonus ?? null,
+      userId
+    ]);
+
+    return this.toScheme(result.rows[0]);
+  }
+
+  /**
+   * Видалення схеми (повернення до фіксованого відсотка)
+   * @returns {boolean}
+   */
+  async delete(locationId) {
+    const result = await db.query(
+      'DELETE FROM bonus_schemes WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Перетворення рядка БД у схему для salaryService
+   */
+  toScheme(row) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      tiers: row.tiers || [],
+      minRevenuePerShift: toNumber(row.min_revenue_per_shift),
+      monthlyTarget: toNumber(row.monthly_target),
+      targetBonus: toNumber(row.target_bonus),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new BonusSchemeRepository();
@@ -0,0 +1,370 @@
+// backend/src/repositories/employeeRepository.js
+// Співробітники закладів та їх прив'язка до Telegram
+
+const db = require('../config/database');
+
+class EmployeeRepository {
+  /**
+   * Співробітник за внутрішнім ID (employees.id)
+   * @returns {Object|null}
+   */
+  async findById(employeeId) {
+    const result = await db.query(`
+      SELECT e.*, l.name as location_name
+      FROM employees e
+      JOIN locations l ON l.id = e.location_id
+      WHERE e.id = $1
+    `, [employeeId]);
+
+    return result.rows.length > 0 ? this.toEmployee(result.rows[0]) : null;
+  }
+
+  /**
+   * Співробітник закладу за ID у Poster
+   * @returns {Object|null}
+   */
+  async findByPosterId(locationId, posterEmployeeId) {
+    const result = await db.query(
+      'SELECT * FROM employees WHERE location_id = $1 AND poster_id = $2',
+      [locationId, posterEmployeeId]
+    );
+
+    return result.rows.length > 0 ? this.toEmployee(result.rows[0]) : null;
+  }
+
+  /**
+   * Співробітники закладу
+   * @param {Object} [options] - { includeInactive }
+   */
+  async findByLocation(locationId, { includeInactive = false } = {}) {
+    const result = await db.query(`
+      SELECT * FROM employees
+      WHERE location_id = $1 ${includeInactive ? '' : 'AND is_active = true'}
+      ORDER BY is_active DESC, name
+    `, [locationId]);
+
+    return result.rows.map(row => this.toEmployee(row));
+  }
+
+  /**
+   * ID у Poster співробітників, виключених з розрахунку зарплати
+   * @returns {number[]}
+   */
+  async findExcludedPosterIds(locationId) {
+    const result = await db.query(
+      'SELECT poster_id FROM employees WHERE location_id = $1 AND exclude_from_payroll = true',
+      [locationId]
+    );
+
+    return result.rows.map(row => row.poster_id);
+  }
+
+  /**
+   * Створення співробітника вручну
+   * @returns {Object|null} null - співробітник з таким ID Poster уже є
+   */
+  async create(locationId, employee) {
+    const result = await db.query(`
+      INSERT INTO employees (
+        poster_id, location_id, name, position, position_manual, is_active, deactivated_manually,
+        exclude_from_payroll, exclusion_reason
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOT $6, $7, $8)
+      ON CONFLICT (poster_id, location_id) DO NOTHING
+      RETURNING *
+    `, [
+      employee.posterId,
+      locationId,
+      employee.name,
+      employee.position,
+      employee.position !== null,
+      employee.isActive,
+      employee.excludeFromPayroll,
+      employee.excludeFromPayroll ? employee.exclusionReason : null
+    ]);
+
+    return result.rows.length > 0 ? this.toEmployee(result.rows[0]) : null;
+  }
+
+  /**
+   * Оновлення співробітника закладу. Змінена посада надалі не перезаписується з Poster
+   * (до очищення посади - position: null),
+   * деактивований тут співробітник не активується знову синхронізацією
+   * @returns {Object|null}
+   */
+  async update(locationId, posterEmployeeId, employee) {
+    const result = await db.query(`
+      UPDATE employees
+      SET
+        name = $3,
+        -- Очищена посада знову береться з Poster
+        position_manual = CASE WHEN $4 IS NULL THEN false ELSE position_manual OR position IS NULL OR position <> $4 END,
+        position = $4,
+        is_active = $5,
+        deactivated_manually = CASE WHEN $5 THEN false WHEN is_active THEN true ELSE deactivated_manually END,
+        exclude_from_payroll = $6,
+        exclusion_reason = $7
+      WHERE location_id = $1 AND poster_id = $2
+      RETURNING *
+    `, [
+      locationId,
+      posterEmployeeId,
+      employee.name,
+      employee.position,
+      employee.isActive,
+      employee.excludeFromPayroll,
+      employee.excludeFromPayroll ? employee.exclusionReason : null
+    ]);
+
+    return result.rows.length > 0 ? this.toEmployee(result.rows[0]) : null;
+  }
+
+  /**
+   * Видалення співробітника без історії розрахунків
+   * @returns {boolean}
+   */
+  async delete(locationId, posterEmployeeId) {
+    const result = await db.query(`
+      DELETE FROM employees e
+      WHERE e.location_id = $1 AND e.poster_id = $2
+        AND NOT EXISTS (SELECT 1 FROM salary_report_lines srl WHERE srl.employee_id = e.id)
+      RETURNING id
+    `, [locationId, posterEmployeeId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Чи є в співробітника рядки у звітах
+   */
+  async hasSalaryHistory(employeeId) {
+    const result = await db.query(
+      'SELECT 1 FROM salary_report_lines WHERE employee_id = $1 LIMIT 1',
+      [employeeId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Застосування результату звірки з Poster (див. employeeRosterService.compareRoster)
+   * @param {Object} plan - { created, updated, deactivated }
+   */
+  async applyRoster(locationId, plan) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const employee of plan.created) {
+        await client.query(`
+          INSERT INTO employees (poster_id, location_id, name, position, is_active, synced_at)
+          VALUES ($1, $2, $3, $4, true, CURRENT_TIMESTAMP)
+          ON CONFLICT (poster_id, location_id) DO NOTHING
+        `, [employee.posterId, locationId, employee.name, employee.position]);
+      }
+
+      for (const { employee, changes } of plan.updated) {
+        await client.query(`
+          UPDATE employees
+          SET name = $2, position = $3, is_active = $4, synced_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [
+          employee.id,
+          changes.name ? changes.name.to : employee.name,
+          changes.position ? changes.position.to : employee.position,
+          changes.isActive ? changes.isActive.to : employee.isActive
+        ]);
+      }
+
+      const deactivatedIds = plan.deactivated.map(employee => employee.id);
+      if (deactivatedIds.length > 0) {
+        await client.query(
+          'UPDATE employees SET is_active = false, synced_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+          [deactivatedIds]
+        );
+      }
+
+      await client.query(
+        'UPDATE employees SET synced_at = CURRENT_TIMESTAMP WHERE location_id = $1 AND is_active = true',
+        [locationId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Співробітники, прив'язані до Telegram користувача (у різних закладах)
+   */
+  async findByTelegramId(telegramId) {
+    const result = await db.query(`
+      SELECT e.*, l.name as location_name
+      FROM employees e
+      JOIN locations l ON l.id = e.location_id
+      WHERE e.telegram_id = $1
+      ORDER BY l.name
+    `, [telegramId]);
+
+    return result.rows.map(row => this.toEmployee(row));
+  }
+
+  /**
+   * Новий код запрошення (попередні невикористані коди співробітника анулюються)
+   * @param {number} employeeId - employees.id
+   * @param {string} code
+   * @param {Date} expiresAt
+   */
+  async createInvite(employeeId, code, expiresAt, userId = null) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM employee_invites WHERE employee_id = $1 AND used_at IS NULL',
+        [employeeId]
+      );
+
+      const result = await client.query(`
+        INSERT INTO employee_invites (employee_id, code, expires_at, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, code, expires_at
+      `, [employeeId, code, expiresAt, userId]);
+
+      await client.query('COMMIT');
+
+      return {
+        id: result.rows[0].id,
+        code: result.rows[0].code,
+        expiresAt: result.rows[0].expires_at
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Прив'язка Telegram за кодом запрошення
+   * @returns {Object} { employee } | { error: 'not_found' | 'expired' | 'used' | 'taken' }
+   */
+  async redeemInvite(code, telegramId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const invite = await client.query(`
+        SELECT ei.*, e.location_id
+        FROM employee_invites ei
+        JOIN employees e ON e.id = ei.employee_id
+        WHERE ei.code = $1
+        FOR UPDATE OF ei
+      `, [code]);
+
+      const row = invite.rows[0];
+      let error = null;
+
+      if (!row) {
+        error = 'not_found';
+      } else if (row.used_at) {
+        error = 'used';
+      } else if (new Date(row.expires_at) < new Date()) {
+        error = 'expired';
+      } else {
+        // Цей Telegram вже прив'язаний до іншого співробітника закладу
+        const taken = await client.query(
+          'SELECT id FROM employees WHERE location_id = $1 AND telegram_id = $2 AND id <> $3',
+          [row.location_id, telegramId, row.employee_id]
+        );
+
+        if (taken.rows.length > 0) error = 'taken';
+      }
+
+      if (error) {
+        await client.query('ROLLBACK');
+        return { error };
+      }
+
+      await client.query(
+        'UPDATE employee_invites SET used_at = CURRENT_TIMESTAMP, used_by_telegram_id = $2 WHERE id = $1',
+        [row.id, telegramId]
+      );
+
+      const updated = await client.query(`
+        UPDATE employees
+        SET telegram_id = $2, telegram_linked_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *, (SELECT name FROM locations WHERE id = location_id) as location_name
+      `, [row.employee_id, telegramId]);
+
+      await client.query('COMMIT');
+
+      return { employee: this.toEmployee(updated.rows[0]) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Відв'язка Telegram від співробітника закладу
+   * @returns {boolean}
+   */
+  async unlinkTelegram(locationId, posterEmployeeId) {
+    const result = await db.query(`
+      UPDATE employees
+      SET telegram_id = NULL, telegram_linked_at = NULL
+      WHERE location_id = $1 AND poster_id = $2 AND telegram_id IS NOT NULL
+      RETURNING id
+    `, [locationId, posterEmployeeId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Відв'язка Telegram користувача від усіх співробітників (/unlink у боті)
+   * @returns {number} Кількість відв'язаних співробітників
+   */
+  async unlinkTelegramUser(telegramId) {
+    const result = await db.query(
+      'UPDATE employees SET telegram_id = NULL, telegram_linked_at = NULL WHERE telegram_id = $1',
+      [telegramId]
+    );
+
+    return result.rowCount;
+  }
+
+  toEmployee(row) {
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      locationName: row.location_name || null,
+      posterId: row.poster_id,
+      name: row.name,
+      position: row.position,
+      positionManual: Boolean(row.position_manual),
+      isActive: row.is_active,
+      deactivatedManually: Boolean(row.deactivated_manually),
+      excludeFromPayroll: Boolean(row.exclude_from_payroll),
+      exclusionReason: row.exclusion_reason || null,
+      telegramId: row.telegram_id ? String(row.telegram_id) : null,
+      telegramLinkedAt: row.telegram_linked_at || null,
+      syncedAt: row.synced_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new EmployeeRepository();
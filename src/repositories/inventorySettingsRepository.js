@@ -0,0 +1,46 @@
+// backend/src/repositories/inventorySettingsRepository.js
+// Налаштування розподілу нестачі інвентаризації по закладах
+
+const db = require('../config/database');
+
+class InventorySettingsRepository {
+  /**
+   * Налаштування закладу
+   * @returns {Object|null} { strategy, capPercent }
+   */
+  async findByLocation(locationId) {
+    const result = await db.query(
+      'SELECT * FROM inventory_allocation_settings WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toSettings(result.rows[0]) : null;
+  }
+
+  /**
+   * Створення або оновлення налаштувань закладу
+   */
+  async upsert(locationId, settings, userId = null) {
+    const result = await db.query(`
+      INSERT INTO inventory_allocation_settings (location_id, strategy, cap_percent, created_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        strategy = EXCLUDED.strategy,
+        cap_percent = EXCLUDED.cap_percent
+      RETURNING *
+    `, [locationId, settings.strategy, settings.capPercent ?? null, userId]);
+
+    return this.toSettings(result.rows[0]);
+  }
+
+  toSettings(row) {
+    return {
+      strategy: row.strategy,
+      capPercent: row.cap_percent === null ? null : parseFloat(row.cap_percent),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new InventorySettingsRepository();
@@ -0,0 +1,212 @@
+// backend/src/repositories/locationRepository.js
+// Єдине місце, де токени Poster шифруються та розшифровуються
+
+const db = require('../config/database');
+const cryptoService = require('../services/cryptoService');
+
+class LocationRepository {
+  /**
+   * Додаткові автентифіковані дані для шифрування токена:
+   * шифротекст не можна перенести на інший акаунт Poster
+   */
+  tokenAad(account) {
+    return `poster_account:${account}`;
+  }
+
+  /**
+   * Отримання закладу без токена
+   */
+  async findById(locationId) {
+    const result = await db.query(
+      'SELECT id, name, poster_account, poster_spot_id, is_active, created_at, updated_at FROM locations WHERE id = $1',
+      [locationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Ідентифікатори активних закладів з підключеним Poster
+   */
+  async findConnectedIds() {
+    const result = await db.query(`
+      SELECT id FROM locations
+      WHERE is_active = true AND poster_access_token IS NOT NULL
+      ORDER BY id
+    `);
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Отримання закладу разом з розшифрованим токеном Poster
+   * @returns {Object|null} { id, name, account, spotId, accessToken }
+   */
+  async getPosterCredentials(locationId) {
+    const result = await db.query(`
+      SELECT id, name, poster_account, poster_spot_id, poster_access_token, poster_token_key_version
+      FROM locations
+      WHERE id = $1
+    `, [locationId]);
+
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+
+    return {
+      id: row.id,
+      name: row.name,
+      account: row.poster_account,
+      spotId: row.poster_spot_id,
+      accessToken: this.decryptToken(row)
+    };
+  }
+
+  /**
+   * Заклади одного акаунта Poster
+   */
+  async findByAccount(account) {
+    const result = await db.query(`
+      SELECT id, name, poster_account, poster_spot_id, is_active
+      FROM locations
+      WHERE poster_account = $1
+      ORDER BY poster_spot_id NULLS FIRST, id
+    `, [account]);
+
+    return result.rows;
+  }
+
+  /**
+   * Прив'язка закладу до spot Poster (null - усі spot акаунта)
+   * @throws {Error} code 23505, якщо spot уже прив'язаний до іншого закладу
+   */
+  async setSpot(locationId, spotId) {
+    const result = await db.query(`
+      UPDATE locations
+      SET poster_spot_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, name, poster_account, poster_spot_id
+    `, [locationId, spotId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Новий заклад для іншого spot того самого акаунта.
+   * Шифротекст токена копіюється: AAD залежить лише від акаунта
+   * @throws {Error} code 23505, якщо spot уже прив'язаний до іншого закладу
+   */
+  async createForSpot(sourceLocationId, { spotId, name }) {
+    const result = await db.query(`
+      INSERT INTO locations (name, poster_account, poster_spot_id, poster_access_token, poster_token_key_version)
+      SELECT $2, poster_account, $3, poster_access_token, poster_token_key_version
+      FROM locations
+      WHERE id = $1
+      RETURNING id, name, poster_account, poster_spot_id
+    `, [sourceLocationId, name, spotId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Створення закладу після OAuth з шифруванням токена.
+   * Якщо акаунт уже підключений, токен оновлюється в усіх його закладах (spot)
+   * @returns {Object} { id, name } - перший заклад акаунта
+   */
+  async upsertConnected({ name, account, accessToken }) {
+    const { ciphertext, keyVersion } = cryptoService.encrypt(accessToken, this.tokenAad(account));
+
+    const updated = await db.query(`
+      UPDATE locations
+      SET poster_access_token = $2, poster_token_key_version = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE poster_account = $1
+      RETURNING id, name, poster_spot_id
+    `, [account, ciphertext, keyVersion]);
+
+    if (updated.rows.length > 0) {
+      const [primary] = updated.rows.sort((a, b) =>
+        (a.poster_spot_id === null ? -1 : 0) - (b.poster_spot_id === null ? -1 : 0) || a.id - b.id
+      );
+
+      // Ім'я оновлюється лише для закладу без spot (як і раніше - один заклад на акаунт)
+      if (name && primary.poster_spot_id === null) {
+        await db.query('UPDATE locations SET name = $2 WHERE id = $1', [primary.id, name]);
+        primary.name = name;
+      }
+
+      return { id: primary.id, name: primary.name };
+    }
+
+    const result = await db.query(`
+      INSERT INTO locations (name, poster_account, poster_access_token, poster_token_key_version)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name
+    `, [name || account, account, ciphertext, keyVersion]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Перешифрування всіх токенів поточним ключем
+   * (включно з токенами, що ще зберігаються відкритим текстом)
+   * @returns {{ total: number, reencrypted: number }}
+   */
+  async reencryptAllTokens() {
+    const targetVersion = cryptoService.getCurrentKeyVersion();
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        SELECT id, poster_account, poster_access_token, poster_token_key_version
+        FROM locations
+        WHERE poster_access_token IS NOT NULL
+        FOR UPDATE
+      `);
+
+      let reencrypted = 0;
+
+      for (const row of result.rows) {
+        if (row.poster_token_key_version === targetVersion) continue;
+
+        const accessToken = this.decryptToken(row);
+        const { ciphertext, keyVersion } = cryptoService.encrypt(accessToken, this.tokenAad(row.poster_account));
+
+        await client.query(`
+          UPDATE locations
+          SET poster_access_token = $1, poster_token_key_version = $2
+          WHERE id = $3
+        `, [ciphertext, keyVersion, row.id]);
+
+        reencrypted++;
+      }
+
+      await client.query('COMMIT');
+
+      return { total: result.rows.length, reencrypted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Розшифрування токена з рядка locations
+   */
+  decryptToken(row) {
+    if (!row.poster_access_token) return null;
+
+    // Старі записи до міграції 004 - відкритий текст
+    if (row.poster_token_key_version === null || row.poster_token_key_version === undefined) {
+      console.warn(`Location ${row.id} has an unencrypted Poster token. Run "npm run reencrypt-tokens".`);
+      return row.poster_access_token;
+    }
+
+    return cryptoService.decrypt(row.poster_access_token, this.tokenAad(row.poster_account));
+  }
+}
+
+module.exports = new LocationRepository();
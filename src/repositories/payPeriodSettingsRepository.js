@@ -0,0 +1,48 @@
+// backend/src/repositories/payPeriodSettingsRepository.js
+// Шаблони періодів виплат по закладах
+
+const db = require('../config/database');
+
+class PayPeriodSettingsRepository {
+  /**
+   * Налаштування закладу
+   * @returns {Object|null} { template, advanceDay, weekStart }
+   */
+  async findByLocation(locationId) {
+    const result = await db.query(
+      'SELECT * FROM pay_period_settings WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toSettings(result.rows[0]) : null;
+  }
+
+  /**
+   * Створення або оновлення налаштувань закладу
+   */
+  async upsert(locationId, settings, userId = null) {
+    const result = await db.query(`
+      INSERT INTO pay_period_settings (location_id, template, advance_day, week_start, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        template = EXCLUDED.template,
+        advance_day = EXCLUDED.advance_day,
+        week_start = EXCLUDED.week_start
+      RETURNING *
+    `, [locationId, settings.template, settings.advanceDay, settings.weekStart, userId]);
+
+    return this.toSettings(result.rows[0]);
+  }
+
+  toSettings(row) {
+    return {
+      template: row.template,
+      advanceDay: row.advance_day,
+      weekStart: row.week_start,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new PayPeriodSettingsRepository();
@@ -0,0 +1,113 @@
+// backend/src/repositories/payRuleRepository.js
+// Правила оплати по закладу, посадах та співробітниках
+
+const db = require('../config/database');
+
+class PayRuleRepository {
+  /**
+   * Всі правила закладу у форматі для salaryService
+   */
+  async findByLocation(locationId) {
+    const result = await db.query(`
+      SELECT *
+      FROM pay_rules
+      WHERE location_id = $1
+      ORDER BY
+        CASE scope WHEN 'location' THEN 0 WHEN 'position' THEN 1 ELSE 2 END,
+        position,
+        poster_employee_id
+    `, [locationId]);
+
+    return result.rows.map(row => this.toRule(row));
+  }
+
+  /**
+   * Правило рівня закладу (профіль за замовчуванням)
+   */
+  async findLocationDefault(locationId) {
+    const result = await db.query(
+      "SELECT * FROM pay_rules WHERE location_id = $1 AND scope = 'location'",
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Створення або оновлення правила для цілі (заклад / посада / співробітник)
+   */
+  async upsert(locationId, rule, userId = null) {
+    const result = await db.query(`
+      INSERT INTO pay_rules (
+        location_id,
+        scope,
+        position,
+        poster_employee_id,
+        shift_rate,
+        revenue_percent,
+        hourly_rate,
+        fixed_salary,
+        inventory_liability,
+        created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (location_id, scope, (COALESCE(position, '')), (COALESCE(poster_employee_id, 0)))
+      DO UPDATE SET
+        shift_rate = EXCLUDED.shift_rate,
+        revenue_percent = EXCLUDED.revenue_percent,
+        hourly_rate = EXCLUDED.hourly_rate,
+        fixed_salary = EXCLUDED.fixed_salary,
+        inventory_liability = EXCLUDED.inventory_liability
+      RETURNING *
+    `, [
+      locationId,
+      rule.scope,
+      rule.scope === 'position' ? rule.position : null,
+      rule.scope === 'employee' ? rule.posterEmployeeId : null,
+      rule.shiftRate ?? null,
+      rule.revenuePercent ?? null,
+      rule.hourlyRate ?? null,
+      rule.fixedSalary ?? null,
+      rule.inventoryLiability ?? null,
+      userId
+    ]);
+
+    return this.toRule(result.rows[0]);
+  }
+
+  /**
+   * Видалення правила
+   * @returns {Object|null} Видалене правило
+   */
+  async delete(locationId, ruleId) {
+    const result = await db.query(
+      'DELETE FROM pay_rules WHERE id = $1 AND location_id = $2 RETURNING *',
+      [ruleId, locationId]
+    );
+
+    return result.rows.length > 0 ? this.toRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Перетворення рядка БД у правило
+   */
+  toRule(row) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      scope: row.scope,
+      position: row.position,
+      posterEmployeeId: row.poster_employee_id,
+      shiftRate: toNumber(row.shift_rate),
+      revenuePercent: toNumber(row.revenue_percent),
+      hourlyRate: toNumber(row.hourly_rate),
+      fixedSalary: toNumber(row.fixed_salary),
+      inventoryLiability: row.inventory_liability,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new PayRuleRepository();
@@ -0,0 +1,228 @@
+// backend/src/repositories/payrollScheduleRepository.js
+// Розклад автоматичного розрахунку зарплати та журнал планових запусків
+
+const db = require('../config/database');
+
+// Через скільки хвилин "завислий" запуск (running) виконується повторно
+const STALE_RUN_MINUTES = 30;
+
+class PayrollScheduleRepository {
+  /**
+   * Розклад закладу
+   * @returns {Object|null}
+   */
+  async findByLocation(locationId) {
+    const result = await db.query(
+      'SELECT * FROM payroll_schedules WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toSchedule(result.rows[0]) : null;
+  }
+
+  /**
+   * Увімкнені розклади всіх закладів
+   */
+  async findEnabled() {
+    const result = await db.query(
+      'SELECT * FROM payroll_schedules WHERE is_enabled = TRUE ORDER BY location_id'
+    );
+
+    return result.rows.map(row => this.toSchedule(row));
+  }
+
+  /**
+   * Створення або оновлення розкладу закладу
+   */
+  async upsert(locationId, schedule, userId = null) {
+    const result = await db.query(`
+      INSERT INTO payroll_schedules (
+        location_id,
+        is_enabled,
+        run_day,
+        run_hour,
+        source,
+        shift_rate,
+        revenue_percent,
+        wait_for_inventory,
+        inventory_wait_days,
+        notify_managers,
+        created_by,
+        updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        is_enabled = EXCLUDED.is_enabled,
+        run_day = EXCLUDED.run_day,
+        run_hour = EXCLUDED.run_hour,
+        source = EXCLUDED.source,
+        shift_rate = EXCLUDED.shift_rate,
+        revenue_percent = EXCLUDED.revenue_percent,
+        wait_for_inventory = EXCLUDED.wait_for_inventory,
+        inventory_wait_days = EXCLUDED.inventory_wait_days,
+        notify_managers = EXCLUDED.notify_managers,
+        updated_by = EXCLUDED.updated_by
+      RETURNING *
+    `, [
+      locationId,
+      schedule.isEnabled,
+      schedule.runDay,
+      schedule.runHour,
+      schedule.source,
+      schedule.shiftRate,
+      schedule.revenuePercent,
+      schedule.waitForInventory,
+      schedule.inventoryWaitDays,
+      schedule.notifyManagers,
+      userId
+    ]);
+
+    return this.toSchedule(result.rows[0]);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  async delete(locationId) {
+    const result = await db.query(
+      'DELETE FROM payroll_schedules WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Створення запуску за місяць (повторний виклик нічого не змінює)
+   * @returns {Object|null} Новий запуск або null, якщо він уже існує
+   */
+  async createRun(locationId, month, year) {
+    const result = await db.query(`
+      INSERT INTO payroll_runs (location_id, period_month, period_year)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (location_id, period_year, period_month) DO NOTHING
+      RETURNING *
+    `, [locationId, month, year]);
+
+    return result.rows.length > 0 ? this.toRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Вибір запусків, час яких настав, з позначкою running
+   * (SKIP LOCKED - кілька інстансів сервера не виконують той самий запуск)
+   * @param {number} limit
+   */
+  async claimDueRuns(limit) {
+    const result = await db.query(`
+      WITH due AS (
+        SELECT id, status FROM payroll_runs
+        WHERE (status IN ('pending', 'waiting_inventory') AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'running' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_RUN_MINUTES} minutes')
+        ORDER BY id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE payroll_runs pr
+      SET
+        status = 'running',
+        started_at = COALESCE(pr.started_at, CURRENT_TIMESTAMP),
+        next_attempt_at = NULL
+      FROM due
+      WHERE pr.id = due.id
+      RETURNING pr.*, due.status as previous_status
+    `, [limit]);
+
+    return result.rows.map(row => this.toRun(row));
+  }
+
+  /**
+   * Оновлення стану запуску
+   * @param {Object} fields - { status, reportId, lastError, nextAttemptAt, completed, notified, failed }
+   */
+  async updateRun(runId, fields) {
+    const result = await db.query(`
+      UPDATE payroll_runs
+      SET
+        status = $2,
+        attempts = CASE WHEN $8 THEN attempts + 1 ELSE attempts END,
+        report_id = COALESCE($3, report_id),
+        last_error = $4,
+        next_attempt_at = $5,
+        completed_at = CASE WHEN $6 THEN CURRENT_TIMESTAMP ELSE completed_at END,
+        notified_at = CASE WHEN $7 THEN CURRENT_TIMESTAMP ELSE notified_at END
+      WHERE id = $1
+      RETURNING *
+    `, [
+      runId,
+      fields.status,
+      fields.reportId || null,
+      fields.lastError || null,
+      fields.nextAttemptAt || null,
+      Boolean(fields.completed),
+      Boolean(fields.notified),
+      Boolean(fields.failed)
+    ]);
+
+    return result.rows.length > 0 ? this.toRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Запуски закладу, новіші першими
+   */
+  async findRuns(locationId, { limit = 12 } = {}) {
+    const result = await db.query(`
+      SELECT pr.*, sr.version as report_version, sr.status as report_status
+      FROM payroll_runs pr
+      LEFT JOIN salary_reports sr ON sr.id = pr.report_id
+      WHERE pr.location_id = $1
+      ORDER BY pr.period_year DESC, pr.period_month DESC
+      LIMIT $2
+    `, [locationId, limit]);
+
+    return result.rows.map(row => this.toRun(row));
+  }
+
+  toSchedule(row) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      isEnabled: row.is_enabled,
+      runDay: row.run_day,
+      runHour: row.run_hour,
+      source: row.source,
+      shiftRate: toNumber(row.shift_rate),
+      revenuePercent: toNumber(row.revenue_percent),
+      waitForInventory: row.wait_for_inventory,
+      inventoryWaitDays: row.inventory_wait_days,
+      notifyManagers: row.notify_managers,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+
+  toRun(row) {
+    return {
+      id: row.id,
+      locationId: row.location_id,
+      month: row.period_month,
+      year: row.period_year,
+      status: row.status,
+      previousStatus: row.previous_status || null,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      nextAttemptAt: row.next_attempt_at,
+      reportId: row.report_id,
+      reportVersion: row.report_version || null,
+      reportStatus: row.report_status || null,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      notifiedAt: row.notified_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new PayrollScheduleRepository();
@@ -0,0 +1,118 @@
+// backend/src/repositories/payslipDeliveryRepository.js
+// Черга надсилання розрахункових листів співробітникам у Telegram
+
+const db = require('../config/database');
+
+// Через скільки хвилин "зависле" надсилання (sending) вважається невдалим
+const STALE_SENDING_MINUTES = 10;
+
+class PayslipDeliveryRepository {
+  /**
+   * Постановка в чергу листів звіту для співробітників з прив'язаним Telegram.
+   * Вже створені доставки не дублюються
+   * @returns {number} Кількість нових доставок
+   */
+  async queueForReport(reportId) {
+    const result = await db.query(`
+      INSERT INTO payslip_deliveries (report_id, employee_id, telegram_id)
+      SELECT srl.report_id, e.id, e.telegram_id
+      FROM salary_report_lines srl
+      JOIN employees e ON e.id = srl.employee_id
+      WHERE srl.report_id = $1 AND e.telegram_id IS NOT NULL
+      ON CONFLICT (report_id, employee_id) DO NOTHING
+    `, [reportId]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Вибір доставок, час яких настав, з позначкою sending
+   * (SKIP LOCKED - паралельні обробники не беруть ті самі записи)
+   * @param {number} limit
+   */
+  async claimDue(limit) {
+    const result = await db.query(`
+      UPDATE payslip_deliveries
+      SET status = 'sending', attempts = attempts + 1, next_attempt_at = NULL
+      WHERE id IN (
+        SELECT id FROM payslip_deliveries
+        WHERE (status IN ('pending', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+        ORDER BY id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit]);
+
+    return result.rows.map(row => this.toDelivery(row));
+  }
+
+  async markSent(deliveryId) {
+    await db.query(`
+      UPDATE payslip_deliveries
+      SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL, next_attempt_at = NULL
+      WHERE id = $1
+    `, [deliveryId]);
+  }
+
+  /**
+   * @param {Date|null} nextAttemptAt - null: більше не повторювати
+   */
+  async markFailed(deliveryId, error, nextAttemptAt) {
+    await db.query(`
+      UPDATE payslip_deliveries
+      SET status = 'failed', last_error = $2, next_attempt_at = $3
+      WHERE id = $1
+    `, [deliveryId, error, nextAttemptAt]);
+  }
+
+  /**
+   * Статуси доставки листів звіту
+   */
+  async findByReport(reportId) {
+    const result = await db.query(`
+      SELECT pd.*, e.poster_id, e.name as employee_name
+      FROM payslip_deliveries pd
+      JOIN employees e ON e.id = pd.employee_id
+      WHERE pd.report_id = $1
+      ORDER BY e.name
+    `, [reportId]);
+
+    return result.rows.map(row => this.toDelivery(row));
+  }
+
+  /**
+   * Повторне надсилання невдалих доставок звіту (лічильник спроб скидається)
+   * @returns {number} Кількість доставок у черзі
+   */
+  async requeueFailed(reportId) {
+    const result = await db.query(`
+      UPDATE payslip_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE report_id = $1 AND status = 'failed'
+    `, [reportId]);
+
+    return result.rowCount;
+  }
+
+  toDelivery(row) {
+    return {
+      id: row.id,
+      reportId: row.report_id,
+      employeeId: row.employee_id,
+      posterEmployeeId: row.poster_id || null,
+      employeeName: row.employee_name || null,
+      telegramId: String(row.telegram_id),
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      nextAttemptAt: row.next_attempt_at,
+      sentAt: row.sent_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new PayslipDeliveryRepository();
@@ -0,0 +1,68 @@
+// backend/src/repositories/posterCacheRepository.js
+// Кеш відповідей Poster API за завершені періоди
+
+const crypto = require('crypto');
+const db = require('../config/database');
+
+class PosterCacheRepository {
+  /**
+   * Хеш параметрів запиту (незалежний від порядку ключів)
+   */
+  hashParams(params = {}) {
+    const sorted = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => ({ ...acc, [key]: params[key] }), {});
+
+    return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+  }
+
+  /**
+   * Отримання збереженої відповіді
+   * @returns {*|null} Відповідь або null, якщо в кеші немає
+   */
+  async get(account, endpoint, params) {
+    try {
+      const result = await db.query(`
+        SELECT response FROM poster_api_cache
+        WHERE poster_account = $1 AND endpoint = $2 AND params_hash = $3
+      `, [account, endpoint, this.hashParams(params)]);
+
+      return result.rows.length > 0 ? result.rows[0].response : null;
+    } catch (error) {
+      // Недоступний кеш не повинен ламати розрахунок
+      console.error('Poster cache read error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Збереження відповіді
+   */
+  async set(account, endpoint, params, response) {
+    try {
+      await db.query(`
+        INSERT INTO poster_api_cache (poster_account, endpoint, params_hash, params, response)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (poster_account, endpoint, params_hash)
+        DO UPDATE SET response = EXCLUDED.response, created_at = CURRENT_TIMESTAMP
+      `, [account, endpoint, this.hashParams(params), JSON.stringify(params), JSON.stringify(response)]);
+    } catch (error) {
+      console.error('Poster cache write error:', error.message);
+    }
+  }
+
+  /**
+   * Очищення кешу акаунта (напр. після виправлень даних у Poster)
+   * @returns {number} Кількість видалених записів
+   */
+  async clear(account) {
+    const result = await db.query(
+      'DELETE FROM poster_api_cache WHERE poster_account = $1',
+      [account]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = new PosterCacheRepository();
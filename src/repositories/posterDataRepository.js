@@ -0,0 +1,352 @@
+// backend/src/repositories/posterDataRepository.js
+// Локальна копія даних Poster (див. posterSyncService)
+
+const db = require('../config/database');
+
+class PosterDataRepository {
+  /**
+   * Синхронізація списку співробітників закладу.
+   * Співробітники, яких більше немає в Poster, стають неактивними;
+   * деактивовані вручну не активуються знову
+   * @param {Object[]} employees - Співробітники з access.getEmployees
+   * @returns {number} Кількість активних співробітників
+   */
+  async syncEmployees(locationId, employees) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const posterIds = [];
+
+      for (const employee of employees) {
+        const posterId = parseInt(employee.user_id || employee.id);
+        if (!posterId) continue;
+
+        posterIds.push(posterId);
+
+        await client.query(`
+          INSERT INTO employees (poster_id, location_id, name, position, is_active, synced_at)
+          VALUES ($1, $2, $3, $4, true, CURRENT_TIMESTAMP)
+          ON CONFLICT (poster_id, location_id)
+          DO UPDATE SET
+            name = EXCLUDED.name,
+            -- Посада, вказана вручну, не перезаписується
+            position = CASE WHEN employees.position_manual THEN employees.position ELSE EXCLUDED.position END,
+            is_active = NOT employees.deactivated_manually,
+            synced_at = CURRENT_TIMESTAMP
+        `, [
+          posterId,
+          locationId,
+          employee.name || employee.user_name || 'Невідомий',
+          employee.role_name || employee.position || null
+        ]);
+      }
+
+      await client.query(`
+        UPDATE employees
+        SET is_active = false, synced_at = CURRENT_TIMESTAMP
+        WHERE location_id = $1 AND is_active = true AND NOT (poster_id = ANY($2::int[]))
+      `, [locationId, posterIds]);
+
+      await client.query('COMMIT');
+
+      return posterIds.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Заміна даних закладу за період [from, to) на свіжі з Poster.
+   * Видалені в Poster чеки (повернення, виправлення) зникають і локально
+   * @param {Date} from - Початок періоду (включно)
+   * @param {Date} to - Кінець періоду (не включно)
+   * @param {Object} data - { transactions, timesheets, cashShifts, revisions }
+   */
+  async replacePeriod(locationId, from, to, data) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM poster_transactions WHERE location_id = $1 AND closed_at >= $2 AND closed_at < $3',
+        [locationId, from, to]
+      );
+
+      const transactions = data.transactions.filter(t => t.transactionId && t.closedAt);
+
+      if (transactions.length > 0) {
+        await client.query(`
+          INSERT INTO poster_transactions (
+            location_id, transaction_id, employee_poster_id, closed_at, total, spot_id, raw
+          )
+          SELECT $1, * FROM unnest($2::bigint[], $3::int[], $4::timestamp[], $5::numeric[], $6::int[], $7::jsonb[])
+          ON CONFLICT (location_id, transaction_id)
+          DO UPDATE SET
+            employee_poster_id = EXCLUDED.employee_poster_id,
+            closed_at = EXCLUDED.closed_at,
+            total = EXCLUDED.total,
+            spot_id = EXCLUDED.spot_id,
+            raw = EXCLUDED.raw,
+            synced_at = CURRENT_TIMESTAMP
+        `, [
+          locationId,
+          transactions.map(t => t.transactionId),
+          transactions.map(t => t.employeePosterId),
+          transactions.map(t => t.closedAt),
+          transactions.map(t => t.total),
+          transactions.map(t => t.spotId),
+          transactions.map(t => JSON.stringify(t.raw))
+        ]);
+      }
+
+      await client.query(
+        'DELETE FROM poster_work_shifts WHERE location_id = $1 AND started_at >= $2 AND started_at < $3',
+        [locationId, from, to]
+      );
+
+      const shifts = [
+        ...data.timesheets.map(entry => ({ ...entry, source: 'timesheet', userIds: [entry.userId] })),
+        ...data.cashShifts.map(shift => ({ ...shift, source: 'cash_shift' }))
+      ].filter(shift => shift.id && shift.start);
+
+      for (const shift of shifts) {
+        await client.query(`
+          INSERT INTO poster_work_shifts (
+            location_id, source, poster_shift_id, employee_poster_ids, started_at, ended_at, spot_id
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (location_id, source, poster_shift_id)
+          DO UPDATE SET
+            employee_poster_ids = EXCLUDED.employee_poster_ids,
+            started_at = EXCLUDED.started_at,
+            ended_at = EXCLUDED.ended_at,
+            spot_id = EXCLUDED.spot_id,
+            synced_at = CURRENT_TIMESTAMP
+        `, [
+          locationId,
+          shift.source,
+          shift.id,
+          shift.userIds.filter(Boolean),
+          shift.start,
+          shift.end,
+          shift.spotId
+        ]);
+      }
+
+      await client.query(
+        'DELETE FROM poster_inventory_revisions WHERE location_id = $1 AND revision_date >= $2 AND revision_date < $3',
+        [locationId, from, to]
+      );
+
+      const revisions = data.revisions.filter(r => r.revisionId && r.date);
+
+      for (const revision of revisions) {
+        await client.query(`
+          INSERT INTO poster_inventory_revisions (location_id, revision_id, revision_date, difference, raw)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (location_id, revision_id)
+          DO UPDATE SET
+            revision_date = EXCLUDED.revision_date,
+            difference = EXCLUDED.difference,
+            raw = EXCLUDED.raw,
+            synced_at = CURRENT_TIMESTAMP
+        `, [locationId, revision.revisionId, revision.date, revision.difference, JSON.stringify(revision.raw)]);
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        transactions: transactions.length,
+        shifts: shifts.length,
+        revisions: revisions.length
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Видалення локальної копії закладу (напр. після зміни spot) -
+   * наступна синхронізація почнеться спочатку
+   */
+  async clearLocation(locationId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM poster_transactions WHERE location_id = $1', [locationId]);
+      await client.query('DELETE FROM poster_work_shifts WHERE location_id = $1', [locationId]);
+      await client.query('DELETE FROM poster_inventory_revisions WHERE location_id = $1', [locationId]);
+      await client.query('DELETE FROM poster_sync_state WHERE location_id = $1', [locationId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Співробітники закладу у форматі access.getEmployees
+   */
+  async getEmployees(locationId, { activeOnly = true } = {}) {
+    const result = await db.query(`
+      SELECT poster_id, name, position, is_active
+      FROM employees
+      WHERE location_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+      ORDER BY name
+    `, [locationId]);
+
+    return result.rows.map(row => ({
+      user_id: row.poster_id,
+      name: row.name,
+      role_name: row.position,
+      is_active: row.is_active
+    }));
+  }
+
+  /**
+   * Чеки за період [from, to) у форматі dash.getTransactions
+   */
+  async getTransactions(locationId, from, to) {
+    const result = await db.query(`
+      SELECT transaction_id, employee_poster_id, closed_at, total, spot_id
+      FROM poster_transactions
+      WHERE location_id = $1 AND closed_at >= $2 AND closed_at < $3
+      ORDER BY closed_at
+    `, [locationId, from, to]);
+
+    return result.rows.map(row => ({
+      transaction_id: row.transaction_id,
+      user_id: row.employee_poster_id,
+      // Мілісекунди - posterService.parseDate приймає числові дати
+      date_close: row.closed_at.getTime(),
+      total: row.total,
+      spot_id: row.spot_id
+    }));
+  }
+
+  /**
+   * Зміни за період [from, to) у форматі posterService.getTimesheets / getCashShifts
+   * @param {string} source - timesheet | cash_shift
+   */
+  async getWorkShifts(locationId, source, from, to) {
+    const result = await db.query(`
+      SELECT poster_shift_id, employee_poster_ids, started_at, ended_at, spot_id
+      FROM poster_work_shifts
+      WHERE location_id = $1 AND source = $2 AND started_at >= $3 AND started_at < $4
+      ORDER BY started_at
+    `, [locationId, source, from, to]);
+
+    return result.rows.map(row => ({
+      id: row.poster_shift_id,
+      userId: row.employee_poster_ids[0] || null,
+      userIds: row.employee_poster_ids,
+      start: row.started_at,
+      end: row.ended_at,
+      spotId: row.spot_id
+    }));
+  }
+
+  /**
+   * Інвентаризації за період [from, to)
+   */
+  async getRevisions(locationId, from, to) {
+    const result = await db.query(`
+      SELECT revision_id, revision_date, difference, raw
+      FROM poster_inventory_revisions
+      WHERE location_id = $1 AND revision_date >= $2 AND revision_date < $3
+      ORDER BY revision_date
+    `, [locationId, from, to]);
+
+    return result.rows.map(row => ({
+      ...(row.raw || {}),
+      revision_id: row.revision_id,
+      date: row.revision_date,
+      difference: row.difference
+    }));
+  }
+
+  /**
+   * Стан синхронізації закладу
+   * @returns {Object|null}
+   */
+  async getSyncState(locationId) {
+    const result = await db.query(
+      'SELECT * FROM poster_sync_state WHERE location_id = $1',
+      [locationId]
+    );
+
+    return result.rows.length > 0 ? this.toSyncState(result.rows[0]) : null;
+  }
+
+  /**
+   * Позначка початку синхронізації.
+   * @returns {boolean} false, якщо синхронізація закладу вже виконується
+   */
+  async markSyncStarted(locationId) {
+    // Зависла синхронізація (падіння процесу) не блокує наступні довше години
+    const result = await db.query(`
+      INSERT INTO poster_sync_state (location_id, last_started_at, last_status, updated_at)
+      VALUES ($1, CURRENT_TIMESTAMP, 'running', CURRENT_TIMESTAMP)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        last_started_at = CURRENT_TIMESTAMP,
+        last_status = 'running',
+        last_error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE poster_sync_state.last_status IS DISTINCT FROM 'running'
+        OR poster_sync_state.last_started_at < CURRENT_TIMESTAMP - INTERVAL '1 hour'
+      RETURNING location_id
+    `, [locationId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Позначка завершення синхронізації
+   * @param {Object} outcome - { status, syncedFrom, syncedUntil, stats, error }
+   */
+  async markSyncFinished(locationId, { status, syncedFrom = null, syncedUntil = null, stats = null, error = null }) {
+    const result = await db.query(`
+      UPDATE poster_sync_state
+      SET
+        last_status = $2,
+        last_finished_at = CURRENT_TIMESTAMP,
+        last_error = $3,
+        last_stats = $4,
+        synced_from = LEAST(COALESCE(synced_from, $5::date), COALESCE($5::date, synced_from)),
+        synced_until = GREATEST(COALESCE(synced_until, $6::date), COALESCE($6::date, synced_until)),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE location_id = $1
+      RETURNING *
+    `, [locationId, status, error, stats ? JSON.stringify(stats) : null, syncedFrom, syncedUntil]);
+
+    return result.rows.length > 0 ? this.toSyncState(result.rows[0]) : null;
+  }
+
+  toSyncState(row) {
+    return {
+      locationId: row.location_id,
+      syncedFrom: row.synced_from,
+      syncedUntil: row.synced_until,
+      lastStartedAt: row.last_started_at,
+      lastFinishedAt: row.last_finished_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      lastStats: row.last_stats
+    };
+  }
+}
+
+module.exports = new PosterDataRepository();
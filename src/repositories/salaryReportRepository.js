@@ -0,0 +1,613 @@
+// backend/src/repositories/salaryReportRepository.js
+// Збереження та читання розрахунків зарплати (заголовок + рядки)
+
+const db = require('../config/database');
+const adjustmentRepository = require('./adjustmentRepository');
+
+class SalaryReportRepository {
+  /**
+   * Збереження результату розрахунку як нової версії за період
+   * @param {number} locationId - ID закладу
+   * @param {Object} salaryData - Результат salaryService.calculateSalaries
+   * @param {number} [userId] - Хто запустив розрахунок
+   * @param {Object} [options] - { payrollRunId - плановий запуск, яким створено звіт }
+   * @returns {Object} { id, version, status }
+   */
+  async create(locationId, salaryData, userId = null, { payrollRunId = null } = {}) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { period, parameters, inventory, summary } = salaryData;
+
+      // Блокування на рівні закладу+періоду, щоб паралельні розрахунки
+      // не отримали однаковий номер версії
+      await client.query(
+        'SELECT pg_advisory_xact_lock($1, hashtext($2))',
+        [parseInt(locationId), `${period.dateFrom}:${period.dateTo}`]
+      );
+
+      const versionResult = await client.query(`
+        SELECT COALESCE(MAX(version), 0) + 1 as next_version
+        FROM salary_reports
+        WHERE location_id = $1 AND period_start = $2 AND period_end = $3
+      `, [locationId, period.dateFrom, period.dateTo]);
+
+      const version = versionResult.rows[0].next_version;
+
+      // Зберігаємо інформацію про інвентаризацію (лише для періоду, що закриває місяць)
+      if (inventory.month) {
+        await client.query(`
+          INSERT INTO inventory_results (location_id, month, year, loss_amount, revisions_count)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT DO NOTHING
+        `, [
+          locationId,
+          inventory.month,
+          inventory.year,
+          inventory.totalLoss,
+          inventory.revisionsCount
+        ]);
+      }
+
+      // Заголовок звіту
+      const reportResult = await client.query(`
+        INSERT INTO salary_reports (
+          location_id,
+          period_month,
+          period_year,
+          period_start,
+          period_end,
+          period_type,
+          period_kind,
+          version,
+          shift_rate,
+          revenue_percent,
+          parameters,
+          inventory_month,
+          inventory_year,
+          inventory_loss,
+          inventory_revisions_count,
+          inventory_strategy,
+          inventory_cap_percent,
+          inventory_carryover_in,
+          inventory_carryover_out,
+          advance_deduction,
+          created_by,
+          payroll_run_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+        RETURNING id, version, status
+      `, [
+        locationId,
+        period.month,
+        period.year,
+        period.dateFrom,
+        period.dateTo,
+        period.type || 'monthly',
+        period.kind || 'regular',
+        version,
+        parameters.shiftRate,
+        parameters.revenuePercent,
+        JSON.stringify(parameters),
+        inventory.month,
+        inventory.year,
+        inventory.totalLoss,
+        inventory.revisionsCount,
+        inventory.strategy || 'revenue',
+        inventory.capPercent ?? null,
+        inventory.carryoverIn || 0,
+        inventory.carryoverOut || 0,
+        summary ? summary.totalAdvanceDeduction || 0 : 0,
+        userId,
+        payrollRunId
+      ]);
+
+      const report = reportResult.rows[0];
+
+      // Рядки по кожному співробітнику
+      for (const emp of salaryData.employees) {
+        const dbEmployeeId = await this.ensureEmployee(client, locationId, emp);
+
+        const lineResult = await client.query(`
+          INSERT INTO salary_report_lines (
+            report_id,
+            employee_id,
+            shifts_count,
+            hours_worked,
+            shift_source,
+            shift_rate,
+            revenue,
+            revenue_percent,
+            fixed_salary,
+            base_salary,
+            revenue_bonus,
+            target_bonus,
+            inventory_share,
+            inventory_loss,
+            advance_deduction,
+            adjustment_bonus,
+            adjustment_fine,
+            adjustment_advance,
+            adjustment_correction,
+            adjustments,
+            total_salary,
+            pay_rule,
+            bonus_details
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+          RETURNING id
+        `, [
+          report.id,
+          dbEmployeeId,
+          emp.shiftsCount,
+          emp.hoursWorked || 0,
+          emp.shiftSource || null,
+          emp.payRule ? emp.payRule.shiftRate : parameters.shiftRate,
+          emp.revenue,
+          emp.payRule ? emp.payRule.revenuePercent : parameters.revenuePercent,
+          emp.payRule ? emp.payRule.fixedSalary : null,
+          emp.baseSalary,
+          emp.revenueBonus,
+          emp.targetBonus || 0,
+          emp.inventoryShare || 0,
+          emp.inventoryDeduction,
+          emp.advanceDeduction || 0,
+          emp.adjustmentBonus || 0,
+          emp.adjustmentFine || 0,
+          emp.adjustmentAdvance || 0,
+          emp.adjustmentCorrection || 0,
+          emp.adjustments && emp.adjustments.length > 0 ? JSON.stringify(emp.adjustments) : null,
+          emp.totalSalary,
+          emp.payRule ? JSON.stringify(emp.payRule) : null,
+          emp.bonusDetails ? JSON.stringify(emp.bonusDetails) : null
+        ]);
+
+        // Зміни співробітника із зазначенням джерела
+        for (const shift of emp.shifts || []) {
+          await client.query(`
+            INSERT INTO salary_report_shifts (line_id, started_at, ended_at, hours, source)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [lineResult.rows[0].id, shift.start, shift.end, shift.hours, shift.source]);
+        }
+      }
+
+      await client.query('COMMIT');
+
+      return report;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Пошук або створення співробітника за poster_id в межах транзакції
+   * @returns {number} ID співробітника в БД
+   */
+  async ensureEmployee(client, locationId, emp) {
+    const employeeResult = await client.query(
+      'SELECT id FROM employees WHERE poster_id = $1 AND location_id = $2',
+      [emp.employeeId, locationId]
+    );
+
+    if (employeeResult.rows.length > 0) {
+      // Посада з Poster заповнюється, якщо ще не вказана вручну
+      if (emp.position) {
+        await client.query(
+          'UPDATE employees SET position = $1 WHERE id = $2 AND position IS NULL',
+          [emp.position, employeeResult.rows[0].id]
+        );
+      }
+
+      return employeeResult.rows[0].id;
+    }
+
+    // Створюємо нового співробітника
+    const newEmp = await client.query(`
+      INSERT INTO employees (poster_id, location_id, name, position)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [emp.employeeId, locationId, emp.employeeName, emp.position || null]);
+
+    return newEmp.rows[0].id;
+  }
+
+  /**
+   * Заголовок звіту з підсумками
+   */
+  async findById(reportId) {
+    const result = await db.query(`
+      SELECT 
+        sr.*,
+        -- Дати періоду рядком, без зсуву часового поясу
+        to_char(sr.period_start, 'YYYY-MM-DD') as period_start,
+        to_char(sr.period_end, 'YYYY-MM-DD') as period_end,
+        to_char(sr.paid_date, 'YYYY-MM-DD') as paid_date,
+        l.name as location_name,
+        COUNT(srl.id) as employees_count,
+        COALESCE(SUM(srl.revenue), 0) as total_revenue,
+        COALESCE(SUM(srl.total_salary), 0) as total_salary
+      FROM salary_reports sr
+      JOIN locations l ON sr.location_id = l.id
+      LEFT JOIN salary_report_lines srl ON srl.report_id = sr.id
+      WHERE sr.id = $1
+      GROUP BY sr.id, l.name
+    `, [reportId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Пошук версії звіту за період
+   * @param {string} periodStart - YYYY-MM-DD
+   * @param {string} periodEnd - YYYY-MM-DD
+   * @param {number|string} version - Номер версії або 'final' (затверджена чи виплачена)
+   */
+  async findByPeriod(locationId, periodStart, periodEnd, version) {
+    const values = [locationId, periodStart, periodEnd];
+    let versionCondition = "status IN ('approved', 'paid')";
+
+    if (version !== 'final') {
+      values.push(parseInt(version));
+      versionCondition = 'version = $4';
+    }
+
+    const result = await db.query(`
+      SELECT id FROM salary_reports
+      WHERE location_id = $1 AND period_start = $2 AND period_end = $3 AND ${versionCondition}
+    `, values);
+
+    return result.rows.length > 0 ? this.findById(result.rows[0].id) : null;
+  }
+
+  /**
+   * Рядки звіту по співробітниках
+   */
+  async getLines(reportId) {
+    const result = await db.query(`
+      SELECT 
+        srl.*,
+        e.poster_id,
+        e.name as employee_name,
+        e.position
+      FROM salary_report_lines srl
+      JOIN employees e ON srl.employee_id = e.id
+      WHERE srl.report_id = $1
+      ORDER BY srl.total_salary DESC
+    `, [reportId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Зміни співробітників звіту (з джерелом кожної зміни)
+   */
+  async getShifts(reportId) {
+    const result = await db.query(`
+      SELECT 
+        srs.*,
+        srl.employee_id
+      FROM salary_report_shifts srs
+      JOIN salary_report_lines srl ON srs.line_id = srl.id
+      WHERE srl.report_id = $1
+      ORDER BY srl.employee_id, srs.started_at
+    `, [reportId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Історія розрахунків закладу
+   * @param {Object} options - { limit, final, version }
+   */
+  async getHistory(locationId, options = {}) {
+    const { limit = 10, final = false, version } = options;
+
+    const values = [locationId];
+    const conditions = ['sr.location_id = $1'];
+
+    if (final) {
+      conditions.push("sr.status IN ('approved', 'paid')");
+    }
+
+    if (version !== undefined) {
+      values.push(parseInt(version));
+      conditions.push(`sr.version = $${values.length}`);
+    }
+
+    values.push(limit);
+
+    const result = await db.query(`
+      SELECT 
+        sr.id,
+        sr.period_month,
+        sr.period_year,
+        to_char(sr.period_start, 'YYYY-MM-DD') as period_start,
+        to_char(sr.period_end, 'YYYY-MM-DD') as period_end,
+        sr.period_type,
+        sr.period_kind,
+        sr.version,
+        sr.status,
+        sr.shift_rate,
+        sr.revenue_percent,
+        sr.inventory_month,
+        sr.inventory_year,
+        sr.inventory_loss,
+        sr.advance_deduction,
+        sr.approved_at,
+        to_char(sr.paid_date, 'YYYY-MM-DD') as paid_date,
+        sr.payment_method,
+        COUNT(srl.id) as employees_count,
+        COALESCE(SUM(srl.total_salary), 0) as total_salary,
+        sr.created_by,
+        sr.created_at
+      FROM salary_reports sr
+      LEFT JOIN salary_report_lines srl ON srl.report_id = sr.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY sr.id
+      ORDER BY sr.period_end DESC, sr.period_start DESC, sr.version DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return result.rows;
+  }
+
+  /**
+   * Рядки співробітника в затверджених та виплачених звітах, від найновішого періоду
+   * @param {number} employeeId - employees.id
+   * @param {Object} [options] - { limit }
+   */
+  async getEmployeeLines(employeeId, options = {}) {
+    const { limit = 24 } = options;
+
+    const result = await db.query(`
+      SELECT
+        srl.*,
+        sr.id as report_id,
+        sr.period_month,
+        sr.period_year,
+        to_char(sr.period_start, 'YYYY-MM-DD') as period_start,
+        to_char(sr.period_end, 'YYYY-MM-DD') as period_end,
+        sr.period_type,
+        sr.period_kind,
+        sr.version,
+        sr.status,
+        to_char(sr.paid_date, 'YYYY-MM-DD') as paid_date
+      FROM salary_report_lines srl
+      JOIN salary_reports sr ON srl.report_id = sr.id
+      WHERE srl.employee_id = $1 AND sr.status IN ('approved', 'paid')
+      ORDER BY sr.period_end DESC, sr.period_start DESC
+      LIMIT $2
+    `, [employeeId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Зміна статусу звіту з записом у журнал.
+   * Подання версії повертає в чернетку іншу подану версію за той самий період;
+   * затвердження блокує застосовані ручні коригування, повернення в чернетку - знімає блокування
+   * @param {Object} change - { from: [статуси], to, userId, reason, payment: { paidDate, method, note } }
+   * @returns {Object} { report } | { error: 'not_found' | 'invalid_status' | 'period_locked', status }
+   */
+  async changeStatus(reportId, { from, to, userId = null, reason = null, payment = null }) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT id, location_id, period_start, period_end, status FROM salary_reports WHERE id = $1 FOR UPDATE',
+        [reportId]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'not_found' };
+      }
+
+      const { location_id, period_start, period_end, status } = current.rows[0];
+
+      if (!from.includes(status)) {
+        await client.query('ROLLBACK');
+        return { error: 'invalid_status', status };
+      }
+
+      if (to === 'submitted') {
+        // Період з затвердженою версією змінюється лише після її повернення в чернетку
+        const locked = await client.query(`
+          SELECT id FROM salary_reports
+          WHERE location_id = $1 AND period_start = $2 AND period_end = $3
+            AND status IN ('approved', 'paid') AND id <> $4
+        `, [location_id, period_start, period_end, reportId]);
+
+        if (locked.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return { error: 'period_locked', status, reportId: locked.rows[0].id };
+        }
+
+        const replaced = await client.query(`
+          UPDATE salary_reports
+          SET status = 'draft', submitted_at = NULL, submitted_by = NULL
+          WHERE location_id = $1 AND period_start = $2 AND period_end = $3
+            AND status = 'submitted' AND id <> $4
+          RETURNING id
+        `, [location_id, period_start, period_end, reportId]);
+
+        for (const row of replaced.rows) {
+          await this.addStatusHistory(client, row.id, 'submitted', 'draft', userId, `Replaced by report ${reportId}`);
+        }
+      }
+
+      const updated = await client.query(`
+        UPDATE salary_reports
+        SET
+          status = $2,
+          submitted_at = CASE WHEN $2 = 'submitted' THEN CURRENT_TIMESTAMP WHEN $2 = 'draft' THEN NULL ELSE submitted_at END,
+          submitted_by = CASE WHEN $2 = 'submitted' THEN $3 WHEN $2 = 'draft' THEN NULL ELSE submitted_by END,
+          approved_at = CASE WHEN $2 = 'approved' THEN CURRENT_TIMESTAMP WHEN $2 = 'draft' THEN NULL ELSE approved_at END,
+          approved_by = CASE WHEN $2 = 'approved' THEN $3 WHEN $2 = 'draft' THEN NULL ELSE approved_by END,
+          paid_date = CASE WHEN $2 = 'paid' THEN $4::date WHEN $2 = 'draft' THEN NULL ELSE paid_date END,
+          payment_method = CASE WHEN $2 = 'paid' THEN $5 WHEN $2 = 'draft' THEN NULL ELSE payment_method END,
+          payment_note = CASE WHEN $2 = 'paid' THEN $6 WHEN $2 = 'draft' THEN NULL ELSE payment_note END,
+          paid_by = CASE WHEN $2 = 'paid' THEN $3 WHEN $2 = 'draft' THEN NULL ELSE paid_by END
+        WHERE id = $1
+        RETURNING id, location_id, period_month, period_year, period_type, period_kind, version, status,
+          to_char(period_start, 'YYYY-MM-DD') as period_start,
+          to_char(period_end, 'YYYY-MM-DD') as period_end
+      `, [
+        reportId,
+        to,
+        userId,
+        payment ? payment.paidDate : null,
+        payment ? payment.method : null,
+        payment ? payment.note || null : null
+      ]);
+
+      if (to === 'approved') {
+        await adjustmentRepository.lockForReport(client, reportId);
+      }
+      if (to === 'draft') {
+        await adjustmentRepository.unlockForReport(client, reportId);
+      }
+
+      await this.addStatusHistory(client, reportId, status, to, userId, reason);
+
+      await client.query('COMMIT');
+
+      return { report: updated.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async addStatusHistory(client, reportId, fromStatus, toStatus, userId, reason = null) {
+    await client.query(`
+      INSERT INTO salary_report_status_history (report_id, from_status, to_status, reason, user_id)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [reportId, fromStatus, toStatus, reason, userId]);
+  }
+
+  /**
+   * Журнал змін статусу звіту
+   */
+  async getStatusHistory(reportId) {
+    const result = await db.query(`
+      SELECT h.*, u.username, u.first_name, u.last_name
+      FROM salary_report_status_history h
+      LEFT JOIN users u ON u.id = h.user_id
+      WHERE h.report_id = $1
+      ORDER BY h.created_at, h.id
+    `, [reportId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      reason: row.reason,
+      user: row.user_id
+        ? {
+          id: row.user_id,
+          name: [row.first_name, row.last_name].filter(Boolean).join(' ') || row.username || null
+        }
+        : null,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Нерозподілена нестача попереднього місяця інвентаризації, що переноситься на вказаний.
+   * Береться з затвердженої версії звіту з інвентаризацією попереднього місяця,
+   * а за її відсутності - з останньої
+   * @param {number} month - Місяць інвентаризації поточного розрахунку
+   * @returns {number}
+   */
+  async getInventoryCarryover(locationId, month, year) {
+    const previousMonth = month === 1 ? 12 : month - 1;
+    const previousYear = month === 1 ? year - 1 : year;
+
+    const result = await db.query(`
+      SELECT inventory_carryover_out
+      FROM salary_reports
+      WHERE location_id = $1 AND inventory_month = $2 AND inventory_year = $3
+      ORDER BY (status IN ('approved', 'paid')) DESC, created_at DESC
+      LIMIT 1
+    `, [locationId, previousMonth, previousYear]);
+
+    return result.rows.length > 0 ? parseFloat(result.rows[0].inventory_carryover_out) : 0;
+  }
+
+  /**
+   * Виплачені аванси за період (фінальні авансові звіти всередині діапазону)
+   * @param {string} dateFrom - YYYY-MM-DD
+   * @param {string} dateTo - YYYY-MM-DD
+   * @returns {Object} { [posterEmployeeId]: сума }
+   */
+  async getPaidAdvances(locationId, dateFrom, dateTo) {
+    const result = await db.query(`
+      SELECT e.poster_id, SUM(srl.total_salary) as amount
+      FROM salary_reports sr
+      JOIN salary_report_lines srl ON srl.report_id = sr.id
+      JOIN employees e ON srl.employee_id = e.id
+      WHERE sr.location_id = $1
+        AND sr.period_kind = 'advance'
+        AND sr.status IN ('approved', 'paid')
+        AND sr.period_start >= $2
+        AND sr.period_end <= $3
+      GROUP BY e.poster_id
+    `, [locationId, dateFrom, dateTo]);
+
+    return result.rows.reduce((acc, row) => {
+      acc[row.poster_id] = parseFloat(row.amount);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Затверджена (або виплачена) версія звіту за період
+   * @returns {Object|null} { id, version, status }
+   */
+  async findApprovedForPeriod(locationId, dateFrom, dateTo) {
+    const result = await db.query(`
+      SELECT id, version, status FROM salary_reports
+      WHERE location_id = $1 AND period_start = $2 AND period_end = $3 AND status IN ('approved', 'paid')
+    `, [locationId, dateFrom, dateTo]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Звіт, створений плановим запуском
+   * @returns {Object|null} { id, version }
+   */
+  async findByPayrollRun(payrollRunId) {
+    const result = await db.query(
+      'SELECT id, version FROM salary_reports WHERE payroll_run_id = $1',
+      [payrollRunId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Заклад, до якого належить звіт
+   * @returns {number|null}
+   */
+  async getLocationId(reportId) {
+    const result = await db.query(
+      'SELECT location_id FROM salary_reports WHERE id = $1',
+      [reportId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].location_id : null;
+  }
+}
+
+module.exports = new SalaryReportRepository();
@@ -7,6 +7,27 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
 const salaryController = require('./controllers/salaryController');
+const authController = require('./controllers/authController');
+const adminController = require('./controllers/adminController');
+const auditController = require('./controllers/auditController');
+const payRuleController = require('./controllers/payRuleController');
+const syncController = require('./controllers/syncController');
+const adjustmentController = require('./controllers/adjustmentController');
+const locationController = require('./controllers/locationController');
+const telegramController = require('./controllers/telegramController');
+const employeeController = require('./controllers/employeeController');
+const payrollScheduleController = require('./controllers/payrollScheduleController');
+const analyticsController = require('./controllers/analyticsController');
+const posterSyncService = require('./services/posterSyncService');
+const payslipService = require('./services/payslipService');
+const payrollScheduleService = require('./services/payrollScheduleService');
+const { validateTelegramWebApp, requireAuth } = require('./middleware/auth');
+const {
+  requireLocationPermission,
+  requireLocationOwner,
+  requireEmployeeAccess,
+  requireAdmin
+} = require('./middleware/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,21 +54,70 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Webhook Telegram бота (поза /api: без JWT та ліміту запитів, перевіряється секрет)
+app.post('/telegram/webhook', (req, res) =>
+  telegramController.handleWebhook(req, res)
+);
+
+// Публічні роути авторизації
+app.post('/api/auth/telegram', validateTelegramWebApp, (req, res) => 
+  authController.loginWithTelegram(req, res)
+);
+
+app.get('/api/auth/poster/callback', (req, res) => 
+  salaryController.posterCallback(req, res)
+);
+
+// Усі інші /api/* роути вимагають JWT
+app.use('/api', requireAuth);
+
 // API Routes
-app.post('/api/salary/calculate', (req, res) => 
-  salaryController.calculateSalary(req, res)
+app.post('/api/salary/calculate',
+  requireLocationPermission('can_calculate', req => req.body.locationId),
+  (req, res) => salaryController.calculateSalary(req, res)
+);
+
+app.get('/api/salary/reports/:reportId',
+  requireLocationPermission('can_view', req => salaryController.getReportLocationId(req.params.reportId)),
+  (req, res) => salaryController.getReport(req, res)
+);
+
+// Затвердження: draft -> submitted -> approved -> paid, reopen - повернення в чернетку.
+// Роль, потрібна для кожного переходу, перевіряє reportWorkflowService
+['submit', 'approve', 'pay', 'reopen'].forEach(transition => {
+  app.post(`/api/salary/reports/:reportId/${transition}`,
+    requireLocationPermission('can_calculate', req => salaryController.getReportLocationId(req.params.reportId)),
+    (req, res) => salaryController.changeReportStatus(req, res, transition)
+  );
+});
+
+app.get('/api/salary/reports/:reportId/status-history',
+  requireLocationPermission('can_view', req => salaryController.getReportLocationId(req.params.reportId)),
+  (req, res) => salaryController.getReportStatusHistory(req, res)
+);
+
+app.get('/api/salary/reports/:reportId/payslips',
+  requireLocationPermission('can_view', req => salaryController.getReportLocationId(req.params.reportId)),
+  (req, res) => salaryController.getPayslipDeliveries(req, res)
+);
+
+app.post('/api/salary/reports/:reportId/payslips/retry',
+  requireLocationPermission('can_calculate', req => salaryController.getReportLocationId(req.params.reportId)),
+  (req, res) => salaryController.retryPayslips(req, res)
 );
 
 app.get('/api/locations', (req, res) => 
   salaryController.getLocations(req, res)
 );
 
-app.get('/api/salary/history/:locationId', (req, res) => 
-  salaryController.getSalaryHistory(req, res)
+app.get('/api/salary/history/:locationId',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => salaryController.getSalaryHistory(req, res)
 );
 
-app.get('/api/salary/export/:reportId', (req, res) => 
-  salaryController.exportReport(req, res)
+app.get('/api/salary/export/:reportId',
+  requireLocationPermission('can_export', req => salaryController.getReportLocationId(req.params.reportId)),
+  (req, res) => salaryController.exportReport(req, res)
 );
 
 app.get('/api/auth/poster', (req, res) => 
@@ -58,25 +128,202 @@ app.post('/api/locations/connect', (req, res) =>
   salaryController.connectLocation(req, res)
 );
 
-// Telegram WebApp validation middleware
-const validateTelegramWebApp = (req, res, next) => {
-  const initData = req.headers['x-telegram-init-data'];
-  
-  // TODO: Implement Telegram WebApp data validation
-  // https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
-  
-  if (!initData && process.env.NODE_ENV === 'production') {
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized: Invalid Telegram WebApp data'
-    });
-  }
-  
-  next();
-};
-
-// Використовувати для захищених роутів
-// app.use('/api/salary', validateTelegramWebApp);
+// Spot Poster (кілька закладів в одному акаунті)
+app.get('/api/locations/:locationId/spots',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => locationController.getSpots(req, res)
+);
+
+app.put('/api/locations/:locationId/spot',
+  requireLocationOwner(req => req.params.locationId),
+  (req, res) => locationController.setSpot(req, res)
+);
+
+app.post('/api/locations/:locationId/spots',
+  requireLocationOwner(req => req.params.locationId),
+  (req, res) => locationController.createSpotLocation(req, res)
+);
+
+// Правила оплати закладу
+app.get('/api/locations/:locationId/pay-rules',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payRuleController.getPayRules(req, res)
+);
+
+app.put('/api/locations/:locationId/pay-rules',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.savePayRule(req, res)
+);
+
+app.delete('/api/locations/:locationId/pay-rules/:ruleId',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.deletePayRule(req, res)
+);
+
+app.get('/api/locations/:locationId/bonus-scheme',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payRuleController.getBonusScheme(req, res)
+);
+
+app.put('/api/locations/:locationId/bonus-scheme',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.saveBonusScheme(req, res)
+);
+
+app.delete('/api/locations/:locationId/bonus-scheme',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.deleteBonusScheme(req, res)
+);
+
+app.get('/api/locations/:locationId/inventory-allocation',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payRuleController.getInventoryAllocation(req, res)
+);
+
+app.put('/api/locations/:locationId/inventory-allocation',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.saveInventoryAllocation(req, res)
+);
+
+app.get('/api/locations/:locationId/pay-period',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payRuleController.getPayPeriodSettings(req, res)
+);
+
+app.put('/api/locations/:locationId/pay-period',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payRuleController.savePayPeriodSettings(req, res)
+);
+
+app.get('/api/locations/:locationId/pay-periods',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payRuleController.getPayPeriods(req, res)
+);
+
+// Автоматичний розрахунок за розкладом
+app.get('/api/locations/:locationId/payroll-schedule',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => payrollScheduleController.getSchedule(req, res)
+);
+
+app.put('/api/locations/:locationId/payroll-schedule',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payrollScheduleController.saveSchedule(req, res)
+);
+
+app.delete('/api/locations/:locationId/payroll-schedule',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => payrollScheduleController.deleteSchedule(req, res)
+);
+
+// Ручні коригування зарплати
+app.get('/api/locations/:locationId/adjustments',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => adjustmentController.getAdjustments(req, res)
+);
+
+app.post('/api/locations/:locationId/adjustments',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => adjustmentController.createAdjustment(req, res)
+);
+
+app.put('/api/locations/:locationId/adjustments/:adjustmentId',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => adjustmentController.updateAdjustment(req, res)
+);
+
+app.delete('/api/locations/:locationId/adjustments/:adjustmentId',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => adjustmentController.deleteAdjustment(req, res)
+);
+
+// Співробітники закладу
+app.get('/api/locations/:locationId/employees',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => employeeController.getEmployees(req, res)
+);
+
+app.post('/api/locations/:locationId/employees',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.createEmployee(req, res)
+);
+
+app.post('/api/locations/:locationId/employees/reconcile',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.reconcileEmployees(req, res)
+);
+
+app.put('/api/locations/:locationId/employees/:posterEmployeeId',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.updateEmployee(req, res)
+);
+
+app.delete('/api/locations/:locationId/employees/:posterEmployeeId',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.deleteEmployee(req, res)
+);
+
+// Telegram співробітників (розрахункові листи)
+app.post('/api/locations/:locationId/employees/:posterEmployeeId/invite',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.createInvite(req, res)
+);
+
+app.delete('/api/locations/:locationId/employees/:posterEmployeeId/telegram',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => employeeController.unlinkTelegram(req, res)
+);
+
+// Зарплата співробітника (доступна і самому співробітнику з прив'язаним Telegram)
+app.get('/api/employees/:employeeId/salary',
+  requireEmployeeAccess('can_view'),
+  (req, res) => employeeController.getSalaryEstimate(req, res)
+);
+
+app.get('/api/employees/:employeeId/history',
+  requireEmployeeAccess('can_view'),
+  (req, res) => employeeController.getSalaryHistory(req, res)
+);
+
+// Синхронізація даних Poster
+app.get('/api/locations/:locationId/sync',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => syncController.getSyncStatus(req, res)
+);
+
+app.post('/api/locations/:locationId/sync',
+  requireLocationPermission('can_calculate', req => req.params.locationId),
+  (req, res) => syncController.startSync(req, res)
+);
+
+// Аналітика за затвердженими звітами
+app.get('/api/locations/:locationId/analytics',
+  requireLocationPermission('can_view', req => req.params.locationId),
+  (req, res) => analyticsController.getLocationAnalytics(req, res)
+);
+
+// Доступ перевіряється в контролері: лише заклади користувача
+app.get('/api/analytics/locations', (req, res) =>
+  analyticsController.getLocationsAnalytics(req, res)
+);
+
+// Журнал активності
+app.get('/api/audit', (req, res) => 
+  auditController.getAuditLog(req, res)
+);
+
+// Адміністрування доступу до закладів
+app.get('/api/admin/locations/:locationId/users', requireAdmin, (req, res) => 
+  adminController.getLocationUsers(req, res)
+);
+
+app.post('/api/admin/locations/:locationId/users', requireAdmin, (req, res) => 
+  adminController.grantLocationAccess(req, res)
+);
+
+app.delete('/api/admin/locations/:locationId/users/:userId', requireAdmin, (req, res) => 
+  adminController.revokeLocationAccess(req, res)
+);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -105,11 +352,18 @@ app.listen(PORT, () => {
 ║   Status: ✅ Running                           ║
 ╚═══════════════════════════════════════════════╝
   `);
+
+  posterSyncService.startScheduler();
+  payslipService.startScheduler();
+  payrollScheduleService.startScheduler();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  posterSyncService.stopScheduler();
+  payslipService.stopScheduler();
+  payrollScheduleService.stopScheduler();
   process.exit(0);
 });
 
@@ -0,0 +1,144 @@
+// backend/src/services/__tests__/adjustments.test.js
+// Ручні коригування: групування, валідація та застосування в calculateSalaries
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+jest.mock('../posterService', () => ({
+  getEmployees: jest.fn(),
+  getEmployeeRevenue: jest.fn(),
+  getInventoryResults: jest.fn(),
+  getEmployeeStats: jest.fn()
+}));
+
+const posterService = require('../posterService');
+const salaryService = require('../salaryService');
+
+const adjustment = (id, posterEmployeeId, type, amount) => ({
+  id,
+  posterEmployeeId,
+  type,
+  amount,
+  date: '2026-09-10',
+  reason: 'test'
+});
+
+const calculate = (extra = {}) => salaryService.calculateSalaries({
+  account: 'demo',
+  accessToken: 'token',
+  month: 9,
+  year: 2026,
+  inventoryMonth: null,
+  inventoryYear: null,
+  shiftRate: 500,
+  revenuePercent: 5,
+  ...extra
+});
+
+beforeEach(() => {
+  posterService.getEmployees.mockResolvedValue([
+    { user_id: 1, name: 'Олена' },
+    { user_id: 2, name: 'Петро' },
+    { user_id: 3, name: 'Іван' }
+  ]);
+  posterService.getEmployeeRevenue.mockResolvedValue([
+    { employeeId: 1, revenue: 40000, shiftsCount: 10, hoursWorked: 0 },
+    { employeeId: 2, revenue: 20000, shiftsCount: 5, hoursWorked: 0 }
+  ]);
+});
+
+describe('salaryService.groupAdjustments', () => {
+  test('sums amounts per employee and type', () => {
+    const grouped = salaryService.groupAdjustments([
+      adjustment(1, 1, 'bonus', 300),
+      adjustment(2, 1, 'bonus', 200),
+      adjustment(3, 1, 'fine', 100),
+      adjustment(4, 2, 'correction', -150)
+    ]);
+
+    expect(grouped[1]).toMatchObject({ bonus: 500, fine: 100, advance: 0, correction: 0 });
+    expect(grouped[1].items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(grouped[2].correction).toBe(-150);
+  });
+});
+
+describe('salaryService.calculateSalaries with adjustments', () => {
+  test('bonus and correction add, fine and cash advance subtract', async () => {
+    const result = await calculate({
+      adjustments: [
+        adjustment(1, 1, 'bonus', 1000),
+        adjustment(2, 1, 'fine', 250),
+        adjustment(3, 1, 'advance', 2000),
+        adjustment(4, 1, 'correction', -300)
+      ]
+    });
+
+    const olena = result.employees.find(emp => emp.employeeId === 1);
+
+    // 10 × 500 + 40000 × 5% = 7000
+    expect(olena).toMatchObject({
+      adjustmentBonus: 1000,
+      adjustmentFine: 250,
+      adjustmentAdvance: 2000,
+      adjustmentCorrection: -300,
+      totalSalary: 7000 + 1000 - 250 - 2000 - 300
+    });
+    expect(olena.adjustments).toHaveLength(4);
+    expect(result.summary).toMatchObject({
+      totalAdjustmentBonus: 1000,
+      totalAdjustmentFine: 250,
+      totalAdjustmentAdvance: 2000,
+      totalAdjustmentCorrection: -300
+    });
+  });
+
+  test('employees without adjustments get zero columns', async () => {
+    const result = await calculate({ adjustments: [adjustment(1, 1, 'bonus', 100)] });
+    const petro = result.employees.find(emp => emp.employeeId === 2);
+
+    expect(petro).toMatchObject({ adjustmentBonus: 0, adjustmentFine: 0, adjustmentAdvance: 0, adjustmentCorrection: 0 });
+    expect(petro.totalSalary).toBe(5 * 500 + 1000);
+  });
+
+  test('an adjustment includes an employee without shifts in the report', async () => {
+    const result = await calculate({ adjustments: [adjustment(1, 3, 'bonus', 500)] });
+    const ivan = result.employees.find(emp => emp.employeeId === 3);
+
+    expect(ivan).toMatchObject({ shiftsCount: 0, totalSalary: 500 });
+    expect(result.summary.employeesCount).toBe(3);
+  });
+
+  test('inventory shortage is shared by earnings, not by adjustments', async () => {
+    posterService.getInventoryResults.mockResolvedValue({ totalLoss: -3000, revisionsCount: 1 });
+
+    const result = await calculate({
+      inventoryMonth: 9,
+      inventoryYear: 2026,
+      adjustments: [adjustment(1, 2, 'bonus', 100000)]
+    });
+
+    expect(result.employees.find(emp => emp.employeeId === 1).inventoryDeduction).toBe(2000);
+    expect(result.employees.find(emp => emp.employeeId === 2).inventoryDeduction).toBe(1000);
+  });
+});
+
+describe('salaryService.validateAdjustment', () => {
+  test('accepts a valid adjustment', () => {
+    expect(salaryService.validateAdjustment(adjustment(1, 1, 'fine', 100))).toEqual([]);
+  });
+
+  test('correction may be negative but not zero, other types must be positive', () => {
+    expect(salaryService.validateAdjustment(adjustment(1, 1, 'correction', -100))).toEqual([]);
+    expect(salaryService.validateAdjustment(adjustment(1, 1, 'correction', 0))).toEqual(['Correction amount must not be zero']);
+    expect(salaryService.validateAdjustment(adjustment(1, 1, 'bonus', -100))).toEqual(['Amount must be greater than 0']);
+  });
+
+  test('requires type, employee, date and reason', () => {
+    const errors = salaryService.validateAdjustment({ type: 'gift', amount: 100, date: '2026-13-01' });
+
+    expect(errors).toEqual([
+      'Invalid adjustment type (must be one of: bonus, fine, advance, correction)',
+      'Poster employee ID is required',
+      'Invalid date (expected YYYY-MM-DD)',
+      'Reason is required'
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+// backend/src/services/__tests__/authService.test.js
+// Перевірка initData Telegram WebApp: підпис, порядок ключів, свіжість, користувач;
+// одноразовий state OAuth Poster
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../../config/database');
+const authService = require('../authService');
+
+const BOT_TOKEN = '123456:test-bot-token';
+
+/**
+ * initData, підписаний так, як це робить Telegram (ключі побайтово)
+ */
+const signInitData = (fields, botToken = BOT_TOKEN) => {
+  const dataCheckString = Object.entries(fields)
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const hash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  return new URLSearchParams({ ...fields, hash }).toString();
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+const user = JSON.stringify({ id: 42, first_name: 'Олена', username: 'olena' });
+
+beforeEach(() => {
+  authService.botToken = BOT_TOKEN;
+  authService.jwtSecret = 'test-jwt-secret';
+  authService.initDataMaxAge = 86400;
+  db.query.mockReset();
+});
+
+describe('authService.validateInitData', () => {
+  test('accepts data signed by Telegram and returns the user', () => {
+    const initData = signInitData({ auth_date: String(now()), query_id: 'AAH', user });
+
+    const result = authService.validateInitData(initData);
+
+    expect(result.user).toMatchObject({ id: 42, username: 'olena' });
+    expect(result.queryId).toBe('AAH');
+  });
+
+  test('orders keys by bytes, not by locale (uppercase and underscore keys)', () => {
+    // localeCompare ставить "Zeta" після "auth_date", побайтово - перед ним
+    const initData = signInitData({ auth_date: String(now()), Zeta: '1', chat_type: 'private', chat_instance: '7', user });
+
+    expect(() => authService.validateInitData(initData)).not.toThrow();
+  });
+
+  test('rejects a tampered field', () => {
+    const initData = signInitData({ auth_date: String(now()), user })
+      .replace('olena', 'admin');
+
+    expect(() => authService.validateInitData(initData)).toThrow('Invalid Telegram init data signature');
+  });
+
+  test('rejects data signed with another bot token', () => {
+    const initData = signInitData({ auth_date: String(now()), user }, '999:other-token');
+
+    expect(() => authService.validateInitData(initData)).toThrow('Invalid Telegram init data signature');
+  });
+
+  test('rejects a hash of the wrong length', () => {
+    const initData = new URLSearchParams({ auth_date: String(now()), user, hash: 'abcd' }).toString();
+
+    expect(() => authService.validateInitData(initData)).toThrow('Invalid Telegram init data signature');
+  });
+
+  test('rejects missing data or hash', () => {
+    expect(() => authService.validateInitData('')).toThrow('Missing Telegram init data');
+    expect(() => authService.validateInitData(`auth_date=${now()}`)).toThrow('Missing hash in Telegram init data');
+  });
+
+  test('rejects expired data', () => {
+    authService.initDataMaxAge = 60;
+    const initData = signInitData({ auth_date: String(now() - 120), user });
+
+    expect(() => authService.validateInitData(initData)).toThrow('Telegram init data is expired');
+  });
+
+  test('rejects data without a user', () => {
+    const initData = signInitData({ auth_date: String(now()) });
+
+    expect(() => authService.validateInitData(initData)).toThrow('Missing user in Telegram init data');
+  });
+
+  test('fails when the bot token is not configured', () => {
+    authService.botToken = undefined;
+
+    expect(() => authService.validateInitData('hash=1')).toThrow('TELEGRAM_BOT_TOKEN is not configured');
+  });
+});
+
+describe('authService OAuth state', () => {
+  let states;
+
+  // oauth_states у пам'яті: INSERT зберігає nonce, DELETE ... RETURNING погашає його
+  beforeEach(() => {
+    states = new Map();
+    db.query.mockImplementation(async (text, params = []) => {
+      if (text.includes('INSERT INTO oauth_states')) {
+        states.set(params[0], { userId: params[1], expired: false });
+        return { rows: [] };
+      }
+      if (text.includes('RETURNING nonce')) {
+        const state = states.get(params[0]);
+        if (!state || state.userId !== params[1] || state.expired) return { rows: [] };
+        states.delete(params[0]);
+        return { rows: [{ nonce: params[0] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  test('state is bound to the user and carries extra data', async () => {
+    const state = await authService.issueOAuthState({ id: 5 }, { name: 'Кав\'ярня' });
+
+    const payload = await authService.consumeOAuthState(state);
+
+    expect(payload).toMatchObject({ sub: 5, name: 'Кав\'ярня' });
+    expect(states.size).toBe(0);
+  });
+
+  test('the same state cannot be used twice', async () => {
+    const state = await authService.issueOAuthState({ id: 5 });
+    await authService.consumeOAuthState(state);
+
+    await expect(authService.consumeOAuthState(state)).rejects.toThrow('OAuth state was already used or has expired');
+  });
+
+  test('expired nonce is rejected', async () => {
+    const state = await authService.issueOAuthState({ id: 5 });
+    states.forEach(entry => { entry.expired = true; });
+
+    await expect(authService.consumeOAuthState(state)).rejects.toThrow('OAuth state was already used or has expired');
+  });
+
+  test('state signed with another secret or for another audience is rejected', async () => {
+    const forged = jwt.sign({ sub: 5, nonce: 'x' }, 'other-secret', { audience: 'poster-oauth' });
+    const session = jwt.sign({ sub: 5, nonce: 'x' }, 'test-jwt-secret', { audience: 'session' });
+
+    await expect(authService.consumeOAuthState(forged)).rejects.toThrow('invalid signature');
+    await expect(authService.consumeOAuthState(session)).rejects.toThrow('jwt audience invalid');
+  });
+
+  test('state without nonce or missing state is rejected', async () => {
+    const withoutNonce = jwt.sign({ sub: 5 }, 'test-jwt-secret', { audience: 'poster-oauth' });
+
+    await expect(authService.consumeOAuthState(withoutNonce)).rejects.toThrow('Missing OAuth state nonce');
+    await expect(authService.consumeOAuthState(undefined)).rejects.toThrow('Missing OAuth state');
+  });
+
+  test('nonce issued to one user cannot be consumed by a state for another', async () => {
+    const state = await authService.issueOAuthState({ id: 5 });
+    const { nonce } = jwt.decode(state);
+    const stolen = jwt.sign({ sub: 6, nonce }, 'test-jwt-secret', { audience: 'poster-oauth' });
+
+    await expect(authService.consumeOAuthState(stolen)).rejects.toThrow('OAuth state was already used or has expired');
+    expect(states.has(nonce)).toBe(true);
+  });
+});
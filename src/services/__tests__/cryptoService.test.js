@@ -0,0 +1,121 @@
+// backend/src/services/__tests__/cryptoService.test.js
+// Шифрування токенів: AES-256-GCM з версіями ключів, AAD та перевіркою довжини тегу
+
+const crypto = require('crypto');
+const cryptoService = require('../cryptoService');
+
+const key1 = crypto.randomBytes(32).toString('base64');
+const key2 = crypto.randomBytes(32).toString('base64');
+
+const setKeys = (keys, version) => {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  if (version === undefined) {
+    delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+  } else {
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION = String(version);
+  }
+  cryptoService.keys = null;
+  cryptoService.currentVersion = null;
+};
+
+/**
+ * Заміна однієї частини шифротексту v<версія>:<iv>:<tag>:<дані>
+ */
+const replacePart = (ciphertext, index, value) => {
+  const parts = ciphertext.split(':');
+  parts[index] = value;
+  return parts.join(':');
+};
+
+const originalEnv = {
+  keys: process.env.TOKEN_ENCRYPTION_KEYS,
+  version: process.env.TOKEN_ENCRYPTION_KEY_VERSION
+};
+
+beforeEach(() => {
+  setKeys(`1:${key1},2:${key2}`);
+});
+
+afterAll(() => {
+  if (originalEnv.keys === undefined) delete process.env.TOKEN_ENCRYPTION_KEYS;
+  else process.env.TOKEN_ENCRYPTION_KEYS = originalEnv.keys;
+  if (originalEnv.version === undefined) delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+  else process.env.TOKEN_ENCRYPTION_KEY_VERSION = originalEnv.version;
+});
+
+describe('cryptoService.encrypt / decrypt', () => {
+  test('round trip with the newest key by default', () => {
+    const { ciphertext, keyVersion } = cryptoService.encrypt('poster-token', 'location:5');
+
+    expect(keyVersion).toBe(2);
+    expect(ciphertext).toMatch(/^v2:/);
+    expect(ciphertext).not.toContain('poster-token');
+    expect(cryptoService.decrypt(ciphertext, 'location:5')).toBe('poster-token');
+  });
+
+  test('old key version still decrypts after rotation', () => {
+    const { ciphertext } = cryptoService.encrypt('old-token', '', 1);
+
+    expect(cryptoService.decrypt(ciphertext)).toBe('old-token');
+  });
+
+  test('ciphertext bound to another record (AAD) is rejected', () => {
+    const { ciphertext } = cryptoService.encrypt('poster-token', 'location:5');
+
+    expect(() => cryptoService.decrypt(ciphertext, 'location:6')).toThrow();
+  });
+
+  test('modified data is rejected', () => {
+    const { ciphertext } = cryptoService.encrypt('poster-token');
+    const data = Buffer.from(ciphertext.split(':')[3], 'base64');
+    data[0] ^= 1;
+
+    expect(() => cryptoService.decrypt(replacePart(ciphertext, 3, data.toString('base64')))).toThrow();
+  });
+
+  test('truncated auth tag is rejected before decryption', () => {
+    const { ciphertext } = cryptoService.encrypt('poster-token');
+    const tag = Buffer.from(ciphertext.split(':')[2], 'base64');
+
+    // Node без authTagLength прийняв би 4-байтовий тег
+    [4, 8, 12, 15].forEach(length => {
+      expect(() => cryptoService.decrypt(replacePart(ciphertext, 2, tag.subarray(0, length).toString('base64'))))
+        .toThrow('Unable to decrypt value: invalid IV or auth tag length');
+    });
+  });
+
+  test('IV of a wrong length is rejected', () => {
+    const { ciphertext } = cryptoService.encrypt('poster-token');
+
+    expect(() => cryptoService.decrypt(replacePart(ciphertext, 1, crypto.randomBytes(16).toString('base64'))))
+      .toThrow('Unable to decrypt value: invalid IV or auth tag length');
+  });
+
+  test('unknown key version or malformed value is rejected', () => {
+    const { ciphertext } = cryptoService.encrypt('poster-token');
+
+    expect(() => cryptoService.decrypt(replacePart(ciphertext, 0, 'v9')))
+      .toThrow('Unable to decrypt value: unknown key version or malformed data');
+    expect(() => cryptoService.decrypt('plain-token'))
+      .toThrow('Unable to decrypt value: unknown key version or malformed data');
+  });
+});
+
+describe('cryptoService.loadKeys', () => {
+  test('uses the configured key version', () => {
+    setKeys(`1:${key1},2:${key2}`, 1);
+
+    expect(cryptoService.getCurrentKeyVersion()).toBe(1);
+  });
+
+  test('rejects missing keys, short keys and an unknown current version', () => {
+    setKeys('');
+    expect(() => cryptoService.getCurrentKeyVersion()).toThrow('TOKEN_ENCRYPTION_KEYS is not configured');
+
+    setKeys(`1:${crypto.randomBytes(16).toString('base64')}`);
+    expect(() => cryptoService.getCurrentKeyVersion()).toThrow('Invalid encryption key entry for version "1"');
+
+    setKeys(`1:${key1}`, 3);
+    expect(() => cryptoService.getCurrentKeyVersion()).toThrow('Encryption key version 3 is not configured');
+  });
+});
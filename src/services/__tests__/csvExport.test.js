@@ -0,0 +1,114 @@
+// backend/src/services/__tests__/csvExport.test.js
+// Експорт CSV (RFC 4180): екранування, роздільники, BOM, колонки та рядок підсумків
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+
+const salaryService = require('../salaryService');
+
+const salaryData = {
+  inventory: { strategy: 'revenue' },
+  employees: [
+    { employeeName: 'Петренко, Олена', position: 'Бариста "старший"', shiftsCount: 10, revenue: 40000.5, totalSalary: 7000.25 },
+    { employeeName: 'Іван\nКоваль', position: null, shiftsCount: 5, revenue: 20000, totalSalary: 3500 }
+  ]
+};
+
+const parseLines = csv => csv.split('\r\n');
+
+describe('salaryService.escapeCSVValue', () => {
+  test('plain values stay unquoted', () => {
+    expect(salaryService.escapeCSVValue('Олена')).toBe('Олена');
+    expect(salaryService.escapeCSVValue(null)).toBe('');
+    expect(salaryService.escapeCSVValue(undefined)).toBe('');
+    expect(salaryService.escapeCSVValue(12.5)).toBe('12.5');
+  });
+
+  test('separator inside a value is quoted', () => {
+    expect(salaryService.escapeCSVValue('a,b')).toBe('"a,b"');
+    expect(salaryService.escapeCSVValue('a;b', ';')).toBe('"a;b"');
+    // Кома не роздільник - лапки не потрібні
+    expect(salaryService.escapeCSVValue('a,b', ';')).toBe('a,b');
+  });
+
+  test('quotes are doubled and the value is quoted', () => {
+    expect(salaryService.escapeCSVValue('Бариста "старший"')).toBe('"Бариста ""старший"""');
+  });
+
+  test('line breaks are quoted', () => {
+    expect(salaryService.escapeCSVValue('a\nb')).toBe('"a\nb"');
+    expect(salaryService.escapeCSVValue('a\r\nb')).toBe('"a\r\nb"');
+  });
+});
+
+describe('salaryService.generateCSV', () => {
+  const columns = ['employeeName', 'position', 'shiftsCount', 'revenue', 'totalSalary'];
+
+  test('quotes fields with separator, quotes and newlines; rows end with CRLF', () => {
+    const csv = salaryService.generateCSV(salaryData, { columns, locale: 'en' });
+
+    expect(csv).toBe([
+      'Employee,Position,Shifts,Revenue (UAH),TOTAL (UAH)',
+      '"Петренко, Олена","Бариста ""старший""",10,40000.50,7000.25',
+      '"Іван\nКоваль",,5,20000.00,3500.00',
+      'TOTAL,,15,60000.50,10500.25',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('semicolon separator with decimal comma', () => {
+    const csv = salaryService.generateCSV(salaryData, {
+      columns,
+      locale: 'en',
+      separator: 'semicolon',
+      decimalSeparator: 'comma'
+    });
+    const lines = parseLines(csv);
+
+    expect(lines[1]).toBe('Петренко, Олена;"Бариста ""старший""";10;40000,50;7000,25');
+    expect(lines[lines.length - 2]).toBe('TOTAL;;15;60000,50;10500,25');
+  });
+
+  test('decimal comma with comma separator quotes the numbers', () => {
+    const csv = salaryService.generateCSV(salaryData, { columns: ['revenue'], locale: 'en', decimalSeparator: ',', totals: false });
+
+    expect(parseLines(csv)).toEqual(['Revenue (UAH)', '"40000,50"', '"20000,00"', '']);
+  });
+
+  test('BOM only when requested', () => {
+    expect(salaryService.generateCSV(salaryData, { bom: true }).startsWith('\uFEFF')).toBe(true);
+    expect(salaryService.generateCSV(salaryData, {}).startsWith('\uFEFF')).toBe(false);
+  });
+
+  test('totals row can be disabled', () => {
+    const csv = salaryService.generateCSV(salaryData, { columns, totals: 'false' });
+
+    expect(parseLines(csv)).toHaveLength(salaryData.employees.length + 2);
+  });
+
+  test('default columns use Ukrainian labels', () => {
+    const header = parseLines(salaryService.generateCSV(salaryData))[0];
+
+    expect(header.startsWith('Співробітник,Кількість змін,Виручка (грн)')).toBe(true);
+    expect(header.endsWith('ВСЬОГО (грн)')).toBe(true);
+  });
+});
+
+describe('salaryService.validateCSVOptions', () => {
+  test('rejects unknown separator, decimal separator, columns and locale', () => {
+    const errors = salaryService.validateCSVOptions(salaryService.normalizeCSVOptions({
+      separator: '|',
+      decimalSeparator: ' ',
+      columns: 'employeeName,salary',
+      locale: 'de'
+    }));
+
+    expect(errors).toHaveLength(4);
+  });
+
+  test('accepts aliases', () => {
+    const options = salaryService.normalizeCSVOptions({ separator: 'semicolon', decimalSeparator: 'comma' });
+
+    expect(options).toMatchObject({ separator: ';', decimalSeparator: ',' });
+    expect(salaryService.validateCSVOptions(options)).toEqual([]);
+  });
+});
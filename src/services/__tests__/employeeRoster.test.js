@@ -0,0 +1,221 @@
+// backend/src/services/__tests__/employeeRoster.test.js
+// Звірка співробітників з Poster: нові, змінені, деактивовані, дублікати;
+// посада та деактивація, змінені вручну, не перезаписуються синхронізацією
+
+jest.mock('../../config/database', () => {
+  const { newDb } = require('pg-mem');
+  const { Pool } = newDb().adapters.createPg();
+  const pool = new Pool();
+
+  return { pool, query: (text, params) => pool.query(text, params), getClient: () => pool.connect() };
+});
+
+const db = require('../../config/database');
+const employeeRosterService = require('../employeeRosterService');
+const employeeRepository = require('../../repositories/employeeRepository');
+const posterDataRepository = require('../../repositories/posterDataRepository');
+
+const local = (overrides = {}) => ({
+  id: 1,
+  posterId: 1,
+  name: 'Олена Коваль',
+  position: 'Бариста',
+  positionManual: false,
+  isActive: true,
+  deactivatedManually: false,
+  ...overrides
+});
+
+const poster = (overrides = {}) => ({ user_id: 1, name: 'Олена Коваль', role_name: 'Бариста', ...overrides });
+
+describe('employeeRosterService.compareRoster', () => {
+  test('new Poster employees are created, missing local ones deactivated', () => {
+    const plan = employeeRosterService.compareRoster(
+      [local(), local({ id: 2, posterId: 2, name: 'Андрій Мельник' })],
+      [poster(), poster({ user_id: 3, name: 'Ірина Шевченко', role_name: 'Адміністратор' })]
+    );
+
+    expect(plan.created).toEqual([{ posterId: 3, name: 'Ірина Шевченко', position: 'Адміністратор' }]);
+    expect(plan.deactivated.map(employee => employee.posterId)).toEqual([2]);
+    expect(plan.updated).toEqual([]);
+    expect(plan.unchangedCount).toBe(1);
+    expect(plan.flags).toEqual([]);
+  });
+
+  test('already inactive employees missing from Poster are not deactivated again', () => {
+    const plan = employeeRosterService.compareRoster([local({ isActive: false })], []);
+
+    expect(plan.deactivated).toEqual([]);
+  });
+
+  test('name and position changes come from Poster', () => {
+    const plan = employeeRosterService.compareRoster(
+      [local()],
+      [poster({ name: ' Олена Коваль-Бондар ', role_name: 'Старший бариста' })]
+    );
+
+    expect(plan.updated).toHaveLength(1);
+    expect(plan.updated[0].changes).toEqual({
+      name: { from: 'Олена Коваль', to: 'Олена Коваль-Бондар' },
+      position: { from: 'Бариста', to: 'Старший бариста' }
+    });
+  });
+
+  test('manual position is kept, empty Poster position never clears it', () => {
+    const plan = employeeRosterService.compareRoster(
+      [local({ positionManual: true }), local({ id: 2, posterId: 2, name: 'Андрій Мельник' })],
+      [poster({ role_name: 'Касир' }), poster({ user_id: 2, name: 'Андрій Мельник', role_name: null })]
+    );
+
+    expect(plan.updated).toEqual([]);
+    expect(plan.unchangedCount).toBe(2);
+  });
+
+  test('employee back in Poster is reactivated unless deactivated manually', () => {
+    const plan = employeeRosterService.compareRoster(
+      [
+        local({ isActive: false }),
+        local({ id: 2, posterId: 2, name: 'Андрій Мельник', isActive: false, deactivatedManually: true })
+      ],
+      [poster(), poster({ user_id: 2, name: 'Андрій Мельник' })]
+    );
+
+    expect(plan.updated).toHaveLength(1);
+    expect(plan.updated[0].employee.posterId).toBe(1);
+    expect(plan.updated[0].changes).toEqual({ isActive: { from: false, to: true } });
+    expect(plan.unchangedCount).toBe(1);
+  });
+
+  test('duplicate Poster ID is flagged and only the first entry is used', () => {
+    const plan = employeeRosterService.compareRoster([], [poster(), poster({ name: 'Інша Олена' })]);
+
+    expect(plan.created).toEqual([{ posterId: 1, name: 'Олена Коваль', position: 'Бариста' }]);
+    expect(plan.flags).toEqual([expect.objectContaining({ type: 'duplicate_poster_id', posterIds: [1] })]);
+  });
+
+  test('same name under different Poster IDs is flagged, ignoring case and spaces', () => {
+    const plan = employeeRosterService.compareRoster(
+      [],
+      [poster(), poster({ user_id: 5, name: 'олена   коваль' })]
+    );
+
+    expect(plan.flags).toEqual([expect.objectContaining({ type: 'duplicate_name', posterIds: [1, 5] })]);
+  });
+
+  test('employee gone from Poster with a same-named new ID is flagged as a possible merge', () => {
+    const plan = employeeRosterService.compareRoster([local()], [poster({ user_id: 9 })]);
+
+    expect(plan.deactivated.map(employee => employee.posterId)).toEqual([1]);
+    expect(plan.created.map(employee => employee.posterId)).toEqual([9]);
+    expect(plan.flags).toEqual([expect.objectContaining({ type: 'possible_merge', posterIds: [1, 9] })]);
+  });
+
+  test('entries without Poster ID are skipped', () => {
+    const plan = employeeRosterService.compareRoster([], [{ name: 'Без ID' }]);
+
+    expect(plan.created).toEqual([]);
+  });
+});
+
+describe('employeeRosterService.normalizeEmployee / validateEmployee', () => {
+  test('partial update keeps existing values, blank position becomes null', () => {
+    const employee = employeeRosterService.normalizeEmployee(
+      { position: '  ', isActive: 'false' },
+      { posterId: 4, name: 'Олена', position: 'Бариста', isActive: true }
+    );
+
+    expect(employee).toMatchObject({ posterId: 4, name: 'Олена', position: null, isActive: false, excludeFromPayroll: false });
+    expect(employeeRosterService.validateEmployee(employee)).toEqual([]);
+  });
+
+  test('requires a positive Poster ID and a name', () => {
+    const errors = employeeRosterService.validateEmployee(employeeRosterService.normalizeEmployee({ posterId: '-1' }));
+
+    expect(errors).toEqual(['posterId must be a positive integer', 'name is required']);
+  });
+});
+
+describe('manual position and deactivation in employees', () => {
+  const row = async posterId =>
+    (await db.query('SELECT position, position_manual, is_active, deactivated_manually FROM employees WHERE poster_id = $1', [posterId])).rows[0];
+
+  const update = (posterId, changes) => employeeRepository.update(1, posterId, {
+    name: 'Олена Коваль',
+    position: 'Бариста',
+    isActive: true,
+    excludeFromPayroll: false,
+    exclusionReason: null,
+    ...changes
+  });
+
+  beforeAll(async () => {
+    await db.query(`
+      CREATE TABLE employees (
+        id SERIAL PRIMARY KEY,
+        poster_id INTEGER NOT NULL,
+        location_id INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        position VARCHAR(100),
+        position_manual BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        deactivated_manually BOOLEAN NOT NULL DEFAULT false,
+        exclude_from_payroll BOOLEAN NOT NULL DEFAULT false,
+        exclusion_reason TEXT,
+        telegram_id BIGINT,
+        telegram_linked_at TIMESTAMP,
+        synced_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_employee_poster_location UNIQUE(poster_id, location_id)
+      );
+    `);
+  });
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM employees');
+    await posterDataRepository.syncEmployees(1, [poster()]);
+  });
+
+  test('changed position is kept on sync until cleared', async () => {
+    await update(1, { position: 'Касир' });
+    expect(await row(1)).toMatchObject({ position: 'Касир', position_manual: true });
+
+    await posterDataRepository.syncEmployees(1, [poster()]);
+    expect(await row(1)).toMatchObject({ position: 'Касир', position_manual: true });
+
+    await update(1, { position: null });
+    expect(await row(1)).toMatchObject({ position: null, position_manual: false });
+
+    await posterDataRepository.syncEmployees(1, [poster()]);
+    expect(await row(1)).toMatchObject({ position: 'Бариста', position_manual: false });
+  });
+
+  test('update with unchanged position does not make it manual', async () => {
+    await update(1, { name: 'Олена Коваль-Бондар' });
+
+    expect(await row(1)).toMatchObject({ position: 'Бариста', position_manual: false });
+  });
+
+  test('manual deactivation survives sync until reactivated by hand', async () => {
+    await update(1, { isActive: false });
+    expect(await row(1)).toMatchObject({ is_active: false, deactivated_manually: true });
+
+    await posterDataRepository.syncEmployees(1, [poster()]);
+    expect(await row(1)).toMatchObject({ is_active: false, deactivated_manually: true });
+
+    await update(1, { isActive: true });
+    expect(await row(1)).toMatchObject({ is_active: true, deactivated_manually: false });
+  });
+
+  test('employee deactivated by sync comes back when present in Poster again', async () => {
+    await posterDataRepository.syncEmployees(1, []);
+    expect(await row(1)).toMatchObject({ is_active: false, deactivated_manually: false });
+
+    // Збереження неактивного співробітника не робить деактивацію ручною
+    await update(1, { isActive: false });
+    expect(await row(1)).toMatchObject({ is_active: false, deactivated_manually: false });
+
+    await posterDataRepository.syncEmployees(1, [poster()]);
+    expect(await row(1)).toMatchObject({ is_active: true });
+  });
+});
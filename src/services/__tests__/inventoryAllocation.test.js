@@ -0,0 +1,120 @@
+// backend/src/services/__tests__/inventoryAllocation.test.js
+// Розподіл нестачі інвентаризації: стратегії, обмеження capPercent та перенесення залишку
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+
+const salaryService = require('../salaryService');
+
+const liable = { inventoryLiability: true };
+
+const employees = [
+  { employeeId: 1, revenue: 60000, shiftsCount: 6, hoursWorked: 60, grossSalary: 10000, payRule: liable },
+  { employeeId: 2, revenue: 30000, shiftsCount: 3, hoursWorked: 20, grossSalary: 6000, payRule: liable },
+  { employeeId: 3, revenue: 10000, shiftsCount: 1, hoursWorked: 20, grossSalary: 2000, payRule: liable }
+];
+
+const deductions = result => Object.fromEntries(
+  Object.entries(result.shares).map(([id, share]) => [id, Math.round(share.deduction * 100) / 100])
+);
+
+describe('salaryService.allocateInventoryLoss', () => {
+  test('revenue strategy splits by revenue', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'revenue', capPercent: null });
+
+    expect(deductions(result)).toEqual({ 1: 600, 2: 300, 3: 100 });
+    expect(result.allocated).toBeCloseTo(1000, 6);
+    expect(result.carryover).toBeCloseTo(0, 6);
+  });
+
+  test('shifts strategy splits by shift count', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'shifts', capPercent: null });
+
+    expect(deductions(result)).toEqual({ 1: 600, 2: 300, 3: 100 });
+  });
+
+  test('hours strategy splits by hours worked', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'hours', capPercent: null });
+
+    expect(deductions(result)).toEqual({ 1: 600, 2: 200, 3: 200 });
+  });
+
+  test('equal strategy splits evenly between those who worked', () => {
+    const staff = [...employees, { employeeId: 4, revenue: 0, shiftsCount: 0, grossSalary: 8000, payRule: liable }];
+    const result = salaryService.allocateInventoryLoss(staff, 900, { strategy: 'equal', capPercent: null });
+
+    expect(deductions(result)).toEqual({ 1: 300, 2: 300, 3: 300, 4: 0 });
+  });
+
+  test('revision_period strategy uses shifts inside the inventory period', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'revision_period', capPercent: null }, {
+      revisionShiftsMap: { 1: 1, 3: 3 }
+    });
+
+    expect(deductions(result)).toEqual({ 1: 250, 2: 0, 3: 750 });
+  });
+
+  test('employees without inventory liability get no share', () => {
+    const staff = employees.map(emp => (emp.employeeId === 1 ? { ...emp, payRule: { inventoryLiability: false } } : emp));
+    const result = salaryService.allocateInventoryLoss(staff, 1000, { strategy: 'revenue', capPercent: null });
+
+    expect(result.shares[1]).toBeUndefined();
+    expect(deductions(result)).toEqual({ 2: 750, 3: 250 });
+  });
+
+  test('cap limits each deduction to a percent of gross salary and carries the rest over', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 3000, { strategy: 'revenue', capPercent: 10 });
+
+    // Частки 1800 / 900 / 300, обмеження 1000 / 600 / 200
+    expect(deductions(result)).toEqual({ 1: 1000, 2: 600, 3: 200 });
+    expect(Object.values(result.shares).every(share => share.capped)).toBe(true);
+    expect(result.allocated).toBeCloseTo(1800, 6);
+    expect(result.carryover).toBeCloseTo(1200, 6);
+  });
+
+  test('cap of 0 carries the whole loss over', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 500, { strategy: 'revenue', capPercent: 0 });
+
+    expect(result.allocated).toBe(0);
+    expect(result.carryover).toBe(500);
+  });
+
+  test('shares under the cap are not marked capped', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'revenue', capPercent: 50 });
+
+    expect(Object.values(result.shares).some(share => share.capped)).toBe(false);
+    expect(result.carryover).toBeCloseTo(0, 6);
+  });
+
+  test('total weight of 0 carries the whole loss over', () => {
+    const result = salaryService.allocateInventoryLoss(employees, 1000, { strategy: 'revision_period', capPercent: null }, {
+      revisionShiftsMap: {}
+    });
+
+    expect(result).toEqual({ shares: {}, allocated: 0, carryover: 1000 });
+  });
+
+  test('nobody liable carries the whole loss over', () => {
+    const staff = employees.map(emp => ({ ...emp, payRule: { inventoryLiability: false } }));
+
+    expect(salaryService.allocateInventoryLoss(staff, 700, { strategy: 'revenue', capPercent: null }))
+      .toEqual({ shares: {}, allocated: 0, carryover: 700 });
+  });
+
+  test('no loss means nothing to allocate', () => {
+    expect(salaryService.allocateInventoryLoss(employees, 0, { strategy: 'revenue', capPercent: null }))
+      .toEqual({ shares: {}, allocated: 0, carryover: 0 });
+  });
+});
+
+describe('salaryService.validateInventoryAllocation', () => {
+  test('rejects unknown strategy and cap outside 0-100', () => {
+    expect(salaryService.validateInventoryAllocation(salaryService.normalizeInventoryAllocation({
+      strategy: 'random',
+      capPercent: '120'
+    }))).toHaveLength(2);
+  });
+
+  test('empty cap means no cap', () => {
+    expect(salaryService.normalizeInventoryAllocation({ capPercent: '' })).toEqual({ strategy: 'revenue', capPercent: null });
+  });
+});
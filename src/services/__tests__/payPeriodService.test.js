@@ -0,0 +1,160 @@
+// backend/src/services/__tests__/payPeriodService.test.js
+// Періоди виплат: місячний, аванс / розрахунок, тижневий, довільний та поточний період
+
+const payPeriodService = require('../payPeriodService');
+
+const resolve = (input, settings) => payPeriodService.resolvePeriod(input, settings);
+
+describe('payPeriodService.resolvePeriod', () => {
+  test('monthly template covers the calendar month', () => {
+    expect(resolve({ month: 2, year: 2024 })).toEqual({
+      period: { type: 'monthly', kind: 'regular', dateFrom: '2024-02-01', dateTo: '2024-02-29', month: 2, year: 2024 },
+      errors: []
+    });
+  });
+
+  test('rejects invalid month/year', () => {
+    expect(resolve({ month: 13, year: 2024 }).errors).toEqual(['Invalid month/year']);
+    expect(resolve({ month: 1, year: 1999 }).errors).toEqual(['Invalid month/year']);
+  });
+
+  describe('semi_monthly template', () => {
+    const settings = { template: 'semi_monthly', advanceDay: 15 };
+
+    test('advance runs from the 1st to advanceDay', () => {
+      const { period } = resolve({ month: 3, year: 2026, part: 'advance' }, settings);
+
+      expect(period).toMatchObject({ type: 'semi_monthly', kind: 'advance', dateFrom: '2026-03-01', dateTo: '2026-03-15' });
+    });
+
+    test('settlement covers the whole month (advance is withheld from it)', () => {
+      const { period } = resolve({ month: 3, year: 2026 }, settings);
+
+      expect(period).toMatchObject({ kind: 'settlement', dateFrom: '2026-03-01', dateTo: '2026-03-31' });
+    });
+
+    test('advanceDay beyond month end is clamped to the last day', () => {
+      const { period } = resolve({ month: 2, year: 2026, part: 'advance' }, { template: 'semi_monthly', advanceDay: 31 });
+
+      expect(period).toMatchObject({ dateFrom: '2026-02-01', dateTo: '2026-02-28', month: 2 });
+    });
+
+    test('rejects unknown part', () => {
+      expect(resolve({ month: 3, year: 2026, part: 'bonus' }, settings).errors)
+        .toEqual(['Invalid part (must be advance or settlement)']);
+    });
+  });
+
+  describe('weekly template', () => {
+    test('week from Monday to Sunday containing the given day', () => {
+      const { period } = resolve({ week: '2026-10-15' }, { template: 'weekly', weekStart: 1 });
+
+      expect(period).toMatchObject({ type: 'weekly', dateFrom: '2026-10-12', dateTo: '2026-10-18' });
+    });
+
+    test('weekStart 7 starts the week on Sunday', () => {
+      const { period } = resolve({ week: '2026-10-18' }, { template: 'weekly', weekStart: 7 });
+
+      expect(period).toMatchObject({ dateFrom: '2026-10-18', dateTo: '2026-10-24' });
+    });
+
+    test('week across months belongs to the month of its end', () => {
+      const { period } = resolve({ week: '2026-09-30' }, { template: 'weekly', weekStart: 1 });
+
+      expect(period).toMatchObject({ dateFrom: '2026-09-28', dateTo: '2026-10-04', month: 10, year: 2026 });
+    });
+
+    test('week across years belongs to the year of its end', () => {
+      const { period } = resolve({ week: '2025-12-31' }, { template: 'weekly', weekStart: 1 });
+
+      expect(period).toMatchObject({ dateFrom: '2025-12-29', dateTo: '2026-01-04', month: 1, year: 2026 });
+    });
+
+    test('week is required', () => {
+      expect(resolve({ month: 10, year: 2026 }, { template: 'weekly' }).period).toBeNull();
+    });
+  });
+
+  describe('custom period', () => {
+    test('dateFrom/dateTo override the template', () => {
+      const { period } = resolve({ dateFrom: '2026-01-10', dateTo: '2026-02-09' }, { template: 'weekly' });
+
+      expect(period).toMatchObject({ type: 'custom', kind: 'regular', dateFrom: '2026-01-10', dateTo: '2026-02-09', month: 2 });
+    });
+
+    test('rejects reversed, invalid and too long ranges', () => {
+      expect(resolve({ dateFrom: '2026-02-01', dateTo: '2026-01-01' }).errors).toEqual(['dateFrom must not be after dateTo']);
+      expect(resolve({ dateFrom: '2026-02-30', dateTo: '2026-03-01' }).errors)
+        .toEqual(['Invalid dateFrom/dateTo (expected YYYY-MM-DD)']);
+      expect(resolve({ dateFrom: '2026-01-01', dateTo: '2026-04-04' }).errors).toEqual(['Period must not exceed 93 days']);
+      expect(resolve({ dateFrom: '2026-01-01', dateTo: '2026-04-03' }).errors).toEqual([]);
+    });
+
+    test('rejects unknown periodKind', () => {
+      expect(resolve({ dateFrom: '2026-01-01', dateTo: '2026-01-15', periodKind: 'bonus' }).period).toBeNull();
+    });
+  });
+});
+
+describe('payPeriodService.getPeriodForDate', () => {
+  const day = value => payPeriodService.parseDate(value);
+
+  test('monthly: the calendar month of the date', () => {
+    expect(payPeriodService.getPeriodForDate(null, day('2026-10-19')))
+      .toMatchObject({ dateFrom: '2026-10-01', dateTo: '2026-10-31' });
+  });
+
+  test('semi_monthly: advance up to and including advanceDay, settlement after it', () => {
+    const settings = { template: 'semi_monthly', advanceDay: 15 };
+
+    expect(payPeriodService.getPeriodForDate(settings, day('2026-10-15')).kind).toBe('advance');
+    expect(payPeriodService.getPeriodForDate(settings, day('2026-10-16')).kind).toBe('settlement');
+  });
+
+  test('semi_monthly: advanceDay beyond month end keeps the whole month in advance', () => {
+    const period = payPeriodService.getPeriodForDate({ template: 'semi_monthly', advanceDay: 31 }, day('2026-02-28'));
+
+    expect(period).toMatchObject({ kind: 'advance', dateTo: '2026-02-28' });
+  });
+
+  test('weekly: the week containing the date', () => {
+    expect(payPeriodService.getPeriodForDate({ template: 'weekly', weekStart: 1 }, day('2026-10-19')))
+      .toMatchObject({ dateFrom: '2026-10-19', dateTo: '2026-10-25' });
+  });
+});
+
+describe('payPeriodService.listPeriods', () => {
+  test('weekly lists the weeks ending inside the month', () => {
+    const periods = payPeriodService.listPeriods({ template: 'weekly', weekStart: 1 }, 10, 2026);
+
+    expect(periods.map(period => period.dateTo)).toEqual(['2026-10-04', '2026-10-11', '2026-10-18', '2026-10-25']);
+  });
+
+  test('semi_monthly lists advance then settlement', () => {
+    expect(payPeriodService.listPeriods({ template: 'semi_monthly' }, 10, 2026).map(period => period.kind))
+      .toEqual(['advance', 'settlement']);
+  });
+});
+
+describe('period helpers', () => {
+  test('fixed salary factor: full month is 1, first half of a 30-day month is 0.5', () => {
+    expect(payPeriodService.getFixedSalaryFactor({ dateFrom: '2026-02-01', dateTo: '2026-02-28' })).toBe(1);
+    expect(payPeriodService.getFixedSalaryFactor({ dateFrom: '2026-04-01', dateTo: '2026-04-15' })).toBe(0.5);
+  });
+
+  test('closed month is the last month end inside the period', () => {
+    expect(payPeriodService.getClosedMonth({ dateFrom: '2026-09-28', dateTo: '2026-10-04' })).toEqual({ month: 9, year: 2026 });
+    expect(payPeriodService.getClosedMonth({ dateFrom: '2026-10-05', dateTo: '2026-10-11' })).toBeNull();
+    expect(payPeriodService.getClosedMonth({ dateFrom: '2026-10-01', dateTo: '2026-10-31' })).toEqual({ month: 10, year: 2026 });
+  });
+
+  test('coversFullMonth only for periods from the 1st through the month end', () => {
+    expect(payPeriodService.coversFullMonth({ dateFrom: '2026-10-01', dateTo: '2026-10-31' })).toBe(true);
+    expect(payPeriodService.coversFullMonth({ dateFrom: '2026-10-01', dateTo: '2026-10-15' })).toBe(false);
+  });
+
+  test('validateSettings limits advanceDay to 1-27', () => {
+    expect(payPeriodService.validateSettings(payPeriodService.normalizeSettings({ template: 'semi_monthly', advanceDay: 28 })))
+      .toEqual(['advanceDay must be between 1 and 27']);
+  });
+});
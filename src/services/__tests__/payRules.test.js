@@ -0,0 +1,132 @@
+// backend/src/services/__tests__/payRules.test.js
+// Правила оплати: пріоритет співробітник > посада > заклад та успадкування незаповнених полів
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+
+const salaryService = require('../salaryService');
+
+const defaults = {
+  shiftRate: 500,
+  revenuePercent: 5,
+  hourlyRate: 0,
+  fixedSalary: null,
+  inventoryLiability: true
+};
+
+const positionRule = {
+  id: 1,
+  scope: 'position',
+  position: 'Бариста',
+  shiftRate: 600,
+  revenuePercent: null,
+  hourlyRate: null,
+  fixedSalary: null,
+  inventoryLiability: null
+};
+
+const employeeRule = {
+  id: 2,
+  scope: 'employee',
+  posterEmployeeId: 7,
+  shiftRate: null,
+  revenuePercent: 8,
+  hourlyRate: null,
+  fixedSalary: null,
+  inventoryLiability: false
+};
+
+describe('salaryService.resolvePayRule', () => {
+  test('without rules uses location defaults', () => {
+    const rule = salaryService.resolvePayRule({ employeeId: 7, position: 'Бариста' }, [], defaults);
+
+    expect(rule).toMatchObject({ shiftRate: 500, revenuePercent: 5, hourlyRate: 0, fixedSalary: null, inventoryLiability: true });
+    expect(rule.scope).toBe('location');
+    expect(rule.ruleIds).toEqual([]);
+    expect(Object.values(rule.sources)).toEqual(Array(5).fill('location'));
+  });
+
+  test('missing optional defaults fall back to zero hourly rate, no fixed salary and liability', () => {
+    const rule = salaryService.resolvePayRule({ employeeId: 1 }, [], { shiftRate: 400, revenuePercent: 3 });
+
+    expect(rule.hourlyRate).toBe(0);
+    expect(rule.fixedSalary).toBeNull();
+    expect(rule.inventoryLiability).toBe(true);
+  });
+
+  test('position rule overrides only filled fields, matched case-insensitively', () => {
+    const rule = salaryService.resolvePayRule({ employeeId: 3, position: '  бариста ' }, [positionRule], defaults);
+
+    expect(rule.shiftRate).toBe(600);
+    expect(rule.sources.shiftRate).toBe('position');
+    // null у правилі посади - успадковується від закладу
+    expect(rule.revenuePercent).toBe(5);
+    expect(rule.sources.revenuePercent).toBe('location');
+    expect(rule.scope).toBe('position');
+    expect(rule.ruleIds).toEqual([1]);
+  });
+
+  test('employee rule beats position rule, null fields inherit from position then location', () => {
+    const rule = salaryService.resolvePayRule(
+      { employeeId: '7', position: 'Бариста' },
+      [employeeRule, positionRule],
+      defaults
+    );
+
+    expect(rule.shiftRate).toBe(600);
+    expect(rule.sources.shiftRate).toBe('position');
+    expect(rule.revenuePercent).toBe(8);
+    expect(rule.sources.revenuePercent).toBe('employee');
+    expect(rule.inventoryLiability).toBe(false);
+    expect(rule.sources.inventoryLiability).toBe('employee');
+    expect(rule.hourlyRate).toBe(0);
+    expect(rule.sources.hourlyRate).toBe('location');
+    expect(rule.scope).toBe('employee');
+    expect(rule.ruleIds).toEqual([1, 2]);
+  });
+
+  test('employee rule wins when both levels set the same field', () => {
+    const rules = [positionRule, { ...employeeRule, shiftRate: 900 }];
+    const rule = salaryService.resolvePayRule({ employeeId: 7, position: 'Бариста' }, rules, defaults);
+
+    expect(rule.shiftRate).toBe(900);
+    expect(rule.sources.shiftRate).toBe('employee');
+  });
+
+  test('zero and false are explicit values, not inherited', () => {
+    const rules = [{ ...employeeRule, shiftRate: 0, revenuePercent: 0, fixedSalary: 0 }];
+    const rule = salaryService.resolvePayRule({ employeeId: 7 }, rules, defaults);
+
+    expect(rule.shiftRate).toBe(0);
+    expect(rule.revenuePercent).toBe(0);
+    expect(rule.fixedSalary).toBe(0);
+    expect(rule.inventoryLiability).toBe(false);
+  });
+
+  test('rules of other employees and positions are ignored', () => {
+    const rules = [{ ...employeeRule, posterEmployeeId: 8 }, { ...positionRule, position: 'Кухар' }];
+    const rule = salaryService.resolvePayRule({ employeeId: 7, position: 'Бариста' }, rules, defaults);
+
+    expect(rule.scope).toBe('location');
+    expect(rule.shiftRate).toBe(500);
+  });
+
+  test('employee without position gets no position rule', () => {
+    const rule = salaryService.resolvePayRule({ employeeId: 3, position: null }, [{ ...positionRule, position: '' }], defaults);
+
+    expect(rule.scope).toBe('location');
+  });
+});
+
+describe('salaryService.validatePayRule', () => {
+  test('requires position or employee for specific scopes', () => {
+    expect(salaryService.validatePayRule({ scope: 'position' })).toContain('Position is required for position pay rule');
+    expect(salaryService.validatePayRule({ scope: 'employee' })).toContain('Poster employee ID is required for employee pay rule');
+    expect(salaryService.validatePayRule({ scope: 'team' })).toEqual(['Invalid pay rule scope (must be location, position or employee)']);
+  });
+
+  test('rejects negative rates and percent above 100', () => {
+    const errors = salaryService.validatePayRule({ scope: 'location', shiftRate: -1, revenuePercent: 101, hourlyRate: -5 });
+
+    expect(errors).toHaveLength(3);
+  });
+});
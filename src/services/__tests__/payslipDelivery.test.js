@@ -0,0 +1,237 @@
+// backend/src/services/__tests__/payslipDelivery.test.js
+// Доставка розрахункових листів через мок Telegram Bot API (scripts/mock-telegram-server.js):
+// лише власний рядок, повторні спроби, постійні помилки, черга без дублів, повернення звіту
+
+jest.mock('../../config/database', () => {
+  const { newDb } = require('pg-mem');
+  const { Pool } = newDb().adapters.createPg();
+  const pool = new Pool();
+
+  return { pool, query: (text, params) => pool.query(text, params), getClient: () => pool.connect() };
+});
+jest.mock('../../repositories/salaryReportRepository', () => ({
+  findById: jest.fn(),
+  getLines: jest.fn()
+}));
+jest.mock('../../repositories/payslipDeliveryRepository', () => ({
+  queueForReport: jest.fn(),
+  claimDue: jest.fn(),
+  markSent: jest.fn(),
+  markFailed: jest.fn()
+}));
+
+const db = require('../../config/database');
+const { createMockTelegramServer } = require('../../../scripts/mock-telegram-server');
+const telegramService = require('../telegramService');
+const payslipService = require('../payslipService');
+const salaryReportRepository = require('../../repositories/salaryReportRepository');
+const payslipDeliveryRepository = require('../../repositories/payslipDeliveryRepository');
+
+const realDeliveryRepository = jest.requireActual('../../repositories/payslipDeliveryRepository');
+
+const report = {
+  id: 10,
+  location_name: 'Кава на Подолі',
+  period_month: 9,
+  period_year: 2026,
+  period_start: '2026-09-01',
+  period_end: '2026-09-30',
+  period_type: 'monthly',
+  period_kind: 'regular',
+  version: 1,
+  status: 'approved'
+};
+
+const line = (employeeId, name, totalSalary) => ({
+  id: employeeId * 100,
+  employee_id: employeeId,
+  poster_id: employeeId,
+  employee_name: name,
+  shifts_count: 10,
+  revenue: '40000.00',
+  base_salary: '5000.00',
+  revenue_bonus: '2000.00',
+  total_salary: totalSalary
+});
+
+const lines = [line(1, 'Олена Коваль', '7123.45'), line(2, 'Андрій Мельник', '9876.54')];
+
+const delivery = (overrides = {}) => ({ id: 1, reportId: 10, employeeId: 1, telegramId: '501', attempts: 1, ...overrides });
+
+let mock;
+let server;
+
+beforeAll(() => new Promise(resolve => {
+  mock = createMockTelegramServer({ blockedChats: ['666'] });
+  server = mock.listen(0, '127.0.0.1', () => {
+    telegramService.apiUrl = `http://127.0.0.1:${server.address().port}`;
+    telegramService.botToken = 'test-token';
+    resolve();
+  });
+}));
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  mock.locals.messages = [];
+  mock.locals.failures = [];
+  jest.clearAllMocks();
+  salaryReportRepository.findById.mockResolvedValue(report);
+  salaryReportRepository.getLines.mockResolvedValue(lines);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('payslipService.deliver', () => {
+  test('sends only the employee\'s own line', async () => {
+    const sent = await payslipService.deliver(delivery(), new Map());
+
+    expect(sent).toBe(true);
+    expect(mock.locals.messages).toHaveLength(1);
+
+    const [message] = mock.locals.messages;
+    expect(message.chat.id).toBe('501');
+    expect(message.text).toContain('Кава на Подолі');
+    expect(message.text).toContain('До виплати: 7123.45 грн');
+    expect(message.text).not.toContain('9876.54');
+    expect(message.text).not.toContain('Андрій');
+    expect(payslipDeliveryRepository.markSent).toHaveBeenCalledWith(1);
+  });
+
+  test('report data is loaded once per report in a batch', async () => {
+    const reports = new Map();
+
+    await payslipService.deliver(delivery(), reports);
+    await payslipService.deliver(delivery({ id: 2, employeeId: 2, telegramId: '502' }), reports);
+
+    expect(salaryReportRepository.findById).toHaveBeenCalledTimes(1);
+    expect(mock.locals.messages.map(message => message.chat.id)).toEqual(['501', '502']);
+  });
+
+  test('429 schedules the next attempt after retry_after', async () => {
+    mock.locals.failures.push({ status: 429, retryAfter: 30 });
+    const before = Date.now();
+
+    const sent = await payslipService.deliver(delivery(), new Map());
+
+    expect(sent).toBe(false);
+    const [, , nextAttemptAt] = payslipDeliveryRepository.markFailed.mock.calls[0];
+    expect(nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(30000);
+    expect(nextAttemptAt.getTime() - before).toBeLessThan(31000);
+  });
+
+  test('blocked bot (403) fails permanently', async () => {
+    const sent = await payslipService.deliver(delivery({ telegramId: '666' }), new Map());
+
+    expect(sent).toBe(false);
+    expect(payslipDeliveryRepository.markFailed).toHaveBeenCalledWith(1, expect.stringContaining('blocked'), null);
+  });
+
+  test('server error is retried later', async () => {
+    mock.locals.failures.push({ status: 502 });
+
+    await payslipService.deliver(delivery(), new Map());
+
+    const [, , nextAttemptAt] = payslipDeliveryRepository.markFailed.mock.calls[0];
+    expect(nextAttemptAt).toBeInstanceOf(Date);
+  });
+
+  test('after a reopen the delivery is marked failed and nothing is sent', async () => {
+    salaryReportRepository.findById.mockResolvedValue({ ...report, status: 'draft' });
+
+    const sent = await payslipService.deliver(delivery(), new Map());
+
+    expect(sent).toBe(false);
+    expect(mock.locals.messages).toHaveLength(0);
+    expect(payslipDeliveryRepository.markFailed).toHaveBeenCalledWith(1, 'Report is no longer approved', null);
+  });
+
+  test('employee removed from the recalculated report is marked failed', async () => {
+    const sent = await payslipService.deliver(delivery({ employeeId: 3 }), new Map());
+
+    expect(sent).toBe(false);
+    expect(payslipDeliveryRepository.markFailed).toHaveBeenCalledWith(1, 'Report is no longer approved', null);
+  });
+});
+
+describe('payslipService.getNextAttemptAt', () => {
+  const error = (statusCode, retryAfter = null) => ({ statusCode, retryAfter });
+  const delayMinutes = (attempts, err) => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const next = payslipService.getNextAttemptAt(attempts, err);
+    Date.now.mockRestore();
+    return next === null ? null : (next.getTime() - now) / 60000;
+  };
+
+  test('exponential backoff 1, 2, 4, 8 minutes', () => {
+    expect([1, 2, 3, 4].map(attempts => delayMinutes(attempts, error(500)))).toEqual([1, 2, 4, 8]);
+  });
+
+  test('honours retry_after on 429', () => {
+    expect(delayMinutes(1, error(429, 90))).toBe(1.5);
+  });
+
+  test('stops permanently on 400 and 403', () => {
+    expect(payslipService.getNextAttemptAt(1, error(400))).toBeNull();
+    expect(payslipService.getNextAttemptAt(1, error(403))).toBeNull();
+  });
+
+  test('stops at MAX_ATTEMPTS', () => {
+    expect(payslipService.getNextAttemptAt(4, error(500))).toBeInstanceOf(Date);
+    expect(payslipService.getNextAttemptAt(5, error(500))).toBeNull();
+  });
+});
+
+describe('payslipService.queueReport', () => {
+  test('starts delivery only when new deliveries were queued', async () => {
+    payslipDeliveryRepository.queueForReport.mockResolvedValue(0);
+    const processPending = jest.spyOn(payslipService, 'processPending').mockResolvedValue({ sent: 0, failed: 0 });
+
+    expect(await payslipService.queueReport(10)).toBe(0);
+    expect(processPending).not.toHaveBeenCalled();
+
+    payslipDeliveryRepository.queueForReport.mockResolvedValue(2);
+    expect(await payslipService.queueReport(10)).toBe(2);
+    expect(processPending).toHaveBeenCalledTimes(1);
+
+    processPending.mockRestore();
+  });
+});
+
+describe('payslipDeliveryRepository.queueForReport', () => {
+  beforeAll(async () => {
+    await db.query(`
+      CREATE TABLE employees (id INTEGER PRIMARY KEY, telegram_id BIGINT);
+      CREATE TABLE salary_report_lines (id SERIAL PRIMARY KEY, report_id INTEGER NOT NULL, employee_id INTEGER NOT NULL);
+      CREATE TABLE payslip_deliveries (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL,
+        employee_id INTEGER NOT NULL,
+        telegram_id BIGINT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        CONSTRAINT unique_payslip_delivery UNIQUE(report_id, employee_id)
+      );
+      INSERT INTO employees (id, telegram_id) VALUES (1, 501), (2, 502), (3, NULL);
+      INSERT INTO salary_report_lines (report_id, employee_id) VALUES (10, 1), (10, 2), (10, 3), (11, 1);
+    `);
+  });
+
+  test('queues employees with linked Telegram and never duplicates', async () => {
+    expect(await realDeliveryRepository.queueForReport(10)).toBe(2);
+    // Повторна постановка (напр. повторне затвердження) - записи не дублюються
+    // (rowCount для ON CONFLICT DO NOTHING pg-mem рахує неточно, тому перевіряються самі рядки)
+    await realDeliveryRepository.queueForReport(10);
+
+    const rows = (await db.query('SELECT report_id, employee_id, telegram_id FROM payslip_deliveries ORDER BY employee_id')).rows;
+    expect(rows.map(row => [row.report_id, row.employee_id])).toEqual([[10, 1], [10, 2]]);
+  });
+
+  test('a recalculated report version gets its own deliveries', async () => {
+    expect(await realDeliveryRepository.queueForReport(11)).toBe(1);
+  });
+});
@@ -0,0 +1,249 @@
+// backend/src/services/__tests__/posterClient.test.js
+// Клієнт Poster API проти локального мок-сервера (scripts/mock-poster-server.js):
+// пагінація, повтори з затримкою, обмеження частоти та кеш завершених періодів
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+jest.mock('../../repositories/posterCacheRepository', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+const { createMockPosterServer } = require('../../../scripts/mock-poster-server');
+const posterCacheRepository = require('../../repositories/posterCacheRepository');
+const posterService = require('../posterService');
+
+const ACCOUNT = 'mock';
+const TOKEN = 'mock-token';
+
+let mock;
+let server;
+let sleeps;
+
+const startMock = options => new Promise(resolve => {
+  mock = createMockPosterServer(options);
+  server = mock.listen(0, '127.0.0.1', () => {
+    posterService.apiUrl = `http://127.0.0.1:${server.address().port}/{account}/api`;
+    resolve();
+  });
+});
+
+const stopMock = () => new Promise(resolve => (server ? server.close(resolve) : resolve()));
+
+const formatKey = date =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+beforeEach(() => {
+  posterService.perPage = 100;
+  posterService.maxPages = 50;
+  posterService.maxRetries = 3;
+  posterService.retryBaseDelay = 100;
+  posterService.minRequestInterval = 0;
+  posterService.nextRequestAt = {};
+
+  posterCacheRepository.get.mockReset().mockResolvedValue(null);
+  posterCacheRepository.set.mockReset().mockResolvedValue();
+
+  // Затримки повторів записуються, а не очікуються
+  sleeps = [];
+  jest.spyOn(posterService, 'sleep').mockImplementation(async ms => { sleeps.push(ms); });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await stopMock();
+  server = null;
+});
+
+describe('posterService.fetchAll', () => {
+  test('collects every page until a short page', async () => {
+    await startMock({ transactionsCount: 250 });
+
+    const items = await posterService.fetchAll(ACCOUNT, TOKEN, 'dash.getTransactions', {
+      dateFrom: '20260101',
+      dateTo: '20260110'
+    });
+
+    expect(items).toHaveLength(250);
+    expect(items.map(item => item.transaction_id)).toEqual(Array.from({ length: 250 }, (_, i) => i + 1));
+    expect(mock.locals.requests).toBe(3);
+  });
+
+  test('exact multiple of the page size needs one extra empty page', async () => {
+    await startMock({ transactionsCount: 200 });
+
+    const items = await posterService.fetchAll(ACCOUNT, TOKEN, 'dash.getTransactions', { dateFrom: '20260101' });
+
+    expect(items).toHaveLength(200);
+    expect(mock.locals.requests).toBe(3);
+  });
+
+  test('stops when the API ignores pagination and repeats the first item', async () => {
+    await startMock({ transactionsCount: 250, ignorePagination: true });
+
+    const items = await posterService.fetchAll(ACCOUNT, TOKEN, 'dash.getTransactions', { dateFrom: '20260101' });
+
+    expect(items).toHaveLength(100);
+    expect(new Set(items.map(item => item.transaction_id)).size).toBe(100);
+    expect(mock.locals.requests).toBe(2);
+  });
+
+  test('stops at maxPages', async () => {
+    await startMock({ transactionsCount: 1000 });
+    posterService.maxPages = 3;
+
+    const items = await posterService.fetchAll(ACCOUNT, TOKEN, 'dash.getTransactions', { dateFrom: '20260101' });
+
+    expect(items).toHaveLength(300);
+    expect(mock.locals.requests).toBe(3);
+  });
+});
+
+describe('posterService.requestWithRetry', () => {
+  test('429 with Retry-After waits the given seconds and retries', async () => {
+    await startMock({ transactionsCount: 10 });
+    mock.locals.failures.push({ status: 429, retryAfter: 2 });
+
+    const data = await posterService.makeRequest(ACCOUNT, TOKEN, 'access.getEmployees');
+
+    expect(data.response).toHaveLength(3);
+    expect(sleeps).toEqual([2000]);
+    expect(mock.locals.requests).toBe(2);
+  });
+
+  test('5xx retries with exponential backoff', async () => {
+    await startMock();
+    mock.locals.failures.push({ status: 503 }, { status: 500 }, { status: 502 });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    const data = await posterService.makeRequest(ACCOUNT, TOKEN, 'access.getEmployees');
+
+    expect(data.response).toHaveLength(3);
+    expect(sleeps).toEqual([100, 200, 400]);
+    expect(mock.locals.requests).toBe(4);
+  });
+
+  test('gives up after maxRetries', async () => {
+    await startMock();
+    mock.locals.failures.push({ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 });
+
+    await expect(posterService.makeRequest(ACCOUNT, TOKEN, 'access.getEmployees'))
+      .rejects.toThrow('Failed to fetch data from Poster API: access.getEmployees');
+    expect(sleeps).toHaveLength(3);
+    expect(mock.locals.requests).toBe(4);
+  });
+
+  test('does not retry other client errors', async () => {
+    await startMock();
+    mock.locals.failures.push({ status: 403 });
+
+    await expect(posterService.makeRequest(ACCOUNT, TOKEN, 'access.getEmployees')).rejects.toThrow();
+    expect(sleeps).toEqual([]);
+    expect(mock.locals.requests).toBe(1);
+  });
+
+  test('does not retry Poster errors returned with HTTP 200', async () => {
+    await startMock();
+
+    await expect(posterService.makeRequest(ACCOUNT, TOKEN, 'unknown.method')).rejects.toThrow();
+    expect(mock.locals.requests).toBe(1);
+  });
+});
+
+describe('posterService.waitForRateLimit', () => {
+  test('spaces requests to one account by minRequestInterval', async () => {
+    posterService.minRequestInterval = 200;
+    const now = 1000000;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await posterService.waitForRateLimit('a');
+    await posterService.waitForRateLimit('a');
+    await posterService.waitForRateLimit('a');
+
+    expect(sleeps).toEqual([200, 400]);
+    expect(posterService.nextRequestAt.a).toBe(now + 600);
+  });
+
+  test('accounts are limited independently', async () => {
+    posterService.minRequestInterval = 200;
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    await posterService.waitForRateLimit('a');
+    await posterService.waitForRateLimit('b');
+
+    expect(sleeps).toEqual([]);
+  });
+
+  test('no wait once the interval has passed', async () => {
+    posterService.minRequestInterval = 200;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    await posterService.waitForRateLimit('a');
+    now.mockReturnValue(1000250);
+    await posterService.waitForRateLimit('a');
+
+    expect(sleeps).toEqual([]);
+  });
+});
+
+describe('posterService.makeRequest cache', () => {
+  test('cache hit returns the stored response without a request', async () => {
+    await startMock();
+    posterCacheRepository.get.mockResolvedValue({ response: [{ transaction_id: 42 }] });
+
+    const data = await posterService.makeRequest(ACCOUNT, TOKEN, 'dash.getTransactions', { dateFrom: '20250101' }, { cache: true });
+
+    expect(data.response).toEqual([{ transaction_id: 42 }]);
+    expect(mock.locals.requests).toBe(0);
+    expect(posterCacheRepository.set).not.toHaveBeenCalled();
+  });
+
+  test('cache miss fetches and stores the response', async () => {
+    await startMock({ transactionsCount: 5 });
+    const params = { dateFrom: '20250101', dateTo: '20250101' };
+
+    const data = await posterService.makeRequest(ACCOUNT, TOKEN, 'dash.getTransactions', params, { cache: true });
+
+    expect(data.response).toHaveLength(5);
+    expect(mock.locals.requests).toBe(1);
+    expect(posterCacheRepository.set).toHaveBeenCalledWith(ACCOUNT, 'dash.getTransactions', params, data);
+  });
+
+  test('failed requests are not cached', async () => {
+    await startMock();
+    posterService.maxRetries = 0;
+    mock.locals.failures.push({ status: 500 });
+
+    await expect(posterService.makeRequest(ACCOUNT, TOKEN, 'access.getEmployees', {}, { cache: true })).rejects.toThrow();
+    expect(posterCacheRepository.set).not.toHaveBeenCalled();
+  });
+
+  test('past period transactions go through the cache', async () => {
+    await startMock({ transactionsCount: 5 });
+
+    await posterService.getTransactions(ACCOUNT, TOKEN, '20250101', '20250131');
+
+    expect(posterCacheRepository.get).toHaveBeenCalledTimes(1);
+    expect(posterCacheRepository.set).toHaveBeenCalledTimes(1);
+  });
+
+  test('current period transactions bypass the cache', async () => {
+    await startMock({ transactionsCount: 5 });
+    const today = formatKey(new Date());
+
+    await posterService.getTransactions(ACCOUNT, TOKEN, today, today);
+
+    expect(posterCacheRepository.get).not.toHaveBeenCalled();
+    expect(posterCacheRepository.set).not.toHaveBeenCalled();
+    expect(mock.locals.requests).toBe(1);
+  });
+
+  test('isPastPeriod: only periods that ended before today', () => {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    expect(posterService.isPastPeriod(formatKey(yesterday))).toBe(true);
+    expect(posterService.isPastPeriod(formatKey(new Date()))).toBe(false);
+  });
+});
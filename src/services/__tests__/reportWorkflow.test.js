@@ -0,0 +1,213 @@
+// backend/src/services/__tests__/reportWorkflow.test.js
+// Затвердження звітів: переходи за роллю, обов'язкові дані, побічні дії
+// (розрахункові листи, сповіщення власникам з назвою періоду)
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+jest.mock('../../repositories/salaryReportRepository', () => ({
+  getLocationId: jest.fn(),
+  changeStatus: jest.fn()
+}));
+jest.mock('../permissionService', () => ({
+  isAdmin: user => user.role === 'admin',
+  getPermissions: jest.fn(),
+  getLocationManagers: jest.fn()
+}));
+jest.mock('../auditService', () => ({
+  actions: {
+    REPORT_SUBMIT: 'report.submit',
+    REPORT_APPROVE: 'report.approve',
+    REPORT_PAY: 'report.pay',
+    REPORT_REOPEN: 'report.reopen'
+  },
+  log: jest.fn()
+}));
+jest.mock('../payslipService', () => ({ queueReport: jest.fn() }));
+jest.mock('../telegramService', () => ({ sendMessage: jest.fn() }));
+
+const reportWorkflowService = require('../reportWorkflowService');
+const salaryService = require('../salaryService');
+const permissionService = require('../permissionService');
+const auditService = require('../auditService');
+const payslipService = require('../payslipService');
+const telegramService = require('../telegramService');
+const salaryReportRepository = require('../../repositories/salaryReportRepository');
+
+const manager = { id: 2, role: 'user' };
+const owner = { id: 3, role: 'user' };
+const admin = { id: 1, role: 'admin' };
+
+const report = (overrides = {}) => ({
+  id: 10,
+  location_id: 5,
+  period_month: 9,
+  period_year: 2026,
+  period_type: 'monthly',
+  period_kind: 'regular',
+  period_start: '2026-09-01',
+  period_end: '2026-09-30',
+  version: 2,
+  status: 'submitted',
+  ...overrides
+});
+
+const roles = { [manager.id]: 'manager', [owner.id]: 'owner' };
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  salaryReportRepository.getLocationId.mockResolvedValue(5);
+  salaryReportRepository.changeStatus.mockImplementation(async (reportId, { to }) => ({ report: report({ status: to }) }));
+  permissionService.getPermissions.mockImplementation(async userId =>
+    (roles[userId] ? { role: roles[userId], can_calculate: true } : null));
+  permissionService.getLocationManagers.mockResolvedValue([
+    { user_id: manager.id, telegram_id: 200, role: 'manager' },
+    { user_id: owner.id, telegram_id: 300, role: 'owner' }
+  ]);
+  auditService.log.mockResolvedValue();
+  payslipService.queueReport.mockResolvedValue(0);
+  telegramService.sendMessage.mockResolvedValue({});
+});
+
+const expectError = async (promise, status, message) => {
+  await expect(promise).rejects.toMatchObject({ status, message });
+};
+
+describe('reportWorkflowService.transition', () => {
+  test('manager submits, owner approves, manager marks paid, owner reopens', async () => {
+    await reportWorkflowService.transition(10, 'submit', manager);
+    await reportWorkflowService.transition(10, 'approve', owner);
+    await reportWorkflowService.transition(10, 'pay', manager, { paidDate: '2026-10-05', paymentMethod: 'card' });
+    await reportWorkflowService.transition(10, 'reopen', owner, { reason: ' Помилка в змінах ' });
+
+    const calls = salaryReportRepository.changeStatus.mock.calls.map(([, options]) => [options.from, options.to]);
+    expect(calls).toEqual([
+      [['draft'], 'submitted'],
+      [['submitted'], 'approved'],
+      [['approved'], 'paid'],
+      [['submitted', 'approved', 'paid'], 'draft']
+    ]);
+    expect(salaryReportRepository.changeStatus.mock.calls[2][1].payment)
+      .toEqual({ paidDate: '2026-10-05', method: 'card', note: null });
+    expect(salaryReportRepository.changeStatus.mock.calls[3][1].reason).toBe('Помилка в змінах');
+    expect(auditService.log.mock.calls.map(([entry]) => entry.action))
+      .toEqual(['report.submit', 'report.approve', 'report.pay', 'report.reopen']);
+  });
+
+  test('only owner (or admin) approves and reopens', async () => {
+    await expectError(reportWorkflowService.transition(10, 'approve', manager), 403, 'Your role cannot approve reports (allowed: owner)');
+    await expectError(reportWorkflowService.transition(10, 'reopen', manager, { reason: 'x' }), 403, 'Your role cannot reopen reports (allowed: owner)');
+
+    await reportWorkflowService.transition(10, 'approve', admin);
+    expect(salaryReportRepository.changeStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('role without can_calculate or without access cannot change status', async () => {
+    permissionService.getPermissions.mockResolvedValueOnce({ role: 'owner', can_calculate: false });
+
+    await expectError(reportWorkflowService.transition(10, 'approve', owner), 403, 'Your role cannot approve reports (allowed: owner)');
+    await expectError(reportWorkflowService.transition(10, 'submit', { id: 99, role: 'user' }), 403, 'Your role cannot submit reports (allowed: owner, manager)');
+    expect(salaryReportRepository.changeStatus).not.toHaveBeenCalled();
+  });
+
+  test('reopen requires a reason, pay requires a valid date and method', async () => {
+    await expect(reportWorkflowService.transition(10, 'reopen', owner, { reason: '  ' }))
+      .rejects.toMatchObject({ status: 400, errors: ['reason is required to reopen a report'] });
+    await expect(reportWorkflowService.transition(10, 'pay', owner, { paidDate: '2026-02-30', paymentMethod: 'crypto' }))
+      .rejects.toMatchObject({
+        status: 400,
+        errors: ['Invalid paidDate (expected YYYY-MM-DD)', 'Invalid paymentMethod (must be one of: cash, card, bank_transfer, other)']
+      });
+    expect(salaryReportRepository.changeStatus).not.toHaveBeenCalled();
+  });
+
+  test('unknown transition and missing report', async () => {
+    await expectError(reportWorkflowService.transition(10, 'archive', owner), 400, 'Unknown transition: archive');
+
+    salaryReportRepository.getLocationId.mockResolvedValueOnce(null);
+    await expectError(reportWorkflowService.transition(10, 'submit', owner), 404, 'Report not found');
+  });
+
+  test('repository conflicts become 409', async () => {
+    salaryReportRepository.changeStatus.mockResolvedValueOnce({ error: 'invalid_status', status: 'draft' });
+    await expectError(reportWorkflowService.transition(10, 'approve', owner), 409, 'Cannot approve a report in status draft');
+
+    salaryReportRepository.changeStatus.mockResolvedValueOnce({ error: 'period_locked', reportId: 7 });
+    await expectError(reportWorkflowService.transition(10, 'submit', owner), 409, 'Period already has approved report 7. Reopen it first.');
+
+    salaryReportRepository.changeStatus.mockResolvedValueOnce({ error: 'not_found' });
+    await expectError(reportWorkflowService.transition(10, 'submit', owner), 404, 'Report not found');
+
+    expect(auditService.log).not.toHaveBeenCalled();
+  });
+
+  test('approval queues payslips, other transitions do not', async () => {
+    await reportWorkflowService.transition(10, 'submit', manager);
+    expect(payslipService.queueReport).not.toHaveBeenCalled();
+
+    await reportWorkflowService.transition(10, 'approve', owner);
+    expect(payslipService.queueReport).toHaveBeenCalledWith(10);
+  });
+
+  test('failing side effects do not undo the transition', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    payslipService.queueReport.mockRejectedValueOnce(new Error('Telegram down'));
+
+    await expect(reportWorkflowService.transition(10, 'approve', owner)).resolves.toMatchObject({ status: 'approved' });
+    await flush();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('reportWorkflowService.notifyApprovers', () => {
+  test('notifies owners except the submitter with an approve button', async () => {
+    await reportWorkflowService.transition(10, 'submit', manager);
+    await flush();
+
+    expect(telegramService.sendMessage).toHaveBeenCalledTimes(1);
+    const [chatId, text, markup] = telegramService.sendMessage.mock.calls[0];
+    expect(chatId).toBe(300);
+    expect(text).toContain('Звіт №10');
+    expect(text).toContain('версія 2');
+    expect(markup.reply_markup.inline_keyboard[0][0].callback_data).toBe('approve:10');
+
+    telegramService.sendMessage.mockClear();
+    await reportWorkflowService.notifyApprovers(report(), owner);
+    expect(telegramService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('weekly and advance reports are labelled with their dates, not the month', async () => {
+    await reportWorkflowService.notifyApprovers(report({
+      period_type: 'weekly',
+      period_start: '2026-09-07',
+      period_end: '2026-09-13'
+    }), manager);
+    await reportWorkflowService.notifyApprovers(report({
+      period_type: 'semi_monthly',
+      period_kind: 'advance',
+      period_start: '2026-09-01',
+      period_end: '2026-09-15'
+    }), manager);
+
+    const texts = telegramService.sendMessage.mock.calls.map(([, text]) => text);
+    expect(texts[0]).toContain('07.09.2026 – 13.09.2026');
+    expect(texts[1]).toContain('01.09.2026 – 15.09.2026 (аванс)');
+  });
+
+  test('monthly reports keep the month name', async () => {
+    await reportWorkflowService.notifyApprovers(report(), manager);
+
+    const [, text] = telegramService.sendMessage.mock.calls[0];
+    expect(text).toContain(`(${salaryService.getMonthName(9)} 2026, версія 2)`);
+  });
+});
+
+describe('reportWorkflowService.getAvailableTransitions', () => {
+  test('depend on status and role', async () => {
+    expect(await reportWorkflowService.getAvailableTransitions(manager, 5, 'draft')).toEqual(['submit']);
+    expect(await reportWorkflowService.getAvailableTransitions(manager, 5, 'approved')).toEqual(['pay']);
+    expect(await reportWorkflowService.getAvailableTransitions(owner, 5, 'approved')).toEqual(['pay', 'reopen']);
+    expect(await reportWorkflowService.getAvailableTransitions(admin, 5, 'submitted')).toEqual(['approve', 'reopen']);
+  });
+});
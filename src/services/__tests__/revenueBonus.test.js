@@ -0,0 +1,135 @@
+// backend/src/services/__tests__/revenueBonus.test.js
+// Бонус від виручки: прогресивна шкала, поріг виручки за зміну та премія за план
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), pool: {}, getClient: jest.fn() }));
+
+const salaryService = require('../salaryService');
+
+const locationRule = { revenuePercent: 5, sources: { revenuePercent: 'location' } };
+
+const tieredScheme = {
+  tiers: [
+    { upTo: 100000, percent: 3 },
+    { upTo: 200000, percent: 5 },
+    { upTo: null, percent: 7 }
+  ]
+};
+
+describe('salaryService.calculateRevenueBonus', () => {
+  test('without scheme applies the flat revenue percent', () => {
+    const bonus = salaryService.calculateRevenueBonus(50000, 10, locationRule, null);
+
+    expect(bonus.amount).toBe(2500);
+    expect(bonus.targetBonus).toBe(0);
+    expect(bonus.details.type).toBe('flat');
+  });
+
+  test('each tier percent applies only to revenue inside the tier', () => {
+    const bonus = salaryService.calculateRevenueBonus(250000, 20, locationRule, tieredScheme);
+
+    // 100000 × 3% + 100000 × 5% + 50000 × 7%
+    expect(bonus.amount).toBeCloseTo(3000 + 5000 + 3500, 2);
+    expect(bonus.details.type).toBe('tiered');
+    expect(bonus.details.tiers.map(tier => tier.base)).toEqual([100000, 100000, 50000]);
+    expect(bonus.details.tiers[2].to).toBeNull();
+  });
+
+  test('revenue exactly on a tier boundary does not reach the next tier', () => {
+    const bonus = salaryService.calculateRevenueBonus(100000, 10, locationRule, tieredScheme);
+
+    expect(bonus.amount).toBeCloseTo(3000, 2);
+    expect(bonus.details.tiers.map(tier => tier.base)).toEqual([100000, 0, 0]);
+  });
+
+  test('one unit above the boundary is charged at the next tier', () => {
+    const bonus = salaryService.calculateRevenueBonus(100001, 10, locationRule, tieredScheme);
+
+    expect(bonus.amount).toBeCloseTo(3000 + 0.05, 4);
+  });
+
+  test('individual revenue percent from a position or employee rule overrides the tiers', () => {
+    const rule = { revenuePercent: 10, sources: { revenuePercent: 'employee' } };
+    const bonus = salaryService.calculateRevenueBonus(250000, 20, rule, tieredScheme);
+
+    expect(bonus.amount).toBe(25000);
+    expect(bonus.details.type).toBe('flat');
+  });
+
+  describe('minRevenuePerShift threshold', () => {
+    const scheme = { ...tieredScheme, minRevenuePerShift: 5000 };
+
+    test('no bonus below the threshold', () => {
+      const bonus = salaryService.calculateRevenueBonus(49990, 10, locationRule, scheme);
+
+      expect(bonus.amount).toBe(0);
+      expect(bonus.details.thresholdMet).toBe(false);
+      expect(bonus.details.revenuePerShift).toBe(4999);
+    });
+
+    test('bonus is paid when the average equals the threshold', () => {
+      const bonus = salaryService.calculateRevenueBonus(50000, 10, locationRule, scheme);
+
+      expect(bonus.amount).toBeCloseTo(1500, 2);
+      expect(bonus.details.thresholdMet).toBe(true);
+    });
+
+    test('no shifts means the threshold is not met', () => {
+      const bonus = salaryService.calculateRevenueBonus(1000, 0, locationRule, scheme);
+
+      expect(bonus.amount).toBe(0);
+      expect(bonus.details.revenuePerShift).toBe(0);
+    });
+
+    test('threshold also applies to the flat percent', () => {
+      const bonus = salaryService.calculateRevenueBonus(10000, 10, locationRule, { minRevenuePerShift: 5000 });
+
+      expect(bonus.amount).toBe(0);
+    });
+  });
+
+  describe('monthly target bonus', () => {
+    const scheme = { monthlyTarget: 300000, targetBonus: 2000 };
+
+    test('paid when revenue reaches the target', () => {
+      const bonus = salaryService.calculateRevenueBonus(300000, 20, locationRule, scheme);
+
+      expect(bonus.targetBonus).toBe(2000);
+      expect(bonus.details.targetMet).toBe(true);
+    });
+
+    test('not paid below the target', () => {
+      const bonus = salaryService.calculateRevenueBonus(299999.99, 20, locationRule, scheme);
+
+      expect(bonus.targetBonus).toBe(0);
+      expect(bonus.details.targetMet).toBe(false);
+    });
+
+    test('does not depend on the per-shift threshold', () => {
+      const bonus = salaryService.calculateRevenueBonus(300000, 100, locationRule, { ...scheme, minRevenuePerShift: 5000 });
+
+      expect(bonus.amount).toBe(0);
+      expect(bonus.targetBonus).toBe(2000);
+    });
+  });
+});
+
+describe('salaryService.validateBonusScheme', () => {
+  test('accepts a valid tiered scheme', () => {
+    expect(salaryService.validateBonusScheme(tieredScheme)).toEqual([]);
+  });
+
+  test('tier limits must increase and only the last tier may be open', () => {
+    const errors = salaryService.validateBonusScheme({
+      tiers: [{ upTo: 200000, percent: 3 }, { upTo: 100000, percent: 5 }, { upTo: null, percent: 7 }]
+    });
+
+    expect(errors).toEqual(['Bonus tier 2 limit must be greater than the previous one']);
+    expect(salaryService.validateBonusScheme({ tiers: [{ upTo: 1000, percent: 3 }] }))
+      .toEqual(['Last bonus tier must have no upper limit']);
+  });
+
+  test('target bonus requires a monthly target', () => {
+    expect(salaryService.validateBonusScheme({ targetBonus: 1000 }))
+      .toEqual(['Monthly revenue target is required for target bonus']);
+  });
+});
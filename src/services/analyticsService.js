@@ -0,0 +1,356 @@
+// backend/src/services/analyticsService.js
+// Аналітика закладів за затвердженими звітами: фонд оплати до виручки, виручка за зміну,
+// нестачі інвентаризації, помісячна динаміка та найкращі / найслабші співробітники.
+// Ряди повертаються як { labels, datasets } для графіків веб-застосунку
+
+const payPeriodService = require('./payPeriodService');
+const salaryService = require('./salaryService');
+const analyticsRepository = require('../repositories/analyticsRepository');
+
+// Діапазон за замовчуванням - поточний і 11 попередніх місяців
+const DEFAULT_RANGE_MONTHS = 12;
+const MAX_RANGE_DAYS = 3 * 366;
+
+// Рейтинг співробітників: лише ті, хто має виручку та не менше змін
+const MIN_PERFORMER_SHIFTS = 3;
+const DEFAULT_PERFORMERS_LIMIT = 5;
+const MAX_PERFORMERS_LIMIT = 20;
+
+// Показники помісячних рядів
+const SERIES_METRICS = [
+  'revenue', 'payroll', 'payrollPercent', 'shifts', 'revenuePerShift',
+  'employees', 'inventoryLoss', 'inventoryDeducted'
+];
+
+class AnalyticsService {
+  constructor() {
+    this.metrics = SERIES_METRICS;
+  }
+
+  /**
+   * Аналітика одного закладу
+   * @param {Object} location - { id, name }
+   * @param {Object} range - normalizeRange
+   * @param {Object} [options] - { performersLimit }
+   */
+  async getLocationAnalytics(location, range, { performersLimit } = {}) {
+    const [statistics, lines] = await Promise.all([
+      analyticsRepository.getLocationStatistics([location.id]),
+      analyticsRepository.getReportLines([location.id], range.dateFrom, range.dateTo)
+    ]);
+
+    const months = this.getMonths(range);
+    const series = this.buildSeries(lines, months);
+    const employees = this.buildEmployees(lines);
+
+    return {
+      location: statistics[0] || { locationId: location.id, locationName: location.name },
+      summary: this.summarize(lines),
+      series,
+      changes: this.buildChanges(series),
+      employees,
+      performers: this.getPerformers(employees, performersLimit)
+    };
+  }
+
+  /**
+   * Аналітика кількох закладів: спільні підсумки та порівняння закладів
+   * @param {Object[]} locations - [{ id, name }]
+   */
+  async getLocationsAnalytics(locations, range, { performersLimit } = {}) {
+    const locationIds = locations.map(location => location.id);
+
+    const [statistics, lines] = await Promise.all([
+      analyticsRepository.getLocationStatistics(locationIds),
+      analyticsRepository.getReportLines(locationIds, range.dateFrom, range.dateTo)
+    ]);
+
+    const months = this.getMonths(range);
+    const series = this.buildSeries(lines, months);
+
+    const perLocation = locations.map(location => {
+      const locationLines = lines.filter(line => line.location_id === location.id);
+
+      return {
+        locationId: location.id,
+        locationName: location.name,
+        statistics: statistics.find(item => item.locationId === location.id) || null,
+        summary: this.summarize(locationLines),
+        series: this.buildSeries(locationLines, months).datasets
+      };
+    });
+
+    const comparisonMetrics = ['revenue', 'payroll', 'payrollPercent', 'revenuePerShift', 'inventoryLoss'];
+
+    return {
+      summary: this.summarize(lines),
+      series,
+      changes: this.buildChanges(series),
+      locations: perLocation,
+      // Заклади поруч: одна колонка на заклад
+      comparison: {
+        labels: perLocation.map(item => item.locationName),
+        datasets: Object.fromEntries(comparisonMetrics.map(metric => [
+          metric,
+          perLocation.map(item => item.summary[metric])
+        ]))
+      },
+      performers: this.getPerformers(this.buildEmployees(lines), performersLimit)
+    };
+  }
+
+  /**
+   * Діапазон дат із запиту (YYYY-MM-DD, включно)
+   * @returns {{ range: Object|null, errors: string[] }} range: { dateFrom, dateTo }
+   */
+  normalizeRange({ dateFrom, dateTo } = {}, now = new Date()) {
+    const to = dateTo ? payPeriodService.parseDate(dateTo) : now;
+    const from = dateFrom
+      ? payPeriodService.parseDate(dateFrom)
+      : new Date(now.getFullYear(), now.getMonth() - (DEFAULT_RANGE_MONTHS - 1), 1);
+
+    if (!from || !to) {
+      return { range: null, errors: ['Invalid dateFrom/dateTo (expected YYYY-MM-DD)'] };
+    }
+    if (from > to) {
+      return { range: null, errors: ['dateFrom must not be after dateTo'] };
+    }
+    if (payPeriodService.daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+      return { range: null, errors: [`Range must not exceed ${MAX_RANGE_DAYS} days`] };
+    }
+
+    return {
+      range: { dateFrom: payPeriodService.formatDate(from), dateTo: payPeriodService.formatDate(to) },
+      errors: []
+    };
+  }
+
+  normalizePerformersLimit(value) {
+    return Math.min(Math.max(parseInt(value) || DEFAULT_PERFORMERS_LIMIT, 1), MAX_PERFORMERS_LIMIT);
+  }
+
+  /**
+   * Місяці діапазону: ['2026-01', ...]
+   */
+  getMonths(range) {
+    const from = payPeriodService.parseDate(range.dateFrom);
+    const to = payPeriodService.parseDate(range.dateTo);
+    const months = [];
+
+    for (let month = new Date(from.getFullYear(), from.getMonth(), 1); month <= to; month.setMonth(month.getMonth() + 1)) {
+      months.push(this.getMonthKey(month.getFullYear(), month.getMonth() + 1));
+    }
+
+    return months;
+  }
+
+  getMonthKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Рядки, з яких беруться зміни та виручка.
+   * Остаточний розрахунок напівмісячного шаблону охоплює весь місяць разом з авансом,
+   * тому аванс того ж місяця враховується лише у фонді оплати
+   */
+  getWorkLines(lines) {
+    const settled = new Set(lines
+      .filter(line => line.period_kind === 'settlement')
+      .map(line => `${line.location_id}-${this.getMonthKey(line.period_year, line.period_month)}`));
+
+    return lines.filter(line =>
+      line.period_kind !== 'advance' ||
+      !settled.has(`${line.location_id}-${this.getMonthKey(line.period_year, line.period_month)}`)
+    );
+  }
+
+  /**
+   * Нестачі інвентаризацій за місяцем інвентаризації (кожен місяць закладу - один раз)
+   * @returns {Map} 'YYYY-MM' -> сума нестачі
+   */
+  getInventoryLosses(lines) {
+    const seen = new Set();
+    const losses = new Map();
+
+    lines.forEach(line => {
+      if (!line.inventory_month || !line.inventory_year) return;
+
+      const monthKey = this.getMonthKey(line.inventory_year, line.inventory_month);
+      const key = `${line.location_id}-${monthKey}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      // inventory_loss звіту - результат інвентаризації (від'ємний - нестача)
+      const loss = Math.max(0, -parseFloat(line.report_inventory_loss || 0));
+      losses.set(monthKey, (losses.get(monthKey) || 0) + loss);
+    });
+
+    return losses;
+  }
+
+  /**
+   * Підсумки рядків
+   */
+  summarize(lines) {
+    const workLines = this.getWorkLines(lines);
+    const sum = (items, field) => items.reduce((total, line) => total + parseFloat(line[field] || 0), 0);
+
+    const revenue = sum(workLines, 'revenue');
+    const payroll = sum(lines, 'total_salary');
+    const shifts = sum(workLines, 'shifts_count');
+    const inventoryLoss = [...this.getInventoryLosses(lines).values()].reduce((total, loss) => total + loss, 0);
+
+    return this.toMetrics({
+      revenue,
+      payroll,
+      shifts,
+      employees: new Set(lines.map(line => line.employee_id)).size,
+      inventoryLoss,
+      inventoryDeducted: sum(lines, 'inventory_loss'),
+      reports: new Set(lines.map(line => line.report_id)).size
+    });
+  }
+
+  /**
+   * Помісячні ряди
+   * @param {string[]} months - getMonths
+   * @returns {Object} { labels, monthNames, datasets: { [metric]: [] } }
+   */
+  buildSeries(lines, months) {
+    const byMonth = new Map(months.map(month => [month, []]));
+
+    lines.forEach(line => {
+      const key = this.getMonthKey(line.period_year, line.period_month);
+      if (byMonth.has(key)) byMonth.get(key).push(line);
+    });
+
+    const inventoryLosses = this.getInventoryLosses(lines);
+    const datasets = Object.fromEntries(SERIES_METRICS.map(metric => [metric, []]));
+
+    months.forEach(month => {
+      const metrics = this.summarize(byMonth.get(month));
+      // Нестача - за місяцем інвентаризації, а не періоду звіту
+      metrics.inventoryLoss = Math.round((inventoryLosses.get(month) || 0) * 100) / 100;
+
+      SERIES_METRICS.forEach(metric => datasets[metric].push(metrics[metric]));
+    });
+
+    return {
+      labels: months,
+      monthNames: months.map(month => {
+        const [year, monthNumber] = month.split('-');
+        return `${salaryService.getMonthName(parseInt(monthNumber))} ${year}`;
+      }),
+      datasets
+    };
+  }
+
+  /**
+   * Зміна до попереднього місяця: %, для payrollPercent - в процентних пунктах
+   */
+  buildChanges(series) {
+    const metrics = ['revenue', 'payroll', 'payrollPercent', 'shifts', 'revenuePerShift', 'inventoryLoss'];
+
+    return Object.fromEntries(metrics.map(metric => {
+      const values = series.datasets[metric];
+
+      return [metric, values.map((value, index) => {
+        const previous = index > 0 ? values[index - 1] : null;
+
+        if (metric === 'payrollPercent') {
+          return previous === null || value === null ? null : Math.round((value - previous) * 100) / 100;
+        }
+
+        return this.getChangePercent(previous, value);
+      })];
+    }));
+  }
+
+  /**
+   * Підсумки по співробітниках (у межах закладу)
+   */
+  buildEmployees(lines) {
+    const workLines = new Set(this.getWorkLines(lines));
+    const employees = new Map();
+
+    lines.forEach(line => {
+      if (!employees.has(line.employee_id)) {
+        employees.set(line.employee_id, {
+          employeeId: line.employee_id,
+          posterId: line.poster_id,
+          name: line.employee_name,
+          position: line.position,
+          locationId: line.location_id,
+          locationName: line.location_name,
+          shifts: 0,
+          revenue: 0,
+          totalSalary: 0
+        });
+      }
+
+      const employee = employees.get(line.employee_id);
+
+      employee.totalSalary += parseFloat(line.total_salary || 0);
+      if (workLines.has(line)) {
+        employee.shifts += line.shifts_count || 0;
+        employee.revenue += parseFloat(line.revenue || 0);
+      }
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+
+    return [...employees.values()]
+      .map(employee => ({
+        ...employee,
+        revenue: round(employee.revenue),
+        totalSalary: round(employee.totalSalary),
+        revenuePerShift: employee.shifts > 0 ? round(employee.revenue / employee.shifts) : 0,
+        payrollPercent: employee.revenue > 0 ? round(employee.totalSalary / employee.revenue * 100) : null
+      }))
+      .sort((a, b) => b.revenuePerShift - a.revenuePerShift);
+  }
+
+  /**
+   * Найкращі та найслабші за виручкою на зміну.
+   * Без виручки (кухня, прибирання) та з малою кількістю змін - не порівнюються
+   */
+  getPerformers(employees, limit = DEFAULT_PERFORMERS_LIMIT) {
+    const ranked = employees.filter(employee => employee.revenue > 0 && employee.shifts >= MIN_PERFORMER_SHIFTS);
+    const top = ranked.slice(0, limit);
+
+    return {
+      metric: 'revenuePerShift',
+      minShifts: MIN_PERFORMER_SHIFTS,
+      top,
+      // Без перетину з найкращими
+      bottom: ranked.slice(top.length).slice(-limit).reverse()
+    };
+  }
+
+  toMetrics({ revenue, payroll, shifts, employees, inventoryLoss, inventoryDeducted, reports }) {
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      revenue: round(revenue),
+      payroll: round(payroll),
+      payrollPercent: revenue > 0 ? round(payroll / revenue * 100) : null,
+      shifts,
+      revenuePerShift: shifts > 0 ? round(revenue / shifts) : null,
+      employees,
+      inventoryLoss: round(inventoryLoss),
+      inventoryDeducted: round(inventoryDeducted),
+      reports
+    };
+  }
+
+  /**
+   * Зміна у відсотках; null - немає бази для порівняння
+   */
+  getChangePercent(previous, current) {
+    if (previous === null || previous === undefined || previous === 0 || current === null) return null;
+
+    return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,235 @@
+// backend/src/services/auditService.js
+
+const db = require('../config/database');
+const payPeriodService = require('./payPeriodService');
+
+// Максимальна кількість записів за запит
+const MAX_LOGS_LIMIT = 500;
+
+// Типи дій, що записуються в журнал
+const ACTIONS = {
+  SALARY_CALCULATE: 'salary.calculate',
+  REPORT_EXPORT: 'report.export',
+  REPORT_SUBMIT: 'report.submit',
+  REPORT_APPROVE: 'report.approve',
+  REPORT_PAY: 'report.pay',
+  REPORT_REOPEN: 'report.reopen',
+  LOCATION_CONNECT: 'location.connect',
+  LOCATION_SPOT_LINK: 'location.spot_link',
+  PERMISSION_GRANT: 'permission.grant',
+  PERMISSION_REVOKE: 'permission.revoke',
+  PAY_RULE_SAVE: 'pay_rule.save',
+  PAY_RULE_DELETE: 'pay_rule.delete',
+  BONUS_SCHEME_SAVE: 'bonus_scheme.save',
+  BONUS_SCHEME_DELETE: 'bonus_scheme.delete',
+  INVENTORY_SETTINGS_SAVE: 'inventory_settings.save',
+  PAY_PERIOD_SETTINGS_SAVE: 'pay_period_settings.save',
+  POSTER_SYNC: 'poster.sync',
+  ADJUSTMENT_CREATE: 'adjustment.create',
+  ADJUSTMENT_UPDATE: 'adjustment.update',
+  ADJUSTMENT_DELETE: 'adjustment.delete',
+  EMPLOYEE_CREATE: 'employee.create',
+  EMPLOYEE_UPDATE: 'employee.update',
+  EMPLOYEE_DELETE: 'employee.delete',
+  EMPLOYEE_RECONCILE: 'employee.reconcile',
+  EMPLOYEE_INVITE: 'employee.invite',
+  EMPLOYEE_TELEGRAM_LINK: 'employee.telegram_link',
+  EMPLOYEE_TELEGRAM_UNLINK: 'employee.telegram_unlink',
+  PAYSLIP_RETRY: 'payslip.retry',
+  PAYROLL_SCHEDULE_SAVE: 'payroll_schedule.save',
+  PAYROLL_SCHEDULE_DELETE: 'payroll_schedule.delete'
+};
+
+class AuditService {
+  constructor() {
+    this.actions = ACTIONS;
+  }
+
+  /**
+   * Запис дії в activity_logs.
+   * Помилки запису не переривають основну операцію — лише логуються
+   * @param {Object} entry
+   * @param {number} entry.userId - Хто виконав дію
+   * @param {string} entry.action - Тип дії (див. ACTIONS)
+   * @param {string} [entry.entityType] - Тип сутності (location, salary_report, user)
+   * @param {number} [entry.entityId] - ID сутності
+   * @param {number} [entry.locationId] - Заклад, до якого відноситься дія
+   * @param {Object} [entry.details] - Параметри запиту
+   * @param {string} [entry.ipAddress] - IP адреса
+   */
+  async log(entry) {
+    const {
+      userId = null,
+      action,
+      entityType = null,
+      entityId = null,
+      locationId = null,
+      details = null,
+      ipAddress = null
+    } = entry;
+
+    try {
+      await db.query(`
+        INSERT INTO activity_logs (user_id, action, entity_type, entity_id, location_id, details, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        userId,
+        action,
+        entityType,
+        entityId,
+        locationId,
+        details ? JSON.stringify(details) : null,
+        ipAddress
+      ]);
+    } catch (error) {
+      console.error('Failed to write activity log:', error);
+    }
+  }
+
+  /**
+   * Запис дії з даних HTTP запиту (користувач та IP беруться з req)
+   */
+  async logRequest(req, action, entry = {}) {
+    return this.log({
+      ...entry,
+      action,
+      userId: req.user ? req.user.id : null,
+      ipAddress: req.ip || null
+    });
+  }
+
+  /**
+   * Перевірка фільтрів журналу з query string
+   * @returns {Object} { filters, errors } - filters null, якщо є помилки
+   */
+  normalizeFilters(query = {}) {
+    const errors = [];
+    const isPositiveInteger = value => /^\d+$/.test(String(value)) && parseInt(value) > 0;
+    const isNonNegativeInteger = value => /^\d+$/.test(String(value));
+
+    if (query.userId !== undefined && !isPositiveInteger(query.userId)) {
+      errors.push('Invalid userId (expected a positive integer)');
+    }
+    if (query.locationId !== undefined && !isPositiveInteger(query.locationId)) {
+      errors.push('Invalid locationId (expected a positive integer)');
+    }
+    if (query.dateFrom !== undefined && !payPeriodService.parseDate(query.dateFrom)) {
+      errors.push('Invalid dateFrom (expected YYYY-MM-DD)');
+    }
+    if (query.dateTo !== undefined && !payPeriodService.parseDate(query.dateTo)) {
+      errors.push('Invalid dateTo (expected YYYY-MM-DD)');
+    }
+    if (query.limit !== undefined && !(isPositiveInteger(query.limit) && parseInt(query.limit) <= MAX_LOGS_LIMIT)) {
+      errors.push(`Invalid limit (expected 1-${MAX_LOGS_LIMIT})`);
+    }
+    if (query.offset !== undefined && !isNonNegativeInteger(query.offset)) {
+      errors.push('Invalid offset (expected a non-negative integer)');
+    }
+
+    if (errors.length > 0) return { filters: null, errors };
+
+    const toInt = value => (value === undefined ? undefined : parseInt(value));
+
+    return {
+      filters: {
+        userId: toInt(query.userId),
+        action: query.action ? String(query.action) : undefined,
+        locationId: toInt(query.locationId),
+        dateFrom: query.dateFrom,
+        dateTo: query.dateTo,
+        limit: toInt(query.limit),
+        offset: toInt(query.offset)
+      },
+      errors
+    };
+  }
+
+  /**
+   * Пошук записів журналу (фільтри - див. normalizeFilters)
+   * @param {Object} filters
+   * @param {number} [filters.userId]
+   * @param {string} [filters.action]
+   * @param {number|number[]} [filters.locationId] - Один заклад або список
+   * @param {string} [filters.dateFrom] - ISO дата початку (включно)
+   * @param {string} [filters.dateTo] - ISO дата кінця (включно)
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   */
+  async getLogs(filters = {}) {
+    const {
+      userId,
+      action,
+      locationId,
+      dateFrom,
+      dateTo,
+      limit = 50,
+      offset = 0
+    } = filters;
+
+    const conditions = [];
+    const values = [];
+
+    if (userId) {
+      values.push(userId);
+      conditions.push(`al.user_id = $${values.length}`);
+    }
+
+    if (action) {
+      values.push(action);
+      conditions.push(`al.action = $${values.length}`);
+    }
+
+    if (Array.isArray(locationId)) {
+      values.push(locationId);
+      conditions.push(`al.location_id = ANY($${values.length}::int[])`);
+    } else if (locationId) {
+      values.push(locationId);
+      conditions.push(`al.location_id = $${values.length}`);
+    }
+
+    if (dateFrom) {
+      values.push(dateFrom);
+      conditions.push(`al.created_at >= $${values.length}::date`);
+    }
+
+    if (dateTo) {
+      values.push(dateTo);
+      conditions.push(`al.created_at < $${values.length}::date + INTERVAL '1 day'`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    values.push(Math.min(parseInt(limit) || 50, MAX_LOGS_LIMIT));
+    const limitParam = values.length;
+    values.push(Math.max(parseInt(offset) || 0, 0));
+    const offsetParam = values.length;
+
+    const result = await db.query(`
+      SELECT 
+        al.id,
+        al.action,
+        al.entity_type,
+        al.entity_id,
+        al.location_id,
+        l.name as location_name,
+        al.details,
+        al.ip_address,
+        al.created_at,
+        al.user_id,
+        u.telegram_id,
+        u.username,
+        u.first_name,
+        u.last_name
+      FROM activity_logs al
+      LEFT JOIN users u ON u.id = al.user_id
+      LEFT JOIN locations l ON l.id = al.location_id
+      ${where}
+      ORDER BY al.created_at DESC
+      LIMIT $${limitParam} OFFSET $${offsetParam}
+    `, values);
+
+    return result.rows;
+  }
+}
+
+module.exports = new AuditService();
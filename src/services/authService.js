@@ -0,0 +1,247 @@
+// backend/src/services/authService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+// Строк дії state OAuth Poster
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+class AuthService {
+  constructor() {
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1h';
+    // Максимальний вік initData в секундах (за замовчуванням 1 доба)
+    this.initDataMaxAge = parseInt(process.env.TELEGRAM_INIT_DATA_MAX_AGE || '86400');
+  }
+
+  /**
+   * Перевірка підпису initData від Telegram WebApp
+   * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+   * @param {string} initData - Рядок initData (query string)
+   * @returns {Object} Розібрані дані: { user, authDate, queryId }
+   */
+  validateInitData(initData) {
+    if (!this.botToken) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+    }
+
+    if (!initData || typeof initData !== 'string') {
+      throw new Error('Missing Telegram init data');
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+
+    if (!hash) {
+      throw new Error('Missing hash in Telegram init data');
+    }
+
+    params.delete('hash');
+
+    // data_check_string: пари key=value, відсортовані за ключем (побайтово, як у Telegram), через \n
+    const dataCheckString = [...params.entries()]
+      .map(([key, value]) => `${key}=${value}`)
+      .sort()
+      .join('\n');
+
+    const secretKey = crypto
+      .createHmac('sha256', 'WebAppData')
+      .update(this.botToken)
+      .digest();
+
+    const expectedHash = crypto
+      .createHmac('sha256', secretKey)
+      .update(dataCheckString)
+      .digest('hex');
+
+    const expected = Buffer.from(expectedHash, 'hex');
+    const received = Buffer.from(hash, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid Telegram init data signature');
+    }
+
+    // Перевірка свіжості даних
+    const authDate = parseInt(params.get('auth_date'));
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!authDate || now - authDate > this.initDataMaxAge) {
+      throw new Error('Telegram init data is expired');
+    }
+
+    let user;
+    try {
+      user = JSON.parse(params.get('user'));
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user || !user.id) {
+      throw new Error('Missing user in Telegram init data');
+    }
+
+    return {
+      user,
+      authDate,
+      queryId: params.get('query_id')
+    };
+  }
+
+  /**
+   * Створення або оновлення користувача за даними Telegram
+   * @param {Object} telegramUser - Об'єкт user з initData
+   */
+  async upsertUser(telegramUser) {
+    const result = await db.query(`
+      INSERT INTO users (telegram_id, username, first_name, last_name, last_login)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      ON CONFLICT (telegram_id)
+      DO UPDATE SET
+        username = EXCLUDED.username,
+        first_name = EXCLUDED.first_name,
+        last_name = EXCLUDED.last_name,
+        last_login = CURRENT_TIMESTAMP
+      RETURNING id, telegram_id, username, first_name, last_name, role, is_active
+    `, [
+      telegramUser.id,
+      telegramUser.username || null,
+      telegramUser.first_name || null,
+      telegramUser.last_name || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Користувач за Telegram ID (напр. для команд бота)
+   * @returns {Object|null}
+   */
+  async findByTelegramId(telegramId) {
+    const result = await db.query(
+      'SELECT id, telegram_id, username, first_name, last_name, role, is_active FROM users WHERE telegram_id = $1',
+      [telegramId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Користувач за ID (перевірка сесії: актуальна роль та активність)
+   * @returns {Object|null}
+   */
+  async findById(userId) {
+    const result = await db.query(
+      'SELECT id, telegram_id, username, first_name, last_name, role, is_active FROM users WHERE id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Видача короткоживучого JWT для користувача
+   */
+  issueToken(user) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.sign(
+      {
+        sub: user.id,
+        telegramId: String(user.telegram_id),
+        role: user.role
+      },
+      this.jwtSecret,
+      { expiresIn: this.jwtExpiresIn, audience: 'session' }
+    );
+  }
+
+  /**
+   * Перевірка JWT сесії
+   * @returns {Object} Payload токена
+   */
+  verifyToken(token) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.verify(token, this.jwtSecret, { audience: 'session' });
+  }
+
+  /**
+   * Підписаний параметр state для OAuth Poster, прив'язаний до користувача.
+   * Nonce зберігається в oauth_states і погашається в consumeOAuthState
+   * @param {Object} user - req.user
+   * @param {Object} [extra] - Додаткові дані, що повернуться в callback (напр. name)
+   */
+  async issueOAuthState(user, extra = {}) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    // Прострочені state більше не знадобляться
+    await db.query('DELETE FROM oauth_states WHERE expires_at < CURRENT_TIMESTAMP');
+    await db.query(
+      `INSERT INTO oauth_states (nonce, user_id, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))`,
+      [nonce, user.id, OAUTH_STATE_TTL_SECONDS]
+    );
+
+    return jwt.sign(
+      {
+        ...extra,
+        sub: user.id,
+        nonce
+      },
+      this.jwtSecret,
+      { expiresIn: OAUTH_STATE_TTL_SECONDS, audience: 'poster-oauth' }
+    );
+  }
+
+  /**
+   * Перевірка параметра state з OAuth callback (без погашення)
+   * @returns {Object} Payload (sub - ID користувача, що почав авторизацію)
+   */
+  verifyOAuthState(state) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    if (!state) {
+      throw new Error('Missing OAuth state');
+    }
+
+    return jwt.verify(state, this.jwtSecret, { audience: 'poster-oauth' });
+  }
+
+  /**
+   * Перевірка та одноразове погашення state: повторний callback з тим самим state відхиляється
+   * @returns {Object} Payload (sub - ID користувача, що почав авторизацію)
+   */
+  async consumeOAuthState(state) {
+    const payload = this.verifyOAuthState(state);
+
+    if (!payload.nonce) {
+      throw new Error('Missing OAuth state nonce');
+    }
+
+    const result = await db.query(`
+      DELETE FROM oauth_states
+      WHERE nonce = $1 AND user_id = $2 AND expires_at >= CURRENT_TIMESTAMP
+      RETURNING nonce
+    `, [payload.nonce, payload.sub]);
+
+    if (result.rows.length === 0) {
+      throw new Error('OAuth state was already used or has expired');
+    }
+
+    return payload;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,129 @@
+// backend/src/services/cryptoService.js
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+class CryptoService {
+  constructor() {
+    this.keys = null;
+    this.currentVersion = null;
+  }
+
+  /**
+   * Завантаження ключів з оточення.
+   * TOKEN_ENCRYPTION_KEYS="1:<base64 32 байти>,2:<base64 32 байти>"
+   * TOKEN_ENCRYPTION_KEY_VERSION=2 (за замовчуванням - найбільша версія)
+   */
+  loadKeys() {
+    if (this.keys) return;
+
+    const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+    if (!raw) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    const keys = new Map();
+
+    raw.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+      const [version, encodedKey] = item.split(':');
+      const key = Buffer.from(encodedKey || '', 'base64');
+
+      if (!parseInt(version) || key.length !== 32) {
+        throw new Error(`Invalid encryption key entry for version "${version}"`);
+      }
+
+      keys.set(parseInt(version), key);
+    });
+
+    const currentVersion = parseInt(process.env.TOKEN_ENCRYPTION_KEY_VERSION) || Math.max(...keys.keys());
+
+    if (!keys.has(currentVersion)) {
+      throw new Error(`Encryption key version ${currentVersion} is not configured`);
+    }
+
+    this.keys = keys;
+    this.currentVersion = currentVersion;
+  }
+
+  /**
+   * Поточна версія ключа шифрування
+   */
+  getCurrentKeyVersion() {
+    this.loadKeys();
+    return this.currentVersion;
+  }
+
+  /**
+   * Шифрування рядка
+   * @param {string} plaintext - Відкритий текст
+   * @param {string} [aad] - Додаткові автентифіковані дані (прив'язка до запису)
+   * @param {number} [version] - Версія ключа (за замовчуванням поточна)
+   * @returns {{ ciphertext: string, keyVersion: number }}
+   */
+  encrypt(plaintext, aad = '', version) {
+    this.loadKeys();
+
+    const keyVersion = version || this.currentVersion;
+    const key = this.keys.get(keyVersion);
+
+    if (!key) {
+      throw new Error(`Encryption key version ${keyVersion} is not configured`);
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(Buffer.from(aad));
+
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    // Формат: v<версія>:<iv>:<tag>:<дані> (base64)
+    const ciphertext = [
+      `v${keyVersion}`,
+      iv.toString('base64'),
+      tag.toString('base64'),
+      encrypted.toString('base64')
+    ].join(':');
+
+    return { ciphertext, keyVersion };
+  }
+
+  /**
+   * Розшифрування рядка, створеного encrypt()
+   * @param {string} ciphertext
+   * @param {string} [aad] - Ті самі додаткові дані, що й при шифруванні
+   */
+  decrypt(ciphertext, aad = '') {
+    this.loadKeys();
+
+    const [versionPart, ivPart, tagPart, dataPart] = String(ciphertext).split(':');
+    const keyVersion = parseInt((versionPart || '').replace(/^v/, ''));
+    const key = this.keys.get(keyVersion);
+
+    if (!key || !ivPart || !tagPart || dataPart === undefined) {
+      throw new Error('Unable to decrypt value: unknown key version or malformed data');
+    }
+
+    const iv = Buffer.from(ivPart, 'base64');
+    const tag = Buffer.from(tagPart, 'base64');
+
+    // Обрізаний тег (пошкоджений або підмінений запис) Node прийняв би без помилки
+    if (iv.length !== IV_LENGTH || tag.length !== AUTH_TAG_LENGTH) {
+      throw new Error('Unable to decrypt value: invalid IV or auth tag length');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(dataPart, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+module.exports = new CryptoService();
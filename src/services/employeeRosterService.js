@@ -0,0 +1,187 @@
+// backend/src/services/employeeRosterService.js
+// Список співробітників закладу: валідація ручних змін та звірка з Poster
+// (імена, посади, активність, дублікати ID)
+
+const posterService = require('./posterService');
+const locationRepository = require('../repositories/locationRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_POSITION_LENGTH = 100;
+
+class EmployeeRosterService {
+  /**
+   * Звірка співробітників закладу з Poster.
+   * Посади, вказані вручну, та виключення з розрахунку не змінюються
+   * @param {number} locationId
+   * @param {Object} [options] - { dryRun } - лише показати зміни
+   * @returns {Object|null} Результат compareRoster та applied; null - заклад не підключено
+   */
+  async reconcile(locationId, { dryRun = false } = {}) {
+    const location = await locationRepository.getPosterCredentials(locationId);
+    if (!location || !location.accessToken) return null;
+
+    const [posterEmployees, localEmployees] = await Promise.all([
+      posterService.getEmployees(location.account, location.accessToken),
+      employeeRepository.findByLocation(locationId, { includeInactive: true })
+    ]);
+
+    const plan = this.compareRoster(localEmployees, posterEmployees);
+
+    if (!dryRun && plan.created.length + plan.updated.length + plan.deactivated.length > 0) {
+      await employeeRepository.applyRoster(locationId, plan);
+    }
+
+    return { ...plan, applied: !dryRun };
+  }
+
+  /**
+   * Порівняння локальних співробітників зі списком Poster
+   * @param {Object[]} localEmployees - employeeRepository.toEmployee
+   * @param {Object[]} posterEmployees - access.getEmployees
+   * @returns {Object} { created, updated: [{ employee, changes }], deactivated, unchangedCount, flags }
+   *   flags: [{ type: duplicate_poster_id | duplicate_name | possible_merge, posterIds, name, message }]
+   */
+  compareRoster(localEmployees, posterEmployees) {
+    const normalizeName = value => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const flags = [];
+
+    // Poster може повернути один ID кілька разів - береться перший запис
+    const posterById = new Map();
+    posterEmployees.forEach(raw => {
+      const posterId = parseInt(raw.user_id || raw.id);
+      if (!posterId) return;
+
+      const employee = {
+        posterId,
+        name: String(raw.name || raw.user_name || 'Невідомий').trim(),
+        position: raw.role_name || raw.position || null
+      };
+
+      if (posterById.has(posterId)) {
+        flags.push({
+          type: 'duplicate_poster_id',
+          posterIds: [posterId],
+          name: employee.name,
+          message: `Poster returned employee ${posterId} more than once`
+        });
+        return;
+      }
+
+      posterById.set(posterId, employee);
+    });
+
+    const localById = new Map(localEmployees.map(employee => [employee.posterId, employee]));
+    const created = [];
+    const updated = [];
+    let unchangedCount = 0;
+
+    posterById.forEach(posterEmployee => {
+      const local = localById.get(posterEmployee.posterId);
+
+      if (!local) {
+        created.push(posterEmployee);
+        return;
+      }
+
+      const changes = {};
+
+      if (local.name !== posterEmployee.name) {
+        changes.name = { from: local.name, to: posterEmployee.name };
+      }
+      if (!local.positionManual && posterEmployee.position && local.position !== posterEmployee.position) {
+        changes.position = { from: local.position, to: posterEmployee.position };
+      }
+      // Деактивованого вручну звірка не активує
+      if (!local.isActive && !local.deactivatedManually) {
+        changes.isActive = { from: false, to: true };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        updated.push({ employee: local, changes });
+      } else {
+        unchangedCount++;
+      }
+    });
+
+    const deactivated = localEmployees.filter(employee => employee.isActive && !posterById.has(employee.posterId));
+
+    // Однакові імена під різними ID Poster
+    const posterByName = new Map();
+    posterById.forEach(employee => {
+      const key = normalizeName(employee.name);
+      posterByName.set(key, [...(posterByName.get(key) || []), employee]);
+    });
+
+    posterByName.forEach(employees => {
+      if (employees.length < 2) return;
+
+      flags.push({
+        type: 'duplicate_name',
+        posterIds: employees.map(employee => employee.posterId),
+        name: employees[0].name,
+        message: `Several Poster employees are named "${employees[0].name}"`
+      });
+    });
+
+    // Зник з Poster, але є співробітник з тим самим іменем під іншим ID -
+    // ймовірно, обліковий запис створено заново або об'єднано
+    deactivated.forEach(employee => {
+      const matches = posterByName.get(normalizeName(employee.name)) || [];
+      if (matches.length === 0) return;
+
+      flags.push({
+        type: 'possible_merge',
+        posterIds: [employee.posterId, ...matches.map(match => match.posterId)],
+        name: employee.name,
+        message: `Employee ${employee.posterId} is gone from Poster, but ${matches.map(match => match.posterId).join(', ')} has the same name. ` +
+          'Move pay rules, adjustments and Telegram link if it is the same person.'
+      });
+    });
+
+    return { created, updated, deactivated, unchangedCount, flags };
+  }
+
+  /**
+   * Приведення співробітника із запиту до потрібних типів
+   * @param {Object} input - Тіло запиту
+   * @param {Object} [existing] - Поточні дані (для часткової зміни)
+   */
+  normalizeEmployee(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const toBoolean = (value, fallback) => (value === undefined || value === null ? fallback : value === true || value === 'true');
+
+    return {
+      posterId: merged.posterId !== undefined && merged.posterId !== null && merged.posterId !== ''
+        ? Number(merged.posterId)
+        : null,
+      name: typeof merged.name === 'string' ? merged.name.trim() : null,
+      position: typeof merged.position === 'string' && merged.position.trim() ? merged.position.trim() : null,
+      isActive: toBoolean(merged.isActive, true),
+      excludeFromPayroll: toBoolean(merged.excludeFromPayroll, false),
+      exclusionReason: typeof merged.exclusionReason === 'string' && merged.exclusionReason.trim()
+        ? merged.exclusionReason.trim()
+        : null
+    };
+  }
+
+  validateEmployee(employee) {
+    const errors = [];
+
+    if (!Number.isInteger(employee.posterId) || employee.posterId <= 0) {
+      errors.push('posterId must be a positive integer');
+    }
+    if (!employee.name) {
+      errors.push('name is required');
+    } else if (employee.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must not exceed ${MAX_NAME_LENGTH} characters`);
+    }
+    if (employee.position && employee.position.length > MAX_POSITION_LENGTH) {
+      errors.push(`position must not exceed ${MAX_POSITION_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new EmployeeRosterService();
@@ -0,0 +1,259 @@
+// backend/src/services/employeeSalaryService.js
+// Зарплата одного співробітника: попередня оцінка поточного періоду
+// та історія з затверджених звітів з помісячною динамікою
+
+const salaryService = require('./salaryService');
+const posterService = require('./posterService');
+const payPeriodService = require('./payPeriodService');
+const salaryRunService = require('./salaryRunService');
+const locationRepository = require('../repositories/locationRepository');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+const payRuleRepository = require('../repositories/payRuleRepository');
+const bonusSchemeRepository = require('../repositories/bonusSchemeRepository');
+const payPeriodSettingsRepository = require('../repositories/payPeriodSettingsRepository');
+const adjustmentRepository = require('../repositories/adjustmentRepository');
+
+// Кількість періодів в історії за замовчуванням та максимум
+const DEFAULT_HISTORY_LIMIT = 24;
+const MAX_HISTORY_LIMIT = 100;
+
+// Скільки останніх місяців динаміки додається до оцінки
+const ESTIMATE_TREND_MONTHS = 6;
+
+class EmployeeSalaryService {
+  constructor() {
+    this.defaultHistoryLimit = DEFAULT_HISTORY_LIMIT;
+    this.maxHistoryLimit = MAX_HISTORY_LIMIT;
+  }
+
+  /**
+   * Попередня оцінка зарплати за поточний період закладу (на сьогодні).
+   * Помилки кидаються з полем status (HTTP код), як у salaryRunService
+   * @param {Object} employee - employeeRepository.toEmployee
+   * @param {Object} [options] - { source, date }
+   * @returns {Object} { estimate, trends }
+   */
+  async getEstimate(employee, { source = process.env.SALARY_DATA_SOURCE || 'poster', date = new Date() } = {}) {
+    if (!salaryService.dataSources.includes(source)) {
+      throw salaryRunService.createError(400, `Invalid source. Allowed: ${salaryService.dataSources.join(', ')}`);
+    }
+
+    const location = await locationRepository.getPosterCredentials(employee.locationId);
+    if (!location) {
+      throw salaryRunService.createError(404, 'Location not found');
+    }
+
+    if (source === 'poster' && !await posterService.validateToken(location.account, location.accessToken)) {
+      throw salaryRunService.createError(401, 'Invalid or expired Poster access token. Please re-authenticate.');
+    }
+
+    const period = payPeriodService.getPeriodForDate(
+      await payPeriodSettingsRepository.findByLocation(employee.locationId),
+      date
+    );
+
+    const payRules = await payRuleRepository.findByLocation(employee.locationId);
+    const locationRule = payRules.find(rule => rule.scope === 'location') || {};
+
+    if (locationRule.shiftRate === undefined || locationRule.shiftRate === null ||
+      locationRule.revenuePercent === undefined || locationRule.revenuePercent === null) {
+      throw salaryRunService.createError(400, 'Location has no pay profile (shiftRate and revenuePercent)');
+    }
+
+    const [bonusScheme, adjustments, history] = await Promise.all([
+      bonusSchemeRepository.findByLocation(employee.locationId),
+      adjustmentRepository.findByLocation(employee.locationId, {
+        dateFrom: period.dateFrom,
+        dateTo: period.dateTo,
+        posterEmployeeId: employee.posterId
+      }),
+      this.getHistory(employee)
+    ]);
+
+    const estimate = await salaryService.calculateEmployeeSalary({
+      source,
+      locationId: employee.locationId,
+      account: location.account,
+      accessToken: location.accessToken,
+      spotId: location.spotId,
+      employeeId: employee.posterId,
+      position: employee.position,
+      period,
+      shiftRate: parseFloat(locationRule.shiftRate),
+      revenuePercent: parseFloat(locationRule.revenuePercent),
+      hourlyRate: locationRule.hourlyRate ?? 0,
+      fixedSalary: locationRule.fixedSalary ?? null,
+      inventoryLiability: locationRule.inventoryLiability ?? true,
+      payRules: payRules.filter(rule => rule.scope !== 'location'),
+      bonusScheme,
+      adjustments
+    });
+
+    return {
+      estimate: {
+        ...estimate,
+        asOf: payPeriodService.formatDate(date),
+        // Період ще не закритий: нестача інвентаризації та аванси з'являться в звіті
+        isPreliminary: true
+      },
+      trends: history.trends.slice(-ESTIMATE_TREND_MONTHS)
+    };
+  }
+
+  /**
+   * Історія співробітника з затверджених та виплачених звітів
+   * @param {Object} employee - employeeRepository.toEmployee
+   * @param {Object} [options] - { limit } - кількість періодів
+   * @returns {Object} { periods, trends, summary }
+   */
+  async getHistory(employee, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const rows = await salaryReportRepository.getEmployeeLines(employee.id, {
+      limit: Math.min(Math.max(parseInt(limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT)
+    });
+
+    const periods = rows.map(row => this.toHistoryLine(row));
+    const trends = this.buildMonthlyTrends(periods);
+
+    return {
+      periods,
+      trends,
+      summary: this.summarizeTrends(trends)
+    };
+  }
+
+  /**
+   * Рядок звіту співробітника з даними періоду
+   */
+  toHistoryLine(row) {
+    const toNumber = value => parseFloat(value || 0);
+    const round = value => Math.round(value * 100) / 100;
+
+    const shiftsCount = row.shifts_count || 0;
+    const revenue = toNumber(row.revenue);
+    const inventoryDeduction = toNumber(row.inventory_loss);
+    const adjustmentFine = toNumber(row.adjustment_fine);
+
+    return {
+      reportId: row.report_id,
+      version: row.version,
+      status: row.status,
+      paidDate: row.paid_date || null,
+      period: {
+        type: row.period_type,
+        kind: row.period_kind,
+        dateFrom: row.period_start,
+        dateTo: row.period_end,
+        month: row.period_month,
+        year: row.period_year
+      },
+      shiftsCount,
+      hoursWorked: toNumber(row.hours_worked),
+      revenue,
+      revenuePerShift: shiftsCount > 0 ? round(revenue / shiftsCount) : 0,
+      baseSalary: toNumber(row.base_salary),
+      revenueBonus: toNumber(row.revenue_bonus),
+      targetBonus: toNumber(row.target_bonus),
+      inventoryDeduction,
+      advanceDeduction: toNumber(row.advance_deduction),
+      adjustmentBonus: toNumber(row.adjustment_bonus),
+      adjustmentFine,
+      adjustmentAdvance: toNumber(row.adjustment_advance),
+      adjustmentCorrection: toNumber(row.adjustment_correction),
+      deductions: round(inventoryDeduction + adjustmentFine),
+      totalSalary: toNumber(row.total_salary)
+    };
+  }
+
+  /**
+   * Помісячна динаміка (від старішого місяця до новішого).
+   * Остаточний розрахунок напівмісячного шаблону охоплює весь місяць, тому зміни, виручка
+   * та утримання місяця беруться з нього, а до виплати - сума авансу та розрахунку
+   * @param {Object[]} periods - toHistoryLine
+   */
+  buildMonthlyTrends(periods) {
+    const round = value => Math.round(value * 100) / 100;
+    const months = new Map();
+
+    periods.forEach(line => {
+      const key = `${line.period.year}-${String(line.period.month).padStart(2, '0')}`;
+
+      if (!months.has(key)) months.set(key, []);
+      months.get(key).push(line);
+    });
+
+    const trends = [...months.keys()].sort().map(key => {
+      const lines = months.get(key);
+      const hasSettlement = lines.some(line => line.period.kind === 'settlement');
+      const workLines = hasSettlement ? lines.filter(line => line.period.kind !== 'advance') : lines;
+      const sum = (items, field) => round(items.reduce((total, line) => total + line[field], 0));
+
+      const shiftsCount = sum(workLines, 'shiftsCount');
+      const revenue = sum(workLines, 'revenue');
+      const inventory = sum(workLines, 'inventoryDeduction');
+      const fines = sum(workLines, 'adjustmentFine');
+
+      return {
+        year: lines[0].period.year,
+        month: lines[0].period.month,
+        monthName: salaryService.getMonthName(lines[0].period.month),
+        periodsCount: lines.length,
+        shiftsCount,
+        hoursWorked: sum(workLines, 'hoursWorked'),
+        revenue,
+        revenuePerShift: shiftsCount > 0 ? round(revenue / shiftsCount) : 0,
+        deductions: {
+          inventory,
+          fines,
+          total: round(inventory + fines)
+        },
+        totalSalary: sum(lines, 'totalSalary')
+      };
+    });
+
+    // Зміна відносно попереднього місяця, %
+    trends.forEach((item, index) => {
+      const previous = index > 0 ? trends[index - 1] : null;
+
+      item.changes = {
+        shiftsCount: this.getChangePercent(previous && previous.shiftsCount, item.shiftsCount),
+        revenuePerShift: this.getChangePercent(previous && previous.revenuePerShift, item.revenuePerShift),
+        deductions: this.getChangePercent(previous && previous.deductions.total, item.deductions.total),
+        totalSalary: this.getChangePercent(previous && previous.totalSalary, item.totalSalary)
+      };
+    });
+
+    return trends;
+  }
+
+  /**
+   * Середні значення за місяці динаміки
+   */
+  summarizeTrends(trends) {
+    const round = value => Math.round(value * 100) / 100;
+    const average = field => trends.length > 0
+      ? round(trends.reduce((total, item) => total + field(item), 0) / trends.length)
+      : 0;
+    const totalShifts = trends.reduce((total, item) => total + item.shiftsCount, 0);
+    const totalRevenue = trends.reduce((total, item) => total + item.revenue, 0);
+
+    return {
+      monthsCount: trends.length,
+      totalSalary: round(trends.reduce((total, item) => total + item.totalSalary, 0)),
+      averageSalary: average(item => item.totalSalary),
+      averageShifts: average(item => item.shiftsCount),
+      averageDeductions: average(item => item.deductions.total),
+      revenuePerShift: totalShifts > 0 ? round(totalRevenue / totalShifts) : 0
+    };
+  }
+
+  /**
+   * Зміна у відсотках; null - немає бази для порівняння
+   */
+  getChangePercent(previous, current) {
+    if (previous === null || previous === undefined || previous === 0) return null;
+
+    return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+  }
+}
+
+module.exports = new EmployeeSalaryService();
@@ -0,0 +1,471 @@
+// backend/src/services/exportService.js
+// Експорт збережених розрахунків: XLSX (підсумок + співробітники),
+// PDF розрахункові листи та ZIP-архів листів усіх співробітників
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const salaryService = require('./salaryService');
+const payPeriodService = require('./payPeriodService');
+const localizationService = require('./localizationService');
+
+// Шрифти з кирилицею (вбудовані шрифти PDF її не підтримують)
+const FONT_REGULAR = process.env.PAYSLIP_FONT_PATH ||
+  require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = process.env.PAYSLIP_FONT_BOLD_PATH ||
+  require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const MONEY_FORMAT = '#,##0.00';
+
+// Формати експорту звіту: pdf - лист одного співробітника, zip - листи всіх
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf', 'zip'];
+
+// Колонки аркуша співробітників (підписи - localizationService)
+const EMPLOYEE_COLUMNS = [
+  { key: 'employeeName', label: 'employee', width: 28 },
+  { key: 'position', label: 'position', width: 18 },
+  { key: 'shiftsCount', label: 'shiftsCount', width: 10 },
+  { key: 'hoursWorked', label: 'hoursWorked', width: 10, number: true },
+  { key: 'revenue', label: 'revenue', width: 14, money: true },
+  { key: 'baseSalary', label: 'baseSalary', width: 14, money: true },
+  { key: 'revenueBonus', label: 'revenueBonus', width: 14, money: true },
+  { key: 'targetBonus', label: 'targetBonus', width: 14, money: true },
+  { key: 'inventoryDeduction', label: 'inventoryDeduction', width: 16, money: true },
+  { key: 'advanceDeduction', label: 'advanceDeduction', width: 14, money: true },
+  { key: 'adjustmentBonus', label: 'adjustmentBonus', width: 12, money: true },
+  { key: 'adjustmentFine', label: 'adjustmentFine', width: 12, money: true },
+  { key: 'adjustmentAdvance', label: 'adjustmentAdvance', width: 12, money: true },
+  { key: 'adjustmentCorrection', label: 'adjustmentCorrection', width: 12, money: true },
+  { key: 'totalSalary', label: 'totalSalary', width: 14, money: true }
+];
+
+class ExportService {
+  constructor() {
+    this.formats = EXPORT_FORMATS;
+  }
+
+  /**
+   * Файл звіту у вказаному форматі
+   * @param {Object} exportData - див. toExportData
+   * @param {string} format - csv | xlsx | pdf | zip
+   * @param {Object} [options] - { employeeId (для pdf), csvOptions }
+   * @returns {Promise<Object|null>} { content, contentType, fileName }; null - співробітника немає у звіті
+   */
+  async renderReport(exportData, format, { employeeId = null, csvOptions = {} } = {}) {
+    const { report } = exportData;
+
+    if (format === 'xlsx') {
+      return {
+        content: await this.generateXLSX(exportData),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        fileName: `salary_report_${report.id}_v${report.version}.xlsx`
+      };
+    }
+
+    if (format === 'pdf') {
+      const employee = exportData.employees.find(emp => String(emp.posterId) === String(employeeId));
+      if (!employee) return null;
+
+      return {
+        content: await this.generatePayslipPDF(report, employee),
+        contentType: 'application/pdf',
+        fileName: this.getPayslipFileName(report, employee)
+      };
+    }
+
+    if (format === 'zip') {
+      return {
+        content: await this.generatePayslipBundle(exportData),
+        contentType: 'application/zip',
+        fileName: `payslips_${report.id}_v${report.version}.zip`
+      };
+    }
+
+    return {
+      content: salaryService.generateCSV(exportData, csvOptions),
+      contentType: 'text/csv; charset=utf-8',
+      fileName: `salary_report_${report.id}_v${report.version}.csv`
+    };
+  }
+
+  /**
+   * Дані збереженого звіту у форматі результату розрахунку
+   * (для експорту та generateDetailedReport)
+   * @param {Object} report - salaryReportRepository.findById
+   * @param {Object[]} lines - salaryReportRepository.getLines
+   * @param {Object[]} [shifts] - salaryReportRepository.getShifts
+   */
+  toExportData(report, lines, shifts = []) {
+    const toNumber = value => parseFloat(value || 0);
+    const round = value => Math.round(value * 100) / 100;
+
+    const employees = lines.map(row => ({
+      employeeId: row.poster_id,
+      posterId: row.poster_id,
+      employeeName: row.employee_name,
+      position: row.position,
+      shiftsCount: row.shifts_count,
+      hoursWorked: toNumber(row.hours_worked),
+      shiftSource: row.shift_source,
+      revenue: toNumber(row.revenue),
+      baseSalary: toNumber(row.base_salary),
+      revenueBonus: toNumber(row.revenue_bonus),
+      targetBonus: toNumber(row.target_bonus),
+      inventoryShare: toNumber(row.inventory_share),
+      inventoryDeduction: toNumber(row.inventory_loss),
+      advanceDeduction: toNumber(row.advance_deduction),
+      adjustmentBonus: toNumber(row.adjustment_bonus),
+      adjustmentFine: toNumber(row.adjustment_fine),
+      adjustmentAdvance: toNumber(row.adjustment_advance),
+      adjustmentCorrection: toNumber(row.adjustment_correction),
+      adjustments: row.adjustments || [],
+      totalSalary: toNumber(row.total_salary),
+      payRule: row.pay_rule || null,
+      bonusDetails: row.bonus_details || null,
+      shifts: shifts
+        .filter(shift => shift.line_id === row.id)
+        .map(shift => ({
+          start: shift.started_at,
+          end: shift.ended_at,
+          hours: toNumber(shift.hours),
+          source: shift.source
+        }))
+    }));
+
+    const sum = key => round(employees.reduce((total, emp) => total + emp[key], 0));
+    const parameters = report.parameters || {};
+
+    return {
+      report: {
+        id: report.id,
+        locationName: report.location_name,
+        periodMonth: report.period_month,
+        periodYear: report.period_year,
+        periodStart: report.period_start,
+        periodEnd: report.period_end,
+        periodType: report.period_type,
+        periodKind: report.period_kind,
+        version: report.version,
+        status: report.status,
+        paidDate: report.paid_date || null,
+        paymentMethod: report.payment_method || null,
+        inventoryMonth: report.inventory_month,
+        inventoryYear: report.inventory_year,
+        inventoryStrategy: report.inventory_strategy
+      },
+      period: {
+        month: report.period_month,
+        year: report.period_year,
+        type: report.period_type,
+        kind: report.period_kind,
+        dateFrom: report.period_start,
+        dateTo: report.period_end
+      },
+      parameters: {
+        ...parameters,
+        shiftRate: parameters.shiftRate ?? toNumber(report.shift_rate),
+        revenuePercent: parameters.revenuePercent ?? toNumber(report.revenue_percent)
+      },
+      inventory: {
+        month: report.inventory_month,
+        year: report.inventory_year,
+        totalLoss: toNumber(report.inventory_loss),
+        revisionsCount: report.inventory_revisions_count || 0,
+        strategy: report.inventory_strategy,
+        capPercent: report.inventory_cap_percent === null || report.inventory_cap_percent === undefined
+          ? null
+          : toNumber(report.inventory_cap_percent),
+        carryoverIn: toNumber(report.inventory_carryover_in),
+        carryoverOut: toNumber(report.inventory_carryover_out)
+      },
+      summary: {
+        employeesCount: employees.length,
+        totalRevenue: sum('revenue'),
+        totalBaseSalary: sum('baseSalary'),
+        totalRevenueBonus: sum('revenueBonus'),
+        totalTargetBonus: sum('targetBonus'),
+        totalInventoryDeduction: sum('inventoryDeduction'),
+        totalAdvanceDeduction: sum('advanceDeduction'),
+        totalAdjustmentBonus: sum('adjustmentBonus'),
+        totalAdjustmentFine: sum('adjustmentFine'),
+        totalAdjustmentAdvance: sum('adjustmentAdvance'),
+        totalAdjustmentCorrection: sum('adjustmentCorrection'),
+        totalSalary: sum('totalSalary')
+      },
+      employees
+    };
+  }
+
+  /**
+   * XLSX звіту: аркуш «Підсумок» та аркуш «Співробітники»
+   * @param {Object} exportData - див. toExportData
+   * @returns {Promise<Buffer>}
+   */
+  async generateXLSX(exportData) {
+    const { report, employees } = exportData;
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const summarySheet = workbook.addWorksheet('Підсумок');
+    summarySheet.columns = [
+      { key: 'label', width: 40 },
+      { key: 'value', width: 24 }
+    ];
+
+    summarySheet.addRow(['Розрахунок заробітної плати']).font = { bold: true, size: 14 };
+    summarySheet.addRow([]);
+
+    const sum = key => Math.round(employees.reduce((total, emp) => total + (emp[key] || 0), 0) * 100) / 100;
+
+    const summaryRows = [
+      ['Заклад', report.locationName],
+      ['Період', this.getPeriodName(report)],
+      ['Версія', `${report.version} (${salaryService.getReportStatusName(report.status)})`],
+      ['Кількість співробітників', employees.length],
+      ['Загальна виручка (грн)', sum('revenue')],
+      ['Сума базових зарплат (грн)', sum('baseSalary')],
+      ['Сума бонусів (грн)', sum('revenueBonus')],
+      ['Премії за план (грн)', sum('targetBonus')],
+      ['Вирахування за інвентаризацію (грн)', sum('inventoryDeduction')],
+      ['Утримано виплачених авансів (грн)', sum('advanceDeduction')],
+      ['Премії (грн)', sum('adjustmentBonus')],
+      ['Штрафи (грн)', sum('adjustmentFine')],
+      ['Видані аванси (грн)', sum('adjustmentAdvance')],
+      ['Коригування (грн)', sum('adjustmentCorrection')],
+      ['ПІДСУМКОВА СУМА ЗАРПЛАТ (грн)', sum('totalSalary')]
+    ];
+
+    if (report.inventoryMonth) {
+      summaryRows.splice(4, 0,
+        ['Інвентаризація', `${salaryService.getMonthName(report.inventoryMonth)} ${report.inventoryYear}`],
+        ['Розподіл нестачі', salaryService.getInventoryStrategyName(report.inventoryStrategy)]
+      );
+    }
+
+    summaryRows.forEach(values => {
+      const row = summarySheet.addRow(values);
+      if (typeof values[1] === 'number' && values[0].includes('грн')) {
+        row.getCell(2).numFmt = MONEY_FORMAT;
+      }
+    });
+    summarySheet.lastRow.font = { bold: true };
+
+    const employeesSheet = workbook.addWorksheet('Співробітники', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    const labels = localizationService.getLabels('uk');
+    employeesSheet.columns = EMPLOYEE_COLUMNS.map(({ key, label, width, money }) => ({
+      header: money ? `${labels[label]} (${labels.currency})` : labels[label],
+      key,
+      width
+    }));
+    employeesSheet.getRow(1).font = { bold: true };
+    employeesSheet.getRow(1).alignment = { wrapText: true, vertical: 'middle' };
+
+    employees.forEach(emp => {
+      employeesSheet.addRow(EMPLOYEE_COLUMNS.reduce((row, column) => {
+        row[column.key] = emp[column.key] ?? (column.money || column.number ? 0 : '');
+        return row;
+      }, {}));
+    });
+
+    const totalsRow = employeesSheet.addRow(EMPLOYEE_COLUMNS.reduce((row, column, index) => {
+      if (index === 0) row[column.key] = labels.totalsRow;
+      else if (column.money || column.number || column.key === 'shiftsCount') row[column.key] = sum(column.key);
+      return row;
+    }, {}));
+    totalsRow.font = { bold: true };
+
+    EMPLOYEE_COLUMNS.forEach((column, index) => {
+      if (column.money || column.number) employeesSheet.getColumn(index + 1).numFmt = MONEY_FORMAT;
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * PDF розрахунковий лист співробітника
+   * @param {Object} report - Заголовок звіту (див. toExportData)
+   * @param {Object} emp - Рядок співробітника
+   * @returns {Promise<Buffer>}
+   */
+  generatePayslipPDF(report, emp) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.registerFont('regular', FONT_REGULAR);
+      doc.registerFont('bold', FONT_BOLD);
+
+      doc.font('bold').fontSize(16).text('РОЗРАХУНКОВИЙ ЛИСТ', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('regular').fontSize(10).text(report.locationName || '', { align: 'center' });
+      doc.moveDown(1.5);
+
+      doc.fontSize(11);
+      this.writePdfRow(doc, 'Співробітник', emp.employeeName, { bold: true });
+      if (emp.position) this.writePdfRow(doc, 'Посада', emp.position);
+      this.writePdfRow(doc, 'Період', this.getPeriodName(report));
+      this.writePdfRow(doc, 'Версія розрахунку', `${report.version} (${salaryService.getReportStatusName(report.status)})`);
+      if (report.paidDate) this.writePdfRow(doc, 'Дата виплати', payPeriodService.toDisplayDate(report.paidDate));
+      doc.moveDown();
+
+      this.writePdfSection(doc, 'Відпрацьовано');
+      this.writePdfRow(doc, 'Кількість змін', String(emp.shiftsCount));
+      this.writePdfRow(doc, 'Години', (emp.hoursWorked || 0).toFixed(2));
+      if (emp.shiftSource) {
+        this.writePdfRow(doc, 'Джерело змін', salaryService.getShiftSourceName(emp.shiftSource));
+      }
+      this.writePdfRow(doc, 'Виручка', this.formatMoney(emp.revenue));
+      doc.moveDown();
+
+      this.writePdfSection(doc, 'Нараховано');
+      this.writePdfRow(doc, 'Базова зарплата', this.formatMoney(emp.baseSalary));
+      this.writePdfRow(doc, 'Бонус від виручки', this.formatMoney(emp.revenueBonus));
+      if (emp.targetBonus) this.writePdfRow(doc, 'Премія за план', this.formatMoney(emp.targetBonus));
+      if (emp.adjustmentBonus) this.writePdfRow(doc, 'Премії', this.formatMoney(emp.adjustmentBonus));
+      if (emp.adjustmentCorrection > 0) {
+        this.writePdfRow(doc, 'Коригування', this.formatMoney(emp.adjustmentCorrection));
+      }
+      doc.moveDown();
+
+      this.writePdfSection(doc, 'Утримано');
+      this.writePdfRow(doc, 'Нестача за інвентаризацією', this.formatMoney(-emp.inventoryDeduction));
+      if (emp.advanceDeduction) this.writePdfRow(doc, 'Виплачений аванс', this.formatMoney(-emp.advanceDeduction));
+      if (emp.adjustmentFine) this.writePdfRow(doc, 'Штрафи', this.formatMoney(-emp.adjustmentFine));
+      if (emp.adjustmentAdvance) this.writePdfRow(doc, 'Видані аванси', this.formatMoney(-emp.adjustmentAdvance));
+      if (emp.adjustmentCorrection < 0) {
+        this.writePdfRow(doc, 'Коригування', this.formatMoney(emp.adjustmentCorrection));
+      }
+
+      if (emp.adjustments && emp.adjustments.length > 0) {
+        doc.moveDown();
+        this.writePdfSection(doc, 'Ручні коригування');
+        doc.font('regular').fontSize(9);
+        emp.adjustments.forEach(item => {
+          doc.text(`${payPeriodService.toDisplayDate(item.date)}  ${salaryService.getAdjustmentTypeName(item.type)}: ${item.reason} (${item.amount.toFixed(2)} грн)`);
+        });
+        doc.fontSize(11);
+      }
+
+      doc.moveDown();
+      doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+      doc.moveDown(0.5);
+      this.writePdfRow(doc, 'ДО ВИПЛАТИ', this.formatMoney(emp.totalSalary), { bold: true });
+
+      if (emp.shifts && emp.shifts.length > 0) {
+        doc.moveDown(1.5);
+        this.writePdfSection(doc, 'Зміни');
+        doc.font('regular').fontSize(9);
+        emp.shifts.forEach(shift => {
+          doc.text(`${this.formatDateTime(shift.start)} – ${shift.end ? this.formatDateTime(shift.end) : '...'}  (${(shift.hours || 0).toFixed(2)} год)`);
+        });
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * ZIP-архів розрахункових листів усіх співробітників звіту
+   * @returns {Promise<Buffer>}
+   */
+  async generatePayslipBundle(exportData) {
+    const { report, employees } = exportData;
+
+    // Листи генеруються по черзі, щоб не тримати всі документи в роботі одночасно
+    const files = [];
+    for (const emp of employees) {
+      files.push({
+        name: this.getPayslipFileName(report, emp),
+        content: await this.generatePayslipPDF(report, emp)
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      files.forEach(file => archive.append(file.content, { name: file.name }));
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Ім'я файлу листа: ID співробітника Poster + транслітероване ім'я
+   */
+  getPayslipFileName(report, emp) {
+    const name = this.transliterate(emp.employeeName || '')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    return `payslip_${report.id}_${emp.posterId}${name ? `_${name}` : ''}.pdf`;
+  }
+
+  getPeriodName(report) {
+    return salaryService.getPeriodName({
+      type: report.periodType,
+      kind: report.periodKind,
+      dateFrom: report.periodStart,
+      dateTo: report.periodEnd,
+      month: report.periodMonth,
+      year: report.periodYear
+    });
+  }
+
+  writePdfSection(doc, title) {
+    doc.font('bold').fontSize(12).text(title);
+    doc.moveDown(0.3);
+    doc.font('regular').fontSize(11);
+  }
+
+  writePdfRow(doc, label, value, { bold = false } = {}) {
+    const y = doc.y;
+
+    doc.font(bold ? 'bold' : 'regular');
+    doc.text(label, 50, y, { width: 300 });
+    doc.text(value, 350, y, { width: 195, align: 'right' });
+    doc.font('regular');
+    doc.x = 50;
+  }
+
+  formatMoney(value) {
+    return `${(value || 0).toFixed(2)} грн`;
+  }
+
+  formatDateTime(value) {
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Транслітерація українських літер (для імен файлів)
+   */
+  transliterate(text) {
+    const map = {
+      а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z',
+      и: 'y', і: 'i', ї: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p',
+      р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+      ь: '', ю: 'iu', я: 'ia', ы: 'y', э: 'e', ё: 'io', ъ: ''
+    };
+
+    return Array.from(text).map(char => {
+      const lower = char.toLowerCase();
+      if (map[lower] === undefined) return char;
+      return char === lower ? map[lower] : map[lower].charAt(0).toUpperCase() + map[lower].slice(1);
+    }).join('');
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,68 @@
+// backend/src/services/localPosterService.js
+// Дані Poster з локальної копії (див. posterSyncService).
+// Методи повторюють posterService, але приймають locationId замість облікових даних
+
+const posterService = require('./posterService');
+const posterDataRepository = require('../repositories/posterDataRepository');
+
+class LocalPosterService {
+  /**
+   * Перетворення YYYYMMDD на дату (локальна північ)
+   */
+  parseDateKey(key) {
+    const value = String(key);
+    return new Date(parseInt(value.slice(0, 4)), parseInt(value.slice(4, 6)) - 1, parseInt(value.slice(6, 8)));
+  }
+
+  /**
+   * Межі періоду [from, to) для запитів до локальних таблиць
+   * @param {string} dateFrom - YYYYMMDD
+   * @param {string} dateTo - YYYYMMDD (включно)
+   */
+  toRange(dateFrom, dateTo) {
+    const from = this.parseDateKey(dateFrom);
+    const to = this.parseDateKey(dateTo);
+    to.setDate(to.getDate() + 1);
+    return { from, to };
+  }
+
+  /**
+   * Усі співробітники, включно з неактивними: ті, хто звільнився чи деактивований
+   * до розрахунку, мають отримати оплату за відпрацьоване в періоді (як і з джерелом poster).
+   * Виключення - через excludedEmployeeIds
+   */
+  async getEmployees(locationId) {
+    return posterDataRepository.getEmployees(locationId, { activeOnly: false });
+  }
+
+  /**
+   * Виручка, зміни та години співробітників (як posterService.getEmployeeRevenue)
+   */
+  async getEmployeeRevenue(locationId, dateFrom, dateTo) {
+    const { from, to } = this.toRange(dateFrom, dateTo);
+
+    const [transactions, timesheets, cashShifts] = await Promise.all([
+      posterDataRepository.getTransactions(locationId, from, to),
+      posterDataRepository.getWorkShifts(locationId, 'timesheet', from, to),
+      posterDataRepository.getWorkShifts(locationId, 'cash_shift', from, to)
+    ]);
+
+    return posterService.buildEmployeeWorkStats(transactions, timesheets, cashShifts);
+  }
+
+  async getInventoryResults(locationId, month, year) {
+    const from = new Date(year, month - 1, 1);
+    const to = new Date(year, month, 1);
+
+    const revisions = await posterDataRepository.getRevisions(locationId, from, to);
+
+    return posterService.summarizeRevisions(month, year, revisions);
+  }
+
+  async getEmployeeStats(locationId, employeeId, dateFrom, dateTo) {
+    const revenueData = await this.getEmployeeRevenue(locationId, dateFrom, dateTo);
+    return posterService.toEmployeeStats(employeeId, revenueData);
+  }
+}
+
+module.exports = new LocalPosterService();
@@ -0,0 +1,74 @@
+// backend/src/services/localizationService.js
+// Підписи полів звітів (детальний звіт, CSV, XLSX) українською та англійською
+
+const LOCALES = ['uk', 'en'];
+const DEFAULT_LOCALE = 'uk';
+
+const LABELS = {
+  uk: {
+    currency: 'грн',
+    employee: 'Співробітник',
+    position: 'Посада',
+    shiftsCount: 'Кількість змін',
+    hoursWorked: 'Години',
+    revenue: 'Виручка',
+    baseSalary: 'Базова ЗП',
+    revenueBonus: 'Відсоток від виручки',
+    targetBonus: 'Бонус за план',
+    inventoryShare: 'Частка нестачі',
+    inventoryDeduction: 'Вирахування за інвентаризацію',
+    inventoryStrategy: 'Розподіл нестачі',
+    advanceDeduction: 'Утримано аванс',
+    adjustmentBonus: 'Премії',
+    adjustmentFine: 'Штрафи',
+    adjustmentAdvance: 'Видані аванси',
+    adjustmentCorrection: 'Коригування',
+    totalSalary: 'ВСЬОГО',
+    totalsRow: 'РАЗОМ'
+  },
+  en: {
+    currency: 'UAH',
+    employee: 'Employee',
+    position: 'Position',
+    shiftsCount: 'Shifts',
+    hoursWorked: 'Hours',
+    revenue: 'Revenue',
+    baseSalary: 'Base salary',
+    revenueBonus: 'Revenue bonus',
+    targetBonus: 'Target bonus',
+    inventoryShare: 'Shortage share',
+    inventoryDeduction: 'Inventory deduction',
+    inventoryStrategy: 'Shortage allocation',
+    advanceDeduction: 'Advance withheld',
+    adjustmentBonus: 'Bonuses',
+    adjustmentFine: 'Fines',
+    adjustmentAdvance: 'Cash advances',
+    adjustmentCorrection: 'Corrections',
+    totalSalary: 'TOTAL',
+    totalsRow: 'TOTAL'
+  }
+};
+
+class LocalizationService {
+  constructor() {
+    this.locales = LOCALES;
+    this.defaultLocale = DEFAULT_LOCALE;
+  }
+
+  /**
+   * Підписи мови (невідома мова - українська)
+   */
+  getLabels(locale = DEFAULT_LOCALE) {
+    return LABELS[locale] || LABELS[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Підпис поля
+   */
+  t(key, locale = DEFAULT_LOCALE) {
+    const labels = this.getLabels(locale);
+    return labels[key] !== undefined ? labels[key] : LABELS[DEFAULT_LOCALE][key] || key;
+  }
+}
+
+module.exports = new LocalizationService();
@@ -0,0 +1,283 @@
+// backend/src/services/payPeriodService.js
+// Періоди виплат: місячний, напівмісячний (аванс + розрахунок), тижневий та довільний
+
+// Шаблони періодів закладу
+const PERIOD_TEMPLATES = ['monthly', 'semi_monthly', 'weekly'];
+
+// Вид розрахунку: regular - звичайний, advance - аванс,
+// settlement - остаточний розрахунок з утриманням виплачених авансів
+const PERIOD_KINDS = ['regular', 'advance', 'settlement'];
+
+// Максимальна тривалість довільного періоду (днів)
+const MAX_CUSTOM_PERIOD_DAYS = 93;
+
+const DEFAULT_SETTINGS = {
+  template: 'monthly',
+  advanceDay: 15,
+  weekStart: 1
+};
+
+class PayPeriodService {
+  constructor() {
+    this.templates = PERIOD_TEMPLATES;
+    this.kinds = PERIOD_KINDS;
+    this.defaults = DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Визначення періоду розрахунку
+   * @param {Object} input - { dateFrom?, dateTo?, month?, year?, part?, week?, periodKind? }
+   *  - dateFrom/dateTo (YYYY-MM-DD) - довільний період;
+   *  - month/year - період за шаблоном закладу;
+   *    part: advance | settlement (напівмісячний), week: YYYY-MM-DD - будь-який день тижня (тижневий)
+   * @param {Object} [settings] - Налаштування закладу { template, advanceDay, weekStart }
+   * @returns {{ period: Object|null, errors: string[] }}
+   *   period: { type, kind, dateFrom, dateTo, month, year }
+   */
+  resolvePeriod(input, settings = null) {
+    const { template, advanceDay, weekStart } = this.normalizeSettings(settings || {});
+    const errors = [];
+
+    if (input.dateFrom || input.dateTo) {
+      const from = this.parseDate(input.dateFrom);
+      const to = this.parseDate(input.dateTo);
+
+      if (!from || !to) {
+        errors.push('Invalid dateFrom/dateTo (expected YYYY-MM-DD)');
+      } else if (from > to) {
+        errors.push('dateFrom must not be after dateTo');
+      } else if (this.daysBetween(from, to) + 1 > MAX_CUSTOM_PERIOD_DAYS) {
+        errors.push(`Period must not exceed ${MAX_CUSTOM_PERIOD_DAYS} days`);
+      }
+
+      const kind = input.periodKind || 'regular';
+      if (!PERIOD_KINDS.includes(kind)) {
+        errors.push(`Invalid periodKind (must be one of: ${PERIOD_KINDS.join(', ')})`);
+      }
+
+      if (errors.length > 0) return { period: null, errors };
+
+      return { period: this.buildPeriod('custom', kind, from, to), errors };
+    }
+
+    if (template === 'weekly') {
+      const day = this.parseDate(input.week);
+      if (!day) {
+        return { period: null, errors: ['week is required for weekly pay period (YYYY-MM-DD)'] };
+      }
+
+      const offset = (day.getDay() - (weekStart % 7) + 7) % 7;
+      const from = new Date(day.getFullYear(), day.getMonth(), day.getDate() - offset);
+      const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6);
+
+      return { period: this.buildPeriod('weekly', 'regular', from, to), errors };
+    }
+
+    const month = parseInt(input.month);
+    const year = parseInt(input.year);
+
+    if (!month || month < 1 || month > 12 || !year || year < 2000) {
+      return { period: null, errors: ['Invalid month/year'] };
+    }
+
+    const monthStart = new Date(year, month - 1, 1);
+    const monthEnd = new Date(year, month, 0);
+
+    if (template === 'semi_monthly') {
+      const part = input.part || 'settlement';
+
+      if (part === 'advance') {
+        const advanceEnd = new Date(year, month - 1, Math.min(advanceDay, monthEnd.getDate()));
+        return { period: this.buildPeriod('semi_monthly', 'advance', monthStart, advanceEnd), errors };
+      }
+      if (part === 'settlement') {
+        return { period: this.buildPeriod('semi_monthly', 'settlement', monthStart, monthEnd), errors };
+      }
+
+      return { period: null, errors: ['Invalid part (must be advance or settlement)'] };
+    }
+
+    return { period: this.buildPeriod('monthly', 'regular', monthStart, monthEnd), errors };
+  }
+
+  /**
+   * Періоди шаблону, що закінчуються у вказаному місяці
+   */
+  listPeriods(settings, month, year) {
+    const normalized = this.normalizeSettings(settings || {});
+
+    if (normalized.template === 'weekly') {
+      const periods = [];
+      const monthEnd = new Date(year, month, 0);
+
+      // Тижні, що закінчуються в цьому місяці
+      let { period } = this.resolvePeriod({ week: this.formatDate(new Date(year, month - 1, 1)) }, normalized);
+      while (this.parseDate(period.dateTo) <= monthEnd) {
+        if (this.parseDate(period.dateTo).getMonth() === month - 1) {
+          periods.push(period);
+        }
+        const next = this.parseDate(period.dateTo);
+        next.setDate(next.getDate() + 1);
+        period = this.resolvePeriod({ week: this.formatDate(next) }, normalized).period;
+      }
+
+      return periods;
+    }
+
+    if (normalized.template === 'semi_monthly') {
+      return ['advance', 'settlement'].map(part =>
+        this.resolvePeriod({ month, year, part }, normalized).period
+      );
+    }
+
+    return [this.resolvePeriod({ month, year }, normalized).period];
+  }
+
+  /**
+   * Період шаблону, що містить дату (поточний період для попередньої оцінки)
+   * @param {Object} [settings] - Налаштування закладу
+   * @param {Date} [date]
+   */
+  getPeriodForDate(settings, date = new Date()) {
+    const normalized = this.normalizeSettings(settings || {});
+    const month = date.getMonth() + 1;
+    const year = date.getFullYear();
+
+    if (normalized.template === 'weekly') {
+      return this.resolvePeriod({ week: this.formatDate(date) }, normalized).period;
+    }
+
+    if (normalized.template === 'semi_monthly') {
+      const part = date.getDate() <= normalized.advanceDay ? 'advance' : 'settlement';
+      return this.resolvePeriod({ month, year, part }, normalized).period;
+    }
+
+    return this.resolvePeriod({ month, year }, normalized).period;
+  }
+
+  buildPeriod(type, kind, from, to) {
+    return {
+      type,
+      kind,
+      dateFrom: this.formatDate(from),
+      dateTo: this.formatDate(to),
+      // Обліковий місяць періоду - місяць дати кінця
+      month: to.getMonth() + 1,
+      year: to.getFullYear()
+    };
+  }
+
+  /**
+   * Місяць, що закривається періодом (останній кінець місяця всередині періоду).
+   * Інвентаризація та місячна премія за план застосовуються лише в такому періоді
+   * @returns {{ month, year }|null}
+   */
+  getClosedMonth(period) {
+    const from = this.parseDate(period.dateFrom);
+    const to = this.parseDate(period.dateTo);
+    const lastMonthEnd = new Date(to.getFullYear(), to.getMonth() + 1, 0);
+
+    const candidate = lastMonthEnd <= to ? lastMonthEnd : new Date(to.getFullYear(), to.getMonth(), 0);
+
+    return candidate >= from
+      ? { month: candidate.getMonth() + 1, year: candidate.getFullYear() }
+      : null;
+  }
+
+  /**
+   * Чи покриває період повний календарний місяць
+   */
+  coversFullMonth(period) {
+    const from = this.parseDate(period.dateFrom);
+    const to = this.parseDate(period.dateTo);
+
+    return from.getDate() === 1 &&
+      this.daysBetween(from, to) + 1 >= new Date(from.getFullYear(), from.getMonth() + 1, 0).getDate();
+  }
+
+  /**
+   * Частка місячного окладу за період: сума 1/днів_у_місяці по кожному дню
+   * (повний місяць = 1, перша половина = 15/31 тощо)
+   */
+  getFixedSalaryFactor(period) {
+    const from = this.parseDate(period.dateFrom);
+    const to = this.parseDate(period.dateTo);
+    let factor = 0;
+
+    for (let day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+      factor += 1 / new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    }
+
+    return Math.round(factor * 10000) / 10000;
+  }
+
+  /**
+   * Назва періоду для звітів
+   */
+  getPeriodLabel(period) {
+    const kinds = { advance: 'аванс', settlement: 'остаточний розрахунок' };
+    const range = `${this.toDisplayDate(period.dateFrom)} – ${this.toDisplayDate(period.dateTo)}`;
+
+    return kinds[period.kind] ? `${range} (${kinds[period.kind]})` : range;
+  }
+
+  normalizeSettings(input) {
+    const toInt = value => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+    return {
+      template: input.template || DEFAULT_SETTINGS.template,
+      advanceDay: toInt(input.advanceDay) ?? DEFAULT_SETTINGS.advanceDay,
+      weekStart: toInt(input.weekStart) ?? DEFAULT_SETTINGS.weekStart
+    };
+  }
+
+  validateSettings(settings) {
+    const errors = [];
+
+    if (!PERIOD_TEMPLATES.includes(settings.template)) {
+      errors.push(`Invalid template (must be one of: ${PERIOD_TEMPLATES.join(', ')})`);
+    }
+    if (!Number.isInteger(settings.advanceDay) || settings.advanceDay < 1 || settings.advanceDay > 27) {
+      errors.push('advanceDay must be between 1 and 27');
+    }
+    if (!Number.isInteger(settings.weekStart) || settings.weekStart < 1 || settings.weekStart > 7) {
+      errors.push('weekStart must be between 1 (Monday) and 7 (Sunday)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * YYYY-MM-DD -> Date (локальна північ) або null
+   */
+  parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const [year, month, day] = value.split('-').map(part => parseInt(part));
+    const date = new Date(year, month - 1, day);
+
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * YYYY-MM-DD -> YYYYMMDD (формат дат Poster API)
+   */
+  toPosterDate(value) {
+    return value.replace(/-/g, '');
+  }
+
+  toDisplayDate(value) {
+    const [year, month, day] = value.split('-');
+    return `${day}.${month}.${year}`;
+  }
+
+  daysBetween(from, to) {
+    return Math.round((to - from) / 86400000);
+  }
+}
+
+module.exports = new PayPeriodService();
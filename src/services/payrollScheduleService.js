@@ -0,0 +1,402 @@
+// backend/src/services/payrollScheduleService.js
+// Плановий розрахунок зарплати: після закінчення місяця у визначений день
+// створюється чернетка звіту (за наявності інвентаризації), менеджери закладу
+// отримують підсумок у Telegram з кнопкою затвердження
+
+const salaryService = require('./salaryService');
+const salaryRunService = require('./salaryRunService');
+const payPeriodService = require('./payPeriodService');
+const permissionService = require('./permissionService');
+const telegramService = require('./telegramService');
+const auditService = require('./auditService');
+const reportWorkflowService = require('./reportWorkflowService');
+const payrollScheduleRepository = require('../repositories/payrollScheduleRepository');
+const payPeriodSettingsRepository = require('../repositories/payPeriodSettingsRepository');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+
+// Інтервал перевірки розкладів (0 - вимкнено)
+const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.PAYROLL_SCHEDULER_INTERVAL_MINUTES || '15');
+// Як часто перевіряти появу інвентаризації
+const INVENTORY_RECHECK_HOURS = parseInt(process.env.PAYROLL_INVENTORY_RECHECK_HOURS || '6');
+// Максимальна кількість спроб запуску з помилкою
+const MAX_ATTEMPTS = parseInt(process.env.PAYROLL_MAX_ATTEMPTS || '3');
+// Затримка перед повтором після помилки
+const RETRY_DELAY_MINUTES = 30;
+// Помилки запуску, які не мають сенсу повторювати
+const PERMANENT_ERROR_STATUSES = [400, 404];
+// Скільки запусків виконується за одну перевірку
+const BATCH_SIZE = 10;
+
+const DEFAULT_SCHEDULE = {
+  isEnabled: true,
+  runDay: 3,
+  runHour: 9,
+  source: 'poster',
+  shiftRate: null,
+  revenuePercent: null,
+  waitForInventory: true,
+  inventoryWaitDays: 7,
+  notifyManagers: true
+};
+
+class PayrollScheduleService {
+  constructor() {
+    this.timer = null;
+    this.isProcessing = false;
+    this.defaults = DEFAULT_SCHEDULE;
+  }
+
+  /**
+   * Перевірка розкладів: створення запусків за минулий місяць та їх виконання
+   * @param {Date} [now]
+   * @returns {Object} { created, processed }
+   */
+  async tick(now = new Date()) {
+    if (this.isProcessing) return { created: 0, processed: 0 };
+    this.isProcessing = true;
+
+    try {
+      const created = await this.createDueRuns(now);
+      let processed = 0;
+
+      let runs = await payrollScheduleRepository.claimDueRuns(BATCH_SIZE);
+      while (runs.length > 0) {
+        for (const run of runs) {
+          await this.executeRun(run);
+          processed++;
+        }
+        runs = await payrollScheduleRepository.claimDueRuns(BATCH_SIZE);
+      }
+
+      return { created, processed };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Запуски за минулий місяць для закладів, у яких настав день розрахунку.
+   * Унікальність (заклад, місяць) у БД не дає створити запуск двічі
+   * @returns {number} Кількість нових запусків
+   */
+  async createDueRuns(now) {
+    const schedules = await payrollScheduleRepository.findEnabled();
+    const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    let created = 0;
+
+    for (const schedule of schedules) {
+      const runAt = new Date(now.getFullYear(), now.getMonth(), schedule.runDay, schedule.runHour);
+      if (now < runAt) continue;
+
+      const run = await payrollScheduleRepository.createRun(
+        schedule.locationId,
+        previousMonth.getMonth() + 1,
+        previousMonth.getFullYear()
+      );
+
+      if (run) created++;
+    }
+
+    return created;
+  }
+
+  /**
+   * Виконання запуску. Помилки не прокидаються далі - зберігаються в запуску
+   */
+  async executeRun(run) {
+    try {
+      const schedule = await payrollScheduleRepository.findByLocation(run.locationId);
+
+      if (!schedule) {
+        return payrollScheduleRepository.updateRun(run.id, {
+          status: 'skipped',
+          lastError: 'Schedule was removed',
+          completed: true
+        });
+      }
+
+      // Звіт уже збережено попередньою спробою (збій до оновлення запуску)
+      const existing = await salaryReportRepository.findByPayrollRun(run.id);
+      if (existing) {
+        return this.completeRun(run, schedule, existing);
+      }
+
+      const input = await this.getRunInput(run, schedule);
+      const calculation = await salaryRunService.calculate(input, { dryRun: true });
+      const { period, result } = calculation;
+
+      // Період уже затверджено вручну - чернетка не потрібна
+      const approvedReport = await salaryReportRepository.findApprovedForPeriod(run.locationId, period.dateFrom, period.dateTo);
+      if (approvedReport) {
+        return payrollScheduleRepository.updateRun(run.id, {
+          status: 'skipped',
+          reportId: approvedReport.id,
+          lastError: 'Period is already approved',
+          completed: true
+        });
+      }
+
+      if (this.isWaitingForInventory(run, schedule, result)) {
+        return this.waitForInventory(run, schedule);
+      }
+
+      const report = await salaryReportRepository.create(run.locationId, result, null, { payrollRunId: run.id });
+
+      await auditService.log({
+        action: auditService.actions.SALARY_CALCULATE,
+        entityType: 'location',
+        entityId: run.locationId,
+        locationId: run.locationId,
+        details: {
+          ...salaryRunService.getAuditDetails({ ...calculation, report }),
+          payrollRunId: run.id,
+          channel: 'scheduler'
+        }
+      });
+
+      return this.completeRun(run, schedule, report, result);
+    } catch (error) {
+      return this.failRun(run, error);
+    }
+  }
+
+  /**
+   * Параметри розрахунку запуску: місяць за шаблоном періодів закладу
+   * (для тижневих виплат - календарний місяць), ставки з розкладу
+   */
+  async getRunInput(run, schedule) {
+    const settings = payPeriodService.normalizeSettings(
+      await payPeriodSettingsRepository.findByLocation(run.locationId) || {}
+    );
+
+    const input = {
+      locationId: run.locationId,
+      month: run.month,
+      year: run.year,
+      source: schedule.source
+    };
+
+    if (settings.template === 'weekly') {
+      const lastDay = new Date(run.year, run.month, 0).getDate();
+      const key = `${run.year}-${String(run.month).padStart(2, '0')}`;
+
+      input.dateFrom = `${key}-01`;
+      input.dateTo = `${key}-${lastDay}`;
+    }
+
+    if (schedule.shiftRate !== null) input.shiftRate = schedule.shiftRate;
+    if (schedule.revenuePercent !== null) input.revenuePercent = schedule.revenuePercent;
+
+    return input;
+  }
+
+  /**
+   * Інвентаризації ще немає, а час очікування не минув
+   */
+  isWaitingForInventory(run, schedule, result) {
+    if (!schedule.waitForInventory || !result.inventory || result.inventory.revisionsCount > 0) {
+      return false;
+    }
+
+    const deadline = new Date(run.createdAt);
+    deadline.setDate(deadline.getDate() + schedule.inventoryWaitDays);
+
+    return new Date() < deadline;
+  }
+
+  async waitForInventory(run, schedule) {
+    const firstWait = run.previousStatus !== 'waiting_inventory';
+    const nextAttemptAt = new Date(Date.now() + INVENTORY_RECHECK_HOURS * 60 * 60 * 1000);
+
+    // Нагадування менеджерам - лише один раз
+    if (firstWait && schedule.notifyManagers) {
+      await this.notifyManagers(
+        run.locationId,
+        `⏳ Плановий розрахунок за ${salaryService.getMonthName(run.month)} ${run.year} чекає на інвентаризацію. ` +
+        `Проведіть її в Poster - чернетку буде створено автоматично (не пізніше ніж через ${schedule.inventoryWaitDays} дн.).`
+      );
+    }
+
+    return payrollScheduleRepository.updateRun(run.id, {
+      status: 'waiting_inventory',
+      nextAttemptAt
+    });
+  }
+
+  /**
+   * Завершення запуску та сповіщення менеджерів з кнопкою затвердження
+   * @param {Object} [result] - Результат розрахунку (якщо немає - читається зі звіту)
+   */
+  async completeRun(run, schedule, report, result = null) {
+    const completed = await payrollScheduleRepository.updateRun(run.id, {
+      status: 'completed',
+      reportId: report.id,
+      completed: true
+    });
+
+    if (schedule.notifyManagers && !run.notifiedAt) {
+      const summary = result
+        ? result
+        : { period: { month: run.month, year: run.year }, summary: await this.getReportSummary(report.id) };
+
+      const delivered = await this.notifyManagers(
+        run.locationId,
+        this.formatRunSummary(summary, report),
+        reportWorkflowService.getApproveMarkup(report.id)
+      );
+
+      if (delivered > 0) {
+        await payrollScheduleRepository.updateRun(run.id, {
+          status: 'completed',
+          reportId: report.id,
+          notified: true
+        });
+      }
+    }
+
+    return completed;
+  }
+
+  async getReportSummary(reportId) {
+    const report = await salaryReportRepository.findById(reportId);
+
+    return {
+      employeesCount: parseInt(report.employees_count),
+      totalRevenue: parseFloat(report.total_revenue),
+      totalSalary: parseFloat(report.total_salary)
+    };
+  }
+
+  async failRun(run, error) {
+    const attempt = run.attempts + 1;
+    // Невалідні параметри чи відсутній заклад повтор не виправить
+    const giveUp = PERMANENT_ERROR_STATUSES.includes(error.status) || attempt >= MAX_ATTEMPTS;
+
+    console.error(`Payroll run ${run.id} failed (attempt ${attempt}):`, error.message);
+
+    const message = error.errors ? `${error.message}: ${error.errors.join('; ')}` : error.message;
+
+    if (giveUp) {
+      await this.notifyManagers(
+        run.locationId,
+        `❌ Плановий розрахунок за ${salaryService.getMonthName(run.month)} ${run.year} не виконано: ${message}\n` +
+        'Запустіть розрахунок вручну: /calculate'
+      ).catch(notifyError => console.error('Payroll failure notification error:', notifyError));
+    }
+
+    return payrollScheduleRepository.updateRun(run.id, {
+      status: giveUp ? 'failed' : 'pending',
+      lastError: message,
+      failed: true,
+      nextAttemptAt: giveUp ? null : new Date(Date.now() + RETRY_DELAY_MINUTES * 60 * 1000)
+    });
+  }
+
+  /**
+   * Повідомлення всім менеджерам закладу з Telegram
+   * @returns {number} Кількість доставлених повідомлень
+   */
+  async notifyManagers(locationId, text, extra = {}) {
+    const managers = await permissionService.getLocationManagers(locationId);
+    let delivered = 0;
+
+    for (const manager of managers) {
+      try {
+        await telegramService.sendMessage(manager.telegram_id, text, extra);
+        delivered++;
+      } catch (error) {
+        console.error(`Payroll notification to user ${manager.user_id} failed:`, error.message);
+      }
+    }
+
+    return delivered;
+  }
+
+  formatRunSummary({ period, summary }, report) {
+    const lines = [
+      `📊 Чернетка зарплати: ${salaryService.getPeriodName(period)}`,
+      `Звіт №${report.id}, версія ${report.version}`,
+      '',
+      `Співробітників: ${summary.employeesCount}`,
+      `Виручка: ${summary.totalRevenue.toFixed(2)} грн`,
+      `До виплати: ${summary.totalSalary.toFixed(2)} грн`
+    ];
+
+    if (summary.totalInventoryDeduction) {
+      lines.push(`Нестача за інвентаризацією: ${summary.totalInventoryDeduction.toFixed(2)} грн`);
+    }
+
+    lines.push('', `Деталі: /report ${report.id}`);
+
+    return lines.join('\n');
+  }
+
+  normalizeSchedule(input) {
+    const toInt = value => (value === null || value === undefined || value === '' ? null : parseInt(value));
+    const toNumber = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+    const toBool = (value, fallback) => (value === undefined ? fallback : Boolean(value));
+
+    return {
+      isEnabled: toBool(input.isEnabled, DEFAULT_SCHEDULE.isEnabled),
+      runDay: toInt(input.runDay) ?? DEFAULT_SCHEDULE.runDay,
+      runHour: toInt(input.runHour) ?? DEFAULT_SCHEDULE.runHour,
+      source: input.source || DEFAULT_SCHEDULE.source,
+      shiftRate: toNumber(input.shiftRate),
+      revenuePercent: toNumber(input.revenuePercent),
+      waitForInventory: toBool(input.waitForInventory, DEFAULT_SCHEDULE.waitForInventory),
+      inventoryWaitDays: toInt(input.inventoryWaitDays) ?? DEFAULT_SCHEDULE.inventoryWaitDays,
+      notifyManagers: toBool(input.notifyManagers, DEFAULT_SCHEDULE.notifyManagers)
+    };
+  }
+
+  validateSchedule(schedule) {
+    const errors = [];
+
+    if (!Number.isInteger(schedule.runDay) || schedule.runDay < 1 || schedule.runDay > 28) {
+      errors.push('runDay must be between 1 and 28');
+    }
+    if (!Number.isInteger(schedule.runHour) || schedule.runHour < 0 || schedule.runHour > 23) {
+      errors.push('runHour must be between 0 and 23');
+    }
+    if (!salaryService.dataSources.includes(schedule.source)) {
+      errors.push(`Invalid source (must be one of: ${salaryService.dataSources.join(', ')})`);
+    }
+    if (schedule.shiftRate !== null && (isNaN(schedule.shiftRate) || schedule.shiftRate < 0)) {
+      errors.push('shiftRate must be a non-negative number');
+    }
+    if (schedule.revenuePercent !== null &&
+      (isNaN(schedule.revenuePercent) || schedule.revenuePercent < 0 || schedule.revenuePercent > 100)) {
+      errors.push('revenuePercent must be between 0 and 100');
+    }
+    if (!Number.isInteger(schedule.inventoryWaitDays) || schedule.inventoryWaitDays < 0 || schedule.inventoryWaitDays > 28) {
+      errors.push('inventoryWaitDays must be between 0 and 28');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Запуск перевірки розкладів (PAYROLL_SCHEDULER_INTERVAL_MINUTES)
+   */
+  startScheduler() {
+    if (SCHEDULER_INTERVAL_MINUTES <= 0 || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Scheduled payroll run error:', error));
+    }, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+
+    // Таймер не утримує процес при завершенні
+    this.timer.unref();
+
+    console.log(`🗓️  Payroll schedules checked every ${SCHEDULER_INTERVAL_MINUTES} min`);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new PayrollScheduleService();
@@ -0,0 +1,244 @@
+// backend/src/services/payslipService.js
+// Особисті розрахункові листи співробітникам у Telegram після затвердження звіту:
+// коди запрошення, черга доставки з повторними спробами
+
+const crypto = require('crypto');
+const telegramService = require('./telegramService');
+const exportService = require('./exportService');
+const salaryService = require('./salaryService');
+const employeeRepository = require('../repositories/employeeRepository');
+const payslipDeliveryRepository = require('../repositories/payslipDeliveryRepository');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+
+// Термін дії коду запрошення
+const INVITE_TTL_HOURS = parseInt(process.env.EMPLOYEE_INVITE_TTL_HOURS || '72');
+// Максимальна кількість спроб надсилання одного листа
+const MAX_ATTEMPTS = parseInt(process.env.PAYSLIP_MAX_ATTEMPTS || '5');
+// Інтервал обробки черги повторних спроб (0 - вимкнено)
+const RETRY_INTERVAL_MINUTES = parseInt(process.env.PAYSLIP_RETRY_INTERVAL_MINUTES || '5');
+// Скільки листів надсилається за один прохід
+const BATCH_SIZE = 50;
+// Максимальна затримка між спробами
+const MAX_RETRY_DELAY_MINUTES = 60;
+// Помилки Bot API, які не мають сенсу повторювати (бот заблокований, чат не існує)
+const PERMANENT_ERROR_CODES = [400, 403];
+
+class PayslipService {
+  constructor() {
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Код запрошення для прив'язки Telegram співробітника
+   * @returns {Object|null} { code, expiresAt, link }; null - співробітника не знайдено
+   */
+  async createInvite(locationId, posterEmployeeId, userId = null) {
+    const employee = await employeeRepository.findByPosterId(locationId, posterEmployeeId);
+    if (!employee) return null;
+
+    const code = crypto.randomBytes(6).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+    const invite = await employeeRepository.createInvite(employee.id, code, expiresAt, userId);
+
+    return {
+      employee,
+      code: invite.code,
+      expiresAt: invite.expiresAt,
+      link: this.getInviteLink(invite.code)
+    };
+  }
+
+  /**
+   * Посилання t.me, яке відкриває бота з /start <код>
+   */
+  getInviteLink(code) {
+    const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+    return botUsername ? `https://t.me/${botUsername}?start=${code}` : null;
+  }
+
+  /**
+   * Постановка листів затвердженого звіту в чергу та надсилання у фоні
+   * @returns {number} Кількість нових доставок
+   */
+  async queueReport(reportId) {
+    const queued = await payslipDeliveryRepository.queueForReport(reportId);
+
+    if (queued > 0) {
+      this.processPending().catch(error => console.error('Payslip delivery error:', error));
+    }
+
+    return queued;
+  }
+
+  /**
+   * Повторне надсилання невдалих листів звіту
+   * @returns {number} Кількість доставок у черзі
+   */
+  async retryReport(reportId) {
+    const requeued = await payslipDeliveryRepository.requeueFailed(reportId);
+
+    if (requeued > 0) {
+      this.processPending().catch(error => console.error('Payslip delivery error:', error));
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Надсилання листів, час яких настав
+   * @returns {Object} { sent, failed }
+   */
+  async processPending() {
+    if (this.isProcessing) return { sent: 0, failed: 0 };
+    this.isProcessing = true;
+
+    const stats = { sent: 0, failed: 0 };
+    // Дані звітів кешуються в межах проходу: листи одного звіту йдуть пачкою
+    const reports = new Map();
+
+    try {
+      let deliveries = await payslipDeliveryRepository.claimDue(BATCH_SIZE);
+
+      while (deliveries.length > 0) {
+        for (const delivery of deliveries) {
+          const sent = await this.deliver(delivery, reports);
+          stats[sent ? 'sent' : 'failed']++;
+        }
+
+        deliveries = await payslipDeliveryRepository.claimDue(BATCH_SIZE);
+      }
+
+      return stats;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Надсилання одного листа
+   * @returns {boolean} Успішно
+   */
+  async deliver(delivery, reports) {
+    try {
+      if (!reports.has(delivery.reportId)) {
+        const report = await salaryReportRepository.findById(delivery.reportId);
+        const lines = report ? await salaryReportRepository.getLines(delivery.reportId) : [];
+        reports.set(delivery.reportId, { report, lines });
+      }
+
+      const { report, lines } = reports.get(delivery.reportId);
+      const line = lines.find(row => row.employee_id === delivery.employeeId);
+
+      // Звіт повернули в чернетку - лист не надсилається
+      if (!report || !['approved', 'paid'].includes(report.status) || !line) {
+        await payslipDeliveryRepository.markFailed(delivery.id, 'Report is no longer approved', null);
+        return false;
+      }
+
+      // Лише рядок самого співробітника
+      const exportData = exportService.toExportData(report, [line]);
+
+      await telegramService.sendMessage(
+        delivery.telegramId,
+        this.formatPayslip(exportData.report, exportData.employees[0])
+      );
+      await payslipDeliveryRepository.markSent(delivery.id);
+
+      return true;
+    } catch (error) {
+      const nextAttemptAt = this.getNextAttemptAt(delivery.attempts, error);
+
+      console.error(`Payslip delivery ${delivery.id} failed (attempt ${delivery.attempts}):`, error.message);
+      await payslipDeliveryRepository.markFailed(delivery.id, error.message, nextAttemptAt);
+
+      return false;
+    }
+  }
+
+  /**
+   * Час наступної спроби: експоненційна затримка 1, 2, 4... хв
+   * (або retry_after для 429)
+   * @param {number} attempts - Кількість уже виконаних спроб
+   * @returns {Date|null} null - більше не повторювати
+   */
+  getNextAttemptAt(attempts, error) {
+    if (attempts >= MAX_ATTEMPTS || PERMANENT_ERROR_CODES.includes(error.statusCode)) {
+      return null;
+    }
+
+    const delaySeconds = error.retryAfter
+      || Math.min(2 ** (attempts - 1), MAX_RETRY_DELAY_MINUTES) * 60;
+
+    return new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  /**
+   * Текст особистого розрахункового листа
+   * @param {Object} report - Заголовок звіту (див. exportService.toExportData)
+   * @param {Object} emp - Рядок співробітника
+   */
+  formatPayslip(report, emp) {
+    const money = value => exportService.formatMoney(value);
+    const deductions = [
+      ['Нестача за інвентаризацією', emp.inventoryDeduction],
+      ['Виплачений аванс', emp.advanceDeduction],
+      ['Штрафи', emp.adjustmentFine],
+      ['Видані аванси', emp.adjustmentAdvance]
+    ].filter(([, amount]) => amount);
+
+    const lines = [
+      `💰 Розрахунковий лист: ${exportService.getPeriodName(report)}`,
+      report.locationName || '',
+      '',
+      `Зміни: ${emp.shiftsCount}`,
+      `Виручка: ${money(emp.revenue)}`,
+      '',
+      `Базова зарплата: ${money(emp.baseSalary)}`,
+      `Бонус від виручки: ${money(emp.revenueBonus)}`
+    ];
+
+    if (emp.targetBonus) lines.push(`Премія за план: ${money(emp.targetBonus)}`);
+    if (emp.adjustmentBonus) lines.push(`Премії: ${money(emp.adjustmentBonus)}`);
+    if (emp.adjustmentCorrection) lines.push(`Коригування: ${money(emp.adjustmentCorrection)}`);
+
+    if (deductions.length > 0) {
+      lines.push('', 'Утримано:');
+      deductions.forEach(([label, amount]) => lines.push(`  • ${label}: ${money(-amount)}`));
+    }
+
+    (emp.adjustments || []).forEach((item, index) => {
+      if (index === 0) lines.push('', 'Коригування:');
+      lines.push(`  • ${salaryService.getAdjustmentTypeName(item.type)}: ${item.reason} (${item.amount.toFixed(2)} грн)`);
+    });
+
+    lines.push('', `✅ До виплати: ${money(emp.totalSalary)}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Запуск обробки черги повторних спроб (PAYSLIP_RETRY_INTERVAL_MINUTES)
+   */
+  startScheduler() {
+    if (RETRY_INTERVAL_MINUTES <= 0 || this.timer || !telegramService.botToken) return;
+
+    this.timer = setInterval(() => {
+      this.processPending().catch(error => console.error('Scheduled payslip delivery error:', error));
+    }, RETRY_INTERVAL_MINUTES * 60 * 1000);
+
+    // Таймер не утримує процес при завершенні
+    this.timer.unref();
+
+    console.log(`✉️  Payslip delivery retries every ${RETRY_INTERVAL_MINUTES} min`);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new PayslipService();
@@ -0,0 +1,200 @@
+// backend/src/services/permissionService.js
+
+const db = require('../config/database');
+
+// Прапорці доступу з таблиці user_locations
+const PERMISSION_FLAGS = ['can_view', 'can_calculate', 'can_export'];
+
+// Ролі користувача в межах закладу
+const LOCATION_ROLES = ['owner', 'manager', 'viewer'];
+
+// Прапорці за замовчуванням для ролі (якщо не вказані явно)
+const ROLE_DEFAULT_FLAGS = {
+  owner: { canView: true, canCalculate: true, canExport: true },
+  manager: { canView: true, canCalculate: true, canExport: true },
+  viewer: { canView: true, canCalculate: false, canExport: false }
+};
+
+class PermissionService {
+  constructor() {
+    this.flags = PERMISSION_FLAGS;
+    this.roles = LOCATION_ROLES;
+  }
+
+  /**
+   * Чи є користувач глобальним адміністратором
+   */
+  isAdmin(user) {
+    return Boolean(user) && user.role === 'admin';
+  }
+
+  /**
+   * Отримання прав користувача на заклад
+   * @returns {Object|null} Рядок user_locations або null, якщо доступу немає
+   */
+  async getPermissions(userId, locationId) {
+    const result = await db.query(`
+      SELECT ul.role, ul.can_view, ul.can_calculate, ul.can_export
+      FROM user_locations ul
+      JOIN users u ON u.id = ul.user_id
+      WHERE ul.user_id = $1 AND ul.location_id = $2 AND u.is_active = TRUE
+    `, [userId, locationId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Перевірка конкретного прапорця доступу
+   * @param {Object} user - req.user
+   * @param {number} locationId - ID закладу
+   * @param {string} flag - can_view | can_calculate | can_export
+   */
+  async hasPermission(user, locationId, flag) {
+    if (!PERMISSION_FLAGS.includes(flag)) {
+      throw new Error(`Unknown permission flag: ${flag}`);
+    }
+
+    if (this.isAdmin(user)) return true;
+
+    const permissions = await this.getPermissions(user.id, locationId);
+    return Boolean(permissions && permissions[flag]);
+  }
+
+  /**
+   * Чи є користувач власником закладу (адміністратор - завжди)
+   */
+  async isOwner(user, locationId) {
+    if (this.isAdmin(user)) return true;
+
+    const permissions = await this.getPermissions(user.id, locationId);
+    return Boolean(permissions && permissions.role === 'owner');
+  }
+
+  /**
+   * Список закладів, до яких користувач має доступ на перегляд
+   */
+  async getUserLocations(user) {
+    if (this.isAdmin(user)) {
+      const result = await db.query(`
+        SELECT id, name, poster_spot_id, 'owner' as role,
+          TRUE as can_view, TRUE as can_calculate, TRUE as can_export
+        FROM locations
+        ORDER BY name
+      `);
+      return result.rows;
+    }
+
+    const result = await db.query(`
+      SELECT l.id, l.name, l.poster_spot_id, ul.role, ul.can_view, ul.can_calculate, ul.can_export
+      FROM locations l
+      JOIN user_locations ul ON ul.location_id = l.id
+      WHERE ul.user_id = $1 AND ul.can_view = TRUE
+      ORDER BY l.name
+    `, [user.id]);
+
+    return result.rows;
+  }
+
+  /**
+   * Список користувачів з доступом до закладу
+   */
+  async getLocationUsers(locationId) {
+    const result = await db.query(`
+      SELECT 
+        u.id as user_id,
+        u.telegram_id,
+        u.username,
+        u.first_name,
+        u.last_name,
+        ul.role,
+        ul.can_view,
+        ul.can_calculate,
+        ul.can_export,
+        ul.created_at
+      FROM user_locations ul
+      JOIN users u ON u.id = ul.user_id
+      WHERE ul.location_id = $1
+      ORDER BY u.first_name, u.username
+    `, [locationId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Активні користувачі з правом розрахунку та Telegram (отримувачі сповіщень закладу)
+   */
+  async getLocationManagers(locationId) {
+    const result = await db.query(`
+      SELECT u.id as user_id, u.telegram_id, u.first_name, u.username, ul.role
+      FROM user_locations ul
+      JOIN users u ON u.id = ul.user_id
+      WHERE ul.location_id = $1
+        AND ul.can_calculate = TRUE
+        AND u.is_active = TRUE
+        AND u.telegram_id IS NOT NULL
+      ORDER BY u.id
+    `, [locationId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Надання (або оновлення) доступу користувача до закладу.
+   * Не вказані прапорці беруться з ролі (viewer - лише перегляд)
+   * @param {Object} flags - { role, canView, canCalculate, canExport }
+   */
+  async grantAccess(userId, locationId, flags = {}) {
+    const role = flags.role || 'viewer';
+
+    if (!LOCATION_ROLES.includes(role)) {
+      throw new Error(`Unknown location role: ${role}`);
+    }
+
+    const defaults = ROLE_DEFAULT_FLAGS[role];
+    const pick = key => (flags[key] === undefined || flags[key] === null ? defaults[key] : flags[key]);
+    const canView = pick('canView');
+    const canCalculate = pick('canCalculate');
+    const canExport = pick('canExport');
+
+    const result = await db.query(`
+      INSERT INTO user_locations (user_id, location_id, role, can_view, can_calculate, can_export)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, location_id)
+      DO UPDATE SET
+        role = EXCLUDED.role,
+        can_view = EXCLUDED.can_view,
+        can_calculate = EXCLUDED.can_calculate,
+        can_export = EXCLUDED.can_export
+      RETURNING user_id, location_id, role, can_view, can_calculate, can_export
+    `, [userId, locationId, role, Boolean(canView), Boolean(canCalculate), Boolean(canExport)]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Надання користувачу ролі власника закладу з усіма правами
+   */
+  async grantOwnerAccess(userId, locationId) {
+    return this.grantAccess(userId, locationId, {
+      role: 'owner',
+      canView: true,
+      canCalculate: true,
+      canExport: true
+    });
+  }
+
+  /**
+   * Відкликання доступу користувача до закладу
+   * @returns {boolean} true, якщо доступ було видалено
+   */
+  async revokeAccess(userId, locationId) {
+    const result = await db.query(
+      'DELETE FROM user_locations WHERE user_id = $1 AND location_id = $2',
+      [userId, locationId]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new PermissionService();
@@ -1,25 +1,46 @@
 // backend/src/services/posterService.js
 
 const axios = require('axios');
+const posterCacheRepository = require('../repositories/posterCacheRepository');
+
+// Година початку робочого дня: чеки до неї (після півночі) належать попередньому дню
+const BUSINESS_DAY_START_HOUR = parseInt(process.env.BUSINESS_DAY_START_HOUR || '5');
+
+// Статуси, при яких запит повторюється
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
 
 class PosterService {
   constructor() {
-    this.baseUrl = 'https://joinposter.com';
+    // Для локального мок-сервера: POSTER_BASE_URL=http://localhost:4010,
+    // POSTER_API_URL=http://localhost:4010/{account}/api
+    this.baseUrl = process.env.POSTER_BASE_URL || 'https://joinposter.com';
+    this.apiUrl = process.env.POSTER_API_URL || 'https://{account}.joinposter.com/api';
     this.appId = process.env.POSTER_APP_ID;
     this.appSecret = process.env.POSTER_APP_SECRET;
+
+    this.timeout = parseInt(process.env.POSTER_TIMEOUT_MS || '15000');
+    this.maxRetries = parseInt(process.env.POSTER_MAX_RETRIES || '3');
+    this.retryBaseDelay = parseInt(process.env.POSTER_RETRY_DELAY_MS || '500');
+    this.perPage = parseInt(process.env.POSTER_PAGE_SIZE || '500');
+    this.maxPages = parseInt(process.env.POSTER_MAX_PAGES || '200');
+    // Мінімальний інтервал між запитами до одного акаунта (мс)
+    this.minRequestInterval = Math.ceil(1000 / parseFloat(process.env.POSTER_REQUESTS_PER_SECOND || '5'));
+
+    this.http = axios.create({ timeout: this.timeout });
+    this.nextRequestAt = {};
   }
 
   /**
    * Отримання OAuth access token
    */
-  async getAccessToken(account, code) {
+  async getAccessToken(account, code, redirectUri = process.env.POSTER_REDIRECT_URI) {
     try {
-      const response = await axios.post(`${this.baseUrl}/api/auth`, {
+      const response = await this.http.post(`${this.baseUrl}/api/auth`, {
         application_id: this.appId,
         application_secret: this.appSecret,
         grant_type: 'authorization_code',
         code: code,
-        redirect_uri: process.env.POSTER_REDIRECT_URI
+        redirect_uri: redirectUri
       });
 
       return {
@@ -34,24 +55,56 @@ class PosterService {
 
   /**
    * Створення URL для авторизації
+   * @param {string} redirectUri - Адреса callback
+   * @param {string} [state] - Підписаний параметр state (захист від CSRF)
    */
-  getAuthUrl(redirectUri) {
-    return `${this.baseUrl}/api/auth?application_id=${this.appId}&redirect_uri=${redirectUri}&response_type=code`;
+  getAuthUrl(redirectUri, state) {
+    const params = new URLSearchParams({
+      application_id: this.appId,
+      redirect_uri: redirectUri,
+      response_type: 'code'
+    });
+
+    if (state) {
+      params.set('state', state);
+    }
+
+    return `${this.baseUrl}/api/auth?${params.toString()}`;
   }
 
   /**
    * Виконання API запиту до Poster
+   * @param {Object} [options]
+   * @param {boolean} [options.cache] - Відповідь незмінна (минулий період) - брати з кешу в БД
    */
-  async makeRequest(account, accessToken, endpoint, params = {}) {
+  async makeRequest(account, accessToken, endpoint, params = {}, options = {}) {
+    if (options.cache) {
+      const cached = await posterCacheRepository.get(account, endpoint, params);
+      if (cached !== null) {
+        return cached;
+      }
+    }
+
     try {
-      const url = `https://${account}.joinposter.com/api/${endpoint}`;
+      const url = `${this.apiUrl.replace('{account}', account)}/${endpoint}`;
       
-      const response = await axios.get(url, {
+      const response = await this.requestWithRetry(account, () => this.http.get(url, {
         headers: {
           'Authorization': `Bearer ${accessToken}`
         },
         params: params
-      });
+      }));
+
+      // Poster повертає помилки з HTTP 200 і полем error
+      if (response.data && response.data.error) {
+        const apiError = new Error(response.data.error.message || JSON.stringify(response.data.error));
+        apiError.response = response;
+        throw apiError;
+      }
+
+      if (options.cache) {
+        await posterCacheRepository.set(account, endpoint, params, response.data);
+      }
 
       return response.data;
     } catch (error) {
@@ -60,6 +113,108 @@ class PosterService {
     }
   }
 
+  /**
+   * Виконання запиту з обмеженням частоти та повторами з експоненційною затримкою.
+   * Повторюються мережеві помилки, таймаути, 429 та 5xx (з урахуванням Retry-After)
+   * @param {string} account - Poster account (ліміт рахується на акаунт)
+   * @param {Function} send - () => Promise<axios response>
+   */
+  async requestWithRetry(account, send) {
+    let attempt = 0;
+
+    while (true) {
+      await this.waitForRateLimit(account);
+
+      try {
+        return await send();
+      } catch (error) {
+        const status = error.response?.status;
+        const isRetryable = !error.response || RETRYABLE_STATUSES.includes(status);
+
+        if (!isRetryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+        const delay = !isNaN(retryAfter)
+          ? retryAfter * 1000
+          : this.retryBaseDelay * Math.pow(2, attempt) + Math.floor(Math.random() * this.retryBaseDelay);
+
+        attempt++;
+        console.warn(`Poster API request failed (${status || error.code || error.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Очікування вільного слоту для запиту до акаунта
+   */
+  async waitForRateLimit(account) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt[account] || 0);
+
+    this.nextRequestAt[account] = slot + this.minRequestInterval;
+
+    if (slot > now) {
+      await this.sleep(slot - now);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Отримання всіх сторінок списку.
+   * Підтримує відповіді-масиви (page/per_page) та об'єкти { count, data }.
+   * Зупиняється, коли сторінка неповна, отримано count записів
+   * або API ігнорує пагінацію (повторює ту саму сторінку)
+   */
+  async fetchAll(account, accessToken, endpoint, params = {}, options = {}) {
+    const items = [];
+    let previousFirst = null;
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      const data = await this.makeRequest(account, accessToken, endpoint, {
+        ...params,
+        page,
+        per_page: this.perPage
+      }, options);
+
+      const body = data.response;
+      const pageItems = Array.isArray(body) ? body : (body && Array.isArray(body.data) ? body.data : []);
+      const total = body && !Array.isArray(body) && body.count !== undefined ? parseInt(body.count) : null;
+
+      const first = pageItems.length > 0 ? JSON.stringify(pageItems[0]) : null;
+      if (page > 1 && first !== null && first === previousFirst) {
+        break;
+      }
+      previousFirst = first;
+
+      items.push(...pageItems);
+
+      if (pageItems.length < this.perPage) break;
+      if (total !== null && items.length >= total) break;
+
+      if (page === this.maxPages) {
+        console.warn(`Poster API pagination limit reached for ${endpoint} (${this.maxPages} pages)`);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Чи завершився період (дата кінця раніше за сьогодні) - дані за нього незмінні
+   * @param {string} dateTo - YYYYMMDD
+   */
+  isPastPeriod(dateTo) {
+    const today = new Date();
+    const todayKey = `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+    return String(dateTo) < todayKey;
+  }
+
   /**
    * Отримання списку співробітників
    */
@@ -76,55 +231,305 @@ class PosterService {
    * @param {string} dateTo - Дата кінця (YYYYMMDD)
    */
   async getTransactions(account, accessToken, dateFrom, dateTo) {
-    const data = await this.makeRequest(account, accessToken, 'dash.getTransactions', {
+    return this.fetchAll(account, accessToken, 'dash.getTransactions', {
       dateFrom,
       dateTo,
       type: 'sale'
+    }, { cache: this.isPastPeriod(dateTo) });
+  }
+
+  /**
+   * Отримання касових змін за період
+   * @returns {Object[]} [{ id, userIds, start, end, spotId }]
+   *   userIds: [хто відкривав, хто закривав] (один ID, якщо це той самий співробітник)
+   */
+  async getCashShifts(account, accessToken, dateFrom, dateTo) {
+    const shifts = await this.fetchAll(account, accessToken, 'finance.getCashShifts', {
+      dateFrom,
+      dateTo
+    }, { cache: this.isPastPeriod(dateTo) });
+
+    return shifts.map(shift => ({
+      id: shift.cash_shift_id || shift.id,
+      userIds: [...new Set([shift.user_id_start, shift.user_id_end].filter(Boolean).map(id => parseInt(id)))],
+      start: this.parseDate(shift.date_start),
+      end: this.parseDate(shift.date_end),
+      spotId: shift.spot_id ? parseInt(shift.spot_id) : null
+    }));
+  }
+
+  /**
+   * Отримання табеля робочого часу (відмітки приходу/виходу співробітників)
+   * @returns {Object[]} [{ id, userId, start, end }]
+   */
+  async getTimesheets(account, accessToken, dateFrom, dateTo) {
+    const entries = await this.fetchAll(account, accessToken, 'access.getTimeSheets', {
+      dateFrom,
+      dateTo
+    }, { cache: this.isPastPeriod(dateTo) });
+
+    return entries.map(entry => ({
+      id: entry.timesheet_id || entry.id,
+      userId: parseInt(entry.user_id || entry.staff_id),
+      start: this.parseDate(entry.time_start || entry.date_start),
+      end: this.parseDate(entry.time_end || entry.date_end),
+      spotId: entry.spot_id ? parseInt(entry.spot_id) : null
+    }));
+  }
+
+  /**
+   * Отримання даних про виручку, зміни та години співробітників.
+   * Зміни беруться з табеля робочого часу, далі з касових змін,
+   * і лише якщо їх немає - оцінюються за чеками (див. buildEmployeeWorkStats)
+   * @param {Object} [options]
+   * @param {number} [options.spotId] - Лише дані цього spot (заклад у мультиспот-акаунті)
+   */
+  async getEmployeeRevenue(account, accessToken, dateFrom, dateTo, { spotId = null } = {}) {
+    // Табель і касові зміни можуть бути недоступні (тариф, права застосунку) -
+    // тоді працюємо за чеками
+    const optional = promise => promise.catch(error => {
+      console.warn('Poster shift data unavailable, falling back to transactions:', error.message);
+      return [];
     });
-    
-    return data.response || [];
+
+    const [transactions, timesheets, cashShifts] = await Promise.all([
+      this.getTransactions(account, accessToken, dateFrom, dateTo),
+      optional(this.getTimesheets(account, accessToken, dateFrom, dateTo)),
+      optional(this.getCashShifts(account, accessToken, dateFrom, dateTo))
+    ]);
+
+    if (spotId) {
+      return this.buildEmployeeWorkStats(
+        this.filterBySpot(transactions, spotId),
+        this.filterBySpot(timesheets, spotId),
+        this.filterBySpot(cashShifts, spotId)
+      );
+    }
+
+    return this.buildEmployeeWorkStats(transactions, timesheets, cashShifts);
   }
 
   /**
-   * Отримання даних про виручку співробітників
+   * Отримання spot (закладів) акаунта
+   * @returns {Object[]} [{ spotId, name, address, storageIds }]
    */
-  async getEmployeeRevenue(account, accessToken, dateFrom, dateTo) {
-    const transactions = await this.getTransactions(account, accessToken, dateFrom, dateTo);
-    
-    // Групуємо транзакції за співробітниками
-    const revenueByEmployee = {};
-    const shiftsByEmployee = {};
+  async getSpots(account, accessToken) {
+    const data = await this.makeRequest(account, accessToken, 'access.getSpots');
+
+    return (data.response || []).map(spot => ({
+      spotId: parseInt(spot.spot_id),
+      name: spot.name || spot.spot_name,
+      address: spot.address || spot.spot_adress || null,
+      storageIds: (spot.storages || []).map(storage => parseInt(storage.storage_id))
+    }));
+  }
+
+  /**
+   * Склади, що належать spot (інвентаризації ведуться по складах)
+   */
+  async getSpotStorageIds(account, accessToken, spotId) {
+    const spots = await this.getSpots(account, accessToken);
+    const spot = spots.find(item => item.spotId === parseInt(spotId));
+
+    return spot ? spot.storageIds : [];
+  }
+
+  /**
+   * Записи одного spot. Підтримує сирі дані Poster (spot_id) та нормалізовані (spotId)
+   */
+  filterBySpot(items, spotId) {
+    const target = parseInt(spotId);
+
+    return items.filter(item => {
+      const itemSpotId = item.spotId !== undefined ? item.spotId : item.spot_id;
+      return itemSpotId !== null && itemSpotId !== undefined && parseInt(itemSpotId) === target;
+    });
+  }
 
+  /**
+   * Інвентаризації одного spot: за spot_id ревізії або за складами spot
+   */
+  filterRevisionsBySpot(revisions, spotId, storageIds = []) {
+    return revisions.filter(revision => {
+      if (revision.spot_id !== undefined && revision.spot_id !== null) {
+        return parseInt(revision.spot_id) === parseInt(spotId);
+      }
+      return storageIds.includes(parseInt(revision.storage_id));
+    });
+  }
+
+  /**
+   * Зведення виручки та змін по співробітниках.
+   * Джерело змін для кожного співробітника (за пріоритетом):
+   *  - timesheet - записи табеля;
+   *  - cash_shift - касові зміни (див. attributeCashShift);
+   *  - transactions - одна зміна за кожен робочий день з чеками (як і раніше),
+   *    чеки після півночі до BUSINESS_DAY_START_HOUR належать попередньому дню
+   * @returns {Object[]} [{ employeeId, revenue, transactionsCount, shiftsCount, hoursWorked, shiftSource, shifts }]
+   */
+  buildEmployeeWorkStats(transactions, timesheets = [], cashShifts = []) {
+    const employees = {};
+
+    const getEmployee = employeeId => {
+      if (!employees[employeeId]) {
+        employees[employeeId] = {
+          revenue: 0,
+          transactionsCount: 0,
+          timestamps: [],
+          timesheetShifts: [],
+          cashShifts: []
+        };
+      }
+      return employees[employeeId];
+    };
+
+    // Групуємо транзакції за співробітниками
     transactions.forEach(transaction => {
       const employeeId = transaction.user_id || transaction.staff_id;
-      const transactionDate = transaction.date_close || transaction.date;
       
       if (!employeeId) return;
 
+      const employee = getEmployee(parseInt(employeeId));
+
       // Підрахунок виручки
-      if (!revenueByEmployee[employeeId]) {
-        revenueByEmployee[employeeId] = 0;
+      employee.revenue += parseFloat(transaction.total || 0);
+      employee.transactionsCount++;
+
+      const timestamp = this.parseDate(transaction.date_close || transaction.date);
+      if (timestamp) {
+        employee.timestamps.push(timestamp.getTime());
       }
-      revenueByEmployee[employeeId] += parseFloat(transaction.total || 0);
+    });
+
+    timesheets.forEach(entry => {
+      if (!entry.userId || !entry.start) return;
+      getEmployee(entry.userId).timesheetShifts.push(this.toShift(entry.start, entry.end, 'timesheet'));
+    });
 
-      // Підрахунок унікальних днів роботи (змін)
-      if (!shiftsByEmployee[employeeId]) {
-        shiftsByEmployee[employeeId] = new Set();
+    cashShifts.forEach(shift => {
+      if (!shift.start) return;
+      this.attributeCashShift(shift, employees).forEach(({ userId, start, end }) => {
+        getEmployee(userId).cashShifts.push(this.toShift(start, end, 'cash_shift'));
+      });
+    });
+
+    return Object.keys(employees).map(employeeId => {
+      const employee = employees[employeeId];
+      let shifts;
+
+      if (employee.timesheetShifts.length > 0) {
+        shifts = employee.timesheetShifts;
+      } else if (employee.cashShifts.length > 0) {
+        shifts = employee.cashShifts;
+      } else {
+        shifts = this.buildShiftsFromTimestamps(employee.timestamps);
       }
-      
-      // Додаємо дату до множини (автоматично видаляє дублікати)
-      const dateOnly = transactionDate.split(' ')[0]; // Отримуємо тільки дату без часу
-      shiftsByEmployee[employeeId].add(dateOnly);
+
+      shifts.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+      const hoursWorked = shifts.reduce((sum, shift) => sum + shift.hours, 0);
+
+      return {
+        employeeId: parseInt(employeeId),
+        revenue: employee.revenue,
+        transactionsCount: employee.transactionsCount,
+        shiftsCount: shifts.length,
+        hoursWorked: Math.round(hoursWorked * 100) / 100,
+        shiftSource: shifts.length > 0 ? shifts[0].source : null,
+        shifts
+      };
     });
+  }
 
-    // Конвертуємо Set в кількість
-    const result = Object.keys(revenueByEmployee).map(employeeId => ({
-      employeeId: parseInt(employeeId),
-      revenue: revenueByEmployee[employeeId],
-      shiftsCount: shiftsByEmployee[employeeId].size
-    }));
+  /**
+   * Розподіл касової зміни між тим, хто її відкрив, і тим, хто закрив.
+   * Якщо це різні люди, зміна ділиться в момент передачі - перший чек того,
+   * хто закривав, у межах зміни. Без його чеків уся зміна належить тому, хто відкривав
+   * (закриваючий лише здав касу); якщо він продавав від самого початку - йому
+   * @param {Object} shift - getCashShifts
+   * @param {Object} employees - Дані співробітників з timestamps чеків (мс)
+   * @returns {Object[]} [{ userId, start, end }]
+   */
+  attributeCashShift(shift, employees) {
+    const [openerId, closerId] = shift.userIds;
+
+    if (!openerId) return [];
+    if (!closerId || closerId === openerId) {
+      return [{ userId: openerId, start: shift.start, end: shift.end }];
+    }
+
+    const shiftStart = shift.start.getTime();
+    const shiftEnd = shift.end ? shift.end.getTime() : Infinity;
+    const closerSales = employees[closerId] ? employees[closerId].timestamps : [];
+    const handover = closerSales
+      .filter(timestamp => timestamp >= shiftStart && timestamp <= shiftEnd)
+      .reduce((first, timestamp) => Math.min(first, timestamp), Infinity);
 
-    return result;
+    if (handover === Infinity) {
+      return [{ userId: openerId, start: shift.start, end: shift.end }];
+    }
+    if (handover === shiftStart) {
+      return [{ userId: closerId, start: shift.start, end: shift.end }];
+    }
+
+    return [
+      { userId: openerId, start: shift.start, end: new Date(handover) },
+      { userId: closerId, start: new Date(handover), end: shift.end }
+    ];
+  }
+
+  /**
+   * Оцінка змін за часом чеків (запасний варіант): не більше однієї зміни
+   * за робочий день, від першого до останнього чека дня
+   */
+  buildShiftsFromTimestamps(timestamps) {
+    const dayStartOffset = BUSINESS_DAY_START_HOUR * 3600000;
+    const days = new Map();
+
+    [...timestamps].sort((a, b) => a - b).forEach(timestamp => {
+      const businessDay = new Date(timestamp - dayStartOffset);
+      const key = `${businessDay.getFullYear()}-${businessDay.getMonth()}-${businessDay.getDate()}`;
+
+      if (!days.has(key)) {
+        days.set(key, { first: timestamp, last: timestamp });
+      }
+      days.get(key).last = timestamp;
+    });
+
+    return [...days.values()].map(({ first, last }) =>
+      this.toShift(new Date(first), new Date(last), 'transactions')
+    );
+  }
+
+  /**
+   * Опис зміни: початок, кінець, години, джерело
+   */
+  toShift(start, end, source) {
+    const hours = start && end && end > start ? (end - start) / 3600000 : 0;
+
+    return {
+      start: start.toISOString(),
+      end: end ? end.toISOString() : null,
+      hours: Math.round(hours * 100) / 100,
+      source
+    };
+  }
+
+  /**
+   * Розбір дати Poster: "YYYY-MM-DD HH:mm:ss" або timestamp (секунди чи мілісекунди)
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (value === null || value === undefined || value === '' || value === '0') return null;
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const numeric = Number(value);
+      const date = new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const date = new Date(String(value).replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : date;
   }
 
   /**
@@ -133,8 +538,10 @@ class PosterService {
    * @param {string} accessToken - Access token
    * @param {number} month - Місяць (1-12)
    * @param {number} year - Рік
+   * @param {Object} [options]
+   * @param {number} [options.spotId] - Лише інвентаризації складів цього spot
    */
-  async getInventoryResults(account, accessToken, month, year) {
+  async getInventoryResults(account, accessToken, month, year, { spotId = null } = {}) {
     // Формуємо дати для запиту
     const dateFrom = `${year}${String(month).padStart(2, '0')}01`;
     
@@ -143,30 +550,14 @@ class PosterService {
     const dateTo = `${year}${String(month).padStart(2, '0')}${lastDay}`;
 
     try {
-      const data = await this.makeRequest(account, accessToken, 'storage.getInventoryRevisions', {
-        dateFrom,
-        dateTo
-      });
+      let revisions = await this.getInventoryRevisions(account, accessToken, dateFrom, dateTo);
 
-      const revisions = data.response || [];
-      
-      // Розрахунок загальної різниці
-      let totalLoss = 0;
-      
-      revisions.forEach(revision => {
-        // Poster повертає різницю в копійках або основній валюті
-        // Від'ємне значення = нестача
-        const difference = parseFloat(revision.difference || 0);
-        totalLoss += difference;
-      });
+      if (spotId) {
+        const storageIds = await this.getSpotStorageIds(account, accessToken, spotId);
+        revisions = this.filterRevisionsBySpot(revisions, spotId, storageIds);
+      }
 
-      return {
-        month,
-        year,
-        totalLoss,
-        revisionsCount: revisions.length,
-        revisions: revisions
-      };
+      return this.summarizeRevisions(month, year, revisions);
     } catch (error) {
       console.error('Error fetching inventory:', error);
       return {
@@ -180,26 +571,63 @@ class PosterService {
   }
 
   /**
-   * Отримання детальної статистики співробітника
+   * Отримання інвентаризацій за період
+   * @param {string} dateFrom - Дата початку (YYYYMMDD)
+   * @param {string} dateTo - Дата кінця (YYYYMMDD)
+   */
+  async getInventoryRevisions(account, accessToken, dateFrom, dateTo) {
+    return this.fetchAll(account, accessToken, 'storage.getInventoryRevisions', {
+      dateFrom,
+      dateTo
+    }, { cache: this.isPastPeriod(dateTo) });
+  }
+
+  /**
+   * Підсумок інвентаризацій за місяць
    */
-  async getEmployeeStats(account, accessToken, employeeId, dateFrom, dateTo) {
-    const transactions = await this.getTransactions(account, accessToken, dateFrom, dateTo);
+  summarizeRevisions(month, year, revisions) {
+    // Розрахунок загальної різниці
+    let totalLoss = 0;
     
-    const employeeTransactions = transactions.filter(t => 
-      (t.user_id === employeeId || t.staff_id === employeeId)
-    );
+    revisions.forEach(revision => {
+      // Poster повертає різницю в копійках або основній валюті
+      // Від'ємне значення = нестача
+      const difference = parseFloat(revision.difference || 0);
+      totalLoss += difference;
+    });
 
-    const revenue = employeeTransactions.reduce((sum, t) => sum + parseFloat(t.total || 0), 0);
+    return {
+      month,
+      year,
+      totalLoss,
+      revisionsCount: revisions.length,
+      revisions: revisions
+    };
+  }
+
+  /**
+   * Отримання детальної статистики співробітника
+   */
+  async getEmployeeStats(account, accessToken, employeeId, dateFrom, dateTo, options = {}) {
+    const revenueData = await this.getEmployeeRevenue(account, accessToken, dateFrom, dateTo, options);
     
-    const uniqueDates = new Set(
-      employeeTransactions.map(t => (t.date_close || t.date).split(' ')[0])
-    );
+    return this.toEmployeeStats(employeeId, revenueData);
+  }
+
+  /**
+   * Статистика одного співробітника з результату buildEmployeeWorkStats
+   */
+  toEmployeeStats(employeeId, revenueData) {
+    const stats = revenueData.find(data => data.employeeId === parseInt(employeeId));
 
     return {
       employeeId,
-      revenue,
-      shiftsCount: uniqueDates.size,
-      transactionsCount: employeeTransactions.length
+      revenue: stats ? stats.revenue : 0,
+      shiftsCount: stats ? stats.shiftsCount : 0,
+      hoursWorked: stats ? stats.hoursWorked : 0,
+      shiftSource: stats ? stats.shiftSource : null,
+      shifts: stats ? stats.shifts : [],
+      transactionsCount: stats ? stats.transactionsCount : 0
     };
   }
 
@@ -0,0 +1,277 @@
+// backend/src/services/posterSyncService.js
+// Інкрементальна синхронізація чеків, змін, співробітників та інвентаризацій Poster
+// у локальні таблиці (posterDataRepository)
+
+const posterService = require('./posterService');
+const locationRepository = require('../repositories/locationRepository');
+const posterDataRepository = require('../repositories/posterDataRepository');
+
+// Інтервал планової синхронізації всіх закладів (0 - вимкнено)
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.POSTER_SYNC_INTERVAL_MINUTES || '0');
+// Глибина першої синхронізації закладу (місяців до поточного)
+const SYNC_INITIAL_MONTHS = parseInt(process.env.POSTER_SYNC_INITIAL_MONTHS || '3');
+// Скільки днів до курсора синхронізувати повторно: чеки можуть закриватися
+// або виправлятися заднім числом
+const SYNC_OVERLAP_DAYS = parseInt(process.env.POSTER_SYNC_OVERLAP_DAYS || '2');
+
+class PosterSyncService {
+  constructor() {
+    this.timer = null;
+    this.isSyncingAll = false;
+  }
+
+  /**
+   * Синхронізація одного закладу від курсора до сьогодні
+   * @param {number} locationId
+   * @param {Object} [options]
+   * @param {string} [options.from] - YYYY-MM-DD: повторна синхронізація з цієї дати
+   * @returns {Object} { skipped, syncedFrom, syncedUntil, stats }
+   */
+  async syncLocation(locationId, { from = null } = {}) {
+    const location = await locationRepository.getPosterCredentials(locationId);
+
+    if (!location || !location.accessToken) {
+      throw new Error(`Location ${locationId} is not connected to Poster`);
+    }
+
+    const started = await posterDataRepository.markSyncStarted(locationId);
+    if (!started) {
+      return { skipped: true, reason: 'already_running' };
+    }
+
+    try {
+      const state = await posterDataRepository.getSyncState(locationId);
+      const startDate = this.getStartDate(state, from);
+      const endDate = this.startOfDay(new Date());
+
+      const stats = { employees: 0, transactions: 0, shifts: 0, revisions: 0 };
+
+      const employees = await posterService.getEmployees(location.account, location.accessToken);
+      stats.employees = await posterDataRepository.syncEmployees(locationId, employees);
+
+      // Заклад прив'язаний до spot: зберігаємо лише його дані (інвентаризації - за складами spot)
+      const storageIds = location.spotId
+        ? await posterService.getSpotStorageIds(location.account, location.accessToken, location.spotId)
+        : [];
+
+      // По місяцях: менші вибірки, а завершені місяці беруться з кешу API
+      for (const [chunkFrom, chunkTo] of this.splitByMonth(startDate, endDate)) {
+        const data = await this.fetchPeriod(location, chunkFrom, chunkTo, storageIds);
+
+        const nextDay = new Date(chunkTo);
+        nextDay.setDate(nextDay.getDate() + 1);
+
+        const counts = await posterDataRepository.replacePeriod(locationId, chunkFrom, nextDay, data);
+
+        stats.transactions += counts.transactions;
+        stats.shifts += counts.shifts;
+        stats.revisions += counts.revisions;
+      }
+
+      const syncedFrom = this.formatDate(startDate);
+      const syncedUntil = this.formatDate(endDate);
+
+      await posterDataRepository.markSyncFinished(locationId, {
+        status: 'success',
+        syncedFrom,
+        syncedUntil,
+        stats
+      });
+
+      return { skipped: false, syncedFrom, syncedUntil, stats };
+    } catch (error) {
+      await posterDataRepository.markSyncFinished(locationId, {
+        status: 'error',
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Синхронізація всіх підключених закладів (по черзі, щоб не перевищити ліміти Poster)
+   * @returns {Object[]} [{ locationId, success, result?, error? }]
+   */
+  async syncAll() {
+    if (this.isSyncingAll) {
+      console.warn('Poster sync is already running, skipping');
+      return [];
+    }
+
+    this.isSyncingAll = true;
+
+    try {
+      const locationIds = await locationRepository.findConnectedIds();
+      const results = [];
+
+      for (const locationId of locationIds) {
+        try {
+          const result = await this.syncLocation(locationId);
+          results.push({ locationId, success: true, result });
+        } catch (error) {
+          console.error(`Poster sync failed for location ${locationId}:`, error.message);
+          results.push({ locationId, success: false, error: error.message });
+        }
+      }
+
+      return results;
+    } finally {
+      this.isSyncingAll = false;
+    }
+  }
+
+  /**
+   * Запуск планової синхронізації (POSTER_SYNC_INTERVAL_MINUTES)
+   */
+  startScheduler() {
+    if (SYNC_INTERVAL_MINUTES <= 0 || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.syncAll().catch(error => console.error('Scheduled Poster sync error:', error));
+    }, SYNC_INTERVAL_MINUTES * 60 * 1000);
+
+    // Таймер не утримує процес при завершенні
+    this.timer.unref();
+
+    console.log(`🔄 Poster sync scheduled every ${SYNC_INTERVAL_MINUTES} min`);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Стан синхронізації закладу
+   */
+  async getStatus(locationId) {
+    return posterDataRepository.getSyncState(locationId);
+  }
+
+  /**
+   * Чи покривають локальні дані період (дати YYYYMMDD)
+   */
+  async isPeriodSynced(locationId, dateFrom, dateTo) {
+    const state = await posterDataRepository.getSyncState(locationId);
+    if (!state || !state.syncedFrom || !state.syncedUntil) return false;
+
+    const toKey = date => this.formatDate(date).replace(/-/g, '');
+    const todayKey = toKey(new Date());
+
+    // Поточний період вважається покритим, якщо синхронізовано до сьогодні
+    return toKey(state.syncedFrom) <= dateFrom &&
+      toKey(state.syncedUntil) >= (dateTo < todayKey ? dateTo : todayKey);
+  }
+
+  /**
+   * Дані Poster за період (дати включно), для закладу зі spot - лише цього spot
+   */
+  async fetchPeriod(location, from, to, storageIds = []) {
+    const { account, accessToken, spotId } = location;
+    const dateFrom = this.formatDate(from).replace(/-/g, '');
+    const dateTo = this.formatDate(to).replace(/-/g, '');
+
+    // Табель і касові зміни можуть бути недоступні (тариф, права застосунку)
+    const optional = promise => promise.catch(error => {
+      console.warn('Poster shift data unavailable during sync:', error.message);
+      return [];
+    });
+
+    let [transactions, timesheets, cashShifts, revisions] = await Promise.all([
+      posterService.getTransactions(account, accessToken, dateFrom, dateTo),
+      optional(posterService.getTimesheets(account, accessToken, dateFrom, dateTo)),
+      optional(posterService.getCashShifts(account, accessToken, dateFrom, dateTo)),
+      posterService.getInventoryRevisions(account, accessToken, dateFrom, dateTo)
+    ]);
+
+    if (spotId) {
+      transactions = posterService.filterBySpot(transactions, spotId);
+      timesheets = posterService.filterBySpot(timesheets, spotId);
+      cashShifts = posterService.filterBySpot(cashShifts, spotId);
+      revisions = posterService.filterRevisionsBySpot(revisions, spotId, storageIds);
+    }
+
+    return {
+      transactions: transactions.map(transaction => ({
+        transactionId: parseInt(transaction.transaction_id || transaction.id) || null,
+        employeePosterId: parseInt(transaction.user_id || transaction.staff_id) || null,
+        closedAt: posterService.parseDate(transaction.date_close || transaction.date),
+        total: parseFloat(transaction.total || 0),
+        spotId: transaction.spot_id ? parseInt(transaction.spot_id) : null,
+        raw: transaction
+      })),
+      timesheets,
+      cashShifts,
+      revisions: revisions.map(revision => ({
+        revisionId: parseInt(revision.revision_id || revision.inventory_id || revision.id) || null,
+        date: posterService.parseDate(revision.date_end || revision.date || revision.date_start),
+        difference: parseFloat(revision.difference || 0),
+        raw: revision
+      }))
+    };
+  }
+
+  /**
+   * Дата початку синхронізації: явна, від курсора з перекриттям або початкова глибина.
+   * synced_from / synced_until описують один безперервний діапазон, тому явна дата,
+   * пізніша за курсор, зсувається на курсор - інакше між ними лишився б несинхронізований проміжок
+   */
+  getStartDate(state, from) {
+    const cursor = state && state.syncedFrom && state.syncedUntil
+      ? this.startOfDay(new Date(state.syncedUntil))
+      : null;
+
+    if (cursor) {
+      cursor.setDate(cursor.getDate() - SYNC_OVERLAP_DAYS);
+    }
+
+    if (from) {
+      const [year, month, day] = from.split('-').map(value => parseInt(value));
+      const start = new Date(year, month - 1, day);
+
+      return cursor && start > cursor ? cursor : start;
+    }
+
+    if (cursor) {
+      return cursor;
+    }
+
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth() - SYNC_INITIAL_MONTHS, 1);
+  }
+
+  /**
+   * Розбиття періоду на відрізки в межах календарних місяців
+   * @returns {Array<[Date, Date]>} Пари дат (включно)
+   */
+  splitByMonth(from, to) {
+    const chunks = [];
+    let cursor = this.startOfDay(from);
+
+    while (cursor <= to) {
+      const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+      const chunkTo = monthEnd < to ? monthEnd : to;
+
+      chunks.push([cursor, chunkTo]);
+      cursor = new Date(chunkTo.getFullYear(), chunkTo.getMonth(), chunkTo.getDate() + 1);
+    }
+
+    return chunks;
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * YYYY-MM-DD у локальному часовому поясі
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new PosterSyncService();
@@ -0,0 +1,228 @@
+// backend/src/services/reportWorkflowService.js
+// Затвердження розрахунків: draft -> submitted -> approved -> paid.
+// Переходи дозволені за роллю в закладі (user_locations.role), адміністратор - будь-які.
+// Затверджений звіт змінюється лише після явного повернення в чернетку (reopen)
+
+const permissionService = require('./permissionService');
+const payPeriodService = require('./payPeriodService');
+const salaryService = require('./salaryService');
+const salaryRunService = require('./salaryRunService');
+const auditService = require('./auditService');
+const payslipService = require('./payslipService');
+const telegramService = require('./telegramService');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+
+const REPORT_STATUSES = ['draft', 'submitted', 'approved', 'paid'];
+
+// Звіти, які вже не змінюються без reopen
+const LOCKED_STATUSES = ['approved', 'paid'];
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'other'];
+
+const TRANSITIONS = {
+  submit: {
+    from: ['draft'],
+    to: 'submitted',
+    roles: ['owner', 'manager'],
+    action: auditService.actions.REPORT_SUBMIT
+  },
+  approve: {
+    from: ['submitted'],
+    to: 'approved',
+    roles: ['owner'],
+    action: auditService.actions.REPORT_APPROVE
+  },
+  pay: {
+    from: ['approved'],
+    to: 'paid',
+    roles: ['owner', 'manager'],
+    action: auditService.actions.REPORT_PAY
+  },
+  reopen: {
+    from: ['submitted', 'approved', 'paid'],
+    to: 'draft',
+    roles: ['owner'],
+    action: auditService.actions.REPORT_REOPEN
+  }
+};
+
+class ReportWorkflowService {
+  constructor() {
+    this.statuses = REPORT_STATUSES;
+    this.lockedStatuses = LOCKED_STATUSES;
+    this.paymentMethods = PAYMENT_METHODS;
+    this.transitions = TRANSITIONS;
+  }
+
+  /**
+   * Зміна статусу звіту.
+   * Помилки кидаються з полем status (HTTP код), як у salaryRunService
+   * @param {number} reportId
+   * @param {string} transition - submit | approve | pay | reopen
+   * @param {Object} user - req.user ({ id, role })
+   * @param {Object} [input] - reopen: { reason }; pay: { paidDate, paymentMethod, note }
+   * @param {Object} [context] - { ipAddress, channel } для журналу активності
+   * @returns {Object} Оновлений звіт { id, location_id, version, status, ... }
+   */
+  async transition(reportId, transition, user, input = {}, context = {}) {
+    const rule = TRANSITIONS[transition];
+    if (!rule) {
+      throw salaryRunService.createError(400, `Unknown transition: ${transition}`);
+    }
+
+    const locationId = await salaryReportRepository.getLocationId(reportId);
+    if (!locationId) {
+      throw salaryRunService.createError(404, 'Report not found');
+    }
+
+    if (!await this.canTransition(user, locationId, transition)) {
+      throw salaryRunService.createError(403, `Your role cannot ${transition} reports (allowed: ${rule.roles.join(', ')})`);
+    }
+
+    const { errors, reason, payment } = this.validateInput(transition, input);
+    if (errors.length > 0) {
+      throw salaryRunService.createError(400, 'Invalid input', errors);
+    }
+
+    const result = await salaryReportRepository.changeStatus(reportId, {
+      from: rule.from,
+      to: rule.to,
+      userId: user.id,
+      reason,
+      payment
+    });
+
+    if (result.error === 'not_found') {
+      throw salaryRunService.createError(404, 'Report not found');
+    }
+    if (result.error === 'invalid_status') {
+      throw salaryRunService.createError(409, `Cannot ${transition} a report in status ${result.status}`);
+    }
+    if (result.error === 'period_locked') {
+      throw salaryRunService.createError(409, `Period already has approved report ${result.reportId}. Reopen it first.`);
+    }
+
+    const { report } = result;
+
+    await auditService.log({
+      userId: user.id,
+      action: rule.action,
+      entityType: 'salary_report',
+      entityId: report.id,
+      locationId: report.location_id,
+      ipAddress: context.ipAddress || null,
+      details: {
+        month: report.period_month,
+        year: report.period_year,
+        version: report.version,
+        reason: reason || undefined,
+        paidDate: payment ? payment.paidDate : undefined,
+        paymentMethod: payment ? payment.method : undefined,
+        channel: context.channel
+      }
+    });
+
+    // Побічні дії не скасовують зміну статусу
+    if (rule.to === 'approved') {
+      payslipService.queueReport(report.id)
+        .catch(error => console.error('Error queueing payslips:', error));
+    }
+    if (rule.to === 'submitted') {
+      this.notifyApprovers(report, user)
+        .catch(error => console.error('Error notifying report approvers:', error));
+    }
+
+    return report;
+  }
+
+  /**
+   * Чи дозволений перехід користувачу в закладі
+   */
+  async canTransition(user, locationId, transition) {
+    if (permissionService.isAdmin(user)) return true;
+
+    const permissions = await permissionService.getPermissions(user.id, locationId);
+
+    return Boolean(permissions && permissions.can_calculate && TRANSITIONS[transition].roles.includes(permissions.role));
+  }
+
+  /**
+   * Доступні користувачу переходи для звіту в поточному статусі
+   */
+  async getAvailableTransitions(user, locationId, status) {
+    const available = [];
+
+    for (const [name, rule] of Object.entries(TRANSITIONS)) {
+      if (rule.from.includes(status) && await this.canTransition(user, locationId, name)) {
+        available.push(name);
+      }
+    }
+
+    return available;
+  }
+
+  validateInput(transition, input) {
+    const errors = [];
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    let payment = null;
+
+    if (transition === 'reopen' && !reason) {
+      errors.push('reason is required to reopen a report');
+    }
+
+    if (transition === 'pay') {
+      payment = {
+        paidDate: input.paidDate || payPeriodService.formatDate(new Date()),
+        method: input.paymentMethod,
+        note: typeof input.note === 'string' && input.note.trim() ? input.note.trim() : null
+      };
+
+      if (!payPeriodService.parseDate(payment.paidDate)) {
+        errors.push('Invalid paidDate (expected YYYY-MM-DD)');
+      }
+      if (!PAYMENT_METHODS.includes(payment.method)) {
+        errors.push(`Invalid paymentMethod (must be one of: ${PAYMENT_METHODS.join(', ')})`);
+      }
+    }
+
+    return { errors, reason: reason || null, payment };
+  }
+
+  /**
+   * Повідомлення власникам закладу про поданий на затвердження звіт
+   */
+  async notifyApprovers(report, submittedBy) {
+    const owners = (await permissionService.getLocationManagers(report.location_id))
+      .filter(manager => manager.role === 'owner' && manager.user_id !== submittedBy.id);
+
+    const period = salaryService.getPeriodName({
+      type: report.period_type,
+      kind: report.period_kind,
+      dateFrom: report.period_start,
+      dateTo: report.period_end,
+      month: report.period_month,
+      year: report.period_year
+    });
+
+    for (const owner of owners) {
+      await telegramService.sendMessage(
+        owner.telegram_id,
+        `📝 Звіт №${report.id} (${period}, версія ${report.version}) подано на затвердження.\nДеталі: /report ${report.id}`,
+        this.getApproveMarkup(report.id)
+      ).catch(error => console.error(`Approval notification to user ${owner.user_id} failed:`, error.message));
+    }
+  }
+
+  /**
+   * Кнопка затвердження звіту (обробляє telegramBotService)
+   */
+  getApproveMarkup(reportId) {
+    return {
+      reply_markup: {
+        inline_keyboard: [[{ text: '✅ Затвердити', callback_data: `approve:${reportId}` }]]
+      }
+    };
+  }
+}
+
+module.exports = new ReportWorkflowService();
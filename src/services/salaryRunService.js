@@ -0,0 +1,228 @@
+// backend/src/services/salaryRunService.js
+// Запуск розрахунку зарплати закладу: визначення періоду, збір налаштувань,
+// перевірка даних Poster, розрахунок та збереження версії звіту.
+// Спільний для REST API та Telegram бота
+
+const salaryService = require('./salaryService');
+const posterService = require('./posterService');
+const posterSyncService = require('./posterSyncService');
+const payPeriodService = require('./payPeriodService');
+const locationRepository = require('../repositories/locationRepository');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+const payRuleRepository = require('../repositories/payRuleRepository');
+const bonusSchemeRepository = require('../repositories/bonusSchemeRepository');
+const inventorySettingsRepository = require('../repositories/inventorySettingsRepository');
+const payPeriodSettingsRepository = require('../repositories/payPeriodSettingsRepository');
+const adjustmentRepository = require('../repositories/adjustmentRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+
+class SalaryRunService {
+  /**
+   * Розрахунок зарплати закладу.
+   * Помилки вхідних даних кидаються з полем status (HTTP код) та, за наявності, errors
+   * @param {Object} input - Параметри як у POST /api/salary/calculate
+   * @param {Object} [options] - { userId, dryRun }
+   * @returns {Object} { result, report, period, calculationParams }
+   */
+  async calculate(input, { userId = null, dryRun = false } = {}) {
+    const {
+      locationId,
+      month,
+      year,
+      dateFrom,
+      dateTo,
+      part,
+      week,
+      periodKind,
+      inventoryMonth,
+      inventoryYear,
+      shiftRate,
+      revenuePercent,
+      bonusScheme,
+      inventoryAllocation,
+      source = process.env.SALARY_DATA_SOURCE || 'poster'
+    } = input;
+
+    // Валідація вхідних даних
+    if (!locationId || (!(month && year) && !(dateFrom && dateTo) && !week)) {
+      throw this.createError(400, 'Missing required parameters');
+    }
+
+    const { period, errors: periodErrors } = payPeriodService.resolvePeriod(
+      { month, year, dateFrom, dateTo, part, week, periodKind },
+      await payPeriodSettingsRepository.findByLocation(locationId)
+    );
+
+    if (!period) {
+      throw this.createError(400, 'Invalid period', periodErrors);
+    }
+
+    // Затверджений період змінюється лише після явного повернення звіту в чернетку
+    if (!dryRun) {
+      const approved = await salaryReportRepository.findApprovedForPeriod(locationId, period.dateFrom, period.dateTo);
+
+      if (approved) {
+        throw this.createError(
+          409,
+          `Period is ${approved.status} (report ${approved.id}, version ${approved.version}). Reopen it to recalculate.`
+        );
+      }
+    }
+
+    // Інвентаризація: явно вказаний місяць або місяць, який закриває період
+    const closedMonth = payPeriodService.getClosedMonth(period);
+    const inventoryPeriod = inventoryMonth && inventoryYear
+      ? { month: parseInt(inventoryMonth), year: parseInt(inventoryYear) }
+      : closedMonth;
+
+    if (!salaryService.dataSources.includes(source)) {
+      throw this.createError(400, `Invalid source. Allowed: ${salaryService.dataSources.join(', ')}`);
+    }
+
+    // Отримуємо дані закладу з БД (токен розшифровується в репозиторії)
+    const location = await locationRepository.getPosterCredentials(locationId);
+
+    if (!location) {
+      throw this.createError(404, 'Location not found');
+    }
+
+    const { account: poster_account, accessToken: poster_access_token, spotId } = location;
+
+    if (source === 'local') {
+      // Розрахунок з локальної копії: Poster не викликається, але дані мають покривати період
+      const ranges = [[period.dateFrom, period.dateTo]];
+
+      if (inventoryPeriod) {
+        const key = `${inventoryPeriod.year}-${String(inventoryPeriod.month).padStart(2, '0')}`;
+        const lastDay = new Date(inventoryPeriod.year, inventoryPeriod.month, 0).getDate();
+        ranges.push([`${key}-01`, `${key}-${lastDay}`]);
+      }
+
+      for (const [rangeFrom, rangeTo] of ranges) {
+        const isSynced = await posterSyncService.isPeriodSynced(
+          locationId,
+          payPeriodService.toPosterDate(rangeFrom),
+          payPeriodService.toPosterDate(rangeTo)
+        );
+
+        if (!isSynced) {
+          throw this.createError(409, `Local Poster data does not cover ${rangeFrom} – ${rangeTo}. Run sync first.`);
+        }
+      }
+    } else {
+      // Перевірка валідності токена
+      const isTokenValid = await posterService.validateToken(poster_account, poster_access_token);
+      if (!isTokenValid) {
+        throw this.createError(401, 'Invalid or expired Poster access token. Please re-authenticate.');
+      }
+    }
+
+    // Збережені правила оплати: профіль закладу + перевизначення
+    const payRules = await payRuleRepository.findByLocation(locationId);
+    const locationRule = payRules.find(rule => rule.scope === 'location') || {};
+
+    // Ставка та відсоток із запиту мають пріоритет над профілем закладу
+    const effectiveShiftRate = shiftRate !== undefined ? shiftRate : locationRule.shiftRate;
+    const effectiveRevenuePercent = revenuePercent !== undefined ? revenuePercent : locationRule.revenuePercent;
+
+    if (effectiveShiftRate === undefined || effectiveShiftRate === null ||
+      effectiveRevenuePercent === undefined || effectiveRevenuePercent === null) {
+      throw this.createError(400, 'Missing required parameters: shiftRate and revenuePercent (no location pay profile)');
+    }
+
+    // Параметри для розрахунку
+    const calculationParams = {
+      source,
+      locationId: parseInt(locationId),
+      account: poster_account,
+      accessToken: poster_access_token,
+      spotId,
+      month: period.month,
+      year: period.year,
+      period,
+      inventoryMonth: inventoryPeriod ? inventoryPeriod.month : null,
+      inventoryYear: inventoryPeriod ? inventoryPeriod.year : null,
+      shiftRate: parseFloat(effectiveShiftRate),
+      revenuePercent: parseFloat(effectiveRevenuePercent),
+      hourlyRate: locationRule.hourlyRate ?? 0,
+      fixedSalary: locationRule.fixedSalary ?? null,
+      inventoryLiability: locationRule.inventoryLiability ?? true,
+      payRules: payRules.filter(rule => rule.scope !== 'location'),
+      // Схема з запиту (напр. для попереднього перегляду) або збережена
+      bonusScheme: bonusScheme
+        ? salaryService.normalizeBonusScheme(bonusScheme)
+        : await bonusSchemeRepository.findByLocation(locationId),
+      inventoryAllocation: inventoryAllocation
+        ? salaryService.normalizeInventoryAllocation(inventoryAllocation)
+        : salaryService.normalizeInventoryAllocation(
+          await inventorySettingsRepository.findByLocation(locationId) || {}
+        ),
+      inventoryCarryover: inventoryPeriod
+        ? await salaryReportRepository.getInventoryCarryover(locationId, inventoryPeriod.month, inventoryPeriod.year)
+        : 0,
+      // Остаточний розрахунок утримує вже виплачені аванси за період
+      advances: period.kind === 'settlement'
+        ? await salaryReportRepository.getPaidAdvances(locationId, period.dateFrom, period.dateTo)
+        : {},
+      adjustments: await adjustmentRepository.findByLocation(locationId, {
+        dateFrom: period.dateFrom,
+        dateTo: period.dateTo
+      }),
+      excludedEmployeeIds: await employeeRepository.findExcludedPosterIds(locationId)
+    };
+
+    // Валідація параметрів
+    const validation = salaryService.validateCalculationParams(calculationParams);
+    if (!validation.isValid) {
+      throw this.createError(400, 'Invalid calculation parameters', validation.errors);
+    }
+
+    // Розрахунок зарплати
+    const result = await salaryService.calculateSalaries(calculationParams);
+
+    // Зберігаємо результат в БД як нову версію (крім попереднього перегляду)
+    const report = dryRun
+      ? null
+      : await salaryReportRepository.create(locationId, result, userId);
+
+    return { result, report, period, calculationParams };
+  }
+
+  /**
+   * Деталі розрахунку для журналу активності
+   */
+  getAuditDetails({ result, report, period, calculationParams }, dryRun = false) {
+    return {
+      month: calculationParams.month,
+      year: calculationParams.year,
+      dateFrom: period.dateFrom,
+      dateTo: period.dateTo,
+      periodKind: period.kind,
+      inventoryMonth: calculationParams.inventoryMonth,
+      inventoryYear: calculationParams.inventoryYear,
+      shiftRate: calculationParams.shiftRate,
+      revenuePercent: calculationParams.revenuePercent,
+      source: calculationParams.source,
+      employeesCount: result.summary.employeesCount,
+      totalSalary: result.summary.totalSalary,
+      dryRun,
+      reportId: report ? report.id : null,
+      version: report ? report.version : null
+    };
+  }
+
+  /**
+   * Помилка вхідних даних з HTTP статусом
+   * @param {number} status
+   * @param {string} message
+   * @param {string[]} [errors] - Список помилок валідації
+   */
+  createError(status, message, errors = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.errors = errors;
+    return error;
+  }
+}
+
+module.exports = new SalaryRunService();
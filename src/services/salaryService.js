@@ -1,121 +1,346 @@
 // backend/src/services/salaryService.js
 
 const posterService = require('./posterService');
+const localPosterService = require('./localPosterService');
+const payPeriodService = require('./payPeriodService');
+const localizationService = require('./localizationService');
+
+// Стратегії розподілу нестачі інвентаризації
+const INVENTORY_STRATEGIES = ['revenue', 'shifts', 'hours', 'equal', 'revision_period'];
+
+// Джерела даних: poster - API Poster, local - синхронізована копія (posterSyncService)
+const DATA_SOURCES = ['poster', 'local'];
+
+// Ручні коригування: bonus - премія, fine - штраф, advance - виданий аванс,
+// correction - виправлення зі знаком (напр. помилково зарахований продаж)
+const ADJUSTMENT_TYPES = ['bonus', 'fine', 'advance', 'correction'];
+
+// Колонки CSV: key - поле співробітника, label - підпис (localizationService)
+const CSV_COLUMNS = [
+  { key: 'employeeName', label: 'employee', type: 'text' },
+  { key: 'position', label: 'position', type: 'text' },
+  { key: 'shiftsCount', label: 'shiftsCount', type: 'integer' },
+  { key: 'hoursWorked', label: 'hoursWorked', type: 'number' },
+  { key: 'revenue', label: 'revenue', type: 'money' },
+  { key: 'baseSalary', label: 'baseSalary', type: 'money' },
+  { key: 'revenueBonus', label: 'revenueBonus', type: 'money' },
+  { key: 'targetBonus', label: 'targetBonus', type: 'money' },
+  { key: 'inventoryShare', label: 'inventoryShare', type: 'percent' },
+  { key: 'inventoryDeduction', label: 'inventoryDeduction', type: 'money' },
+  { key: 'inventoryStrategy', label: 'inventoryStrategy', type: 'strategy' },
+  { key: 'advanceDeduction', label: 'advanceDeduction', type: 'money' },
+  { key: 'adjustmentBonus', label: 'adjustmentBonus', type: 'money' },
+  { key: 'adjustmentFine', label: 'adjustmentFine', type: 'money' },
+  { key: 'adjustmentAdvance', label: 'adjustmentAdvance', type: 'money' },
+  { key: 'adjustmentCorrection', label: 'adjustmentCorrection', type: 'money' },
+  { key: 'totalSalary', label: 'totalSalary', type: 'money' }
+];
+
+// Колонки CSV за замовчуванням (як до вибору колонок)
+const DEFAULT_CSV_COLUMNS = CSV_COLUMNS
+  .filter(column => !['position', 'hoursWorked'].includes(column.key))
+  .map(column => column.key);
 
 class SalaryService {
+  constructor() {
+    this.inventoryStrategies = INVENTORY_STRATEGIES;
+    this.dataSources = DATA_SOURCES;
+    this.adjustmentTypes = ADJUSTMENT_TYPES;
+    this.csvColumns = CSV_COLUMNS.map(column => column.key);
+  }
+
+  /**
+   * Джерело даних Poster для розрахунку
+   * @param {Object} params - { source, locationId, account, accessToken, spotId }
+   * @returns {Object} { getEmployees, getEmployeeRevenue, getInventoryResults, getEmployeeStats }
+   */
+  getDataSource({ source = 'poster', locationId, account, accessToken, spotId = null }) {
+    if (source === 'local') {
+      return {
+        getEmployees: () => localPosterService.getEmployees(locationId),
+        getEmployeeRevenue: (dateFrom, dateTo) => localPosterService.getEmployeeRevenue(locationId, dateFrom, dateTo),
+        getInventoryResults: (month, year) => localPosterService.getInventoryResults(locationId, month, year),
+        getEmployeeStats: (employeeId, dateFrom, dateTo) =>
+          localPosterService.getEmployeeStats(locationId, employeeId, dateFrom, dateTo)
+      };
+    }
+
+    // Локальна копія вже містить лише дані spot закладу (див. posterSyncService)
+    const options = { spotId };
+
+    return {
+      getEmployees: () => posterService.getEmployees(account, accessToken),
+      getEmployeeRevenue: (dateFrom, dateTo) =>
+        posterService.getEmployeeRevenue(account, accessToken, dateFrom, dateTo, options),
+      getInventoryResults: (month, year) =>
+        posterService.getInventoryResults(account, accessToken, month, year, options),
+      getEmployeeStats: (employeeId, dateFrom, dateTo) =>
+        posterService.getEmployeeStats(account, accessToken, employeeId, dateFrom, dateTo, options)
+    };
+  }
+
   /**
    * Розрахунок заробітної плати для всіх співробітників закладу
    * @param {Object} params - Параметри розрахунку
    * @param {string} params.account - Poster account
    * @param {string} params.accessToken - Access token
+   * @param {string} [params.source] - Джерело даних: poster (за замовчуванням) або local
+   * @param {number} [params.locationId] - Заклад (для source = local)
+   * @param {number} [params.spotId] - spot Poster закладу (мультиспот-акаунт)
    * @param {number} params.month - Місяць розрахунку (1-12)
    * @param {number} params.year - Рік розрахунку
-   * @param {number} params.inventoryMonth - Місяць інвентаризації (1-12)
-   * @param {number} params.inventoryYear - Рік інвентаризації
+   * @param {Object} [params.period] - Довільний період { type, kind, dateFrom, dateTo } (YYYY-MM-DD),
+   *   див. payPeriodService.resolvePeriod; за замовчуванням - календарний місяць
+   * @param {number|null} params.inventoryMonth - Місяць інвентаризації (1-12); null - без інвентаризації
+   * @param {number|null} params.inventoryYear - Рік інвентаризації
    * @param {number} params.shiftRate - Ставка за одну зміну (грн)
    * @param {number} params.revenuePercent - Процент від виручки (%)
+   * @param {number} [params.hourlyRate] - Погодинна ставка за замовчуванням (грн/год)
+   * @param {number} [params.fixedSalary] - Фіксований оклад за замовчуванням (грн)
+   * @param {boolean} [params.inventoryLiability] - Матеріальна відповідальність за замовчуванням
+   * @param {Object[]} [params.payRules] - Правила оплати для посад та співробітників
+   * @param {Object} [params.bonusScheme] - Схема бонусу від виручки (див. calculateRevenueBonus)
+   * @param {Object} [params.inventoryAllocation] - Розподіл нестачі: { strategy, capPercent }
+   * @param {number} [params.inventoryCarryover] - Нерозподілена нестача з попереднього періоду (грн)
+   * @param {Object} [params.advances] - Виплачені аванси для утримання { [posterEmployeeId]: сума }
+   * @param {Object[]} [params.adjustments] - Ручні коригування за період
+   *   [{ id, posterEmployeeId, type, amount, date, reason }]
+   * @param {number[]} [params.excludedEmployeeIds] - ID Poster співробітників, виключених з розрахунку
    */
   async calculateSalaries(params) {
     const {
-      account,
-      accessToken,
       month,
       year,
       inventoryMonth,
       inventoryYear,
       shiftRate,
-      revenuePercent
+      revenuePercent,
+      payRules = [],
+      bonusScheme = null,
+      inventoryCarryover = 0,
+      advances = {},
+      adjustments = [],
+      excludedEmployeeIds = []
     } = params;
 
+    const period = params.period || payPeriodService.resolvePeriod({ month, year }).period;
+    const hasInventory = Boolean(inventoryMonth && inventoryYear);
+
+    const allocation = {
+      strategy: 'revenue',
+      capPercent: null,
+      ...(params.inventoryAllocation || {})
+    };
+
     try {
       // 1. Формуємо дати для запиту транзакцій
-      const dateFrom = `${year}${String(month).padStart(2, '0')}01`;
-      const lastDay = new Date(year, month, 0).getDate();
-      const dateTo = `${year}${String(month).padStart(2, '0')}${lastDay}`;
+      const dateFrom = payPeriodService.toPosterDate(period.dateFrom);
+      const dateTo = payPeriodService.toPosterDate(period.dateTo);
+
+      // Місячний оклад - пропорційно дням періоду, премія за план - лише за повний місяць
+      const fixedSalaryFactor = payPeriodService.getFixedSalaryFactor(period);
+      const periodBonusScheme = bonusScheme && !payPeriodService.coversFullMonth(period)
+        ? { ...bonusScheme, monthlyTarget: null, targetBonus: null }
+        : bonusScheme;
 
-      // 2. Отримуємо дані з Poster API паралельно
+      // 2. Отримуємо дані з Poster API (або локальної копії) паралельно
+      const dataSource = this.getDataSource(params);
       const [employees, revenueData, inventoryResults] = await Promise.all([
-        posterService.getEmployees(account, accessToken),
-        posterService.getEmployeeRevenue(account, accessToken, dateFrom, dateTo),
-        posterService.getInventoryResults(account, accessToken, inventoryMonth, inventoryYear)
+        dataSource.getEmployees(),
+        dataSource.getEmployeeRevenue(dateFrom, dateTo),
+        hasInventory
+          ? dataSource.getInventoryResults(inventoryMonth, inventoryYear)
+          : { totalLoss: 0, revisionsCount: 0 }
       ]);
 
       // 3. Створюємо мапу виручки за співробітниками
       const revenueMap = {};
       const shiftsMap = {};
       
+      const hoursMap = {};
+      const workMap = {};
+      
       revenueData.forEach(data => {
         revenueMap[data.employeeId] = data.revenue;
         shiftsMap[data.employeeId] = data.shiftsCount;
+        hoursMap[data.employeeId] = data.hoursWorked || 0;
+        workMap[data.employeeId] = data;
       });
 
-      // 4. Розраховуємо загальну виручку для пропорційного розподілу нестачі
+      // 4. Визначаємо правило оплати для кожного співробітника
+      const defaults = {
+        shiftRate,
+        revenuePercent,
+        hourlyRate: params.hourlyRate,
+        fixedSalary: params.fixedSalary,
+        inventoryLiability: params.inventoryLiability
+      };
+      // У мультиспот-акаунті співробітники спільні для всіх spot: до закладу
+      // належать ті, хто працював на його spot, або має власне правило оплати в ньому
+      const spotEmployees = params.spotId
+        ? employees.filter(employee => {
+          const employeeId = employee.user_id || employee.id;
+          return workMap[employeeId] ||
+            payRules.some(rule => rule.scope === 'employee' && String(rule.posterEmployeeId) === String(employeeId));
+        })
+        : employees;
+
+      // Виключені менеджером (напр. власник) не отримують зарплату та частку нестачі
+      const excluded = new Set(excludedEmployeeIds.map(id => String(id)));
+
+      const staff = spotEmployees
+        .filter(employee => !excluded.has(String(employee.user_id || employee.id)))
+        .map(employee => {
+          const employeeId = employee.user_id || employee.id;
+          const position = employee.role_name || employee.position || null;
+
+          return {
+            employee,
+            employeeId,
+            position,
+            payRule: this.resolvePayRule({ employeeId, position }, payRules, defaults)
+          };
+        });
+
+      // 5. Загальна виручка
       const totalRevenue = revenueData.reduce((sum, data) => sum + data.revenue, 0);
 
-      // 5. Розраховуємо зарплату для кожного співробітника
-      const salaryResults = employees.map(employee => {
-        const employeeId = employee.user_id || employee.id;
+      // 6. Розраховуємо зарплату до вирахувань для кожного співробітника
+      const salaryResults = staff.map(({ employee, employeeId, position, payRule }) => {
         const employeeName = employee.name || employee.user_name || 'Невідомий';
         
         const shiftsCount = shiftsMap[employeeId] || 0;
+        const hoursWorked = hoursMap[employeeId] || 0;
         const revenue = revenueMap[employeeId] || 0;
 
-        // Базова зарплата (зміни × ставка)
-        const baseSalary = shiftsCount * shiftRate;
+        // Базова зарплата: фіксований оклад або зміни × ставка + години × погодинна ставка
+        const baseSalary = payRule.fixedSalary !== null
+          ? payRule.fixedSalary * fixedSalaryFactor
+          : shiftsCount * payRule.shiftRate + hoursWorked * payRule.hourlyRate;
 
-        // Відсоток від виручки
-        const revenueBonus = revenue * (revenuePercent / 100);
-
-        // Розподіл нестачі інвентаризації пропорційно виручці
-        let inventoryDeduction = 0;
-        if (inventoryResults.totalLoss < 0 && totalRevenue > 0) {
-          // Якщо є нестача (від'ємне значення)
-          const employeeShare = revenue / totalRevenue;
-          inventoryDeduction = Math.abs(inventoryResults.totalLoss) * employeeShare;
-        }
-
-        // Підсумкова зарплата
-        const totalSalary = baseSalary + revenueBonus - inventoryDeduction;
+        // Бонус від виручки (фіксований відсоток або прогресивна шкала)
+        const bonus = this.calculateRevenueBonus(revenue, shiftsCount, payRule, periodBonusScheme);
+        const revenueBonus = bonus.amount;
+        const targetBonus = bonus.targetBonus;
 
         return {
           employeeId,
           employeeName,
+          position,
           shiftsCount,
+          hoursWorked,
+          shiftSource: workMap[employeeId] ? workMap[employeeId].shiftSource : null,
+          shifts: workMap[employeeId] ? workMap[employeeId].shifts : [],
           revenue: Math.round(revenue * 100) / 100, // Округлюємо до 2 знаків
           baseSalary: Math.round(baseSalary * 100) / 100,
           revenueBonus: Math.round(revenueBonus * 100) / 100,
-          inventoryDeduction: Math.round(inventoryDeduction * 100) / 100,
-          totalSalary: Math.round(totalSalary * 100) / 100
+          targetBonus: Math.round(targetBonus * 100) / 100,
+          grossSalary: baseSalary + revenueBonus + targetBonus,
+          payRule,
+          bonusDetails: bonus.details
         };
       });
 
-      // 6. Фільтруємо тільки тих, хто працював
-      const workingEmployees = salaryResults.filter(emp => emp.shiftsCount > 0);
+      // 7. Фільтруємо тільки тих, хто працював, має фіксований оклад, аванс до утримання або коригування
+      const adjustmentsMap = this.groupAdjustments(adjustments);
+
+      const workingEmployees = salaryResults.filter(emp => 
+        emp.shiftsCount > 0 || emp.payRule.fixedSalary > 0 || advances[emp.employeeId] > 0 ||
+        adjustmentsMap[emp.employeeId]
+      );
+
+      // 8. Розподіл нестачі інвентаризації (разом з перенесеним залишком)
+      let revisionShiftsMap = shiftsMap;
+      const inventoryDateFrom = hasInventory ? `${inventoryYear}${String(inventoryMonth).padStart(2, '0')}01` : null;
+      const inventoryDateTo = hasInventory
+        ? `${inventoryYear}${String(inventoryMonth).padStart(2, '0')}${new Date(inventoryYear, inventoryMonth, 0).getDate()}`
+        : null;
+
+      if (hasInventory && allocation.strategy === 'revision_period' &&
+        (inventoryDateFrom !== dateFrom || inventoryDateTo !== dateTo)) {
+        const revisionData = await dataSource.getEmployeeRevenue(inventoryDateFrom, inventoryDateTo);
+
+        revisionShiftsMap = {};
+        revisionData.forEach(data => {
+          revisionShiftsMap[data.employeeId] = data.shiftsCount;
+        });
+      }
+
+      // Залишок з минулого періоду переноситься, доки не трапиться період з інвентаризацією
+      const lossToAllocate = hasInventory
+        ? Math.max(0, -inventoryResults.totalLoss) + inventoryCarryover
+        : 0;
+      const allocationResult = this.allocateInventoryLoss(workingEmployees, lossToAllocate, allocation, {
+        revisionShiftsMap
+      });
+
+      workingEmployees.forEach(emp => {
+        const share = allocationResult.shares[emp.employeeId] || { share: 0, deduction: 0, capped: false };
+        const inventoryDeduction = share.deduction;
+        const advanceDeduction = advances[emp.employeeId] || 0;
+        const adjustment = adjustmentsMap[emp.employeeId] ||
+          { bonus: 0, fine: 0, advance: 0, correction: 0, items: [] };
+
+        // Підсумкова зарплата (до виплати, з урахуванням виплаченого авансу та коригувань).
+        // Нестача розподіляється від заробленого, без урахування ручних коригувань
+        const totalSalary = emp.grossSalary - inventoryDeduction - advanceDeduction +
+          adjustment.bonus - adjustment.fine - adjustment.advance + adjustment.correction;
 
-      // 7. Формуємо фінальний результат
+        emp.inventoryShare = Math.round(share.share * 10000) / 10000;
+        emp.inventoryDeduction = Math.round(inventoryDeduction * 100) / 100;
+        emp.advanceDeduction = Math.round(advanceDeduction * 100) / 100;
+        emp.adjustmentBonus = Math.round(adjustment.bonus * 100) / 100;
+        emp.adjustmentFine = Math.round(adjustment.fine * 100) / 100;
+        emp.adjustmentAdvance = Math.round(adjustment.advance * 100) / 100;
+        emp.adjustmentCorrection = Math.round(adjustment.correction * 100) / 100;
+        emp.adjustments = adjustment.items;
+        emp.inventoryCapped = share.capped;
+        emp.totalSalary = Math.round(totalSalary * 100) / 100;
+        delete emp.grossSalary;
+      });
+
+      // 9. Формуємо фінальний результат
       return {
         success: true,
         period: {
           month,
           year,
-          monthName: this.getMonthName(month)
+          monthName: this.getMonthName(month),
+          type: period.type,
+          kind: period.kind,
+          dateFrom: period.dateFrom,
+          dateTo: period.dateTo
         },
         parameters: {
+          source: params.source || 'poster',
           shiftRate,
-          revenuePercent
+          revenuePercent,
+          bonusScheme,
+          inventoryAllocation: allocation
         },
         inventory: {
-          month: inventoryMonth,
-          year: inventoryYear,
+          month: hasInventory ? inventoryMonth : null,
+          year: hasInventory ? inventoryYear : null,
           totalLoss: Math.round(inventoryResults.totalLoss * 100) / 100,
-          revisionsCount: inventoryResults.revisionsCount
+          revisionsCount: inventoryResults.revisionsCount,
+          strategy: allocation.strategy,
+          capPercent: allocation.capPercent,
+          carryoverIn: hasInventory ? Math.round(inventoryCarryover * 100) / 100 : 0,
+          allocated: Math.round(allocationResult.allocated * 100) / 100,
+          carryoverOut: Math.round(allocationResult.carryover * 100) / 100
         },
         summary: {
           employeesCount: workingEmployees.length,
           totalRevenue: Math.round(totalRevenue * 100) / 100,
           totalBaseSalary: Math.round(workingEmployees.reduce((sum, e) => sum + e.baseSalary, 0) * 100) / 100,
           totalRevenueBonus: Math.round(workingEmployees.reduce((sum, e) => sum + e.revenueBonus, 0) * 100) / 100,
+          totalTargetBonus: Math.round(workingEmployees.reduce((sum, e) => sum + e.targetBonus, 0) * 100) / 100,
           totalInventoryDeduction: Math.round(workingEmployees.reduce((sum, e) => sum + e.inventoryDeduction, 0) * 100) / 100,
+          totalAdvanceDeduction: Math.round(workingEmployees.reduce((sum, e) => sum + e.advanceDeduction, 0) * 100) / 100,
+          totalAdjustmentBonus: Math.round(workingEmployees.reduce((sum, e) => sum + e.adjustmentBonus, 0) * 100) / 100,
+          totalAdjustmentFine: Math.round(workingEmployees.reduce((sum, e) => sum + e.adjustmentFine, 0) * 100) / 100,
+          totalAdjustmentAdvance: Math.round(workingEmployees.reduce((sum, e) => sum + e.adjustmentAdvance, 0) * 100) / 100,
+          totalAdjustmentCorrection: Math.round(workingEmployees.reduce((sum, e) => sum + e.adjustmentCorrection, 0) * 100) / 100,
           totalSalary: Math.round(workingEmployees.reduce((sum, e) => sum + e.totalSalary, 0) * 100) / 100
         },
         employees: workingEmployees.sort((a, b) => b.totalSalary - a.totalSalary) // Сортуємо за зарплатою
@@ -128,75 +353,436 @@ class SalaryService {
   }
 
   /**
-   * Розрахунок зарплати для одного співробітника
+   * Суми ручних коригувань по співробітниках
+   * @returns {Object} { [posterEmployeeId]: { bonus, fine, advance, correction, items } }
+   */
+  groupAdjustments(adjustments) {
+    return adjustments.reduce((acc, adjustment) => {
+      const key = adjustment.posterEmployeeId;
+
+      if (!acc[key]) {
+        acc[key] = { bonus: 0, fine: 0, advance: 0, correction: 0, items: [] };
+      }
+
+      acc[key][adjustment.type] += adjustment.amount;
+      acc[key].items.push({
+        id: adjustment.id,
+        type: adjustment.type,
+        amount: adjustment.amount,
+        date: adjustment.date,
+        reason: adjustment.reason
+      });
+
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Розподіл нестачі між співробітниками з матеріальною відповідальністю.
+   * Стратегії:
+   *  - revenue - пропорційно виручці;
+   *  - shifts - пропорційно кількості змін;
+   *  - hours - пропорційно відпрацьованим годинам;
+   *  - equal - порівну між усіма, хто працював;
+   *  - revision_period - лише між тими, хто мав зміни в періоді інвентаризації
+   *    (пропорційно кількості таких змін).
+   * capPercent обмежує вирахування відсотком від нарахованої зарплати;
+   * нерозподілений залишок переноситься на наступний місяць
+   * @param {Object[]} employees - Співробітники з grossSalary
+   * @param {number} lossAmount - Сума нестачі до розподілу (додатне число)
+   * @param {Object} allocation - { strategy, capPercent }
+   * @param {Object} context - { revisionShiftsMap }
+   * @returns {Object} { shares: { [employeeId]: { weight, share, deduction, capped } }, allocated, carryover }
+   */
+  allocateInventoryLoss(employees, lossAmount, allocation, context = {}) {
+    const shares = {};
+
+    if (!(lossAmount > 0)) {
+      return { shares, allocated: 0, carryover: 0 };
+    }
+
+    const weightOf = emp => {
+      switch (allocation.strategy) {
+        case 'shifts':
+          return emp.shiftsCount;
+        case 'hours':
+          return emp.hoursWorked || 0;
+        case 'equal':
+          return emp.shiftsCount > 0 ? 1 : 0;
+        case 'revision_period':
+          return (context.revisionShiftsMap || {})[emp.employeeId] || 0;
+        case 'revenue':
+        default:
+          return emp.revenue;
+      }
+    };
+
+    const liable = employees.filter(emp => emp.payRule.inventoryLiability);
+    const totalWeight = liable.reduce((sum, emp) => sum + weightOf(emp), 0);
+
+    // Немає кому розподілити - вся сума переходить на наступний місяць
+    if (totalWeight <= 0) {
+      return { shares, allocated: 0, carryover: lossAmount };
+    }
+
+    let allocated = 0;
+
+    liable.forEach(emp => {
+      const weight = weightOf(emp);
+      const share = weight / totalWeight;
+      let deduction = lossAmount * share;
+      let capped = false;
+
+      if (allocation.capPercent !== null && allocation.capPercent !== undefined) {
+        const cap = Math.max(0, emp.grossSalary) * (allocation.capPercent / 100);
+        if (deduction > cap) {
+          deduction = cap;
+          capped = true;
+        }
+      }
+
+      allocated += deduction;
+      shares[emp.employeeId] = { weight, share, deduction, capped };
+    });
+
+    return {
+      shares,
+      allocated,
+      carryover: Math.max(0, lossAmount - allocated)
+    };
+  }
+
+  /**
+   * Визначення ефективного правила оплати співробітника.
+   * Пріоритет: співробітник > посада > заклад (параметри розрахунку).
+   * Незаповнені (null) поля успадковуються з менш специфічного рівня
+   * @param {Object} target - { employeeId, position }
+   * @param {Object[]} payRules - Правила закладу
+   * @param {Object} defaults - Рівень закладу: { shiftRate, revenuePercent, hourlyRate, fixedSalary, inventoryLiability }
+   * @returns {Object} Значення правила та джерело кожного поля (sources)
+   */
+  resolvePayRule(target, payRules, defaults) {
+    const normalize = value => String(value || '').trim().toLowerCase();
+
+    const positionRule = target.position
+      ? payRules.find(r => r.scope === 'position' && normalize(r.position) === normalize(target.position))
+      : null;
+    const employeeRule = payRules.find(r => 
+      r.scope === 'employee' && String(r.posterEmployeeId) === String(target.employeeId)
+    );
+
+    const resolved = {
+      shiftRate: defaults.shiftRate,
+      revenuePercent: defaults.revenuePercent,
+      hourlyRate: defaults.hourlyRate ?? 0,
+      fixedSalary: defaults.fixedSalary ?? null,
+      inventoryLiability: defaults.inventoryLiability ?? true,
+      sources: {
+        shiftRate: 'location',
+        revenuePercent: 'location',
+        hourlyRate: 'location',
+        fixedSalary: 'location',
+        inventoryLiability: 'location'
+      },
+      ruleIds: []
+    };
+
+    // Від менш специфічного до більш специфічного
+    [['position', positionRule], ['employee', employeeRule]].forEach(([scope, rule]) => {
+      if (!rule) return;
+
+      resolved.ruleIds.push(rule.id);
+
+      ['shiftRate', 'revenuePercent', 'hourlyRate', 'fixedSalary', 'inventoryLiability'].forEach(field => {
+        if (rule[field] !== null && rule[field] !== undefined) {
+          resolved[field] = rule[field];
+          resolved.sources[field] = scope;
+        }
+      });
+    });
+
+    resolved.scope = employeeRule ? 'employee' : positionRule ? 'position' : 'location';
+
+    return resolved;
+  }
+
+  /**
+   * Розрахунок бонусу від виручки за схемою закладу.
+   * Схема: { tiers: [{ upTo, percent }], minRevenuePerShift, monthlyTarget, targetBonus }
+   *  - tiers - прогресивна шкала: кожен відсоток застосовується лише до частини
+   *    виручки в межах свого рівня (останній рівень без upTo);
+   *  - minRevenuePerShift - бонус нараховується, лише якщо середня виручка за зміну
+   *    не менша за поріг;
+   *  - monthlyTarget / targetBonus - фіксована премія за виконання місячного плану.
+   * Індивідуальний відсоток з правила посади/співробітника має пріоритет над шкалою
+   * @returns {Object} { amount, targetBonus, details }
+   */
+  calculateRevenueBonus(revenue, shiftsCount, payRule, bonusScheme) {
+    const scheme = bonusScheme || {};
+    const tiers = Array.isArray(scheme.tiers) ? scheme.tiers : [];
+    const hasOverride = payRule.sources && payRule.sources.revenuePercent !== 'location';
+    const useTiers = tiers.length > 0 && !hasOverride;
+
+    const details = {
+      type: useTiers ? 'tiered' : 'flat',
+      tiers: [],
+      minRevenuePerShift: scheme.minRevenuePerShift || null,
+      revenuePerShift: shiftsCount > 0 ? Math.round((revenue / shiftsCount) * 100) / 100 : 0,
+      thresholdMet: true,
+      monthlyTarget: scheme.monthlyTarget || null,
+      targetMet: false
+    };
+
+    // Поріг виручки за зміну
+    if (scheme.minRevenuePerShift > 0 && details.revenuePerShift < scheme.minRevenuePerShift) {
+      details.thresholdMet = false;
+    }
+
+    let amount = 0;
+
+    if (details.thresholdMet) {
+      if (useTiers) {
+        let lowerBound = 0;
+
+        tiers.forEach(tier => {
+          const upperBound = tier.upTo === null || tier.upTo === undefined ? Infinity : tier.upTo;
+          const base = Math.max(0, Math.min(revenue, upperBound) - lowerBound);
+          const tierAmount = base * (tier.percent / 100);
+
+          details.tiers.push({
+            from: lowerBound,
+            to: upperBound === Infinity ? null : upperBound,
+            percent: tier.percent,
+            base: Math.round(base * 100) / 100,
+            amount: Math.round(tierAmount * 100) / 100
+          });
+
+          amount += tierAmount;
+          lowerBound = upperBound;
+        });
+      } else {
+        amount = revenue * (payRule.revenuePercent / 100);
+
+        details.tiers.push({
+          from: 0,
+          to: null,
+          percent: payRule.revenuePercent,
+          base: Math.round(revenue * 100) / 100,
+          amount: Math.round(amount * 100) / 100
+        });
+      }
+    }
+
+    // Премія за виконання місячного плану
+    let targetBonus = 0;
+    if (scheme.monthlyTarget > 0 && revenue >= scheme.monthlyTarget) {
+      details.targetMet = true;
+      targetBonus = scheme.targetBonus || 0;
+    }
+
+    return { amount, targetBonus, details };
+  }
+
+  /**
+   * Розрахунок зарплати для одного співробітника (попередня оцінка періоду).
+   * Правила оплати, шкала бонусу та ручні коригування - як у calculateSalaries;
+   * нестача інвентаризації та виплачені аванси не враховуються
+   * @param {Object} params - Як у calculateSalaries, а також:
+   * @param {number} params.employeeId - ID співробітника в Poster
+   * @param {string} [params.position] - Посада (для правила посади)
    */
   async calculateEmployeeSalary(params) {
     const {
-      account,
-      accessToken,
       employeeId,
+      position = null,
       month,
       year,
       shiftRate,
-      revenuePercent
+      revenuePercent,
+      payRules = [],
+      bonusScheme = null,
+      adjustments = []
     } = params;
 
-    const dateFrom = `${year}${String(month).padStart(2, '0')}01`;
-    const lastDay = new Date(year, month, 0).getDate();
-    const dateTo = `${year}${String(month).padStart(2, '0')}${lastDay}`;
+    const period = params.period || payPeriodService.resolvePeriod({ month, year }).period;
+    const dateFrom = payPeriodService.toPosterDate(period.dateFrom);
+    const dateTo = payPeriodService.toPosterDate(period.dateTo);
 
-    const stats = await posterService.getEmployeeStats(
-      account,
-      accessToken,
-      employeeId,
-      dateFrom,
-      dateTo
-    );
+    const stats = await this.getDataSource(params).getEmployeeStats(employeeId, dateFrom, dateTo);
 
-    const baseSalary = stats.shiftsCount * shiftRate;
-    const revenueBonus = stats.revenue * (revenuePercent / 100);
-    const totalSalary = baseSalary + revenueBonus;
+    const payRule = this.resolvePayRule({ employeeId, position }, payRules, {
+      shiftRate,
+      revenuePercent,
+      hourlyRate: params.hourlyRate,
+      fixedSalary: params.fixedSalary,
+      inventoryLiability: params.inventoryLiability
+    });
+
+    const baseSalary = payRule.fixedSalary !== null
+      ? payRule.fixedSalary * payPeriodService.getFixedSalaryFactor(period)
+      : stats.shiftsCount * payRule.shiftRate + stats.hoursWorked * payRule.hourlyRate;
+
+    // Премія за план - лише за повний місяць
+    const periodBonusScheme = bonusScheme && !payPeriodService.coversFullMonth(period)
+      ? { ...bonusScheme, monthlyTarget: null, targetBonus: null }
+      : bonusScheme;
+    const bonus = this.calculateRevenueBonus(stats.revenue, stats.shiftsCount, payRule, periodBonusScheme);
+
+    const adjustment = this.groupAdjustments(adjustments)[employeeId] ||
+      { bonus: 0, fine: 0, advance: 0, correction: 0, items: [] };
+
+    const totalSalary = baseSalary + bonus.amount + bonus.targetBonus +
+      adjustment.bonus - adjustment.fine - adjustment.advance + adjustment.correction;
+
+    const round = value => Math.round(value * 100) / 100;
 
     return {
       employeeId,
+      period,
       shiftsCount: stats.shiftsCount,
-      revenue: stats.revenue,
-      baseSalary,
-      revenueBonus,
-      totalSalary
+      hoursWorked: stats.hoursWorked,
+      shiftSource: stats.shiftSource,
+      revenue: round(stats.revenue),
+      revenuePerShift: bonus.details.revenuePerShift,
+      baseSalary: round(baseSalary),
+      revenueBonus: round(bonus.amount),
+      targetBonus: round(bonus.targetBonus),
+      adjustmentBonus: round(adjustment.bonus),
+      adjustmentFine: round(adjustment.fine),
+      adjustmentAdvance: round(adjustment.advance),
+      adjustmentCorrection: round(adjustment.correction),
+      adjustments: adjustment.items,
+      totalSalary: round(totalSalary),
+      payRule,
+      bonusDetails: bonus.details
     };
   }
 
   /**
-   * Експорт результатів у CSV
+   * Експорт результатів у CSV (RFC 4180)
+   * @param {Object} salaryData - Результат розрахунку або дані збереженого звіту
+   * @param {Object} [options] - Див. normalizeCSVOptions
    */
-  generateCSV(salaryData) {
-    const headers = [
-      'Співробітник',
-      'Кількість змін',
-      'Виручка (грн)',
-      'Базова ЗП (грн)',
-      'Відсоток від виручки (грн)',
-      'Вирахування за інвентаризацію (грн)',
-      'ВСЬОГО (грн)'
-    ];
+  generateCSV(salaryData, options = {}) {
+    const { separator, decimalSeparator, columns, bom, totals, locale } = this.normalizeCSVOptions(options);
+    const labels = localizationService.getLabels(locale);
+    const selected = columns.map(key => CSV_COLUMNS.find(column => column.key === key));
+
+    const strategy = salaryData.inventory ? salaryData.inventory.strategy : null;
+    const strategyName = locale === 'uk' ? this.getInventoryStrategyName(strategy) : strategy || 'revenue';
+
+    const formatNumber = value => (value || 0).toFixed(2).replace('.', decimalSeparator);
 
-    const rows = salaryData.employees.map(emp => [
-      emp.employeeName,
-      emp.shiftsCount,
-      emp.revenue.toFixed(2),
-      emp.baseSalary.toFixed(2),
-      emp.revenueBonus.toFixed(2),
-      emp.inventoryDeduction.toFixed(2),
-      emp.totalSalary.toFixed(2)
-    ]);
-
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-
-    return csvContent;
+    const formatValue = (column, emp) => {
+      switch (column.type) {
+        case 'text':
+          return emp[column.key] || '';
+        case 'integer':
+          return String(emp[column.key] || 0);
+        case 'percent':
+          return formatNumber((emp[column.key] || 0) * 100);
+        case 'strategy':
+          return strategyName;
+        default:
+          return formatNumber(emp[column.key]);
+      }
+    };
+
+    const header = selected.map(column => {
+      const label = labels[column.label];
+      if (column.type === 'money') return `${label} (${labels.currency})`;
+      if (column.type === 'percent') return `${label} (%)`;
+      return label;
+    });
+
+    const rows = salaryData.employees.map(emp => selected.map(column => formatValue(column, emp)));
+
+    if (totals) {
+      rows.push(selected.map((column, index) => {
+        if (['money', 'integer', 'number'].includes(column.type)) {
+          const sum = salaryData.employees.reduce((acc, emp) => acc + (emp[column.key] || 0), 0);
+          return column.type === 'integer' ? String(sum) : formatNumber(sum);
+        }
+        return index === 0 ? labels.totalsRow : '';
+      }));
+    }
+
+    const csvContent = [header, ...rows]
+      .map(row => row.map(value => this.escapeCSVValue(value, separator)).join(separator))
+      .join('\r\n');
+
+    // BOM - щоб Excel розпізнав UTF-8
+    return (bom ? '\uFEFF' : '') + csvContent + '\r\n';
+  }
+
+  /**
+   * Екранування поля CSV: лапки, якщо містить роздільник, лапки або перенос рядка
+   */
+  escapeCSVValue(value, separator = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (text.includes(separator) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Приведення параметрів CSV із запиту
+   * @param {Object} input - { separator, decimalSeparator, columns, bom, totals, locale }
+   *  - separator: , | ; (або comma | semicolon);
+   *  - decimalSeparator: . | , (або dot | comma);
+   *  - columns: масив або рядок ключів через кому (див. csvColumns);
+   *  - bom, totals: boolean або 'true' | 'false'
+   */
+  normalizeCSVOptions(input = {}) {
+    const aliases = { comma: ',', semicolon: ';', dot: '.' };
+    const toBoolean = (value, fallback) => (value === undefined || value === null || value === ''
+      ? fallback
+      : value === true || value === 'true' || value === '1');
+
+    const columns = Array.isArray(input.columns)
+      ? input.columns
+      : input.columns ? String(input.columns).split(',').map(key => key.trim()).filter(Boolean) : null;
+
+    return {
+      separator: aliases[input.separator] || input.separator || ',',
+      decimalSeparator: aliases[input.decimalSeparator] || input.decimalSeparator || '.',
+      columns: columns || DEFAULT_CSV_COLUMNS,
+      bom: toBoolean(input.bom, false),
+      totals: toBoolean(input.totals, true),
+      locale: input.locale || localizationService.defaultLocale
+    };
+  }
+
+  /**
+   * Валідація параметрів CSV
+   * @returns {string[]} Список помилок
+   */
+  validateCSVOptions(options) {
+    const errors = [];
+    const keys = CSV_COLUMNS.map(column => column.key);
+
+    if (![',', ';'].includes(options.separator)) {
+      errors.push('Invalid separator (must be , or ;)');
+    }
+    if (!['.', ','].includes(options.decimalSeparator)) {
+      errors.push('Invalid decimal separator (must be . or ,)');
+    }
+    if (options.columns.length === 0) {
+      errors.push('At least one column is required');
+    }
+
+    const unknown = options.columns.filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`Unknown columns: ${unknown.join(', ')} (allowed: ${keys.join(', ')})`);
+    }
+    if (!localizationService.locales.includes(options.locale)) {
+      errors.push(`Invalid locale (must be one of: ${localizationService.locales.join(', ')})`);
+    }
+
+    return errors;
   }
 
   /**
@@ -204,28 +790,33 @@ class SalaryService {
    */
   generateDetailedReport(salaryData) {
     const { period, parameters, inventory, summary, employees } = salaryData;
+    // Підписи полів - спільні з CSV/XLSX
+    const labels = localizationService.getLabels('uk');
 
     let report = `
 ═══════════════════════════════════════════════════════════
             ЗВІТ ПРО РОЗРАХУНОК ЗАРОБІТНОЇ ПЛАТИ
 ═══════════════════════════════════════════════════════════
 
-ПЕРІОД: ${this.getMonthName(period.month)} ${period.year}
+ПЕРІОД: ${this.getPeriodName(period)}
 
 ПАРАМЕТРИ РОЗРАХУНКУ:
   • Ставка за зміну: ${parameters.shiftRate} грн
   • Процент від виручки: ${parameters.revenuePercent}%
-
-ІНВЕНТАРИЗАЦІЯ (${this.getMonthName(inventory.month)} ${inventory.year}):
-  • Результат: ${inventory.totalLoss >= 0 ? '+' : ''}${inventory.totalLoss.toFixed(2)} грн
-  • Кількість інвентаризацій: ${inventory.revisionsCount}
-
+${this.getBonusSchemeLines(parameters.bonusScheme)}
+${this.getInventoryLines(inventory)}
 ЗАГАЛЬНА СТАТИСТИКА:
   • Кількість працюючих співробітників: ${summary.employeesCount}
   • Загальна виручка: ${summary.totalRevenue.toFixed(2)} грн
   • Сума базових зарплат: ${summary.totalBaseSalary.toFixed(2)} грн
   • Сума бонусів: ${summary.totalRevenueBonus.toFixed(2)} грн
+  • Премії за план: ${(summary.totalTargetBonus || 0).toFixed(2)} грн
   • Вирахування за інвентаризацію: ${summary.totalInventoryDeduction.toFixed(2)} грн
+  • Утримано виплачених авансів: ${(summary.totalAdvanceDeduction || 0).toFixed(2)} грн
+  • ${labels.adjustmentBonus}: ${(summary.totalAdjustmentBonus || 0).toFixed(2)} грн
+  • ${labels.adjustmentFine}: ${(summary.totalAdjustmentFine || 0).toFixed(2)} грн
+  • ${labels.adjustmentAdvance}: ${(summary.totalAdjustmentAdvance || 0).toFixed(2)} грн
+  • ${labels.adjustmentCorrection}: ${(summary.totalAdjustmentCorrection || 0).toFixed(2)} грн
   • ПІДСУМКОВА СУМА ЗАРПЛАТ: ${summary.totalSalary.toFixed(2)} грн
 
 ───────────────────────────────────────────────────────────
@@ -235,14 +826,17 @@ class SalaryService {
 
     employees.forEach((emp, index) => {
       report += `
-${index + 1}. ${emp.employeeName}
-   Зміни: ${emp.shiftsCount}
-   Виручка: ${emp.revenue.toFixed(2)} грн
-   Базова ЗП: ${emp.baseSalary.toFixed(2)} грн
-   Бонус (${parameters.revenuePercent}%): ${emp.revenueBonus.toFixed(2)} грн
-   Вирахування: -${emp.inventoryDeduction.toFixed(2)} грн
+${index + 1}. ${emp.employeeName}${emp.position ? ` (${emp.position})` : ''}
+   Правило оплати: ${this.getPayRuleLabel(emp.payRule)}
+   Зміни: ${emp.shiftsCount}${emp.shiftSource ? ` (${this.getShiftSourceName(emp.shiftSource)})` : ''}
+   ${labels.hoursWorked}: ${(emp.hoursWorked || 0).toFixed(2)}
+   ${labels.revenue}: ${emp.revenue.toFixed(2)} ${labels.currency}
+   ${labels.baseSalary}: ${emp.baseSalary.toFixed(2)} ${labels.currency}
+   ${this.getBonusLines(emp, parameters)}
+   Вирахування: -${emp.inventoryDeduction.toFixed(2)} грн (частка ${((emp.inventoryShare || 0) * 100).toFixed(2)}%${emp.inventoryCapped ? ', обмежено' : ''})${emp.advanceDeduction > 0 ? `
+   Виплачений аванс: -${emp.advanceDeduction.toFixed(2)} грн` : ''}${this.getAdjustmentLines(emp)}
    ─────────────────────────────────────
-   ВСЬОГО: ${emp.totalSalary.toFixed(2)} грн
+   ${labels.totalSalary}: ${emp.totalSalary.toFixed(2)} ${labels.currency}
 `;
     });
 
@@ -253,6 +847,188 @@ ${index + 1}. ${emp.employeeName}
     return report;
   }
 
+  /**
+   * Назва періоду: місяць або діапазон дат (аванс, тиждень, довільний)
+   */
+  getPeriodName(period) {
+    if (!period.dateFrom || period.type === 'monthly') {
+      return `${this.getMonthName(period.month)} ${period.year}`;
+    }
+
+    return payPeriodService.getPeriodLabel(period);
+  }
+
+  /**
+   * Рядки ручних коригувань співробітника
+   */
+  getAdjustmentLines(emp) {
+    return (emp.adjustments || []).map(item => {
+      const sign = item.type === 'bonus' || (item.type === 'correction' && item.amount > 0) ? '+' : '-';
+
+      return `
+   ${this.getAdjustmentTypeName(item.type)} (${payPeriodService.toDisplayDate(item.date)}, ${item.reason}): ${sign}${Math.abs(item.amount).toFixed(2)} грн`;
+    }).join('');
+  }
+
+  /**
+   * Блок інвентаризації звіту
+   */
+  getInventoryLines(inventory) {
+    if (!inventory.month) {
+      return 'ІНВЕНТАРИЗАЦІЯ: не застосовується (період не закриває місяць)\n';
+    }
+
+    return `ІНВЕНТАРИЗАЦІЯ (${this.getMonthName(inventory.month)} ${inventory.year}):
+  • Результат: ${inventory.totalLoss >= 0 ? '+' : ''}${inventory.totalLoss.toFixed(2)} грн
+  • Кількість інвентаризацій: ${inventory.revisionsCount}
+  • Розподіл нестачі: ${this.getInventoryStrategyName(inventory.strategy)}${inventory.capPercent !== null && inventory.capPercent !== undefined ? ` (не більше ${inventory.capPercent}% ЗП)` : ''}
+  • Перенесено з минулого періоду: ${(inventory.carryoverIn || 0).toFixed(2)} грн
+  • Переноситься на наступний період: ${(inventory.carryoverOut || 0).toFixed(2)} грн
+`;
+  }
+
+  /**
+   * Опис схеми бонусів для параметрів звіту
+   */
+  getBonusSchemeLines(bonusScheme) {
+    if (!bonusScheme) return '';
+
+    const lines = [];
+
+    if (Array.isArray(bonusScheme.tiers) && bonusScheme.tiers.length > 0) {
+      let lowerBound = 0;
+      const tiers = bonusScheme.tiers.map(tier => {
+        const label = tier.upTo === null || tier.upTo === undefined
+          ? `понад ${lowerBound} грн`
+          : `${lowerBound}–${tier.upTo} грн`;
+        lowerBound = tier.upTo;
+        return `${tier.percent}% (${label})`;
+      });
+      lines.push(`  • Прогресивна шкала: ${tiers.join(', ')}`);
+    }
+    if (bonusScheme.minRevenuePerShift > 0) {
+      lines.push(`  • Мінімальна виручка за зміну для бонусу: ${bonusScheme.minRevenuePerShift} грн`);
+    }
+    if (bonusScheme.monthlyTarget > 0) {
+      lines.push(`  • Премія за план ${bonusScheme.monthlyTarget} грн: ${bonusScheme.targetBonus || 0} грн`);
+    }
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  /**
+   * Рядки бонусу співробітника (по рівнях шкали)
+   */
+  getBonusLines(emp, parameters) {
+    const details = emp.bonusDetails;
+
+    if (!details) {
+      const percent = emp.payRule ? emp.payRule.revenuePercent : parameters.revenuePercent;
+      return `Бонус (${percent}%): ${emp.revenueBonus.toFixed(2)} грн`;
+    }
+
+    const lines = [];
+
+    if (!details.thresholdMet) {
+      lines.push(`Бонус: 0.00 грн (виручка за зміну ${details.revenuePerShift.toFixed(2)} < ${details.minRevenuePerShift} грн)`);
+    } else if (details.type === 'tiered') {
+      lines.push(`Бонус: ${emp.revenueBonus.toFixed(2)} грн`);
+      details.tiers
+        .filter(tier => tier.base > 0)
+        .forEach(tier => {
+          lines.push(`  • ${tier.percent}% × ${tier.base.toFixed(2)}: ${tier.amount.toFixed(2)} грн`);
+        });
+    } else {
+      const percent = details.tiers.length > 0 ? details.tiers[0].percent : parameters.revenuePercent;
+      lines.push(`Бонус (${percent}%): ${emp.revenueBonus.toFixed(2)} грн`);
+    }
+
+    if (details.targetMet) {
+      lines.push(`Премія за план: ${(emp.targetBonus || 0).toFixed(2)} грн`);
+    }
+
+    return lines.join('\n   ');
+  }
+
+  /**
+   * Короткий опис застосованого правила оплати для звіту
+   */
+  getPayRuleLabel(payRule) {
+    if (!payRule) return 'заклад';
+
+    const scopeNames = { location: 'заклад', position: 'посада', employee: 'індивідуальне' };
+    const parts = [scopeNames[payRule.scope] || payRule.scope];
+
+    if (payRule.fixedSalary !== null) {
+      parts.push(`оклад ${payRule.fixedSalary} грн`);
+    } else {
+      parts.push(`${payRule.shiftRate} грн/зміна`);
+      if (payRule.hourlyRate > 0) {
+        parts.push(`${payRule.hourlyRate} грн/год`);
+      }
+    }
+
+    parts.push(`${payRule.revenuePercent}%`);
+
+    if (!payRule.inventoryLiability) {
+      parts.push('без мат. відповідальності');
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Назва джерела даних про зміни
+   */
+  getShiftSourceName(source) {
+    const names = {
+      timesheet: 'табель',
+      cash_shift: 'касові зміни',
+      transactions: 'за чеками'
+    };
+    return names[source] || source;
+  }
+
+  /**
+   * Назва статусу звіту
+   */
+  getReportStatusName(status) {
+    const names = {
+      draft: 'чернетка',
+      submitted: 'на затвердженні',
+      approved: 'затверджено',
+      paid: 'виплачено'
+    };
+    return names[status] || status;
+  }
+
+  /**
+   * Назва типу ручного коригування
+   */
+  getAdjustmentTypeName(type) {
+    const names = {
+      bonus: 'Премія',
+      fine: 'Штраф',
+      advance: 'Виданий аванс',
+      correction: 'Коригування'
+    };
+    return names[type] || type;
+  }
+
+  /**
+   * Назва стратегії розподілу нестачі
+   */
+  getInventoryStrategyName(strategy) {
+    const names = {
+      revenue: 'пропорційно виручці',
+      shifts: 'пропорційно змінам',
+      hours: 'пропорційно годинам',
+      equal: 'порівну',
+      revision_period: 'між змінами періоду інвентаризації'
+    };
+    return names[strategy || 'revenue'] || strategy;
+  }
+
   /**
    * Отримання назви місяця
    */
@@ -270,8 +1046,15 @@ ${index + 1}. ${emp.employeeName}
   validateCalculationParams(params) {
     const errors = [];
 
-    if (!params.account) errors.push('Account is required');
-    if (!params.accessToken) errors.push('Access token is required');
+    if (params.source !== undefined && !DATA_SOURCES.includes(params.source)) {
+      errors.push(`Invalid data source (must be one of: ${DATA_SOURCES.join(', ')})`);
+    }
+    if (params.source === 'local') {
+      if (!params.locationId) errors.push('Location is required for local data source');
+    } else {
+      if (!params.account) errors.push('Account is required');
+      if (!params.accessToken) errors.push('Access token is required');
+    }
     if (!params.month || params.month < 1 || params.month > 12) {
       errors.push('Invalid month (must be 1-12)');
     }
@@ -285,11 +1068,196 @@ ${index + 1}. ${emp.employeeName}
       errors.push('Invalid revenue percent (must be 0-100)');
     }
 
+    (params.payRules || []).forEach(rule => {
+      errors.push(...this.validatePayRule(rule));
+    });
+
+    if (params.bonusScheme) {
+      errors.push(...this.validateBonusScheme(params.bonusScheme));
+    }
+
+    if (params.inventoryAllocation) {
+      errors.push(...this.validateInventoryAllocation(params.inventoryAllocation));
+    }
+
     return {
       isValid: errors.length === 0,
       errors
     };
   }
+
+  /**
+   * Приведення налаштувань розподілу нестачі із запиту до потрібних типів
+   */
+  normalizeInventoryAllocation(input = {}) {
+    return {
+      strategy: input.strategy || 'revenue',
+      capPercent: input.capPercent === null || input.capPercent === undefined || input.capPercent === ''
+        ? null
+        : Number(input.capPercent)
+    };
+  }
+
+  /**
+   * Валідація налаштувань розподілу нестачі
+   * @returns {string[]} Список помилок
+   */
+  validateInventoryAllocation(allocation) {
+    const errors = [];
+
+    if (!INVENTORY_STRATEGIES.includes(allocation.strategy)) {
+      errors.push(`Invalid inventory allocation strategy (must be one of: ${INVENTORY_STRATEGIES.join(', ')})`);
+    }
+    if (allocation.capPercent !== null && allocation.capPercent !== undefined &&
+      (typeof allocation.capPercent !== 'number' || isNaN(allocation.capPercent) ||
+        allocation.capPercent < 0 || allocation.capPercent > 100)) {
+      errors.push('Invalid inventory cap percent (must be 0-100)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Приведення схеми бонусів із запиту до числових значень
+   */
+  normalizeBonusScheme(input = {}) {
+    const toNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+    return {
+      tiers: Array.isArray(input.tiers)
+        ? input.tiers.map(tier => ({
+          upTo: toNumber(tier.upTo),
+          percent: toNumber(tier.percent)
+        }))
+        : input.tiers,
+      minRevenuePerShift: toNumber(input.minRevenuePerShift),
+      monthlyTarget: toNumber(input.monthlyTarget),
+      targetBonus: toNumber(input.targetBonus)
+    };
+  }
+
+  /**
+   * Валідація схеми бонусів
+   * @returns {string[]} Список помилок
+   */
+  validateBonusScheme(scheme) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+    if (scheme.tiers !== undefined && !Array.isArray(scheme.tiers)) {
+      errors.push('Bonus tiers must be an array');
+      return errors;
+    }
+
+    const tiers = scheme.tiers || [];
+    let previousUpTo = 0;
+
+    tiers.forEach((tier, index) => {
+      const isLast = index === tiers.length - 1;
+
+      if (!isNumber(tier.percent) || tier.percent < 0 || tier.percent > 100) {
+        errors.push(`Invalid percent in bonus tier ${index + 1} (must be 0-100)`);
+      }
+
+      if (tier.upTo === null || tier.upTo === undefined) {
+        if (!isLast) {
+          errors.push(`Only the last bonus tier may have no upper limit (tier ${index + 1})`);
+        }
+      } else if (!isNumber(tier.upTo) || tier.upTo <= previousUpTo) {
+        errors.push(`Bonus tier ${index + 1} limit must be greater than the previous one`);
+      } else {
+        previousUpTo = tier.upTo;
+        if (isLast) {
+          errors.push('Last bonus tier must have no upper limit');
+        }
+      }
+    });
+
+    if (scheme.minRevenuePerShift !== undefined && scheme.minRevenuePerShift !== null &&
+      (!isNumber(scheme.minRevenuePerShift) || scheme.minRevenuePerShift < 0)) {
+      errors.push('Invalid minimum revenue per shift');
+    }
+    if (scheme.monthlyTarget !== undefined && scheme.monthlyTarget !== null &&
+      (!isNumber(scheme.monthlyTarget) || scheme.monthlyTarget < 0)) {
+      errors.push('Invalid monthly revenue target');
+    }
+    if (scheme.targetBonus !== undefined && scheme.targetBonus !== null &&
+      (!isNumber(scheme.targetBonus) || scheme.targetBonus < 0)) {
+      errors.push('Invalid target bonus');
+    }
+    if (scheme.targetBonus > 0 && !(scheme.monthlyTarget > 0)) {
+      errors.push('Monthly revenue target is required for target bonus');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Валідація правила оплати
+   * @returns {string[]} Список помилок
+   */
+  validatePayRule(rule) {
+    const errors = [];
+    const label = rule.scope === 'position'
+      ? `position "${rule.position}"`
+      : rule.scope === 'employee' ? `employee ${rule.posterEmployeeId}` : 'location';
+
+    if (!['location', 'position', 'employee'].includes(rule.scope)) {
+      errors.push('Invalid pay rule scope (must be location, position or employee)');
+      return errors;
+    }
+    if (rule.scope === 'position' && !rule.position) {
+      errors.push('Position is required for position pay rule');
+    }
+    if (rule.scope === 'employee' && !rule.posterEmployeeId) {
+      errors.push('Poster employee ID is required for employee pay rule');
+    }
+    if (rule.shiftRate !== null && rule.shiftRate !== undefined && (isNaN(rule.shiftRate) || rule.shiftRate < 0)) {
+      errors.push(`Invalid shift rate for ${label}`);
+    }
+    if (rule.revenuePercent !== null && rule.revenuePercent !== undefined &&
+      (isNaN(rule.revenuePercent) || rule.revenuePercent < 0 || rule.revenuePercent > 100)) {
+      errors.push(`Invalid revenue percent for ${label} (must be 0-100)`);
+    }
+    if (rule.hourlyRate !== null && rule.hourlyRate !== undefined && (isNaN(rule.hourlyRate) || rule.hourlyRate < 0)) {
+      errors.push(`Invalid hourly rate for ${label}`);
+    }
+    if (rule.fixedSalary !== null && rule.fixedSalary !== undefined && (isNaN(rule.fixedSalary) || rule.fixedSalary < 0)) {
+      errors.push(`Invalid fixed salary for ${label}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Валідація ручного коригування
+   * @returns {string[]} Список помилок
+   */
+  validateAdjustment(adjustment) {
+    const errors = [];
+
+    if (!ADJUSTMENT_TYPES.includes(adjustment.type)) {
+      errors.push(`Invalid adjustment type (must be one of: ${ADJUSTMENT_TYPES.join(', ')})`);
+    }
+    if (!adjustment.posterEmployeeId) {
+      errors.push('Poster employee ID is required');
+    }
+    if (!payPeriodService.parseDate(adjustment.date)) {
+      errors.push('Invalid date (expected YYYY-MM-DD)');
+    }
+    if (typeof adjustment.amount !== 'number' || isNaN(adjustment.amount)) {
+      errors.push('Amount must be a number');
+    } else if (adjustment.type === 'correction' ? adjustment.amount === 0 : adjustment.amount <= 0) {
+      errors.push(adjustment.type === 'correction'
+        ? 'Correction amount must not be zero'
+        : 'Amount must be greater than 0');
+    }
+    if (!adjustment.reason) {
+      errors.push('Reason is required');
+    }
+
+    return errors;
+  }
 }
 
 module.exports = new SalaryService();
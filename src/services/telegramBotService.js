@@ -0,0 +1,474 @@
+// backend/src/services/telegramBotService.js
+// Команди Telegram бота. Користувач визначається за Telegram ID,
+// права перевіряються так само, як у REST API (permissionService)
+
+const telegramService = require('./telegramService');
+const authService = require('./authService');
+const permissionService = require('./permissionService');
+const auditService = require('./auditService');
+const salaryService = require('./salaryService');
+const salaryRunService = require('./salaryRunService');
+const exportService = require('./exportService');
+const salaryReportRepository = require('../repositories/salaryReportRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+const reportWorkflowService = require('./reportWorkflowService');
+
+// Команди для меню бота (setMyCommands)
+const COMMANDS = [
+  { command: 'locations', description: 'Мої заклади' },
+  { command: 'calculate', description: 'Розрахунок: /calculate <заклад> <ММ.РРРР>' },
+  { command: 'history', description: 'Історія розрахунків: /history <заклад>' },
+  { command: 'report', description: 'Звіт: /report <id> [csv|xlsx|zip|pdf <співробітник>]' },
+  { command: 'link', description: 'Отримувати розрахункові листи: /link <код>' },
+  { command: 'unlink', description: 'Не отримувати розрахункові листи' },
+  { command: 'help', description: 'Довідка' }
+];
+
+// Повідомлення про невдалу прив'язку за кодом запрошення
+const INVITE_ERRORS = {
+  not_found: 'Код запрошення не знайдено.',
+  used: 'Код запрошення вже використано. Попросіть менеджера створити новий.',
+  expired: 'Термін дії коду минув. Попросіть менеджера створити новий.',
+  taken: 'Цей Telegram вже прив\'язаний до іншого співробітника закладу.'
+};
+
+// Кількість розрахунків у /history
+const HISTORY_LIMIT = 10;
+
+// Позначки статусів звіту в /history
+const REPORT_STATUS_ICONS = {
+  draft: '📝',
+  submitted: '⏳',
+  approved: '✅',
+  paid: '💰'
+};
+
+class TelegramBotService {
+  constructor() {
+    this.commands = COMMANDS;
+  }
+
+  /**
+   * Обробка update з webhook
+   * @param {Object} update - https://core.telegram.org/bots/api#update
+   */
+  async handleUpdate(update) {
+    if (update && update.callback_query) {
+      return this.handleCallbackQuery(update.callback_query);
+    }
+
+    const message = update && update.message;
+    if (!message || typeof message.text !== 'string' || !message.from) return;
+
+    const chatId = message.chat.id;
+    const [commandToken, ...args] = message.text.trim().split(/\s+/);
+
+    if (!commandToken.startsWith('/')) return;
+
+    // /command@BotName -> command
+    const command = commandToken.slice(1).split('@')[0].toLowerCase();
+
+    // Звіти містять зарплати - лише в особистому чаті з ботом
+    if (message.chat.type !== 'private') {
+      return telegramService.sendMessage(chatId, 'Команди доступні лише в особистих повідомленнях боту.');
+    }
+
+    // Прив'язка співробітника не потребує облікового запису в застосунку:
+    // /start <код> (посилання з запрошення) або /link <код>
+    if ((command === 'start' && args[0]) || command === 'link' || command === 'unlink') {
+      try {
+        return command === 'unlink'
+          ? await this.handleUnlink(chatId, message.from.id)
+          : await this.handleLink(chatId, message.from.id, args[0]);
+      } catch (error) {
+        console.error(`Telegram command /${command} failed:`, error);
+        return telegramService.sendMessage(chatId, '❌ Не вдалося виконати команду. Спробуйте пізніше.');
+      }
+    }
+
+    const user = await authService.findByTelegramId(message.from.id);
+
+    if (!user) {
+      return telegramService.sendMessage(
+        chatId,
+        'Вас ще не зареєстровано. Відкрийте застосунок, щоб увійти.',
+        telegramService.getWebAppMarkup()
+      );
+    }
+
+    if (!user.is_active) {
+      return telegramService.sendMessage(chatId, 'Ваш обліковий запис деактивовано.');
+    }
+
+    // Той самий формат, що й req.user у REST API
+    const context = {
+      chatId,
+      user: {
+        id: user.id,
+        telegramId: String(user.telegram_id),
+        role: user.role
+      }
+    };
+
+    const handlers = {
+      start: () => this.handleHelp(context),
+      help: () => this.handleHelp(context),
+      locations: () => this.handleLocations(context),
+      calculate: () => this.handleCalculate(context, args),
+      history: () => this.handleHistory(context, args),
+      report: () => this.handleReport(context, args)
+    };
+
+    if (!handlers[command]) {
+      return telegramService.sendMessage(chatId, 'Невідома команда. /help - список команд.');
+    }
+
+    try {
+      await handlers[command]();
+    } catch (error) {
+      if (error.status) {
+        const details = error.errors ? `\n${error.errors.map(item => `• ${item}`).join('\n')}` : '';
+        return telegramService.sendMessage(chatId, `❌ ${error.message}${details}`);
+      }
+
+      console.error(`Telegram command /${command} failed:`, error);
+      await telegramService.sendMessage(chatId, '❌ Не вдалося виконати команду. Спробуйте пізніше.');
+    }
+  }
+
+  /**
+   * Натискання inline-кнопок: approve:<звіт> - затвердження чернетки
+   * з повідомлення планового розрахунку
+   */
+  async handleCallbackQuery(query) {
+    const [action, reportArg] = String(query.data || '').split(':');
+    const reportId = parseInt(reportArg);
+    const chatId = query.message ? query.message.chat.id : query.from.id;
+
+    if (action !== 'approve' || !reportId) {
+      return telegramService.answerCallbackQuery(query.id, 'Невідома дія');
+    }
+
+    const user = await authService.findByTelegramId(query.from.id);
+
+    if (!user || !user.is_active) {
+      return telegramService.answerCallbackQuery(query.id, 'Немає доступу');
+    }
+
+    try {
+      const locationId = await salaryReportRepository.getLocationId(reportId);
+
+      if (!locationId) {
+        return telegramService.answerCallbackQuery(query.id, 'Звіт не знайдено');
+      }
+
+      await this.requirePermission(user, locationId, 'can_calculate');
+
+      const current = await salaryReportRepository.findById(reportId);
+      const userContext = { id: user.id, role: user.role };
+      const context = { channel: 'telegram' };
+
+      if (reportWorkflowService.lockedStatuses.includes(current.status)) {
+        await telegramService.answerCallbackQuery(query.id, 'Звіт уже затверджено');
+      } else {
+        // Чернетку з планового розрахунку спершу подано на затвердження
+        if (current.status === 'draft') {
+          await reportWorkflowService.transition(reportId, 'submit', userContext, {}, context);
+        }
+
+        if (await reportWorkflowService.canTransition(userContext, locationId, 'approve')) {
+          const report = await reportWorkflowService.transition(reportId, 'approve', userContext, {}, context);
+
+          await telegramService.answerCallbackQuery(query.id, 'Затверджено');
+          await telegramService.sendMessage(chatId, `✅ Звіт №${report.id} (версія ${report.version}) затверджено.`);
+        } else {
+          await telegramService.answerCallbackQuery(query.id, 'Подано на затвердження');
+          await telegramService.sendMessage(chatId, `⏳ Звіт №${reportId} подано на затвердження власнику закладу.`);
+        }
+      }
+
+      if (query.message) {
+        await telegramService.removeReplyMarkup(chatId, query.message.message_id);
+      }
+    } catch (error) {
+      if (error.status) {
+        return telegramService.answerCallbackQuery(query.id, error.message);
+      }
+
+      console.error('Telegram callback query failed:', error);
+      await telegramService.answerCallbackQuery(query.id, 'Не вдалося виконати дію');
+    }
+  }
+
+  async handleHelp({ chatId }) {
+    const text = [
+      'Команди:',
+      '/locations - заклади, до яких у вас є доступ',
+      '/calculate <заклад> <ММ.РРРР> [advance|settlement] - розрахунок за місяць',
+      '/calculate <заклад> <РРРР-ММ-ДД> - розрахунок за тиждень (тижневий шаблон)',
+      '/history <заклад> - останні розрахунки',
+      '/report <id> - детальний звіт',
+      '/report <id> csv|xlsx|zip - файл звіту або архів розрахункових листів',
+      '/report <id> pdf <співробітник> - розрахунковий лист співробітника',
+      '/link <код> - отримувати особисті розрахункові листи',
+      '/unlink - не отримувати розрахункові листи'
+    ].join('\n');
+
+    return telegramService.sendMessage(chatId, text, telegramService.getWebAppMarkup());
+  }
+
+  async handleLocations({ chatId, user }) {
+    const locations = await permissionService.getUserLocations(user);
+
+    if (locations.length === 0) {
+      return telegramService.sendMessage(chatId, 'У вас немає доступу до жодного закладу.');
+    }
+
+    const lines = locations.map(location => {
+      const rights = [
+        location.can_calculate ? 'розрахунок' : null,
+        location.can_export ? 'експорт' : null
+      ].filter(Boolean);
+
+      return `${location.id}. ${location.name} (${location.role}${rights.length > 0 ? `: ${rights.join(', ')}` : ''})`;
+    });
+
+    return telegramService.sendMessage(chatId, `Ваші заклади:\n${lines.join('\n')}`);
+  }
+
+  /**
+   * /calculate <заклад> <період> [advance|settlement] [poster|local]
+   */
+  async handleCalculate({ chatId, user }, args) {
+    const [locationArg, periodArg, ...options] = args;
+    const locationId = parseInt(locationArg);
+    const period = this.parsePeriodArg(periodArg);
+
+    if (!locationId || !period) {
+      return telegramService.sendMessage(chatId, 'Використання: /calculate <заклад> <ММ.РРРР> [advance|settlement]');
+    }
+
+    await this.requirePermission(user, locationId, 'can_calculate');
+
+    const input = { locationId, ...period };
+    options.forEach(option => {
+      if (['advance', 'settlement'].includes(option)) input.part = option;
+      if (salaryService.dataSources.includes(option)) input.source = option;
+    });
+
+    await telegramService.sendMessage(chatId, '⏳ Розраховую...');
+
+    const run = await salaryRunService.calculate(input, { userId: user.id });
+
+    await auditService.log({
+      userId: user.id,
+      action: auditService.actions.SALARY_CALCULATE,
+      entityType: 'location',
+      entityId: locationId,
+      locationId,
+      details: { ...salaryRunService.getAuditDetails(run), channel: 'telegram' }
+    });
+
+    const footer = run.report
+      ? `\nЗвіт №${run.report.id}, версія ${run.report.version}. Файли: /report ${run.report.id} csv`
+      : '';
+
+    return telegramService.sendMessage(chatId, salaryService.generateDetailedReport(run.result) + footer);
+  }
+
+  /**
+   * /history [заклад] - якщо заклад один, його можна не вказувати
+   */
+  async handleHistory({ chatId, user }, args) {
+    let locationId = parseInt(args[0]);
+
+    if (!locationId) {
+      const locations = await permissionService.getUserLocations(user);
+
+      if (locations.length !== 1) {
+        return telegramService.sendMessage(chatId, 'Використання: /history <заклад> (список - /locations)');
+      }
+
+      locationId = locations[0].id;
+    }
+
+    await this.requirePermission(user, locationId, 'can_view');
+
+    const history = await salaryReportRepository.getHistory(locationId, { limit: HISTORY_LIMIT });
+
+    if (history.length === 0) {
+      return telegramService.sendMessage(chatId, 'Розрахунків ще немає.');
+    }
+
+    const lines = history.map(report => {
+      const period = salaryService.getPeriodName({
+        type: report.period_type,
+        kind: report.period_kind,
+        dateFrom: report.period_start,
+        dateTo: report.period_end,
+        month: report.period_month,
+        year: report.period_year
+      });
+      const status = REPORT_STATUS_ICONS[report.status] || '📝';
+
+      return `${status} №${report.id} ${period}, v${report.version}: ${parseFloat(report.total_salary).toFixed(2)} грн`;
+    });
+
+    return telegramService.sendMessage(chatId, `Останні розрахунки:\n${lines.join('\n')}\n\nДеталі: /report <№>`);
+  }
+
+  /**
+   * /report <id> [csv|xlsx|zip|pdf <співробітник>]
+   */
+  async handleReport({ chatId, user }, args) {
+    const [reportArg, format, employeeId] = args;
+    const reportId = parseInt(reportArg);
+
+    if (!reportId || (format && !exportService.formats.includes(format))) {
+      return telegramService.sendMessage(chatId, 'Використання: /report <id> [csv|xlsx|zip|pdf <співробітник>]');
+    }
+
+    if (format === 'pdf' && !employeeId) {
+      return telegramService.sendMessage(chatId, 'Вкажіть ID співробітника в Poster: /report <id> pdf <співробітник>');
+    }
+
+    const locationId = await salaryReportRepository.getLocationId(reportId);
+
+    if (!locationId) {
+      return telegramService.sendMessage(chatId, 'Звіт не знайдено.');
+    }
+
+    // Текст звіту - перегляд, файли - експорт (як у REST API)
+    await this.requirePermission(user, locationId, format ? 'can_export' : 'can_view');
+
+    const report = await salaryReportRepository.findById(reportId);
+    const [lines, shifts] = await Promise.all([
+      salaryReportRepository.getLines(reportId),
+      salaryReportRepository.getShifts(reportId)
+    ]);
+
+    const exportData = exportService.toExportData(report, lines, shifts);
+
+    if (!format) {
+      return telegramService.sendMessage(chatId, salaryService.generateDetailedReport(exportData));
+    }
+
+    const file = await exportService.renderReport(exportData, format, { employeeId });
+
+    if (!file) {
+      return telegramService.sendMessage(chatId, 'Співробітника немає в цьому звіті.');
+    }
+
+    await telegramService.sendDocument(chatId, file.content, file.fileName, {
+      caption: `Звіт №${report.id}, версія ${report.version}`,
+      contentType: file.contentType
+    });
+
+    await auditService.log({
+      userId: user.id,
+      action: auditService.actions.REPORT_EXPORT,
+      entityType: 'salary_report',
+      entityId: report.id,
+      locationId: report.location_id,
+      details: {
+        format,
+        month: report.period_month,
+        year: report.period_year,
+        version: report.version,
+        employeeId: format === 'pdf' ? parseInt(employeeId) : undefined,
+        channel: 'telegram'
+      }
+    });
+  }
+
+  /**
+   * /link <код> - прив'язка Telegram до співробітника за кодом запрошення
+   */
+  async handleLink(chatId, telegramId, code) {
+    if (!code) {
+      return telegramService.sendMessage(chatId, 'Використання: /link <код запрошення>');
+    }
+
+    const { employee, error } = await employeeRepository.redeemInvite(code.trim().toLowerCase(), telegramId);
+
+    if (error) {
+      return telegramService.sendMessage(chatId, INVITE_ERRORS[error]);
+    }
+
+    await auditService.log({
+      action: auditService.actions.EMPLOYEE_TELEGRAM_LINK,
+      entityType: 'employee',
+      entityId: employee.id,
+      locationId: employee.locationId,
+      details: { posterEmployeeId: employee.posterId, telegramId: String(telegramId), channel: 'telegram' }
+    });
+
+    return telegramService.sendMessage(
+      chatId,
+      `✅ ${employee.name}, ви будете отримувати розрахункові листи закладу «${employee.locationName}» після закриття кожного періоду.`
+    );
+  }
+
+  /**
+   * /unlink - відв'язка від усіх співробітників
+   */
+  async handleUnlink(chatId, telegramId) {
+    const employees = await employeeRepository.findByTelegramId(telegramId);
+
+    if (employees.length === 0) {
+      return telegramService.sendMessage(chatId, 'Ваш Telegram не прив\'язаний до жодного співробітника.');
+    }
+
+    await employeeRepository.unlinkTelegramUser(telegramId);
+
+    for (const employee of employees) {
+      await auditService.log({
+        action: auditService.actions.EMPLOYEE_TELEGRAM_UNLINK,
+        entityType: 'employee',
+        entityId: employee.id,
+        locationId: employee.locationId,
+        details: { posterEmployeeId: employee.posterId, telegramId: String(telegramId), channel: 'telegram' }
+      });
+    }
+
+    return telegramService.sendMessage(chatId, 'Розрахункові листи більше не надсилатимуться.');
+  }
+
+  /**
+   * Перевірка прав як у requireLocationPermission
+   */
+  async requirePermission(user, locationId, flag) {
+    const allowed = await permissionService.hasPermission(user, locationId, flag);
+
+    if (!allowed) {
+      throw salaryRunService.createError(403, 'Немає доступу до цього закладу');
+    }
+  }
+
+  /**
+   * Період з аргументу команди:
+   * ММ.РРРР, ММ/РРРР, РРРР-ММ, ММ (поточний рік) або РРРР-ММ-ДД (тиждень)
+   * @returns {Object|null} { month, year } | { week }
+   */
+  parsePeriodArg(value) {
+    if (!value) return null;
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { week: value };
+    }
+
+    let match = value.match(/^(\d{1,2})[./](\d{4})$/);
+    if (match) return { month: parseInt(match[1]), year: parseInt(match[2]) };
+
+    match = value.match(/^(\d{4})-(\d{1,2})$/);
+    if (match) return { month: parseInt(match[2]), year: parseInt(match[1]) };
+
+    if (/^\d{1,2}$/.test(value)) {
+      return { month: parseInt(value), year: new Date().getFullYear() };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new TelegramBotService();
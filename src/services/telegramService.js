@@ -0,0 +1,184 @@
+// backend/src/services/telegramService.js
+// Клієнт Telegram Bot API: повідомлення, документи, webhook
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Максимальна довжина текстового повідомлення Telegram
+const MAX_MESSAGE_LENGTH = 4096;
+
+class TelegramService {
+  constructor() {
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    this.webAppUrl = process.env.TELEGRAM_WEBAPP_URL;
+    this.http = axios.create({
+      timeout: parseInt(process.env.TELEGRAM_TIMEOUT_MS || '30000')
+    });
+  }
+
+  /**
+   * Виклик методу Bot API
+   * @param {string} method - sendMessage, sendDocument, setWebhook...
+   * @param {Object|FormData} payload
+   * @returns {Object} Поле result відповіді
+   */
+  async callMethod(method, payload = {}) {
+    if (!this.botToken) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+    }
+
+    try {
+      const response = await this.http.post(`${this.apiUrl}/bot${this.botToken}/${method}`, payload);
+
+      if (!response.data || !response.data.ok) {
+        throw new Error(response.data && response.data.description ? response.data.description : 'Unknown error');
+      }
+
+      return response.data.result;
+    } catch (error) {
+      const data = (error.response && error.response.data) || {};
+      const wrapped = new Error(`Telegram API ${method} failed: ${data.description || error.message}`);
+
+      // Код помилки Bot API (403 - бот заблокований тощо) та затримка для 429
+      wrapped.statusCode = data.error_code || (error.response && error.response.status) || null;
+      wrapped.retryAfter = data.parameters && data.parameters.retry_after
+        ? data.parameters.retry_after
+        : null;
+
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Надсилання тексту (довгий текст ділиться на кілька повідомлень)
+   * @param {Object} [extra] - Додаткові параметри sendMessage (reply_markup тощо) - до останнього повідомлення
+   */
+  async sendMessage(chatId, text, extra = {}) {
+    const chunks = this.splitText(text);
+    let result = null;
+
+    for (let index = 0; index < chunks.length; index++) {
+      result = await this.callMethod('sendMessage', {
+        chat_id: chatId,
+        text: chunks[index],
+        ...(index === chunks.length - 1 ? extra : {})
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Надсилання файлу як документа
+   * @param {Buffer|string} content
+   * @param {string} fileName
+   * @param {Object} [options] - { caption, contentType }
+   */
+  async sendDocument(chatId, content, fileName, { caption = null, contentType = 'application/octet-stream' } = {}) {
+    const form = new FormData();
+
+    form.append('chat_id', String(chatId));
+    form.append('document', new Blob([content], { type: contentType }), fileName);
+    if (caption) form.append('caption', caption);
+
+    return this.callMethod('sendDocument', form);
+  }
+
+  /**
+   * Відповідь на натискання inline-кнопки (прибирає індикатор завантаження)
+   * @param {string} [text] - Коротке сповіщення користувачу
+   */
+  async answerCallbackQuery(callbackQueryId, text = null) {
+    return this.callMethod('answerCallbackQuery', {
+      callback_query_id: callbackQueryId,
+      ...(text ? { text } : {})
+    });
+  }
+
+  /**
+   * Прибирання inline-кнопок з повідомлення
+   */
+  async removeReplyMarkup(chatId, messageId) {
+    return this.callMethod('editMessageReplyMarkup', {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: [] }
+    });
+  }
+
+  /**
+   * Реєстрація webhook
+   * @param {string} url - Публічна адреса /telegram/webhook
+   */
+  async setWebhook(url) {
+    return this.callMethod('setWebhook', {
+      url,
+      secret_token: this.webhookSecret,
+      allowed_updates: ['message', 'callback_query']
+    });
+  }
+
+  /**
+   * Список команд у меню бота
+   * @param {Object[]} commands - [{ command, description }]
+   */
+  async setCommands(commands) {
+    return this.callMethod('setMyCommands', { commands });
+  }
+
+  /**
+   * Перевірка заголовка X-Telegram-Bot-Api-Secret-Token
+   */
+  isValidWebhookSecret(secret) {
+    if (!this.webhookSecret || typeof secret !== 'string') return false;
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(secret);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Кнопка відкриття WebApp (якщо TELEGRAM_WEBAPP_URL налаштовано)
+   */
+  getWebAppMarkup(text = 'Відкрити застосунок') {
+    if (!this.webAppUrl) return {};
+
+    return {
+      reply_markup: {
+        inline_keyboard: [[{ text, web_app: { url: this.webAppUrl } }]]
+      }
+    };
+  }
+
+  /**
+   * Розбиття тексту на частини до MAX_MESSAGE_LENGTH, по можливості - по рядках
+   */
+  splitText(text) {
+    const chunks = [];
+    let current = '';
+
+    for (const line of String(text).split('\n')) {
+      // Рядок, довший за ліміт, ріжеться примусово
+      for (let offset = 0; offset < Math.max(line.length, 1); offset += MAX_MESSAGE_LENGTH) {
+        const part = line.slice(offset, offset + MAX_MESSAGE_LENGTH);
+        const candidate = current ? `${current}\n${part}` : part;
+
+        if (candidate.length > MAX_MESSAGE_LENGTH) {
+          chunks.push(current);
+          current = part;
+        } else {
+          current = candidate;
+        }
+      }
+    }
+
+    if (current.trim()) chunks.push(current);
+
+    return chunks.length > 0 ? chunks : [''];
+  }
+}
+
+module.exports = new TelegramService();